@@ -0,0 +1,87 @@
+/**
+ * Offline service worker
+ * Keeps the app shell, built assets and the bundled sample dataset available without
+ * connectivity. API queries are not cached here; query results live in the IndexedDB
+ * query cache and are served by dataService when the API is unreachable.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `cubeai-shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `cubeai-assets-${CACHE_VERSION}`;
+
+const SHELL_URLS = [
+  './',
+  './index.html',
+  './manifest.json',
+  './favicon.ico',
+  './sample-data/ngofs2_sample.json'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const currentCaches = [SHELL_CACHE, ASSET_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(
+        names
+          .filter(name => name.startsWith('cubeai-') && !currentCaches.includes(name))
+          .map(name => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Network first, falling back to the cache (used for pages and the sample dataset).
+ */
+const networkFirst = async (request, cacheName, fallbackUrl = null) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) || (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+/**
+ * Cache first (used for hashed build assets, which never change under the same URL).
+ */
+const cacheFirst = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Only same-origin GETs are cached; the data and chat APIs are handled by the app
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, './index.html'));
+  } else if (url.pathname.includes('/static/')) {
+    event.respondWith(cacheFirst(request, ASSET_CACHE));
+  } else if (url.pathname.includes('/sample-data/')) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
@@ -77,11 +77,29 @@ const OceanPlatform = () => {
         onTimeZoneChange={oceanData.setTimeZone}
         connectionStatus={oceanData.connectionStatus}
         dataQuality={oceanData.dataQuality}
+        offlineStatus={oceanData.offlineStatus}
+        unitPreferences={oceanData.unitPreferences}
+        unitSystem={oceanData.unitSystem}
+        onUnitSystemChange={oceanData.setUnitSystem}
+        onUnitPreferencesChange={oceanData.setUnitPreferences}
         showDataStatus={true}
         showTutorial={oceanData.showTutorial}
         onTutorialToggle={oceanData.handleTutorialToggle}
         tutorialStep={oceanData.tutorialStep}
         isFirstTimeUser={oceanData.isFirstTimeUser}
+        alertNotifications={oceanData.alertNotifications}
+        unreadAlertCount={oceanData.unreadAlertCount}
+        lastAlertEvaluation={oceanData.lastAlertEvaluation}
+        alertRules={oceanData.alertRules}
+        alertSettings={oceanData.alertSettings}
+        alertAreas={oceanData.availableAreas.map(area => area.value)}
+        onMarkAlertsRead={oceanData.markAlertsRead}
+        onClearAlerts={oceanData.clearAlertNotifications}
+        onSaveAlertRule={oceanData.saveAlertRule}
+        onDeleteAlertRule={oceanData.deleteAlertRule}
+        onToggleAlertRule={oceanData.toggleAlertRule}
+        onUpdateAlertSettings={oceanData.updateAlertSettings}
+        onTestAlertWebhook={oceanData.testAlertWebhook}
         apiStatus={oceanData.connectionStatus}
         apiMetrics={oceanData.connectionDetails}
         chatMetrics={oceanData.chatMessages?.length || 0}
@@ -94,7 +112,9 @@ const OceanPlatform = () => {
           <ControlPanel
             data-tutorial="control-panel"
             isLoading={oceanData.isLoading}
+            availableAreas={oceanData.availableAreas}
             availableModels={oceanData.availableModels}
+            modelAdapters={oceanData.modelAdapters}
             availableDepths={oceanData.availableDepths}
             dataLoaded={oceanData.dataLoaded}
             selectedArea={oceanData.selectedArea}
@@ -104,6 +124,7 @@ const OceanPlatform = () => {
             endDate={oceanData.endDate}
             timeZone={oceanData.timeZone}
             currentFrame={oceanData.currentFrame}
+            frameTime={oceanData.frameTime}
             isPlaying={oceanData.isPlaying}
             playbackSpeed={oceanData.playbackSpeed}
             loopMode={oceanData.loopMode}
@@ -119,6 +140,25 @@ const OceanPlatform = () => {
             onAreaChange={oceanData.setSelectedArea}
             onModelChange={oceanData.setSelectedModel}
             onDepthChange={oceanData.setSelectedDepth}
+            depthRange={oceanData.queryDepthRange}
+            onDepthRangeChange={oceanData.setQueryDepthRange}
+            importedFile={oceanData.importedFile}
+            dataSource={oceanData.dataSource}
+            timeAxis={oceanData.timeAxis}
+            loadedExtent={oceanData.loadedExtent}
+            onImportData={oceanData.importData}
+            observations={oceanData.observations}
+            knownObservationStations={oceanData.knownObservationStations}
+            isLoadingObservations={oceanData.isLoadingObservations}
+            observationError={oceanData.observationError}
+            onAddObservationFile={oceanData.addObservationFile}
+            onAddObservationUrl={oceanData.addObservationUrl}
+            onRemoveObservation={oceanData.removeObservation}
+            qcMode={oceanData.qcMode}
+            qcSummary={oceanData.qcSummary}
+            unitPreferences={oceanData.unitPreferences}
+            onQcModeChange={oceanData.setQcMode}
+            onClearImport={oceanData.clearImportedData}
             onDateRangeChange={oceanData.onDateRangeChange}
             onTimeZoneChange={oceanData.setTimeZone}
             onPlayToggle={oceanData.handlePlayToggle}
@@ -151,8 +191,19 @@ const OceanPlatform = () => {
               stationData={oceanData.stationData}
               timeSeriesData={oceanData.timeSeriesData}
               rawData={oceanData.rawData}
+              dataStore={oceanData.dataStore}
+              qcMode={oceanData.qcMode}
+              unitPreferences={oceanData.unitPreferences}
               currentsGeoJSON={oceanData.currentsGeoJSON}
               currentFrame={oceanData.currentFrame}
+              framePosition={oceanData.framePosition}
+              frameRows={oceanData.frameRowsAtDepth}
+              sampleAt={oceanData.sampleAt}
+              frameTime={oceanData.frameTime}
+              transectRows={oceanData.frameRows}
+              observationStations={oceanData.observationStations}
+              alertHighlights={oceanData.alertHighlights}
+              onTransectToChat={oceanData.setTransectContext}
               selectedDepth={oceanData.selectedDepth}
               selectedArea={oceanData.selectedArea}
               holoOceanPOV={oceanData.holoOceanPOV}
@@ -170,6 +221,13 @@ const OceanPlatform = () => {
               mapboxToken={process.env.REACT_APP_MAPBOX_ACCESS_TOKEN}
               isOutputCollapsed={isOutputCollapsed}
               availableDepths={oceanData.availableDepths}
+              areaViewState={oceanData.selectedAreaConfig ? {
+                longitude: oceanData.selectedAreaConfig.center.longitude,
+                latitude: oceanData.selectedAreaConfig.center.latitude,
+                zoom: oceanData.selectedAreaConfig.zoom
+              } : null}
+              loadedExtent={oceanData.loadedExtent}
+              onViewportQuery={oceanData.setQueryBbox}
               // Wind Velocity Particle Configuration
               windVelocityParticleCount={oceanData.windVelocityParticleCount}
               windVelocityParticleOpacity={oceanData.windVelocityParticleOpacity}
@@ -184,6 +242,7 @@ const OceanPlatform = () => {
               timeSeriesData={oceanData.timeSeriesData}
               currentFrame={oceanData.currentFrame}
               selectedDepth={oceanData.selectedDepth}
+              unitPreferences={oceanData.unitPreferences}
               isTyping={oceanData.isTyping}
               isCollapsed={isOutputCollapsed}
               onToggleCollapse={() => setIsOutputCollapsed(!isOutputCollapsed)}
@@ -202,6 +261,10 @@ const OceanPlatform = () => {
             selectedDepth={oceanData.selectedDepth}
             timeSeriesData={oceanData.timeSeriesData}
             currentFrame={oceanData.currentFrame}
+            qcMode={oceanData.qcMode}
+            unitPreferences={oceanData.unitPreferences}
+            sampleAt={oceanData.sampleAt}
+            observations={oceanData.observations}
             data={oceanData.data}
             availableDepths={oceanData.availableDepths}
             onDepthChange={oceanData.setSelectedDepth}
@@ -217,6 +280,7 @@ const OceanPlatform = () => {
         timeSeriesData={oceanData.timeSeriesData}
         data={oceanData.data}
         dataSource={oceanData.dataSource}
+        isOffline={oceanData.isOffline}
         selectedDepth={oceanData.selectedDepth}
         availableDepths={oceanData.availableDepths}
         selectedArea={oceanData.selectedArea}
@@ -225,6 +289,9 @@ const OceanPlatform = () => {
         currentFrame={oceanData.currentFrame}
         holoOceanPOV={oceanData.holoOceanPOV}
         envData={oceanData.envData}
+        unitPreferences={oceanData.unitPreferences}
+        transectContext={oceanData.transectContext}
+        onClearTransectContext={() => oceanData.setTransectContext(null)}
         timeZone={oceanData.timeZone}
         startDate={oceanData.startDate}
         endDate={oceanData.endDate}
@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { Bell, BellRing, Settings2, CheckCheck, Trash2 } from 'lucide-react';
+import AlertRulesDialog from './AlertRulesDialog';
+import { ALERT_VARIABLES, DEFAULT_ALERT_SETTINGS } from '../../services/alertService';
+import { DEFAULT_UNIT_PREFERENCES, formatValue } from '../../services/unitService';
+
+const SEVERITY_STYLES = {
+  critical: 'border-red-500 text-red-300',
+  warning: 'border-amber-500 text-amber-300',
+  info: 'border-cyan-500 text-cyan-300'
+};
+
+/**
+ * Header notification center: a bell with the unread count and a dropdown of alert events, plus
+ * the rules dialog.
+ */
+const AlertCenter = ({
+  // Notification center entries (see useAlerts)
+  notifications = [],
+  unreadCount = 0,
+  lastEvaluation = null,
+  rules = [],
+  settings = DEFAULT_ALERT_SETTINGS,
+  areas = [],
+  unitPreferences = DEFAULT_UNIT_PREFERENCES,
+  onMarkRead,
+  onClear,
+  onSaveRule,
+  onDeleteRule,
+  onToggleRule,
+  onUpdateSettings,
+  onTestWebhook
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [showRules, setShowRules] = useState(false);
+
+  const toggleOpen = () => {
+    // Opening the list counts as reading it
+    if (isOpen) onMarkRead?.();
+    setIsOpen(!isOpen);
+  };
+
+  const close = () => {
+    onMarkRead?.();
+    setIsOpen(false);
+  };
+
+  const BellIcon = unreadCount > 0 ? BellRing : Bell;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={toggleOpen}
+        className={`p-1 md:p-2 rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-red-400 relative ${
+          isOpen ? 'bg-red-600 text-white' : 'bg-slate-700 hover:bg-slate-600 text-slate-300'
+        }`}
+        aria-label={`Alerts${unreadCount > 0 ? ` (${unreadCount} unread)` : ''}`}
+        title="Alert Notifications"
+      >
+        <BellIcon className="w-4 h-4 md:w-5 md:h-5" />
+        {unreadCount > 0 && (
+          <div className="absolute -top-1 -right-1 min-w-[1rem] h-4 px-0.5 bg-red-500 text-white text-xs rounded-full flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </div>
+        )}
+      </button>
+
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-40" onClick={close}></div>
+          <div className="absolute top-full right-0 mt-2 w-80 max-w-[calc(100vw-1rem)] bg-slate-800 border border-slate-600 rounded-lg shadow-xl z-50 max-h-[80vh] flex flex-col">
+            <div className="flex items-center justify-between p-3 border-b border-slate-700">
+              <div>
+                <div className="text-sm font-semibold text-slate-200">Alerts</div>
+                <div className="text-xs text-slate-500">
+                  {rules.filter(rule => rule.enabled).length} active rule(s)
+                  {lastEvaluation && ` · checked ${new Date(lastEvaluation).toLocaleTimeString()}`}
+                </div>
+              </div>
+              <div className="flex items-center gap-1">
+                <button onClick={onMarkRead} className="p-1 text-slate-400 hover:text-white" aria-label="Mark all read" title="Mark all read">
+                  <CheckCheck className="w-4 h-4" />
+                </button>
+                <button onClick={onClear} className="p-1 text-slate-400 hover:text-white" aria-label="Clear alerts" title="Clear alerts">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => { close(); setShowRules(true); }}
+                  className="p-1 text-slate-400 hover:text-white"
+                  aria-label="Manage alert rules"
+                  title="Manage alert rules"
+                >
+                  <Settings2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+
+            <div className="overflow-y-auto p-2 space-y-2 text-xs">
+              {notifications.length === 0 ? (
+                <div className="text-slate-400 p-2">
+                  {rules.length === 0 ? 'No alert rules yet.' : 'No alerts have triggered.'}
+                </div>
+              ) : notifications.map(entry => (
+                <div
+                  key={entry.key}
+                  className={`border-l-2 pl-2 py-1 ${SEVERITY_STYLES[entry.severity] || SEVERITY_STYLES.info} ${entry.read ? 'opacity-70' : ''}`}
+                >
+                  <div className="font-semibold">
+                    {entry.ruleName || ALERT_VARIABLES[entry.variable]?.label || entry.variable}
+                  </div>
+                  <div className="text-slate-300">
+                    {entry.count} node{entry.count === 1 ? '' : 's'}, extreme {formatValue(entry.extreme, entry.variable, unitPreferences, 2)}
+                  </div>
+                  <div className="text-slate-500">
+                    From {new Date(entry.triggeredAt).toLocaleString()}
+                    {entry.delivery && (entry.delivery.ok ? ' · webhook delivered' : ` · webhook failed: ${entry.delivery.error}`)}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+
+      {showRules && (
+        <AlertRulesDialog
+          rules={rules}
+          settings={settings}
+          areas={areas}
+          unitPreferences={unitPreferences}
+          onSaveRule={onSaveRule}
+          onDeleteRule={onDeleteRule}
+          onToggleRule={onToggleRule}
+          onUpdateSettings={onUpdateSettings}
+          onTestWebhook={onTestWebhook}
+          onClose={() => setShowRules(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AlertCenter;
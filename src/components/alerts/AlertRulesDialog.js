@@ -0,0 +1,280 @@
+import React, { useState, useEffect } from 'react';
+import { X, BellRing, Plus, Trash2, Pencil, Send, AlertTriangle } from 'lucide-react';
+import {
+  ALERT_VARIABLES,
+  ALERT_OPERATORS,
+  ALERT_SEVERITIES,
+  ALERT_SCHEDULE_OPTIONS,
+  createAlertRule,
+  validateAlertRule,
+  describeAlertRule
+} from '../../services/alertService';
+import {
+  DEFAULT_UNIT_PREFERENCES,
+  convertValue,
+  toCanonicalValue,
+  getUnitSymbol
+} from '../../services/unitService';
+
+// Form fields of a rule, with the threshold and depth in display units
+const toForm = (rule, unitPreferences) => ({
+  ...rule,
+  threshold: String(Number(convertValue(rule.threshold, rule.variable, unitPreferences).toFixed(4))),
+  depth: rule.depth === null ? '' : String(Number(convertValue(rule.depth, 'depth', unitPreferences).toFixed(2))),
+  area: rule.area || '',
+  durationHours: String(rule.durationHours)
+});
+
+const fromForm = (form, unitPreferences) => ({
+  ...form,
+  name: form.name.trim(),
+  threshold: form.threshold === '' ? NaN : toCanonicalValue(Number(form.threshold), form.variable, unitPreferences),
+  depth: form.depth === '' ? null : toCanonicalValue(Number(form.depth), 'depth', unitPreferences),
+  area: form.area || null,
+  durationHours: form.durationHours === '' ? 0 : Number(form.durationHours)
+});
+
+/**
+ * Dialog for creating, editing and deleting alert rules, and for the evaluation schedule and
+ * delivery settings (browser notifications, webhook).
+ */
+const AlertRulesDialog = ({
+  rules = [],
+  settings,
+  // Area ids a rule can be limited to
+  areas = [],
+  unitPreferences = DEFAULT_UNIT_PREFERENCES,
+  onSaveRule,
+  onDeleteRule,
+  onToggleRule,
+  onUpdateSettings,
+  onTestWebhook,
+  onClose
+}) => {
+  // Rule being edited (form fields), or null
+  const [form, setForm] = useState(null);
+  const [formErrors, setFormErrors] = useState([]);
+  const [webhookUrl, setWebhookUrl] = useState(settings.webhookUrl);
+  // { ok, text } of the last webhook test
+  const [webhookStatus, setWebhookStatus] = useState(null);
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') onClose?.();
+    };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [onClose]);
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleSave = () => {
+    const rule = fromForm(form, unitPreferences);
+    const problems = validateAlertRule(rule);
+    setFormErrors(problems);
+    if (problems.length > 0) return;
+    onSaveRule?.(rule);
+    setForm(null);
+  };
+
+  const handleTestWebhook = async () => {
+    setWebhookStatus(null);
+    try {
+      const { status } = await onTestWebhook(webhookUrl.trim());
+      setWebhookStatus({ ok: true, text: `Delivered (HTTP ${status})` });
+    } catch (error) {
+      setWebhookStatus({ ok: false, text: error.message });
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="alert-rules-title"
+    >
+      <div className="bg-slate-800 border border-cyan-500/30 rounded-lg shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-3 border-b border-slate-700">
+          <h2 id="alert-rules-title" className="font-semibold text-cyan-300 flex items-center gap-2 text-sm md:text-base">
+            <BellRing className="w-4 h-4" />
+            Alert Rules
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-white transition-colors p-1 rounded hover:bg-slate-700/50"
+            aria-label="Close alert rules"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-3 space-y-4 text-xs text-slate-300">
+          {/* Rules */}
+          <div className="space-y-1">
+            {rules.length === 0 && !form && (
+              <div className="text-slate-400">No rules yet. Add one to be alerted when loaded data crosses a threshold.</div>
+            )}
+            {rules.map(rule => (
+              <div key={rule.id} className="flex items-center gap-2 bg-slate-700/30 rounded p-2">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={() => onToggleRule?.(rule.id)}
+                  aria-label={`Enable ${rule.name || 'rule'}`}
+                />
+                <div className="flex-1 min-w-0">
+                  <div className="font-semibold text-slate-200 truncate">{rule.name || 'Unnamed rule'}</div>
+                  <div className="text-slate-400 truncate">{describeAlertRule(rule, unitPreferences)}</div>
+                </div>
+                <span className={`px-1.5 py-0.5 rounded ${
+                  rule.severity === 'critical' ? 'bg-red-900/50 text-red-300' :
+                  rule.severity === 'warning' ? 'bg-amber-900/50 text-amber-300' :
+                  'bg-slate-600/50 text-slate-300'
+                }`}>
+                  {rule.severity}
+                </span>
+                <button onClick={() => { setForm(toForm(rule, unitPreferences)); setFormErrors([]); }} className="p-1 text-slate-400 hover:text-white" aria-label={`Edit ${rule.name || 'rule'}`}>
+                  <Pencil className="w-3 h-3" />
+                </button>
+                <button onClick={() => onDeleteRule?.(rule.id)} className="p-1 text-slate-400 hover:text-red-300" aria-label={`Delete ${rule.name || 'rule'}`}>
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          {/* Rule Form */}
+          {form ? (
+            <div className="border border-slate-600 rounded p-2 space-y-2">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                <label className="flex flex-col gap-1 col-span-2">
+                  Name
+                  <input type="text" value={form.name} onChange={(e) => setField('name', e.target.value)} placeholder="e.g. Strong surface current" className="bg-slate-700 border border-slate-600 rounded px-1 py-1" />
+                </label>
+                <label className="flex flex-col gap-1">
+                  Severity
+                  <select value={form.severity} onChange={(e) => setField('severity', e.target.value)} className="bg-slate-700 border border-slate-600 rounded px-1 py-1">
+                    {ALERT_SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                  </select>
+                </label>
+                <label className="flex flex-col gap-1">
+                  Area
+                  <select value={form.area} onChange={(e) => setField('area', e.target.value)} className="bg-slate-700 border border-slate-600 rounded px-1 py-1">
+                    <option value="">Any</option>
+                    {areas.map(area => <option key={area} value={area}>{area}</option>)}
+                  </select>
+                </label>
+                <label className="flex flex-col gap-1">
+                  Variable
+                  <select value={form.variable} onChange={(e) => setField('variable', e.target.value)} className="bg-slate-700 border border-slate-600 rounded px-1 py-1">
+                    {Object.entries(ALERT_VARIABLES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                  </select>
+                </label>
+                <label className="flex flex-col gap-1">
+                  Condition
+                  <select value={form.operator} onChange={(e) => setField('operator', e.target.value)} className="bg-slate-700 border border-slate-600 rounded px-1 py-1">
+                    {Object.keys(ALERT_OPERATORS).map(operator => <option key={operator} value={operator}>{operator}</option>)}
+                  </select>
+                </label>
+                <label className="flex flex-col gap-1">
+                  Threshold{getUnitSymbol(form.variable, unitPreferences) ? ` (${getUnitSymbol(form.variable, unitPreferences)})` : ''}
+                  <input type="number" step="any" value={form.threshold} onChange={(e) => setField('threshold', e.target.value)} className="bg-slate-700 border border-slate-600 rounded px-1 py-1" />
+                </label>
+                <label className="flex flex-col gap-1">
+                  Depth ({getUnitSymbol('depth', unitPreferences)})
+                  <input type="number" step="any" min="0" value={form.depth} onChange={(e) => setField('depth', e.target.value)} placeholder="Any" className="bg-slate-700 border border-slate-600 rounded px-1 py-1" />
+                </label>
+                <label className="flex flex-col gap-1">
+                  Sustained for (h)
+                  <input type="number" step="any" min="0" value={form.durationHours} onChange={(e) => setField('durationHours', e.target.value)} className="bg-slate-700 border border-slate-600 rounded px-1 py-1" />
+                </label>
+              </div>
+              <div className="text-slate-500">
+                A node triggers when its value meets the condition{Number(form.durationHours) > 0 ? ` on consecutive time steps for ${form.durationHours} h` : ' at any time step'}.
+              </div>
+              {formErrors.length > 0 && (
+                <div className="flex items-start gap-2 text-red-300 bg-red-900/30 border border-red-600/40 rounded p-2">
+                  <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                  <span>{formErrors.join('. ')}</span>
+                </div>
+              )}
+              <div className="flex justify-end gap-2">
+                <button onClick={() => setForm(null)} className="px-3 py-1 rounded text-slate-300 hover:text-white hover:bg-slate-700">
+                  Cancel
+                </button>
+                <button onClick={handleSave} className="px-3 py-1 rounded font-semibold bg-cyan-600 hover:bg-cyan-700 text-white">
+                  Save Rule
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              onClick={() => { setForm(toForm(createAlertRule(), unitPreferences)); setFormErrors([]); }}
+              className="flex items-center gap-1 px-2 py-1 rounded border border-slate-600 hover:border-slate-500 text-slate-300"
+            >
+              <Plus className="w-3 h-3" />
+              Add Rule
+            </button>
+          )}
+
+          {/* Evaluation & Delivery */}
+          <div className="pt-3 border-t border-slate-700 space-y-2">
+            <div className="text-slate-200 font-semibold">Evaluation & Delivery</div>
+            <div className="flex items-center justify-between gap-2">
+              <label htmlFor="alert-schedule" className="text-slate-400">Evaluate:</label>
+              <select
+                id="alert-schedule"
+                value={settings.scheduleMinutes}
+                onChange={(e) => onUpdateSettings?.({ scheduleMinutes: Number(e.target.value) })}
+                className="bg-slate-700 border border-slate-600 rounded px-1 py-0.5"
+              >
+                {ALERT_SCHEDULE_OPTIONS.map(minutes => (
+                  <option key={minutes} value={minutes}>
+                    {minutes === 0 ? 'After each data refresh' : `Every ${minutes} min (reloads data)`}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={settings.browserNotifications}
+                onChange={(e) => onUpdateSettings?.({ browserNotifications: e.target.checked })}
+              />
+              Browser notifications
+            </label>
+            <div className="flex flex-col gap-1">
+              <label htmlFor="alert-webhook" className="text-slate-400">Webhook URL (JSON POST per new alert):</label>
+              <div className="flex gap-2">
+                <input
+                  id="alert-webhook"
+                  type="url"
+                  value={webhookUrl}
+                  onChange={(e) => setWebhookUrl(e.target.value)}
+                  onBlur={() => webhookUrl.trim() !== settings.webhookUrl && onUpdateSettings?.({ webhookUrl: webhookUrl.trim() })}
+                  placeholder="http://localhost:9000/alerts"
+                  className="flex-1 bg-slate-700 border border-slate-600 rounded px-1 py-1"
+                />
+                <button
+                  onClick={handleTestWebhook}
+                  disabled={!webhookUrl.trim()}
+                  className="flex items-center gap-1 px-2 py-1 rounded border border-slate-600 hover:border-slate-500 disabled:opacity-50"
+                >
+                  <Send className="w-3 h-3" />
+                  Send Test
+                </button>
+              </div>
+              {webhookStatus && (
+                <div className={webhookStatus.ok ? 'text-green-400' : 'text-red-300'}>{webhookStatus.text}</div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AlertRulesDialog;
@@ -7,6 +7,7 @@ const Chatbot = ({
   timeSeriesData = [],
   data = [],
   dataSource = 'simulated',
+  isOffline = false,
   selectedDepth = 0, 
   availableDepths = [],
   selectedArea = '', 
@@ -16,6 +17,10 @@ const Chatbot = ({
   currentFrame = 0,
   holoOceanPOV = { x: 0, y: 0, depth: 0 }, 
   envData = {},
+  unitPreferences = null,
+  // Vertical section summary sent from the map (see summarizeTransect), or null
+  transectContext = null,
+  onClearTransectContext,
   timeZone = 'UTC',
   startDate,
   endDate,
@@ -51,10 +56,31 @@ const Chatbot = ({
   const chatEndRef = useRef(null);
   const maxRetries = 2;
 
+  // Offline State: the assistant needs the API, so chat is paused while offline
+  const [browserOffline, setBrowserOffline] = useState(() => navigator.onLine === false);
+  const chatOffline = isOffline || browserOffline;
+
+  useEffect(() => {
+    const handleOnline = () => setBrowserOffline(false);
+    const handleOffline = () => setBrowserOffline(true);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // Open the chat when a section is attached, so the user can ask about it
+  useEffect(() => {
+    if (transectContext) setChatOpen(true);
+  }, [transectContext]);
+
   // Initialize chat with API welcome message
   useEffect(() => {
     const initializeChat = async () => {
-      if (isInitialized || chatMessages.length > 0) return;
+      // Wait for connectivity instead of filling the chat with connection errors
+      if (isInitialized || chatMessages.length > 0 || chatOffline) return;
       
       try {
         const context = {
@@ -71,7 +97,8 @@ const Chatbot = ({
           totalFrames: data?.length || 24,
           startDate,
           endDate,
-          envData
+          envData,
+          unitPreferences
         };
 
         const threadId = getThreadId();
@@ -94,14 +121,18 @@ const Chatbot = ({
     };
     
     initializeChat();
-  }, [dataSource, selectedModel, selectedParameter, isInitialized, chatMessages.length, getThreadId, addAIResponse, startDate, endDate]);
+  }, [dataSource, selectedModel, selectedParameter, isInitialized, chatMessages.length, getThreadId, addAIResponse, startDate, endDate, chatOffline]);
 
-  // Check API status on mount and periodically
+  // Check API status on mount and periodically (skipped while offline)
   useEffect(() => {
+    if (chatOffline) {
+      setApiStatus(prev => ({ ...prev, connected: false }));
+      return undefined;
+    }
     checkAPIStatus();
     const interval = setInterval(checkAPIStatus, 60000); // Check every minute
     return () => clearInterval(interval);
-  }, []);
+  }, [chatOffline]);
 
   const checkAPIStatus = async () => {
     try {
@@ -115,7 +146,7 @@ const Chatbot = ({
 
   // Enhanced AI Response with API integration (API only)
   const sendMessage = async () => {
-    if (!inputMessage.trim()) return;
+    if (!inputMessage.trim() || chatOffline) return;
     
     addUserMessage(inputMessage);
     const currentInput = inputMessage;
@@ -150,7 +181,9 @@ const Chatbot = ({
         totalFrames: data?.length || 24,
         startDate,
         endDate,
-        envData
+        envData,
+        unitPreferences,
+        transect: transectContext
       };
 
       // Get thread ID and AI response from API only
@@ -347,20 +380,36 @@ const Chatbot = ({
 
           {/* Input Section */}
           <div className="p-2 md:p-3 border-t border-blue-500/20">
+            {chatOffline && (
+              <div className="flex items-center gap-1 mb-2 text-xs text-amber-300" role="status">
+                <WifiOff className="w-3 h-3" />
+                <span>The assistant is unavailable offline. Map and data views keep working with cached data.</span>
+              </div>
+            )}
+            {transectContext && (
+              <div className="flex items-center justify-between gap-1 mb-2 px-2 py-1 bg-yellow-500/10 border border-yellow-500/30 rounded text-xs text-yellow-200">
+                <span>
+                  Section attached: {transectContext.variable}, {transectContext.length} {transectContext.length_unit}
+                </span>
+                <button onClick={onClearTransectContext} className="text-yellow-300 hover:text-white" title="Remove section">
+                  <X className="w-3 h-3" />
+                </button>
+              </div>
+            )}
             <div className="flex gap-2">
               <textarea
                 value={inputMessage}
                 onChange={(e) => setInputMessage(e.target.value)}
                 onKeyPress={handleKeyPress}
-                placeholder="Ask about currents, waves, temperature..."
+                placeholder={chatOffline ? 'Chat is unavailable while offline' : 'Ask about currents, waves, temperature...'}
                 className="flex-1 h-12 md:h-16 bg-slate-700 border border-slate-600 rounded px-2 md:px-3 py-1 md:py-2 text-xs md:text-sm resize-none"
                 rows="2"
-                disabled={isTyping}
+                disabled={isTyping || chatOffline}
               />
               <div className="flex flex-col gap-1">
                 <button
                   onClick={sendMessage}
-                  disabled={!inputMessage.trim() || isTyping}
+                  disabled={!inputMessage.trim() || isTyping || chatOffline}
                   className="bg-blue-600 hover:bg-blue-700 disabled:bg-slate-600 disabled:cursor-not-allowed px-3 py-2 rounded text-xs md:text-sm transition-colors flex items-center justify-center"
                 >
                   <Send className="w-3 h-3 md:w-4 md:h-4" />
@@ -368,7 +417,7 @@ const Chatbot = ({
                 {retryCount > 0 && (
                   <button
                     onClick={retryLastMessage}
-                    disabled={isTyping}
+                    disabled={isTyping || chatOffline}
                     className="bg-yellow-600 hover:bg-yellow-700 disabled:bg-slate-600 px-3 py-1 rounded text-xs transition-colors"
                     title="Retry last message"
                   >
@@ -403,6 +452,7 @@ const Chatbot = ({
               </button>
               <button
                 onClick={checkAPIStatus}
+                disabled={chatOffline}
                 className="text-xs bg-slate-700 hover:bg-slate-600 px-2 py-1 rounded text-slate-300 transition-colors ml-auto"
                 title="Refresh API status"
               >
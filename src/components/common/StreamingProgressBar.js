@@ -0,0 +1,48 @@
+import React from 'react';
+import { Database, XCircle } from 'lucide-react';
+import { getStreamingProgress } from './StreamingProgressScreen';
+
+/**
+ * StreamingProgressBar - Non-blocking progress for loads after the first one
+ * Floats over the dashboard while pages stream in, with the same cancel as the full screen
+ */
+const StreamingProgressBar = ({ progress = null, onCancel }) => {
+  const { overallProgress } = progress ? getStreamingProgress(progress) : { overallProgress: 0 };
+  const rows = progress?.totalProcessedRows ?? 0;
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 w-80 max-w-[90vw] bg-slate-800/95 backdrop-blur-sm border border-blue-400/30 rounded-lg shadow-xl p-3 text-xs text-slate-300"
+    >
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <div className="flex items-center gap-2 min-w-0">
+          <Database className="w-4 h-4 text-blue-400 animate-pulse flex-shrink-0" />
+          <span className="truncate">
+            {progress?.currentFile ? `Loading ${progress.currentFile}` : 'Loading data…'}
+          </span>
+        </div>
+        {onCancel && !progress?.isComplete && (
+          <button
+            onClick={onCancel}
+            className="flex items-center gap-1 px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-white flex-shrink-0"
+          >
+            <XCircle className="w-3 h-3" /> Cancel
+          </button>
+        )}
+      </div>
+      <div className="relative h-2 bg-slate-700 rounded-full overflow-hidden">
+        <div
+          className="absolute left-0 top-0 h-full bg-blue-400 transition-all duration-300 ease-out"
+          style={{ width: `${overallProgress}%` }}
+        />
+      </div>
+      <div className="flex justify-between mt-1 text-slate-400">
+        <span>{rows.toLocaleString()} rows</span>
+        {overallProgress > 0 && <span>{overallProgress.toFixed(0)}%</span>}
+      </div>
+    </div>
+  );
+};
+
+export default StreamingProgressBar;
@@ -1,6 +1,21 @@
 import React from 'react';
 import { Database, Activity, FileText, CheckCircle, XCircle, Loader } from 'lucide-react';
 
+/**
+ * Percent complete of a streaming load, for the current page and overall.
+ * @param {object} progress - Load progress from loadAllData's onProgress
+ * @returns {{currentFileProgress: number, overallProgress: number}} Percentages (0-100)
+ */
+export const getStreamingProgress = ({ currentFileIndex, totalFiles, processedRows, estimatedTotalRows }) => {
+  const currentFileProgress = estimatedTotalRows
+    ? Math.min(100, (processedRows / estimatedTotalRows) * 100)
+    : 0;
+  const overallProgress = totalFiles > 0
+    ? Math.min(100, ((currentFileIndex + (currentFileProgress / 100)) / totalFiles) * 100)
+    : currentFileProgress;
+  return { currentFileProgress, overallProgress };
+};
+
 /**
  * StreamingProgressScreen - Shows progress during data streaming
  * Displays file-by-file progress, total progress, and allows cancellation
@@ -23,13 +38,7 @@ const StreamingProgressScreen = ({
   } = progress;
 
   // Calculate progress percentage
-  const currentFileProgress = estimatedTotalRows 
-    ? Math.min(100, (processedRows / estimatedTotalRows) * 100)
-    : 0;
-  
-  const overallProgress = totalFiles > 0 
-    ? Math.min(100, ((currentFileIndex + (currentFileProgress / 100)) / totalFiles) * 100)
-    : currentFileProgress;
+  const { currentFileProgress, overallProgress } = getStreamingProgress(progress);
 
   // Format numbers for display
   const formatNumber = (num) => {
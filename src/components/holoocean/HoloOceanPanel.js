@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import useHoloOcean from '../../hooks/useHoloOcean';
 import ConnectionStatus from './ConnectionStatus';
 import TargetForm from './TargetForm';
+import TelemetryPanel from './TelemetryPanel';
 
 /**
  * Main HoloOcean control panel component
@@ -259,6 +260,9 @@ const HoloOceanPanel = ({ className = '', autoConnect = false }) => {
         </div>
       )}
 
+      {/* Telemetry recording and replay (replay works without a connection) */}
+      <TelemetryPanel className="mb-6" isConnected={isConnected} isSubscribed={isSubscribed} />
+
       {/* Current Status Display */}
       {status && (
         <div className="mb-6 p-4 border border-slate-600 rounded-lg">
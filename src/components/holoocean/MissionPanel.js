@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  X, Flag, MapPin, Save, FolderOpen, Trash2, ArrowUp, ArrowDown, Play, Pause, Square, AlertTriangle
+} from 'lucide-react';
+import useHoloOceanMission from '../../hooks/useHoloOceanMission';
+import {
+  MISSION_STATES,
+  summarizeMission,
+  serializeMission,
+  parseMission
+} from '../../services/missionService';
+import {
+  DEFAULT_UNIT_PREFERENCES,
+  convertValue,
+  toCanonicalValue,
+  formatValue,
+  getUnitSymbol
+} from '../../services/unitService';
+
+/**
+ * HoloOcean mission planner: ordered waypoints placed on the map with a depth and dwell time each,
+ * JSON save/load, and the run controls. The map owns the waypoint list and draws it.
+ */
+const MissionPanel = ({
+  // Waypoints in visiting order (see missionService.createWaypoint)
+  waypoints = [],
+  onWaypointsChange,
+  // Whether map clicks add waypoints
+  isPlacing = false,
+  onPlacingChange,
+  // Reports the waypoint under way (-1 when no mission is running) for the map highlight
+  onActiveIndexChange,
+  unitPreferences = DEFAULT_UNIT_PREFERENCES,
+  onClose,
+  className = ""
+}) => {
+  const [missionName, setMissionName] = useState('');
+  const [fileError, setFileError] = useState(null);
+  const fileInputRef = useRef(null);
+  const {
+    isConnected,
+    distanceToTarget,
+    validation,
+    missionState,
+    activeIndex,
+    missionLength,
+    dwellRemaining,
+    missionError,
+    isMissionActive,
+    startMission,
+    pauseMission,
+    resumeMission,
+    abortMission
+  } = useHoloOceanMission(waypoints);
+
+  useEffect(() => {
+    onActiveIndexChange?.(isMissionActive ? activeIndex : -1);
+  }, [onActiveIndexChange, isMissionActive, activeIndex]);
+
+  const updateWaypoint = (id, changes) => {
+    onWaypointsChange?.(waypoints.map(waypoint => (waypoint.id === id ? { ...waypoint, ...changes } : waypoint)));
+  };
+
+  const moveWaypoint = (index, offset) => {
+    const reordered = [...waypoints];
+    [reordered[index], reordered[index + offset]] = [reordered[index + offset], reordered[index]];
+    onWaypointsChange?.(reordered);
+  };
+
+  const handleSave = () => {
+    const blob = new Blob([serializeMission(missionName, waypoints)], { type: 'application/json' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${(missionName || 'holoocean_mission').replace(/[^\w-]+/g, '_')}.json`;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+  };
+
+  const handleLoad = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    setFileError(null);
+    try {
+      const mission = parseMission(await file.text());
+      setMissionName(mission.name);
+      onWaypointsChange?.(mission.waypoints);
+    } catch (error) {
+      setFileError(error.message);
+    }
+  };
+
+  const summary = summarizeMission(waypoints);
+  const depthSymbol = getUnitSymbol('depth', unitPreferences);
+  const input = "bg-slate-700 border border-slate-600 rounded px-1 py-0.5 text-xs text-white w-full disabled:opacity-50";
+
+  return (
+    <div className={`absolute bottom-24 left-2 md:left-4 w-80 bg-slate-800/95 backdrop-blur-sm border border-cyan-400/30 rounded-lg shadow-xl z-30 max-h-[70vh] overflow-y-auto ${className}`}>
+      <div className="flex items-center justify-between p-2 md:p-3 border-b border-slate-700">
+        <div className="flex items-center gap-2">
+          <Flag className="w-4 h-4 text-cyan-400" />
+          <div className="font-semibold text-cyan-300 text-sm">HoloOcean Mission</div>
+        </div>
+        <button onClick={onClose} className="text-slate-400 hover:text-white p-1 rounded transition-colors" aria-label="Close mission planner">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="p-2 md:p-3 space-y-3 text-xs text-slate-300">
+        {/* Mission file */}
+        <div className="flex gap-1">
+          <input
+            type="text"
+            value={missionName}
+            onChange={(e) => setMissionName(e.target.value)}
+            placeholder="Mission name"
+            className={input}
+          />
+          <button onClick={handleSave} disabled={waypoints.length === 0} className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-50" aria-label="Save mission" title="Save mission as JSON">
+            <Save className="w-3 h-3" />
+          </button>
+          <button onClick={() => fileInputRef.current?.click()} disabled={isMissionActive} className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-50" aria-label="Load mission" title="Load a mission JSON file">
+            <FolderOpen className="w-3 h-3" />
+          </button>
+          <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleLoad} className="hidden" />
+        </div>
+        {fileError && <div className="text-red-300">{fileError}</div>}
+
+        {/* Waypoints */}
+        <div>
+          <div className="flex items-center justify-between mb-1">
+            <span className="text-slate-400">Waypoints ({waypoints.length})</span>
+            <div className="flex gap-1">
+              <button
+                onClick={() => onPlacingChange?.(!isPlacing)}
+                disabled={isMissionActive}
+                className={`flex items-center gap-1 px-2 py-1 rounded disabled:opacity-50 ${isPlacing ? 'bg-cyan-500 text-white' : 'bg-slate-700 hover:bg-slate-600'}`}
+              >
+                <MapPin className="w-3 h-3" /> {isPlacing ? 'Click the map…' : 'Add'}
+              </button>
+              <button onClick={() => onWaypointsChange?.([])} disabled={isMissionActive || waypoints.length === 0} className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-50" aria-label="Clear waypoints">
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+          </div>
+          {waypoints.length > 0 && (
+            <div className="grid grid-cols-[1.5rem_1fr_3.5rem_3.5rem_2.5rem] gap-1 items-center">
+              <span></span>
+              <span className="text-slate-500">Position</span>
+              <span className="text-slate-500">Depth ({depthSymbol})</span>
+              <span className="text-slate-500">Dwell (s)</span>
+              <span></span>
+              {waypoints.map((waypoint, index) => (
+                <React.Fragment key={waypoint.id}>
+                  <span className={`font-semibold ${isMissionActive && index === activeIndex ? 'text-cyan-300' : 'text-slate-400'}`}>{index + 1}</span>
+                  <span className="font-mono text-slate-400 truncate" title={`${waypoint.lat}, ${waypoint.lon}`}>
+                    {waypoint.lat.toFixed(3)}, {waypoint.lon.toFixed(3)}
+                  </span>
+                  <input
+                    key={`${waypoint.id}-${depthSymbol}`}
+                    type="number"
+                    step="any"
+                    defaultValue={Number(convertValue(waypoint.depth, 'depth', unitPreferences).toFixed(1))}
+                    onChange={(e) => updateWaypoint(waypoint.id, { depth: toCanonicalValue(Number(e.target.value), 'depth', unitPreferences) })}
+                    disabled={isMissionActive}
+                    className={input}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={waypoint.dwellSeconds}
+                    onChange={(e) => updateWaypoint(waypoint.id, { dwellSeconds: Number(e.target.value) })}
+                    disabled={isMissionActive}
+                    className={input}
+                  />
+                  <span className="flex">
+                    <button onClick={() => moveWaypoint(index, -1)} disabled={isMissionActive || index === 0} className="text-slate-400 hover:text-white disabled:opacity-30" aria-label={`Move waypoint ${index + 1} up`}>
+                      <ArrowUp className="w-3 h-3" />
+                    </button>
+                    <button onClick={() => moveWaypoint(index, 1)} disabled={isMissionActive || index === waypoints.length - 1} className="text-slate-400 hover:text-white disabled:opacity-30" aria-label={`Move waypoint ${index + 1} down`}>
+                      <ArrowDown className="w-3 h-3" />
+                    </button>
+                    <button onClick={() => onWaypointsChange?.(waypoints.filter(candidate => candidate.id !== waypoint.id))} disabled={isMissionActive} className="text-slate-400 hover:text-red-300 disabled:opacity-30" aria-label={`Remove waypoint ${index + 1}`}>
+                      <X className="w-3 h-3" />
+                    </button>
+                  </span>
+                </React.Fragment>
+              ))}
+            </div>
+          )}
+          {waypoints.length > 1 && (
+            <div className="text-slate-500 mt-1">
+              {formatValue(summary.distance, 'distance', unitPreferences, 2)} path, {summary.dwellSeconds} s total dwell
+            </div>
+          )}
+        </div>
+
+        {waypoints.length > 0 && !validation.isValid && (
+          <ul className="text-amber-300 list-disc list-inside">
+            {validation.errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        )}
+
+        {/* Run */}
+        <div className="border-t border-slate-700 pt-2 space-y-2">
+          <div className="flex items-center justify-between">
+            <span className={missionState === 'completed' ? 'text-green-300' : missionState === 'aborted' ? 'text-red-300' : 'text-slate-300'}>
+              {MISSION_STATES[missionState]}
+              {isMissionActive && ` ${activeIndex + 1}/${missionLength}`}
+            </span>
+            <span className={isConnected ? 'text-green-400' : 'text-slate-500'}>{isConnected ? '● Connected' : '○ Not connected'}</span>
+          </div>
+          {missionState === 'running' && distanceToTarget !== null && (
+            <div className="text-slate-400">{formatValue(distanceToTarget, 'distance', unitPreferences, 2)} to go</div>
+          )}
+          {dwellRemaining !== null && <div className="text-slate-400">Moving on in {dwellRemaining} s</div>}
+          {missionError && (
+            <div className="flex items-start gap-2 text-red-300 bg-red-900/30 border border-red-600/40 rounded p-2">
+              <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+              <span>{missionError}</span>
+            </div>
+          )}
+          <div className="flex gap-2">
+            {!isMissionActive ? (
+              <button
+                onClick={() => {
+                  onPlacingChange?.(false);
+                  startMission();
+                }}
+                disabled={!isConnected || !validation.isValid}
+                className="flex-1 flex items-center justify-center gap-1 px-2 py-1 bg-cyan-600 hover:bg-cyan-500 disabled:opacity-50 rounded text-white font-semibold"
+              >
+                <Play className="w-3 h-3" /> {missionState === 'idle' ? 'Start Mission' : 'Restart Mission'}
+              </button>
+            ) : missionState === 'paused' ? (
+              <button onClick={resumeMission} className="flex-1 flex items-center justify-center gap-1 px-2 py-1 bg-cyan-600 hover:bg-cyan-500 rounded text-white font-semibold">
+                <Play className="w-3 h-3" /> Resume
+              </button>
+            ) : (
+              <button onClick={pauseMission} className="flex-1 flex items-center justify-center gap-1 px-2 py-1 bg-amber-600 hover:bg-amber-500 rounded text-white font-semibold">
+                <Pause className="w-3 h-3" /> Pause
+              </button>
+            )}
+            <button
+              onClick={abortMission}
+              disabled={!isMissionActive}
+              className="flex items-center gap-1 px-2 py-1 bg-red-700 hover:bg-red-600 disabled:opacity-50 rounded text-white"
+            >
+              <Square className="w-3 h-3" /> Abort
+            </button>
+          </div>
+          {!isConnected && (
+            <div className="text-slate-500">Connect from the HoloOcean panel in the header to run the mission.</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MissionPanel;
@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import useHoloOceanTelemetry from '../../hooks/useHoloOceanTelemetry';
+import { REPLAY_SPEEDS, recordsToJsonLines, recordsToCsv } from '../../services/telemetryService';
+
+/**
+ * Telemetry section of the HoloOcean panel: record the status/target stream, list the stored
+ * sessions with their exports, and replay one through the panel's live views.
+ */
+const TelemetryPanel = ({ isConnected = false, isSubscribed = false, className = '' }) => {
+  const {
+    isTelemetryAvailable,
+    telemetryError,
+    recording,
+    sessions,
+    startRecording,
+    stopRecording,
+    deleteSession,
+    getSessionRecords,
+    replaySession,
+    replayRecords,
+    replayPosition,
+    replayTime,
+    isReplaying,
+    replaySpeed,
+    loadReplay,
+    playReplay,
+    pauseReplay,
+    seekReplay,
+    setReplaySpeed,
+    closeReplay
+  } = useHoloOceanTelemetry();
+
+  const [sessionName, setSessionName] = useState('');
+  const [exportError, setExportError] = useState(null);
+
+  const handleExport = async (session, format) => {
+    setExportError(null);
+    try {
+      const records = await getSessionRecords(session.id);
+      const content = format === 'csv' ? recordsToCsv(records) : recordsToJsonLines(records);
+      const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/x-ndjson' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `holoocean_telemetry_${session.startedAt.slice(0, 19).replace(/[:T]/g, '-')}.${format === 'csv' ? 'csv' : 'jsonl'}`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (error) {
+      setExportError(error.message);
+    }
+  };
+
+  const formatTime = (time) => (time ? new Date(time).toLocaleString() : 'Unknown');
+
+  if (!isTelemetryAvailable) {
+    return (
+      <div className={`p-4 border border-slate-600 rounded-lg text-sm text-gray-400 ${className}`}>
+        Telemetry recording needs browser storage (IndexedDB), which is not available here.
+      </div>
+    );
+  }
+
+  return (
+    <div className={`p-4 border border-slate-600 rounded-lg ${className}`}>
+      <h3 className="text-lg font-semibold text-gray-100 mb-3">Telemetry</h3>
+
+      {(telemetryError || exportError) && (
+        <p className="text-sm text-red-300 mb-3">{telemetryError || exportError}</p>
+      )}
+
+      {/* Recording */}
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        {recording ? (
+          <>
+            <button
+              onClick={stopRecording}
+              className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 transition-colors"
+            >
+              ■ Stop Recording
+            </button>
+            <span className="text-sm text-red-300">
+              ● {recording.name}: {recording.recordCount.toLocaleString()} message{recording.recordCount === 1 ? '' : 's'}
+            </span>
+          </>
+        ) : (
+          <>
+            <input
+              type="text"
+              value={sessionName}
+              onChange={(e) => setSessionName(e.target.value)}
+              placeholder="Session name (optional)"
+              className="flex-1 min-w-0 px-3 py-2 bg-slate-700 border border-slate-600 rounded text-sm text-white"
+            />
+            <button
+              onClick={() => {
+                startRecording(sessionName);
+                setSessionName('');
+              }}
+              disabled={Boolean(replaySession)}
+              className="px-4 py-2 bg-red-700 text-white rounded hover:bg-red-600 transition-colors disabled:opacity-50"
+            >
+              ● Record
+            </button>
+          </>
+        )}
+      </div>
+      {recording && !isSubscribed && (
+        <p className="text-xs text-yellow-300 mb-3">Subscribe to updates to record the status stream; only target changes arrive otherwise.</p>
+      )}
+
+      {/* Replay */}
+      {replaySession && (
+        <div className="mb-3 p-3 bg-slate-900 rounded border border-slate-600">
+          <div className="flex justify-between items-center mb-2">
+            <h5 className="font-medium text-gray-200 text-sm">Replaying {replaySession.name}</h5>
+            <button onClick={closeReplay} className="text-gray-400 hover:text-gray-200" title="Close replay">×</button>
+          </div>
+          <input
+            type="range"
+            min="0"
+            max={replayRecords.length}
+            value={replayPosition}
+            onChange={(e) => seekReplay(Number(e.target.value))}
+            disabled={isConnected}
+            className="w-full"
+            aria-label="Replay position"
+          />
+          <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-gray-300">
+            <button
+              onClick={isReplaying ? pauseReplay : playReplay}
+              disabled={isConnected || replayRecords.length === 0}
+              className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {isReplaying ? 'Pause' : 'Play'}
+            </button>
+            <select
+              value={replaySpeed}
+              onChange={(e) => setReplaySpeed(Number(e.target.value))}
+              className="px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white"
+              aria-label="Replay speed"
+            >
+              {REPLAY_SPEEDS.map(speed => <option key={speed} value={speed}>{speed}×</option>)}
+            </select>
+            <span>{replayPosition}/{replayRecords.length}</span>
+            <span>{formatTime(replayTime)}</span>
+          </div>
+          {isConnected && (
+            <p className="text-xs text-yellow-300 mt-2">Disconnect from HoloOcean to replay, so recorded and live messages don't mix.</p>
+          )}
+        </div>
+      )}
+
+      {/* Sessions */}
+      {sessions.length === 0 ? (
+        <p className="text-sm text-gray-400">No recorded sessions yet.</p>
+      ) : (
+        <div className="space-y-2 max-h-64 overflow-y-auto">
+          {sessions.map(session => (
+            <div key={session.id} className="p-2 bg-slate-900 rounded border border-slate-700 text-xs text-gray-300">
+              <div className="flex justify-between gap-2">
+                <span className="font-medium text-gray-200 truncate">{session.name}</span>
+                <span className="text-gray-400 flex-shrink-0">
+                  {(recording?.id === session.id ? recording : session).recordCount.toLocaleString()} msgs
+                </span>
+              </div>
+              <div className="text-gray-500">
+                {formatTime(session.startedAt)}{session.endedAt && ` – ${new Date(session.endedAt).toLocaleTimeString()}`}
+                {recording?.id === session.id && ' (recording)'}
+              </div>
+              <div className="flex flex-wrap gap-2 mt-1">
+                <button
+                  onClick={() => loadReplay(session)}
+                  disabled={recording?.id === session.id}
+                  className="text-blue-300 hover:text-blue-100 disabled:opacity-50"
+                >
+                  Replay
+                </button>
+                <button onClick={() => handleExport(session, 'jsonl')} className="text-gray-300 hover:text-white">JSONL</button>
+                <button onClick={() => handleExport(session, 'csv')} className="text-gray-300 hover:text-white">CSV</button>
+                <button
+                  onClick={() => {
+                    if (replaySession?.id === session.id) closeReplay();
+                    deleteSession(session.id);
+                  }}
+                  disabled={recording?.id === session.id}
+                  className="text-red-400 hover:text-red-200 disabled:opacity-50"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TelemetryPanel;
@@ -1,13 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth0 } from '@auth0/auth0-react';
-import { Clock, Settings, Wifi, WifiOff, Activity, HelpCircle, BookOpen, Compass } from 'lucide-react';
+import { Clock, Settings, Wifi, WifiOff, Activity, HelpCircle, BookOpen, Compass, Database, Trash2, Ruler } from 'lucide-react';
 import oceanEnterpriseLogo from '../../assets/icons/roger_wicker_center_ocean_enterprise.png';
 import powerBluemvmtLogo from '../../assets/icons/powered_by_bluemvmt.png';
 import HoloOceanPanel from '../holoocean/HoloOceanPanel';
 import EncryptedStorage from '../../services/encryptedStorageService';
+import { useQueryCache } from '../../hooks/useQueryCache';
+import { UNIT_QUANTITIES, UNIT_SYSTEMS, DEFAULT_UNIT_PREFERENCES } from '../../services/unitService';
 import LoginButton from '../auth/LoginButton';
 import LogoutButton from '../auth/LogoutButton';
 import Profile from '../auth/Profile';
+import AlertCenter from '../alerts/AlertCenter';
 
 const Header = ({
   dataSource = "simulated",
@@ -16,17 +19,38 @@ const Header = ({
   onSettingsClick,
   connectionStatus = "connected",
   dataQuality = null,
+  offlineStatus = null,
+  unitPreferences = DEFAULT_UNIT_PREFERENCES,
+  unitSystem = 'metric',
+  onUnitSystemChange,
+  onUnitPreferencesChange,
   showDataStatus = true,
   // NEW: Tutorial props
   showTutorial = false,
   onTutorialToggle,
   tutorialStep = 0,
-  isFirstTimeUser = false
+  isFirstTimeUser = false,
+  // Threshold alerts (see useAlerts)
+  alertNotifications = [],
+  unreadAlertCount = 0,
+  lastAlertEvaluation = null,
+  alertRules = [],
+  alertSettings,
+  alertAreas = [],
+  onMarkAlertsRead,
+  onClearAlerts,
+  onSaveAlertRule,
+  onDeleteAlertRule,
+  onToggleAlertRule,
+  onUpdateAlertSettings,
+  onTestAlertWebhook
 }) => {
   const { isAuthenticated } = useAuth0();
   const [currentTime, setCurrentTime] = useState(new Date());
   const [showSettings, setShowSettings] = useState(false);
   const [showHoloOceanPanel, setShowHoloOceanPanel] = useState(false);
+  const queryCache = useQueryCache();
+  const { refreshCacheStats } = queryCache;
 
   // Update time every second
   useEffect(() => {
@@ -36,6 +60,13 @@ const Header = ({
     return () => clearInterval(timer);
   }, []);
 
+  // Refresh cache statistics whenever the settings menu opens
+  useEffect(() => {
+    if (showSettings) {
+      refreshCacheStats();
+    }
+  }, [showSettings, refreshCacheStats]);
+
   // Check for first-time user tutorial prompt
   useEffect(() => {
     if (isFirstTimeUser && !showTutorial) {
@@ -79,6 +110,12 @@ const Header = ({
         return { text: 'API Stream', color: 'text-blue-400', icon: Wifi };
       case 'simulated':
         return { text: 'Simulated', color: 'text-yellow-400', icon: Activity };
+      case 'cached':
+        return { text: 'Offline (Cached)', color: 'text-amber-400', icon: WifiOff };
+      case 'sample':
+        return { text: offlineStatus?.synthetic ? 'Offline (Synthetic Sample)' : 'Offline (Sample)', color: 'text-amber-400', icon: WifiOff };
+      case 'upload':
+        return { text: 'Imported File', color: 'text-pink-400', icon: Activity };
       case 'none':
         return { text: 'No Data', color: 'text-red-400', icon: WifiOff };
       default:
@@ -99,7 +136,31 @@ const Header = ({
     }
   };
 
+  const formatBytes = (bytes) => {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+  };
+
   const dataSourceInfo = getDataSourceDisplay();
+  const getOfflineLabel = () => {
+    if (!offlineStatus) return null;
+    const asOf = offlineStatus.cachedAt ? new Date(offlineStatus.cachedAt).toLocaleString() : 'unknown';
+    switch (offlineStatus.source) {
+      case 'cache':
+        return `Offline · cached as of ${asOf}`;
+      case 'sample':
+        return offlineStatus.synthetic
+          ? `Offline · synthetic sample data for ${offlineStatus.sampleArea}, not a model forecast`
+          : `Offline · sample data for ${offlineStatus.sampleArea} as of ${asOf}`;
+      default:
+        return offlineStatus.sampleArea
+          ? `Offline · no data for this area (the sample covers ${offlineStatus.sampleArea} only)`
+          : 'Offline · no data for this area';
+    }
+  };
+
+  const offlineLabel = getOfflineLabel();
   const DataSourceIcon = dataSourceInfo.icon;
 
   return (
@@ -128,6 +189,15 @@ const Header = ({
                 {getConnectionStatusIndicator()}
               </div>
             </div>
+            {offlineLabel && (
+              <div
+                className="mt-1 inline-flex items-center gap-1 text-xs text-amber-300 bg-amber-900/30 border border-amber-600/40 px-2 py-0.5 rounded"
+                role="status"
+              >
+                <WifiOff className="w-3 h-3" />
+                <span>{offlineLabel}</span>
+              </div>
+            )}
           </div>
         </div>
         
@@ -164,6 +234,26 @@ const Header = ({
               </div>
             )}
 
+            {/* Alert Notification Center */}
+            {onSaveAlertRule && (
+              <AlertCenter
+                notifications={alertNotifications}
+                unreadCount={unreadAlertCount}
+                lastEvaluation={lastAlertEvaluation}
+                rules={alertRules}
+                settings={alertSettings}
+                areas={alertAreas}
+                unitPreferences={unitPreferences}
+                onMarkRead={onMarkAlertsRead}
+                onClear={onClearAlerts}
+                onSaveRule={onSaveAlertRule}
+                onDeleteRule={onDeleteAlertRule}
+                onToggleRule={onToggleAlertRule}
+                onUpdateSettings={onUpdateAlertSettings}
+                onTestWebhook={onTestAlertWebhook}
+              />
+            )}
+
             {/* HoloOcean Panel Toggle */}
             <div className="relative">
               <button 
@@ -238,7 +328,7 @@ const Header = ({
 
               {/* Settings Dropdown */}
               {showSettings && (
-                <div className="absolute top-full right-0 mt-2 w-64 bg-slate-800 border border-slate-600 rounded-lg shadow-xl z-50">
+                <div className="absolute top-full right-0 mt-2 w-64 max-h-[80vh] overflow-y-auto bg-slate-800 border border-slate-600 rounded-lg shadow-xl z-50">
                   <div className="p-3">
                     <div className="text-sm font-semibold text-slate-200 mb-3">System Settings</div>
                     
@@ -258,6 +348,14 @@ const Header = ({
                           {connectionStatus.charAt(0).toUpperCase() + connectionStatus.slice(1)}
                         </span>
                       </div>
+                      {offlineStatus && offlineStatus.source !== 'none' && (
+                        <div className="flex justify-between">
+                          <span className="text-slate-400">{offlineStatus.source === 'cache' ? 'Cached As Of:' : 'Sample Generated:'}</span>
+                          <span className="text-amber-300">
+                            {offlineStatus.cachedAt ? new Date(offlineStatus.cachedAt).toLocaleString() : 'Unknown'}
+                          </span>
+                        </div>
+                      )}
                       {dataQuality && (
                         <>
                           <div className="flex justify-between">
@@ -280,6 +378,97 @@ const Header = ({
                       )}
                     </div>
 
+                    {/* Display Units */}
+                    <div className="mt-4 pt-3 border-t border-slate-700 space-y-2 text-xs">
+                      <div className="flex items-center gap-2 text-slate-200 font-semibold">
+                        <Ruler className="w-3 h-3" />
+                        Units
+                      </div>
+                      <div className="flex items-center justify-between gap-2">
+                        <label htmlFor="unit-system" className="text-slate-400">System:</label>
+                        <select
+                          id="unit-system"
+                          value={unitSystem}
+                          onChange={(e) => onUnitSystemChange && onUnitSystemChange(e.target.value)}
+                          className="bg-slate-700 border border-slate-600 rounded px-1 py-0.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-400"
+                        >
+                          {Object.entries(UNIT_SYSTEMS).map(([id, system]) => (
+                            <option key={id} value={id}>{system.label}</option>
+                          ))}
+                          {unitSystem === 'custom' && <option value="custom">Custom</option>}
+                        </select>
+                      </div>
+                      {Object.entries(UNIT_QUANTITIES)
+                        .filter(([, quantity]) => Object.keys(quantity.units).length > 1)
+                        .map(([quantityId, quantity]) => (
+                          <div key={quantityId} className="flex items-center justify-between gap-2">
+                            <label htmlFor={`unit-${quantityId}`} className="text-slate-400">{quantity.label}:</label>
+                            <select
+                              id={`unit-${quantityId}`}
+                              value={unitPreferences[quantityId]}
+                              onChange={(e) => onUnitPreferencesChange && onUnitPreferencesChange({ [quantityId]: e.target.value })}
+                              className="bg-slate-700 border border-slate-600 rounded px-1 py-0.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-400"
+                            >
+                              {Object.entries(quantity.units).map(([unitId, unit]) => (
+                                <option key={unitId} value={unitId}>{unit.symbol}</option>
+                              ))}
+                            </select>
+                          </div>
+                        ))}
+                    </div>
+
+                    {/* Query Cache */}
+                    <div className="mt-4 pt-3 border-t border-slate-700 space-y-2 text-xs">
+                      <div className="flex items-center gap-2 text-slate-200 font-semibold">
+                        <Database className="w-3 h-3" />
+                        Data Cache
+                      </div>
+                      {queryCache.cacheStats && !queryCache.cacheStats.available ? (
+                        <div className="text-slate-400">Not available in this browser</div>
+                      ) : (
+                        <>
+                          <div className="flex justify-between">
+                            <span className="text-slate-400">Size:</span>
+                            <span className="text-slate-300">
+                              {queryCache.cacheStats
+                                ? `${formatBytes(queryCache.cacheStats.bytes)} / ${formatBytes(queryCache.cacheLimit)}`
+                                : '...'}
+                            </span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-slate-400">Cached Rows:</span>
+                            <span className="text-slate-300">
+                              {queryCache.cacheStats
+                                ? `${queryCache.cacheStats.rowCount.toLocaleString()} in ${queryCache.cacheStats.sliceCount} slices`
+                                : '...'}
+                            </span>
+                          </div>
+                          <div className="flex items-center justify-between gap-2">
+                            <label htmlFor="cache-limit" className="text-slate-400">Size Limit:</label>
+                            <select
+                              id="cache-limit"
+                              value={queryCache.cacheLimit}
+                              onChange={(e) => queryCache.setCacheLimit(Number(e.target.value))}
+                              disabled={queryCache.isBusy}
+                              className="bg-slate-700 border border-slate-600 rounded px-1 py-0.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-400"
+                            >
+                              {queryCache.cacheLimitOptions.map(limit => (
+                                <option key={limit} value={limit}>{formatBytes(limit)}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <button
+                            onClick={queryCache.clearCache}
+                            disabled={queryCache.isBusy || !queryCache.cacheStats?.sliceCount}
+                            className="w-full text-left text-xs text-slate-300 hover:text-white p-2 hover:bg-slate-700 rounded transition-colors flex items-center gap-2 disabled:opacity-50 disabled:hover:bg-transparent"
+                          >
+                            <Trash2 className="w-3 h-3" />
+                            Clear Cache
+                          </button>
+                        </>
+                      )}
+                    </div>
+
                     {/* Quick Actions */}
                     <div className="mt-4 pt-3 border-t border-slate-700">
                       <div className="space-y-2">
@@ -0,0 +1,226 @@
+import React, { useState, useMemo } from 'react';
+import { X, Navigation, Download, Play, Trash2, AlertTriangle } from 'lucide-react';
+import {
+  DEFAULT_DRIFT_OPTIONS,
+  PARTICLE_STATUS,
+  runDriftSimulation,
+  hasWindData,
+  driftToGeoJSON
+} from '../../services/driftService';
+import { DEFAULT_UNIT_PREFERENCES, formatValue } from '../../services/unitService';
+
+const LEEWAY_OPTIONS = [
+  { value: 0, label: 'None (currents only)' },
+  { value: 0.01, label: '1% (person in water)' },
+  { value: 0.03, label: '3% (oil slick)' },
+  { value: 0.05, label: '5% (life raft)' }
+];
+
+/**
+ * Drift prediction panel: releases placed on the map, run settings, the run summary and the
+ * GeoJSON export. The map owns the releases and draws the result.
+ */
+const DriftPanel = ({
+  // Releases placed so far: [{ id, type: 'point'|'polygon', coordinates }]
+  releases = [],
+  // Vertices of the polygon being drawn
+  draftPolygon = [],
+  // Map click mode: 'point', 'polygon' or null
+  placementMode = null,
+  onPlacementModeChange,
+  onFinishPolygon,
+  onClearReleases,
+  // Canonical rows (rawData) with every loaded time
+  rows = [],
+  frameTime = null,
+  selectedDepth = 0,
+  unitPreferences = DEFAULT_UNIT_PREFERENCES,
+  // runDriftSimulation output drawn on the map, or null
+  result = null,
+  onResult,
+  onClose,
+  className = ""
+}) => {
+  const [direction, setDirection] = useState(DEFAULT_DRIFT_OPTIONS.direction);
+  const [durationHours, setDurationHours] = useState(DEFAULT_DRIFT_OPTIONS.durationHours);
+  const [particlesPerRelease, setParticlesPerRelease] = useState(DEFAULT_DRIFT_OPTIONS.particlesPerRelease);
+  const [leeway, setLeeway] = useState(DEFAULT_DRIFT_OPTIONS.leeway);
+  const [diffusivity, setDiffusivity] = useState(DEFAULT_DRIFT_OPTIONS.diffusivity);
+  const [releaseRadius, setReleaseRadius] = useState(DEFAULT_DRIFT_OPTIONS.releaseRadius);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+  // The leeway needs rows with a wind direction (ndirection)
+  const hasWind = useMemo(() => hasWindData(rows), [rows]);
+
+  const handleRun = () => {
+    setIsRunning(true);
+    setError(null);
+    // Let the button show the running state before the (synchronous) tracking starts
+    setTimeout(() => {
+      try {
+        onResult?.(runDriftSimulation(rows, releases, {
+          direction,
+          durationHours: Number(durationHours),
+          particlesPerRelease: Number(particlesPerRelease),
+          leeway: hasWind ? Number(leeway) : 0,
+          diffusivity: Number(diffusivity),
+          releaseRadius: Number(releaseRadius),
+          startTime: frameTime,
+          depth: selectedDepth
+        }));
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setIsRunning(false);
+      }
+    }, 0);
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([JSON.stringify(driftToGeoJSON(result), null, 2)], { type: 'application/geo+json' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `drift_${result.direction}_${result.startTime.slice(0, 16).replace(/[:T]/g, '-')}.geojson`;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+  };
+
+  const statusCounts = result
+    ? result.releases.flatMap(release => release.particles).reduce((counts, particle) => ({ ...counts, [particle.status]: (counts[particle.status] || 0) + 1 }), {})
+    : {};
+
+  const input = "bg-slate-700 border border-slate-600 rounded px-1 py-0.5 text-xs text-white w-full";
+
+  return (
+    <div className={`absolute bottom-24 left-2 md:left-4 w-72 bg-slate-800/95 backdrop-blur-sm border border-rose-400/30 rounded-lg shadow-xl z-30 max-h-[70vh] overflow-y-auto ${className}`}>
+      <div className="flex items-center justify-between p-2 md:p-3 border-b border-slate-700">
+        <div className="flex items-center gap-2">
+          <Navigation className="w-4 h-4 text-rose-400" />
+          <div className="font-semibold text-rose-300 text-sm">Drift Prediction</div>
+        </div>
+        <button onClick={onClose} className="text-slate-400 hover:text-white p-1 rounded transition-colors" aria-label="Close drift prediction">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="p-2 md:p-3 space-y-3 text-xs text-slate-300">
+        {/* Releases */}
+        <div>
+          <div className="text-slate-400 mb-1">Releases ({releases.length})</div>
+          <div className="flex gap-1">
+            <button
+              onClick={() => onPlacementModeChange?.(placementMode === 'point' ? null : 'point')}
+              className={`flex-1 px-2 py-1 rounded ${placementMode === 'point' ? 'bg-rose-500 text-white' : 'bg-slate-700 hover:bg-slate-600'}`}
+            >
+              {placementMode === 'point' ? 'Click the map…' : 'Add Point'}
+            </button>
+            <button
+              onClick={() => onPlacementModeChange?.(placementMode === 'polygon' ? null : 'polygon')}
+              className={`flex-1 px-2 py-1 rounded ${placementMode === 'polygon' ? 'bg-rose-500 text-white' : 'bg-slate-700 hover:bg-slate-600'}`}
+            >
+              {placementMode === 'polygon' ? `Vertices: ${draftPolygon.length}` : 'Add Polygon'}
+            </button>
+            <button onClick={onClearReleases} disabled={releases.length === 0 && draftPolygon.length === 0} className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-50" aria-label="Clear releases">
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </div>
+          {placementMode === 'polygon' && (
+            <button
+              onClick={onFinishPolygon}
+              disabled={draftPolygon.length < 3}
+              className="w-full mt-1 px-2 py-1 rounded bg-rose-600 hover:bg-rose-500 text-white disabled:opacity-50"
+            >
+              Close Polygon
+            </button>
+          )}
+        </div>
+
+        {/* Settings */}
+        <div className="grid grid-cols-2 gap-2">
+          <label className="flex flex-col gap-1">
+            Direction
+            <select value={direction} onChange={(e) => setDirection(e.target.value)} className={input}>
+              <option value="forward">Forward (where to)</option>
+              <option value="backward">Backward (where from)</option>
+            </select>
+          </label>
+          <label className="flex flex-col gap-1">
+            Duration (h)
+            <input type="number" min="1" max="240" value={durationHours} onChange={(e) => setDurationHours(e.target.value)} className={input} />
+          </label>
+          <label className="flex flex-col gap-1">
+            Particles per release
+            <input type="number" min="1" max="500" value={particlesPerRelease} onChange={(e) => setParticlesPerRelease(e.target.value)} className={input} />
+          </label>
+          <label className="flex flex-col gap-1" title={hasWind ? undefined : 'The loaded data has no wind, so particles drift with the currents only'}>
+            Wind leeway
+            <select value={hasWind ? leeway : 0} onChange={(e) => setLeeway(Number(e.target.value))} disabled={!hasWind} className={`${input} disabled:opacity-50`}>
+              {LEEWAY_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1" title="Horizontal diffusivity of the random walk that spreads the ensemble">
+            Diffusivity (m²/s)
+            <input type="number" min="0" step="0.5" value={diffusivity} onChange={(e) => setDiffusivity(e.target.value)} className={input} />
+          </label>
+          <label className="flex flex-col gap-1" title="Uncertainty of a point release's position">
+            Point radius (m)
+            <input type="number" min="0" step="50" value={releaseRadius} onChange={(e) => setReleaseRadius(e.target.value)} className={input} />
+          </label>
+        </div>
+        <div className="text-slate-500">
+          Starts {frameTime ? `${frameTime.slice(0, 16).replace('T', ' ')} UTC (current frame)` : 'at the first loaded time'}, at the loaded level nearest {formatValue(selectedDepth, 'depth', unitPreferences, 0)}.
+        </div>
+
+        {error && (
+          <div className="flex items-start gap-2 text-red-300 bg-red-900/30 border border-red-600/40 rounded p-2">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            onClick={handleRun}
+            disabled={isRunning || releases.length === 0 || rows.length === 0}
+            className="flex-1 flex items-center justify-center gap-1 px-2 py-1 bg-rose-600 hover:bg-rose-500 disabled:opacity-50 rounded text-white font-semibold"
+          >
+            <Play className="w-3 h-3" /> {isRunning ? 'Tracking…' : 'Run'}
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={!result}
+            className="flex items-center gap-1 px-2 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded text-slate-200"
+          >
+            <Download className="w-3 h-3" /> GeoJSON
+          </button>
+        </div>
+
+        {/* Summary */}
+        {result && (
+          <div className="bg-slate-700/30 rounded p-2 space-y-1">
+            <div className="text-slate-400">
+              {result.direction === 'forward' ? 'Forward' : 'Backward'} from {result.startTime.slice(0, 16).replace('T', ' ')} UTC at {formatValue(result.depth, 'depth', unitPreferences, 0)}
+            </div>
+            {result.releases.map(release => {
+              const last = release.spread[release.spread.length - 1];
+              return (
+                <div key={release.id}>
+                  <span className="font-semibold text-rose-300">{release.id}</span>: after {(Math.abs(Date.parse(last.time) - Date.parse(result.startTime)) / 3600000).toFixed(1)} h,
+                  90% within {formatValue(last.radius90, 'distance', unitPreferences, 2)} of {last.lat.toFixed(4)}, {last.lon.toFixed(4)}
+                </div>
+              );
+            })}
+            {Object.entries(statusCounts).map(([status, count]) => (
+              <div key={status} className="text-slate-500">{count} × {PARTICLE_STATUS[status]}</div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DriftPanel;
@@ -8,13 +8,28 @@ import { BitmapLayer } from '@deck.gl/layers';
 import { Thermometer } from 'lucide-react';
 import StationTooltip from './StationTooltip';
 import SelectedStationPanel from './SelectedStationPanel';
-import { isLikelyOnWater } from '../../services/dataService';
+import TransectPanel from './TransectPanel';
+import DriftPanel from './DriftPanel';
+import RoutePanel from './RoutePanel';
+import MissionPanel from '../holoocean/MissionPanel';
+import { isLikelyOnWater, getDataExtent, getBboxCoverage, padBbox } from '../../services/dataService';
+import { buildInterpolatedLayerAttributes } from '../../services/temporalInterpolationService';
+import { createInterpolator } from '../../services/spatialInterpolationService';
+import { QC_FLAGS, isFlagged } from '../../services/qcService';
+import { ROUTE_KINDS } from '../../services/routeService';
+import { createWaypoint } from '../../services/missionService';
+import { DEFAULT_UNIT_PREFERENCES, convertValue, formatValue } from '../../services/unitService';
 // Arrow icon will be created programmatically
 import 'mapbox-gl/dist/mapbox-gl.css';
 
 // Improved Wind Particle Layer with better visibility
 import { CompositeLayer } from '@deck.gl/core';
 
+// Viewport re-query: wait for the map to settle, then reload when less than half of the view is covered
+const VIEWPORT_REQUERY_DEBOUNCE_MS = 800;
+const VIEWPORT_REQUERY_MIN_COVERAGE = 0.5;
+const VIEWPORT_REQUERY_PADDING = 0.25;
+
 // Cache arrow icon creation for performance - OPTIMIZED: Smaller and simpler
 let cachedArrowIcon = {};
 const createArrowIcon = (color = 'blue') => {
@@ -70,63 +85,14 @@ class ParticleLayer extends CompositeLayer {
     getColor: (value, alpha) => [255, 255, 255, alpha]
   };
 
-  // OPTIMIZED: Spatial indexing for vector lookup
+  // Flow at a point, interpolated as u/v between the data nodes (see spatialInterpolationService)
   getVector(lon, lat, data) {
-    // Use cached spatial index if available
-    if (!this._spatialIndex) {
-      this._spatialIndex = new Map();
-      const gridSize = 0.05; // Grid cell size in degrees
-      
-      for (const point of data) {
-        if (point.lon == null || point.lat == null) continue;
-        const gridX = Math.floor(point.lon / gridSize);
-        const gridY = Math.floor(point.lat / gridSize);
-        const key = `${gridX},${gridY}`;
-        
-        if (!this._spatialIndex.has(key)) {
-          this._spatialIndex.set(key, []);
-        }
-        this._spatialIndex.get(key).push(point);
-      }
+    if (!this._interpolator) {
+      const { getSpeed, getDirection } = this.props;
+      this._interpolator = createInterpolator(data, { fields: [], vectors: { flow: { getSpeed, getDirection } } });
     }
-
-    const gridSize = 0.05;
-    const gridX = Math.floor(lon / gridSize);
-    const gridY = Math.floor(lat / gridSize);
-    
-    // Check nearby grid cells
-    let nearestPoint = null;
-    let minDistanceSq = Infinity;
-    
-    for (let dx = -1; dx <= 1; dx++) {
-      for (let dy = -1; dy <= 1; dy++) {
-        const key = `${gridX + dx},${gridY + dy}`;
-        const points = this._spatialIndex.get(key);
-        if (!points) continue;
-        
-        for (const point of points) {
-          const dLon = lon - point.lon;
-          const dLat = lat - point.lat;
-          const distanceSq = dLon * dLon + dLat * dLat;
-          
-          if (distanceSq < minDistanceSq) {
-            minDistanceSq = distanceSq;
-            nearestPoint = point;
-          }
-        }
-      }
-    }
-
-    if (!nearestPoint) return { u: 0, v: 0 };
-    
-    const speed = nearestPoint.nspeed || nearestPoint.speed || 0;
-    const direction = nearestPoint.direction || 0;
-    const angleRad = (90 - direction) * (Math.PI / 180);
-    
-    return { 
-      u: speed * Math.cos(angleRad), 
-      v: speed * Math.sin(angleRad) 
-    };
+    const flow = this._interpolator.sample(lon, lat)?.vectors.flow;
+    return flow ? { u: flow.u, v: flow.v } : { u: 0, v: 0 };
   }
 
   initializeState() {
@@ -138,6 +104,11 @@ class ParticleLayer extends CompositeLayer {
   }
 
   updateState({ props, oldProps, changeFlags }) {
+    // Vectors change as playback moves between time steps
+    if (changeFlags.dataChanged) {
+      this._interpolator = null;
+    }
+
     // NEW: Respect pauseAnimation prop
     if (props.pauseAnimation) {
       // Don't update particles when paused, but still increment frame counter
@@ -300,39 +271,38 @@ class ParticleLayer extends CompositeLayer {
   }
 }
 
-// Generic heatmap data generator
-const generateHeatmapData = (data, parameter, options = {}) => {
-  if (!data || data.length === 0) return [];
+// Binary layer data for a hidden or empty layer
+const EMPTY_LAYER_DATA = { length: 0 };
 
-  const { depthFilter = null, normalize = true } = options;
-  let filteredData = data;
-
-  if (depthFilter !== null && depthFilter !== undefined) {
-    // Adjusted depth filtering logic for meters
-    filteredData = data.filter(d => Math.abs(d.depth - depthFilter) < 0.3048);
-  }
-
-  const validData = filteredData.filter(d => d[parameter] != null && !isNaN(d[parameter]) && d.lat != null && d.lon != null);
-  if (validData.length === 0) return [];
+// QC highlight colors for suspect and failed values
+const QC_FLAG_COLORS = {
+  [QC_FLAGS.SUSPECT]: [251, 191, 36, 220],
+  [QC_FLAGS.FAIL]: [239, 68, 68, 230]
+};
 
-  let minVal = Infinity;
-  let maxVal = -Infinity;
-  if (normalize) {
-    validData.forEach(d => {
-      if (d[parameter] < minVal) minVal = d[parameter];
-      if (d[parameter] > maxVal) maxVal = d[parameter];
+// Binary scatterplot data for the QC-flagged points of the given layers
+const buildFlaggedPointData = (layerDataList) => {
+  const points = [];
+  layerDataList.forEach(layerData => {
+    if (!layerData.qcFlags) return;
+    const positions = layerData.attributes.getPosition.value;
+    layerData.qcFlags.forEach((flag, i) => {
+      if (isFlagged(flag)) points.push([positions[i * 2], positions[i * 2 + 1], flag]);
     });
-  }
-  
-  const range = maxVal - minVal;
-  if (normalize && range === 0) {
-    return validData.map(d => [d.lat, d.lon, 0.5]);
-  }
-
-  return validData.map(d => {
-    const weight = normalize ? (d[parameter] - minVal) / range : d[parameter];
-    return [d.lat, d.lon, weight];
   });
+  const positions = new Float32Array(points.length * 2);
+  const colors = new Uint8Array(points.length * 4);
+  points.forEach(([lon, lat, flag], i) => {
+    positions.set([lon, lat], i * 2);
+    colors.set(QC_FLAG_COLORS[flag], i * 4);
+  });
+  return {
+    length: points.length,
+    attributes: {
+      getPosition: { value: positions, size: 2 },
+      getFillColor: { value: colors, size: 4, normalized: true }
+    }
+  };
 };
 
 // Color ranges for various heatmap layers
@@ -348,6 +318,9 @@ const SSH_COLOR_RANGE = [
 const PRESSURE_COLOR_RANGE = [
   [255, 247, 236], [254, 227, 184], [253, 190, 133], [253, 141, 60], [217, 71, 1]
 ];
+const DENSITY_COLOR_RANGE = [
+  [240, 249, 232], [186, 228, 188], [123, 204, 196], [67, 162, 202], [8, 104, 172]
+];
 
 // Color mapping for speed-based visualizations
 const getSpeedColor = (speed) => {
@@ -422,12 +395,44 @@ const layerDisplayNames = {
   windParticles: 'Wind Particles',
 };
 
+/**
+ * Formats the mean of values and their range in the selected display units: "mean unit (min - max)".
+ */
+const formatValueRange = (values, variable, unitPreferences, digits) => {
+  const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+  const min = convertValue(Math.min(...values), variable, unitPreferences);
+  const max = convertValue(Math.max(...values), variable, unitPreferences);
+  return `${formatValue(mean, variable, unitPreferences, digits)} (${min.toFixed(digits)} - ${max.toFixed(digits)})`;
+};
+
 const MapContainer = ({
   stationData = [],
   timeSeriesData = [],
   rawData = [],
+  // Columnar store of rawData; the heatmap and SSH layers read it as binary attributes
+  dataStore = null,
+  // 'show', 'highlight' (mark QC-flagged values) or 'hide' (leave them out of the layers)
+  qcMode = 'highlight',
+  // Display unit per quantity (see unitService)
+  unitPreferences = DEFAULT_UNIT_PREFERENCES,
   totalFrames = 0,
   currentFrame = 0,
+  // Fractional frame on the time axis; layers interpolate between the steps around it
+  framePosition = 0,
+  // rawData rows at framePosition (see interpolateFrame) and the selected depth, for the particle layers
+  frameRows = [],
+  // Interpolated values at a point of the current frame: sampleAt(longitude, latitude) (see createInterpolator)
+  sampleAt = null,
+  // Time at framePosition, ISO string
+  frameTime = null,
+  // rawData rows at framePosition across all depth levels, for vertical sections
+  transectRows = [],
+  // Receives a section summary (see summarizeTransect) to attach to the chat
+  onTransectToChat,
+  // NDBC / CO-OPS stations with the observation nearest frameTime (see buildObservationStations)
+  observationStations = [],
+  // Nodes of the active alert events: { lat, lon, depth, value, since, ruleName, variable, severity } (see useAlerts)
+  alertHighlights = [],
   selectedDepth = 0,
   selectedArea = '',
   holoOceanPOV = { x: 0, y: 0, depth: 0 },
@@ -462,14 +467,21 @@ const MapContainer = ({
   currentsColorBy = 'speed',
   heatmapScale = 1,
   // Available depths for POV slider
-  availableDepths = []
+  availableDepths = [],
+  // Camera for the selected area from the area registry; the map flies there on area change
+  areaViewState = null,
+  // Extent of the loaded data (null when the whole area is loaded) and viewport re-query callback
+  loadedExtent = null,
+  onViewportQuery
 }) => {
   const mapRef = useRef();
   const mapContainerRef = useRef();
   const currentMapStyleRef = useRef('arcgis-ocean'); // Track current map style
   
   const [mapContainerReady, setMapContainerReady] = useState(false);
-  const [viewState, setViewState] = useState(initialViewState);
+  const [viewState, setViewState] = useState(() => (
+    areaViewState ? { ...initialViewState, ...areaViewState } : initialViewState
+  ));
   const [hoveredStation, setHoveredStation] = useState(null);
   const [selectedStation, setSelectedStation] = useState(null);
   
@@ -488,6 +500,30 @@ const MapContainer = ({
   // Data availability tooltip state
   const [coordinateHover, setCoordinateHover] = useState(null);
 
+  // Vertical section: while drawing, map clicks place the two ends of the line
+  const [isDrawingTransect, setIsDrawingTransect] = useState(false);
+  const [transectStart, setTransectStart] = useState(null);
+  const [transectLine, setTransectLine] = useState(null);
+
+  // Drift prediction: releases placed by map clicks ('point' or polygon vertices) and the last run
+  const [showDriftPanel, setShowDriftPanel] = useState(false);
+  const [driftPlacementMode, setDriftPlacementMode] = useState(null);
+  const [driftReleases, setDriftReleases] = useState([]);
+  const [driftDraftPolygon, setDriftDraftPolygon] = useState([]);
+  const [driftResult, setDriftResult] = useState(null);
+
+  // Route planner: start/end placed by map clicks and the last plan
+  const [showRoutePanel, setShowRoutePanel] = useState(false);
+  const [routePlacementMode, setRoutePlacementMode] = useState(null);
+  const [routePoints, setRoutePoints] = useState({ start: null, end: null });
+  const [routePlan, setRoutePlan] = useState(null);
+
+  // HoloOcean mission: waypoints added by map clicks and the one under way (-1 when idle)
+  const [showMissionPanel, setShowMissionPanel] = useState(false);
+  const [isPlacingWaypoints, setIsPlacingWaypoints] = useState(false);
+  const [missionWaypoints, setMissionWaypoints] = useState([]);
+  const [missionActiveIndex, setMissionActiveIndex] = useState(-1);
+
   // NEW: Determine if particle animations should be paused
   const activeTooltip = hoveredStation || coordinateHover;
   const pauseParticleAnimations = Boolean(activeTooltip);
@@ -522,27 +558,41 @@ const MapContainer = ({
     return [];
   }, [stationData]);
 
-  // Heatmap data generation for all relevant layers - temperature now shows automatically when layer is enabled
+  // Heatmap data for all relevant layers, as deck.gl binary attributes looked up from the columnar store
+  // at the current frame position (interpolated between time steps)
+  const hideFlagged = qcMode === 'hide';
   const temperatureHeatmapData = useMemo(() => {
-    if (!mapLayerVisibility.temperature || !rawData || rawData.length === 0) return [];
-    return generateHeatmapData(rawData, 'temp', { depthFilter: selectedDepth });
-  }, [rawData, mapLayerVisibility.temperature, selectedDepth]);
+    if (!mapLayerVisibility.temperature || !dataStore) return EMPTY_LAYER_DATA;
+    return buildInterpolatedLayerAttributes(dataStore, 'temp', { depth: selectedDepth, position: framePosition, hideFlagged });
+  }, [dataStore, mapLayerVisibility.temperature, selectedDepth, framePosition, hideFlagged]);
 
   const salinityHeatmapData = useMemo(() => {
-    if (!mapLayerVisibility.salinity || !rawData || rawData.length === 0) return [];
-    return generateHeatmapData(rawData, 'salinity', { depthFilter: selectedDepth });
-  }, [rawData, mapLayerVisibility.salinity, selectedDepth]);
+    if (!mapLayerVisibility.salinity || !dataStore) return EMPTY_LAYER_DATA;
+    return buildInterpolatedLayerAttributes(dataStore, 'salinity', { depth: selectedDepth, position: framePosition, hideFlagged });
+  }, [dataStore, mapLayerVisibility.salinity, selectedDepth, framePosition, hideFlagged]);
   
   const sshHexagonData = useMemo(() => {
-    if (!mapLayerVisibility.ssh || !rawData || rawData.length === 0) return [];
-    // Filter for valid data points for the HexagonLayer
-    return rawData.filter(d => d.ssh != null && !isNaN(d.ssh) && d.lat != null && d.lon != null);
-  }, [rawData, mapLayerVisibility.ssh]);
+    if (!mapLayerVisibility.ssh || !dataStore) return EMPTY_LAYER_DATA;
+    // Every depth, with raw SSH values as the hexagon elevation weights
+    return buildInterpolatedLayerAttributes(dataStore, 'ssh', { normalize: false, weightAccessor: 'getElevationWeight', position: framePosition, hideFlagged });
+  }, [dataStore, mapLayerVisibility.ssh, framePosition, hideFlagged]);
 
   const pressureHeatmapData = useMemo(() => {
-    if (!mapLayerVisibility.pressure || !rawData || rawData.length === 0) return [];
-    return generateHeatmapData(rawData, 'pressure_dbars', { depthFilter: selectedDepth });
-  }, [rawData, mapLayerVisibility.pressure, selectedDepth]);
+    if (!mapLayerVisibility.pressure || !dataStore) return EMPTY_LAYER_DATA;
+    return buildInterpolatedLayerAttributes(dataStore, 'pressure_dbars', { depth: selectedDepth, position: framePosition, hideFlagged });
+  }, [dataStore, mapLayerVisibility.pressure, selectedDepth, framePosition, hideFlagged]);
+
+  // Sigma-theta (TEOS-10 potential density anomaly) derived in the data worker
+  const densityHeatmapData = useMemo(() => {
+    if (!mapLayerVisibility.density || !dataStore?.columns.sigma_theta) return EMPTY_LAYER_DATA;
+    return buildInterpolatedLayerAttributes(dataStore, 'sigma_theta', { depth: selectedDepth, position: framePosition });
+  }, [dataStore, mapLayerVisibility.density, selectedDepth, framePosition]);
+
+  // Suspect and failed values of the visible layers, marked in highlight mode
+  const qcFlaggedPointData = useMemo(() => {
+    if (qcMode !== 'highlight') return EMPTY_LAYER_DATA;
+    return buildFlaggedPointData([temperatureHeatmapData, salinityHeatmapData, sshHexagonData, pressureHeatmapData]);
+  }, [qcMode, temperatureHeatmapData, salinityHeatmapData, sshHexagonData, pressureHeatmapData]);
 
   // Function to check data availability at coordinates
   const checkDataAvailability = useMemo(() => {
@@ -565,66 +615,55 @@ const MapContainer = ({
         availableData.push(`${nearbyStations.length} Station${nearbyStations.length > 1 ? 's' : ''} (${totalDataPoints} measurements)`);
       }
       
-      // Check raw data availability with detailed measurements
-      if (rawData && rawData.length > 0) {
-        const nearbyRawData = rawData.filter(data => {
-          if (!data.lon || !data.lat) return false;
-          const distance = Math.sqrt(
-            Math.pow(longitude - data.lon, 2) + Math.pow(latitude - data.lat, 2)
-          );
-          return distance <= searchRadius;
-        });
-        
-        if (nearbyRawData.length > 0) {
-          // Get latest measurements
-          const latestData = nearbyRawData
-            .filter(d => d.time)
-            .sort((a, b) => new Date(b.time) - new Date(a.time))[0];
-          
-          if (latestData) {
-            if (latestData.nspeed !== null && latestData.nspeed !== undefined) {
-              availableData.push(`Wind Speed: ${latestData.nspeed.toFixed(2)} m/s`);
-            }
-            if (latestData.direction !== null && latestData.direction !== undefined) {
-              availableData.push(`Current Direction: ${latestData.direction.toFixed(0)}°`);
-            }
-            if (latestData.temp !== null && latestData.temp !== undefined) {
-              availableData.push(`Temperature: ${latestData.temp.toFixed(1)}°C`);
-            }
-            if (latestData.salinity !== null && latestData.salinity !== undefined) {
-              availableData.push(`Salinity: ${latestData.salinity.toFixed(1)} PSU`);
-            }
-            if (latestData.ssh !== null && latestData.ssh !== undefined) {
-              availableData.push(`Sea Surface Height: ${latestData.ssh.toFixed(2)} m`);
-            }
-            if (latestData.pressure_dbars !== null && latestData.pressure_dbars !== undefined) {
-              availableData.push(`Pressure: ${latestData.pressure_dbars.toFixed(1)} dbar`);
-            }
-            if (latestData.depth !== null && latestData.depth !== undefined) {
-              availableData.push(`Depth: ${latestData.depth.toFixed(0)} m`);
-            }
-            if (latestData.time) {
-              const timeStr = new Date(latestData.time).toLocaleString();
-              availableData.push(`Latest: ${timeStr}`);
-            }
-          } else {
-            availableData.push(`Ocean Data (${nearbyRawData.length} measurements)`);
-          }
+      // Model values at the point, interpolated between the nodes of the current frame
+      const sample = sampleAt?.(longitude, latitude);
+      if (sample) {
+        const { values, vectors } = sample;
+        availableData.push(`Interpolated (${sample.method === 'bilinear' ? 'bilinear' : 'IDW'}, ${sample.nodes} nodes)`);
+        if (vectors.wind) {
+          availableData.push(`Wind: ${formatValue(vectors.wind.speed, 'windSpeed', unitPreferences, 2)} toward ${vectors.wind.direction.toFixed(0)}°`);
+        }
+        if (vectors.current) {
+          availableData.push(`Current: ${formatValue(vectors.current.speed, 'speed', unitPreferences, 2)} toward ${vectors.current.direction.toFixed(0)}°`);
+        }
+        if (values.temp !== null) {
+          availableData.push(`Temperature: ${formatValue(values.temp, 'temp', unitPreferences, 1)}`);
+        }
+        if (values.salinity !== null) {
+          availableData.push(`Salinity: ${formatValue(values.salinity, 'salinity', unitPreferences, 1)}`);
+        }
+        if (values.ssh !== null) {
+          availableData.push(`Sea Surface Height: ${formatValue(values.ssh, 'ssh', unitPreferences, 2)}`);
+        }
+        if (values.pressure_dbars !== null) {
+          availableData.push(`Pressure: ${formatValue(values.pressure_dbars, 'pressure_dbars', unitPreferences, 1)}`);
+        }
+        if (values.depth !== null) {
+          availableData.push(`Depth: ${formatValue(values.depth, 'depth', unitPreferences, 0)}`);
+        }
+        if (frameTime) {
+          availableData.push(`Time: ${new Date(frameTime).toLocaleString()}`);
         }
       }
       
       // Check temperature heatmap data
       if (mapLayerVisibility.temperature && temperatureHeatmapData.length > 0) {
-        const nearbyTempData = temperatureHeatmapData.filter(point => {
-          const [pointLat, pointLon] = point; // Note: heatmap data is [lat, lon]
+        const positions = temperatureHeatmapData.attributes.getPosition.value;
+        const weights = temperatureHeatmapData.attributes.getWeight.value;
+        let nearbyCount = 0;
+        let weightSum = 0;
+        for (let i = 0; i < temperatureHeatmapData.length; i++) {
           const distance = Math.sqrt(
-            Math.pow(longitude - pointLon, 2) + Math.pow(latitude - pointLat, 2)
+            Math.pow(longitude - positions[i * 2], 2) + Math.pow(latitude - positions[i * 2 + 1], 2)
           );
-          return distance <= searchRadius;
-        });
+          if (distance <= searchRadius) {
+            nearbyCount++;
+            weightSum += weights[i];
+          }
+        }
         
-        if (nearbyTempData.length > 0) {
-          const avgIntensity = nearbyTempData.reduce((sum, point) => sum + point[2], 0) / nearbyTempData.length;
+        if (nearbyCount > 0) {
+          const avgIntensity = weightSum / nearbyCount;
           availableData.push(`Temperature Heatmap: ${(avgIntensity * 100).toFixed(0)}% intensity`);
         }
       }
@@ -636,7 +675,7 @@ const MapContainer = ({
       
       return availableData;
     };
-  }, [finalStationData, rawData, temperatureHeatmapData, timeSeriesData, mapLayerVisibility.temperature]);
+  }, [finalStationData, sampleAt, frameTime, temperatureHeatmapData, timeSeriesData, mapLayerVisibility.temperature, unitPreferences]);
 
   // Set Mapbox access token
   useEffect(() => {
@@ -758,8 +797,8 @@ const MapContainer = ({
   useEffect(() => {
     if (!mapContainerReady || !mapContainerRef.current || mapRef.current) return;
     
-    // Use the provided initialViewState, no fallback to hardcoded values
-    const startingViewState = initialViewState;
+    // Start at the selected area's camera when configured, otherwise the provided initialViewState
+    const startingViewState = areaViewState ? { ...initialViewState, ...areaViewState } : initialViewState;
     
     // Set initial style based on mapStyle state
     const initialStyle = mapStyle === 'arcgis-ocean' ? getBaseStyleForOcean() : mapStyle;
@@ -834,6 +873,46 @@ const MapContainer = ({
     return () => { if (mapRef.current) { mapRef.current.remove(); mapRef.current = null; } };
   }, [mapContainerReady, spinEnabled]);
 
+  // Fly to the selected area's configured camera when the area changes
+  const areaLongitude = areaViewState?.longitude;
+  const areaLatitude = areaViewState?.latitude;
+  const areaZoom = areaViewState?.zoom;
+  const lastAreaCameraKeyRef = useRef(`${selectedArea}:${areaLongitude}:${areaLatitude}:${areaZoom}`);
+  useEffect(() => {
+    const cameraKey = `${selectedArea}:${areaLongitude}:${areaLatitude}:${areaZoom}`;
+    if (areaLongitude === undefined || !mapRef.current || lastAreaCameraKeyRef.current === cameraKey) return;
+    lastAreaCameraKeyRef.current = cameraKey;
+    mapRef.current.flyTo({
+      center: [areaLongitude, areaLatitude],
+      zoom: areaZoom,
+      essential: true
+    });
+  }, [selectedArea, areaLongitude, areaLatitude, areaZoom, mapContainerReady]);
+
+  // Re-query (debounced) when the viewport moves far outside the loaded data extent
+  useEffect(() => {
+    if (!onViewportQuery || !loadedExtent || !mapRef.current) return;
+
+    const timeoutId = setTimeout(() => {
+      if (!mapRef.current) return;
+      const bounds = mapRef.current.getBounds();
+      const viewport = {
+        north: bounds.getNorth(),
+        south: bounds.getSouth(),
+        east: bounds.getEast(),
+        west: bounds.getWest()
+      };
+      // Skip antimeridian-crossing or degenerate views
+      if (viewport.west >= viewport.east || viewport.south >= viewport.north) return;
+
+      if (getBboxCoverage(viewport, loadedExtent) < VIEWPORT_REQUERY_MIN_COVERAGE) {
+        onViewportQuery(padBbox(viewport, VIEWPORT_REQUERY_PADDING));
+      }
+    }, VIEWPORT_REQUERY_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeoutId);
+  }, [viewState, loadedExtent, onViewportQuery]);
+
   // Memoize animation calculations to reduce per-frame computation
   const animationValues = useMemo(() => {
     const animationTime = Math.floor(currentFrame / 3) * 0.1; // Update every 3 frames
@@ -843,88 +922,83 @@ const MapContainer = ({
     };
   }, [Math.floor(currentFrame / 3)]); // Dependency on every 3rd frame
 
+  // Particle layer sources at the current frame position (all rows when the data has no time axis)
+  const particleSourceRows = frameRows.length > 0 ? frameRows : rawData;
+  const windSourceData = useMemo(() => particleSourceRows.filter(d => 
+    d.nspeed != null && 
+    d.ndirection != null && 
+    d.lat != null && 
+    d.lon != null &&
+    isLikelyOnWater(d.lat, d.lon)
+  ), [particleSourceRows]);
+  const oceanCurrentData = useMemo(() => particleSourceRows.filter(d => 
+    d.lat != null && 
+    d.lon != null && 
+    !isNaN(d.lat) && 
+    !isNaN(d.lon) &&
+    (d.nspeed != null || d.speed != null) && d.direction != null
+  ), [particleSourceRows]);
+
   const getDeckLayers = () => {
     const layers = [];
     const { pulseIntensity, radiusAnimation } = animationValues;
 
     // OPTIMIZED: Wind Showcase Particles Layer with reduced particle count
-    if (mapLayerVisibility.windVelocity && rawData.length > 0) {
-        const windSourceData = rawData.filter(d => 
-            d.nspeed != null && 
-            d.ndirection != null && 
-            d.lat != null && 
-            d.lon != null &&
-            isLikelyOnWater(d.lat, d.lon)
-        );
-      
-        if (windSourceData.length > 0) {
-          const lons = windSourceData.map(d => d.lon);
-          const lats = windSourceData.map(d => d.lat);
-          const windBbox = {
-            minLng: Math.min(...lons) - 1, maxLng: Math.max(...lons) + 1,
-            minLat: Math.min(...lats) - 1, maxLat: Math.max(...lats) + 1,
-          };
-
-          layers.push(new ParticleLayer({
-              id: 'wind-showcase-particles',
-              data: windSourceData,
-              bbox: windBbox,
-              particleCount: 1000, 
-              opacity: 1,
-              //time: currentFrame * 5,
-              particleSpeedFactor: 1.2,
-              vectorScale: currentsVectorScale * 100,
-              arrowColor: '#FF0000', // Red
-              particleType: 'wind', // Explicitly tell the layer to use wind logic
-              pauseAnimation: pauseParticleAnimations, // NEW: Pass pause state
-              getColor: (speed, alpha) => {
-                  if (speed < 1.0) return [147, 112, 219, alpha]; // Medium slate blue
-                  if (speed < 1.5) return [138, 43, 226, alpha]; // Blue violet
-                  if (speed < 2.0) return [148, 0, 211, alpha]; // Dark violet
-                  return [128, 0, 128, alpha]; // Purple
-              },
-          }));
-        }
-    }
-
-    // OPTIMIZED: Animated Ocean Currents Layer with reduced particle count
-    if (mapLayerVisibility.oceanCurrents && rawData && rawData.length > 0) {
-      const oceanCurrentData = rawData.filter(d => 
-        d.lat != null && 
-        d.lon != null && 
-        !isNaN(d.lat) && 
-        !isNaN(d.lon) &&
-        (d.nspeed != null || d.speed != null) && d.direction != null
-      );
-      
-      if (oceanCurrentData.length > 0) {
-        const lons = oceanCurrentData.map(d => d.lon);
-        const lats = oceanCurrentData.map(d => d.lat);
-        const oceanBbox = {
-          minLng: Math.min(...lons) - 1, maxLng: Math.max(...lons) + 1,
-          minLat: Math.min(...lats) - 1, maxLat: Math.max(...lats) + 1,
-        };
+    if (mapLayerVisibility.windVelocity && windSourceData.length > 0) {
+      const extent = getDataExtent(windSourceData);
+      const windBbox = {
+        minLng: extent.west - 1, maxLng: extent.east + 1,
+        minLat: extent.south - 1, maxLat: extent.north + 1,
+      };
 
-        layers.push(new ParticleLayer({
-          id: 'ocean-currents-particles',
-          data: oceanCurrentData,
-          bbox: oceanBbox,
-          particleCount: 1000,
-          maxAge: 10,
+      layers.push(new ParticleLayer({
+          id: 'wind-showcase-particles',
+          data: windSourceData,
+          bbox: windBbox,
+          particleCount: 1000, 
           opacity: 1,
           //time: currentFrame * 5,
-          particleSpeedFactor: 1.0,
+          particleSpeedFactor: 1.2,
           vectorScale: currentsVectorScale * 100,
-          arrowColor: '#0000FF', // Blue
+          arrowColor: '#FF0000', // Red
+          particleType: 'wind', // Explicitly tell the layer to use wind logic
           pauseAnimation: pauseParticleAnimations, // NEW: Pass pause state
-          // particleType defaults to 'currents', no need to set explicitly
           getColor: (speed, alpha) => {
-              const brightness = Math.min(1.0, 0.6 + speed * 0.4);
-              const blue = Math.min(255, 180 + speed * 75);
-              return [80 * brightness, 150 * brightness, blue, alpha];
+              if (speed < 1.0) return [147, 112, 219, alpha]; // Medium slate blue
+              if (speed < 1.5) return [138, 43, 226, alpha]; // Blue violet
+              if (speed < 2.0) return [148, 0, 211, alpha]; // Dark violet
+              return [128, 0, 128, alpha]; // Purple
           },
-        }));
-      }
+      }));
+    }
+
+    // OPTIMIZED: Animated Ocean Currents Layer with reduced particle count
+    if (mapLayerVisibility.oceanCurrents && oceanCurrentData.length > 0) {
+      const extent = getDataExtent(oceanCurrentData);
+      const oceanBbox = {
+        minLng: extent.west - 1, maxLng: extent.east + 1,
+        minLat: extent.south - 1, maxLat: extent.north + 1,
+      };
+
+      layers.push(new ParticleLayer({
+        id: 'ocean-currents-particles',
+        data: oceanCurrentData,
+        bbox: oceanBbox,
+        particleCount: 1000,
+        maxAge: 10,
+        opacity: 1,
+        //time: currentFrame * 5,
+        particleSpeedFactor: 1.0,
+        vectorScale: currentsVectorScale * 100,
+        arrowColor: '#0000FF', // Blue
+        pauseAnimation: pauseParticleAnimations, // NEW: Pass pause state
+        // particleType defaults to 'currents', no need to set explicitly
+        getColor: (speed, alpha) => {
+            const brightness = Math.min(1.0, 0.6 + speed * 0.4);
+            const blue = Math.min(255, 180 + speed * 75);
+            return [80 * brightness, 150 * brightness, blue, alpha];
+        },
+      }));
     }
 
     // Animated Temperature Layer - simplified animation
@@ -932,15 +1006,13 @@ const MapContainer = ({
       layers.push(new HeatmapLayer({
         id: 'temperature-heatmap-layer',
         data: temperatureHeatmapData,
-        getPosition: d => [d[1], d[0]],
-        getWeight: d => d[2] * pulseIntensity,
+        // Binary attributes from the columnar store; the pulse animates radius and intensity
         radiusPixels: (35 + heatmapScale * 30) * radiusAnimation, // Reduced base size
         intensity: 1.2 * pulseIntensity * heatmapScale, // Reduced intensity
         threshold: 0.08, // Higher threshold for performance
         aggregation: 'SUM',
         colorRange: TEMPERATURE_COLOR_RANGE,
         updateTriggers: {
-          getWeight: [Math.floor(currentFrame / 3)], // Update every 3 frames
           radiusPixels: [Math.floor(currentFrame / 3), heatmapScale],
           intensity: [Math.floor(currentFrame / 3), heatmapScale]
         }
@@ -952,15 +1024,13 @@ const MapContainer = ({
         layers.push(new HeatmapLayer({
             id: 'salinity-heatmap-layer',
             data: salinityHeatmapData, 
-            getPosition: d => [d[1], d[0]], 
-            getWeight: d => d[2] * pulseIntensity,
+            // Binary attributes from the columnar store; the pulse animates radius and intensity
             radiusPixels: (35 + heatmapScale * 30) * radiusAnimation, // Reduced base size
             intensity: 1.2 * pulseIntensity * heatmapScale, // Reduced intensity
             threshold: 0.08, // Higher threshold for performance
             aggregation: 'SUM',
             colorRange: SALINITY_COLOR_RANGE,
             updateTriggers: {
-              getWeight: [Math.floor(currentFrame / 3)], // Update every 3 frames
               radiusPixels: [Math.floor(currentFrame / 3), heatmapScale],
               intensity: [Math.floor(currentFrame / 3), heatmapScale]
             }
@@ -972,13 +1042,12 @@ const MapContainer = ({
         layers.push(new HexagonLayer({
             id: 'ssh-hexagon-layer',
             data: sshHexagonData,
-            getPosition: d => [d.lon, d.lat],
             
             // Aggregation and 3D properties
             extruded: true,
             radius: 2500, // in meters
             elevationScale: 40 * pulseIntensity, // Reduced scale
-            getElevationWeight: d => d.ssh, // Use ssh value for elevation
+            // Elevation weights are the SSH values (binary attribute from the columnar store)
             aggregation: 'MEAN',
             upperPercentile: 99, // Clamp outliers for more stable elevation
             
@@ -1012,7 +1081,7 @@ const MapContainer = ({
                     setHoveredStation({
                       type: 'ssh',
                       name: 'Surface Elevation',
-                      details: `SSH: ${elevationValue.toFixed(3)} m`,
+                      details: `SSH: ${formatValue(elevationValue, 'ssh', unitPreferences, 3)}`,
                       coordinates: object.centroid || [object.lon, object.lat],
                       x,
                       y,
@@ -1049,41 +1118,29 @@ const MapContainer = ({
                 // Temperature analysis
                 const tempValues = points.map(p => p.temp).filter(v => v != null && !isNaN(v));
                 if (tempValues.length > 0) {
-                  const minTemp = Math.min(...tempValues);
-                  const maxTemp = Math.max(...tempValues);
-                  const avgTemp = tempValues.reduce((sum, val) => sum + val, 0) / tempValues.length;
                   availableParams.push('Temperature');
-                  paramStats.temperature = `${avgTemp.toFixed(2)}°C (${minTemp.toFixed(2)} - ${maxTemp.toFixed(2)})`;
+                  paramStats.temperature = formatValueRange(tempValues, 'temp', unitPreferences, 2);
                 }
                 
                 // Salinity analysis
                 const salinityValues = points.map(p => p.salinity).filter(v => v != null && !isNaN(v));
                 if (salinityValues.length > 0) {
-                  const minSal = Math.min(...salinityValues);
-                  const maxSal = Math.max(...salinityValues);
-                  const avgSal = salinityValues.reduce((sum, val) => sum + val, 0) / salinityValues.length;
                   availableParams.push('Salinity');
-                  paramStats.salinity = `${avgSal.toFixed(2)} PSU (${minSal.toFixed(2)} - ${maxSal.toFixed(2)})`;
+                  paramStats.salinity = formatValueRange(salinityValues, 'salinity', unitPreferences, 2);
                 }
                 
                 // Pressure analysis
                 const pressureValues = points.map(p => p.pressure_dbars).filter(v => v != null && !isNaN(v));
                 if (pressureValues.length > 0) {
-                  const minPres = Math.min(...pressureValues);
-                  const maxPres = Math.max(...pressureValues);
-                  const avgPres = pressureValues.reduce((sum, val) => sum + val, 0) / pressureValues.length;
                   availableParams.push('Pressure');
-                  paramStats.pressure = `${avgPres.toFixed(1)} dbar (${minPres.toFixed(1)} - ${maxPres.toFixed(1)})`;
+                  paramStats.pressure = formatValueRange(pressureValues, 'pressure_dbars', unitPreferences, 1);
                 }
                 
                 // Current Speed analysis
                 const speedValues = points.map(p => p.nspeed || p.speed).filter(v => v != null && !isNaN(v));
                 if (speedValues.length > 0) {
-                  const minSpeed = Math.min(...speedValues);
-                  const maxSpeed = Math.max(...speedValues);
-                  const avgSpeed = speedValues.reduce((sum, val) => sum + val, 0) / speedValues.length;
                   availableParams.push('Current Speed');
-                  paramStats.currentSpeed = `${avgSpeed.toFixed(3)} m/s (${minSpeed.toFixed(3)} - ${maxSpeed.toFixed(3)})`;
+                  paramStats.currentSpeed = formatValueRange(speedValues, 'nspeed', unitPreferences, 3);
                 }
                 
                 // Current Direction analysis
@@ -1149,21 +1206,49 @@ const MapContainer = ({
         layers.push(new HeatmapLayer({
             id: 'pressure-heatmap-layer',
             data: pressureHeatmapData, 
-            getPosition: d => [d[1], d[0]], 
-            getWeight: d => d[2] * pulseIntensity,
+            // Binary attributes from the columnar store; the pulse animates radius and intensity
             radiusPixels: (35 + heatmapScale * 30) * radiusAnimation, // Reduced base size
             intensity: 1.2 * pulseIntensity * heatmapScale, // Reduced intensity
             threshold: 0.08, // Higher threshold for performance
             aggregation: 'SUM',
             colorRange: PRESSURE_COLOR_RANGE,
             updateTriggers: {
-              getWeight: [Math.floor(currentFrame / 3)], // Update every 3 frames
               radiusPixels: [Math.floor(currentFrame / 3), heatmapScale],
               intensity: [Math.floor(currentFrame / 3), heatmapScale]
             }
         }));
     }
 
+    // Density (sigma-theta) Layer - static, density structure changes slowly
+    if (mapLayerVisibility.density && densityHeatmapData.length > 0) {
+        layers.push(new HeatmapLayer({
+            id: 'density-heatmap-layer',
+            data: densityHeatmapData,
+            radiusPixels: 35 + heatmapScale * 30,
+            intensity: 1.2 * heatmapScale,
+            threshold: 0.08,
+            aggregation: 'MEAN',
+            colorRange: DENSITY_COLOR_RANGE,
+            updateTriggers: {
+              radiusPixels: [heatmapScale],
+              intensity: [heatmapScale]
+            }
+        }));
+    }
+
+    // QC-flagged values (amber = suspect, red = fail)
+    if (qcFlaggedPointData.length > 0) {
+      layers.push(new ScatterplotLayer({
+        id: 'qc-flagged-points',
+        data: qcFlaggedPointData,
+        radiusUnits: 'pixels',
+        getRadius: 4,
+        stroked: true,
+        getLineColor: [15, 23, 42, 255],
+        lineWidthMinPixels: 1
+      }));
+    }
+
     // Grids
     if (showGrid && generateGridData.length > 0) {
       layers.push(new LineLayer({
@@ -1181,6 +1266,288 @@ const MapContainer = ({
       }));
     }
     
+    // Observation stations, coloured by source (NDBC yellow, CO-OPS orange)
+    if (mapLayerVisibility.observations && observationStations.length > 0) {
+      layers.push(new ScatterplotLayer({
+        id: 'observation-stations',
+        data: observationStations,
+        getPosition: d => d.coordinates,
+        getFillColor: d => (d.type === 'ndbc' ? [250, 204, 21, 230] : [251, 146, 60, 230]),
+        getLineColor: [15, 23, 42, 255],
+        stroked: true,
+        lineWidthMinPixels: 2,
+        getRadius: 7,
+        radiusUnits: 'pixels',
+        pickable: true,
+        autoHighlight: true,
+        highlightColor: [255, 255, 255, 150],
+        onHover: ({ object, x, y }) => {
+          if (!object) return setHoveredStation(null);
+          const obs = object.observation;
+          const has = (field) => obs[field] !== null && obs[field] !== undefined;
+          const lines = [`Observed: ${obs.time.slice(0, 16).replace('T', ' ')} UTC`];
+          if (has('temp')) lines.push(`Water Temp: ${formatValue(obs.temp, 'temp', unitPreferences, 1)}`);
+          if (has('salinity')) lines.push(`Salinity: ${formatValue(obs.salinity, 'salinity', unitPreferences, 1)}`);
+          if (has('ssh')) lines.push(`Water Level (${obs.datum || 'station datum'}): ${formatValue(obs.ssh, 'ssh', unitPreferences, 2)}`);
+          if (has('nspeed')) lines.push(`Current: ${formatValue(obs.nspeed, 'nspeed', unitPreferences, 2)}${has('direction') ? ` toward ${obs.direction.toFixed(0)}°` : ''}`);
+          if (has('wind_speed')) lines.push(`Wind: ${formatValue(obs.wind_speed, 'windSpeed', unitPreferences, 1)}${has('wind_direction') ? ` toward ${obs.wind_direction.toFixed(0)}°` : ''}`);
+          if (has('wave_height')) lines.push(`Wave Height: ${formatValue(obs.wave_height, 'height', unitPreferences, 1)}`);
+          // Model value at the station for a quick comparison
+          const modelTemp = sampleAt?.(object.coordinates[0], object.coordinates[1])?.values.temp;
+          if (modelTemp !== null && modelTemp !== undefined) lines.push(`Model Temp: ${formatValue(modelTemp, 'temp', unitPreferences, 1)}`);
+          setHoveredStation({ ...object, details: lines.join('\n'), x, y });
+        },
+        onClick: ({ object }) => {
+          if (object) setSelectedStation(object);
+          return true;
+        }
+      }));
+    }
+
+    // Cells that trigger an alert rule, ringed by severity
+    if (alertHighlights.length > 0) {
+      layers.push(new ScatterplotLayer({
+        id: 'alert-cells',
+        data: alertHighlights,
+        getPosition: d => [d.lon, d.lat],
+        getLineColor: d => (d.severity === 'critical' ? [239, 68, 68, 255] : d.severity === 'warning' ? [245, 158, 11, 255] : [34, 211, 238, 255]),
+        getFillColor: [0, 0, 0, 0],
+        stroked: true,
+        filled: true,
+        lineWidthMinPixels: 2,
+        getRadius: 10,
+        radiusUnits: 'pixels',
+        pickable: true,
+        onHover: ({ object, x, y }) => {
+          if (!object) return setHoveredStation(null);
+          setHoveredStation({
+            name: `Alert: ${object.ruleName || object.variable}`,
+            details: [
+              `Value: ${formatValue(object.value, object.variable, unitPreferences, 2)}`,
+              `Depth: ${formatValue(object.depth, 'depth', unitPreferences, 0)}`,
+              `Since: ${object.since.slice(0, 16).replace('T', ' ')} UTC`,
+              `Severity: ${object.severity}`
+            ].join('\n'),
+            x,
+            y
+          });
+        }
+      }));
+    }
+
+    // Drift prediction: releases, particle tracks, mean tracks with their 90% spread, final positions
+    if (showDriftPanel) {
+      const releaseFeatures = driftReleases.map(release => ({
+        type: 'Feature',
+        geometry: release.type === 'point'
+          ? { type: 'Point', coordinates: release.coordinates }
+          : { type: 'Polygon', coordinates: [[...release.coordinates, release.coordinates[0]]] },
+        properties: { release: release.id }
+      }));
+      if (driftDraftPolygon.length > 0) {
+        releaseFeatures.push({
+          type: 'Feature',
+          geometry: driftDraftPolygon.length > 1
+            ? { type: 'LineString', coordinates: driftDraftPolygon }
+            : { type: 'Point', coordinates: driftDraftPolygon[0] },
+          properties: { release: 'draft' }
+        });
+      }
+      layers.push(new GeoJsonLayer({
+        id: 'drift-releases',
+        data: { type: 'FeatureCollection', features: releaseFeatures },
+        stroked: true,
+        filled: true,
+        getFillColor: [244, 63, 94, 60],
+        getLineColor: [244, 63, 94, 255],
+        lineWidthMinPixels: 2,
+        pointRadiusUnits: 'pixels',
+        getPointRadius: 6
+      }));
+      if (driftResult) {
+        const tracks = driftResult.releases.flatMap(release => release.particles.filter(particle => particle.path.length > 1));
+        layers.push(new GeoJsonLayer({
+          id: 'drift-tracks',
+          data: {
+            type: 'FeatureCollection',
+            features: tracks.map(particle => ({ type: 'Feature', geometry: { type: 'LineString', coordinates: particle.path }, properties: {} }))
+          },
+          getLineColor: [253, 164, 175, 90],
+          lineWidthMinPixels: 1
+        }));
+        // Spread circles every 6 h along each mean track, and at its end
+        const spreadEvery = Math.max(1, Math.round(360 / driftResult.options.stepMinutes));
+        const spreadPoints = driftResult.releases.flatMap(release => release.spread
+          .filter((point, index) => index > 0 && (index % spreadEvery === 0 || index === release.spread.length - 1))
+          .map(point => ({ ...point, release: release.id })));
+        layers.push(new ScatterplotLayer({
+          id: 'drift-spread',
+          data: spreadPoints,
+          getPosition: d => [d.lon, d.lat],
+          getRadius: d => Math.max(d.radius90, 1),
+          radiusUnits: 'meters',
+          stroked: true,
+          getFillColor: [244, 63, 94, 25],
+          getLineColor: [244, 63, 94, 200],
+          lineWidthMinPixels: 1,
+          pickable: true,
+          onHover: ({ object, x, y }) => {
+            if (!object) return setHoveredStation(null);
+            setHoveredStation({
+              name: `Drift ${object.release}`,
+              details: [
+                `${object.time.slice(0, 16).replace('T', ' ')} UTC`,
+                `Centre: ${object.lat.toFixed(4)}, ${object.lon.toFixed(4)}`,
+                `90% within ${formatValue(object.radius90, 'distance', unitPreferences, 2)}`,
+                `${object.active} particles drifting`
+              ].join('\n'),
+              x,
+              y
+            });
+          }
+        }));
+        layers.push(new GeoJsonLayer({
+          id: 'drift-mean-tracks',
+          data: {
+            type: 'FeatureCollection',
+            features: driftResult.releases.filter(release => release.spread.length > 1).map(release => ({
+              type: 'Feature',
+              geometry: { type: 'LineString', coordinates: release.spread.map(point => [point.lon, point.lat]) },
+              properties: {}
+            }))
+          },
+          getLineColor: [244, 63, 94, 255],
+          lineWidthMinPixels: 3
+        }));
+        layers.push(new ScatterplotLayer({
+          id: 'drift-final-positions',
+          data: driftResult.releases.flatMap(release => release.particles.map(particle => particle.path[particle.path.length - 1])),
+          getPosition: d => d,
+          getFillColor: [255, 228, 230, 220],
+          getRadius: 2,
+          radiusUnits: 'pixels'
+        }));
+      }
+    }
+
+    // Route planner: planned and straight-line routes, then the endpoints on top
+    if (showRoutePanel) {
+      if (routePlan) {
+        layers.push(new GeoJsonLayer({
+          id: 'route-lines',
+          data: {
+            type: 'FeatureCollection',
+            features: routePlan.routes.filter(route => route.waypoints.length > 1).map(route => ({
+              type: 'Feature',
+              geometry: { type: 'LineString', coordinates: route.waypoints },
+              properties: route
+            }))
+          },
+          getLineColor: d => [...ROUTE_KINDS[d.properties.kind].color, d.properties.feasible ? 255 : 110],
+          getLineWidth: d => (d.properties.kind === 'straight' ? 2 : 4),
+          lineWidthUnits: 'pixels',
+          pickable: true,
+          onHover: ({ object, x, y }) => {
+            if (!object) return setHoveredStation(null);
+            const route = object.properties;
+            setHoveredStation({
+              name: route.label,
+              details: (route.feasible
+                ? [
+                  formatValue(route.distance, 'distance', unitPreferences, 1),
+                  `ETA ${route.eta.slice(0, 16).replace('T', ' ')} UTC`,
+                  `Fuel ${route.fuel.toFixed(1)}`
+                ]
+                : [route.reason]).join('\n'),
+              x,
+              y
+            });
+          }
+        }));
+      }
+      const endpoints = [['Start', routePoints.start], ['End', routePoints.end]].filter(([, point]) => point);
+      layers.push(new ScatterplotLayer({
+        id: 'route-endpoints',
+        data: endpoints,
+        getPosition: d => d[1],
+        getFillColor: d => (d[0] === 'Start' ? [56, 189, 248, 255] : [250, 250, 250, 255]),
+        getLineColor: [15, 23, 42, 255],
+        stroked: true,
+        getRadius: 7,
+        radiusUnits: 'pixels',
+        lineWidthMinPixels: 2
+      }));
+    }
+
+    // HoloOcean mission: the waypoint sequence, with the waypoint under way enlarged
+    if ((showMissionPanel || missionActiveIndex !== -1) && missionWaypoints.length > 0) {
+      if (missionWaypoints.length > 1) {
+        layers.push(new GeoJsonLayer({
+          id: 'mission-path',
+          data: {
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: missionWaypoints.map(waypoint => [waypoint.lon, waypoint.lat]) },
+            properties: {}
+          },
+          getLineColor: [34, 211, 238, 200],
+          lineWidthMinPixels: 2
+        }));
+      }
+      layers.push(new ScatterplotLayer({
+        id: 'mission-waypoints',
+        data: missionWaypoints.map((waypoint, index) => ({ ...waypoint, index })),
+        getPosition: d => [d.lon, d.lat],
+        getRadius: d => (d.index === missionActiveIndex ? 9 : 6),
+        getFillColor: d => (d.index === missionActiveIndex ? [250, 204, 21, 255] : d.index < missionActiveIndex ? [100, 116, 139, 255] : [34, 211, 238, 255]),
+        getLineColor: [15, 23, 42, 255],
+        stroked: true,
+        radiusUnits: 'pixels',
+        lineWidthMinPixels: 2,
+        pickable: true,
+        updateTriggers: { getRadius: missionActiveIndex, getFillColor: missionActiveIndex },
+        onHover: ({ object, x, y }) => {
+          if (!object) return setHoveredStation(null);
+          setHoveredStation({
+            name: `Waypoint ${object.index + 1}`,
+            details: [
+              `${object.lat.toFixed(5)}, ${object.lon.toFixed(5)}`,
+              `Depth: ${formatValue(object.depth, 'depth', unitPreferences, 1)}`,
+              `Dwell: ${object.dwellSeconds} s`
+            ].join('\n'),
+            x,
+            y
+          });
+        }
+      }));
+    }
+
+    // Vertical section line (and its first end while drawing)
+    if (transectLine || transectStart) {
+      const ends = transectLine ? [transectLine.start, transectLine.end] : [transectStart];
+      if (transectLine) {
+        layers.push(new LineLayer({
+          id: 'transect-line',
+          data: [transectLine],
+          getSourcePosition: d => d.start,
+          getTargetPosition: d => d.end,
+          getColor: [250, 204, 21, 230],
+          getWidth: 3,
+          widthUnits: 'pixels'
+        }));
+      }
+      layers.push(new ScatterplotLayer({
+        id: 'transect-ends',
+        data: ends,
+        getPosition: d => d,
+        getFillColor: [250, 204, 21, 255],
+        getLineColor: [15, 23, 42, 255],
+        stroked: true,
+        lineWidthMinPixels: 1,
+        getRadius: 5,
+        radiusUnits: 'pixels'
+      }));
+    }
+
     // HoloOcean POV - show if holoOceanPOV exists
     if (holoOceanPOV) {
       layers.push(new ScatterplotLayer({
@@ -1198,12 +1565,24 @@ const MapContainer = ({
         pickable: true, 
         autoHighlight: true, 
         highlightColor: [255, 255, 255, 150],
-        onHover: ({object, x, y}) => object ? setHoveredStation({ 
-          name: 'HoloOcean POV', 
-          details: `Pos: (${holoOceanPOV.x.toFixed(1)}, ${holoOceanPOV.y.toFixed(1)}) Depth: ${holoOceanPOV.depth} m`, 
-          x, y, 
-          isPOV: true 
-        }) : setHoveredStation(null)
+        onHover: ({object, x, y}) => {
+          if (!object) return setHoveredStation(null);
+          // Conditions at the viewpoint, interpolated between the surrounding nodes
+          const sample = sampleAt?.(object.coordinates[0], object.coordinates[1]);
+          const conditions = [];
+          if (sample?.values.temp !== null && sample?.values.temp !== undefined) {
+            conditions.push(formatValue(sample.values.temp, 'temp', unitPreferences, 1));
+          }
+          if (sample?.vectors.current) {
+            conditions.push(`Current ${formatValue(sample.vectors.current.speed, 'speed', unitPreferences, 2)} toward ${sample.vectors.current.direction.toFixed(0)}°`);
+          }
+          setHoveredStation({ 
+            name: 'HoloOcean POV', 
+            details: `Pos: (${holoOceanPOV.x.toFixed(1)}, ${holoOceanPOV.y.toFixed(1)}) Depth: ${formatValue(holoOceanPOV.depth, 'depth', unitPreferences, 0)}${conditions.length > 0 ? ` | ${conditions.join(', ')}` : ''}`, 
+            x, y, 
+            isPOV: true 
+          });
+        }
       }));
     }
     
@@ -1260,8 +1639,50 @@ const MapContainer = ({
         controller={true} 
         layers={getDeckLayers()} 
         onHover={handleCoordinateHover}
-        onClick={(info) => { 
+        onClick={(info, event) => { 
           console.log(info)
+          // Shift-click opens the station panel for the point (tides from the interpolated model SSH)
+          if (event?.srcEvent?.shiftKey && !info.object && info.coordinate) {
+            setSelectedStation({
+              id: 'probe',
+              name: `Point ${info.coordinate[1].toFixed(4)}, ${info.coordinate[0].toFixed(4)}`,
+              type: 'probe',
+              coordinates: [Number(info.coordinate[0].toFixed(5)), Number(info.coordinate[1].toFixed(5))]
+            });
+            return;
+          }
+          if (driftPlacementMode && info.coordinate) {
+            const point = [Number(info.coordinate[0].toFixed(5)), Number(info.coordinate[1].toFixed(5))];
+            if (driftPlacementMode === 'point') {
+              setDriftReleases(prev => [...prev, { id: `R${prev.length + 1}`, type: 'point', coordinates: point }]);
+              setDriftPlacementMode(null);
+            } else {
+              setDriftDraftPolygon(prev => [...prev, point]);
+            }
+            return;
+          }
+          if (isPlacingWaypoints && info.coordinate) {
+            setMissionWaypoints(prev => [...prev, createWaypoint(Number(info.coordinate[0].toFixed(6)), Number(info.coordinate[1].toFixed(6)), { depth: selectedDepth })]);
+            return;
+          }
+          if (routePlacementMode && info.coordinate) {
+            const point = [Number(info.coordinate[0].toFixed(5)), Number(info.coordinate[1].toFixed(5))];
+            setRoutePoints(prev => ({ ...prev, [routePlacementMode]: point }));
+            setRoutePlan(null);
+            setRoutePlacementMode(routePlacementMode === 'start' && !routePoints.end ? 'end' : null);
+            return;
+          }
+          if (isDrawingTransect && info.coordinate) {
+            const point = [info.coordinate[0], info.coordinate[1]];
+            if (!transectStart) {
+              setTransectStart(point);
+            } else {
+              setTransectLine({ start: transectStart, end: point });
+              setTransectStart(null);
+              setIsDrawingTransect(false);
+            }
+            return;
+          }
           if (!info.object && info.coordinate && holoOceanPOV) onPOVChange?.({ 
             x: ((info.coordinate[0] + 89.2) / 0.4) * 100, 
             y: ((info.coordinate[1] - 30.0) / 0.4) * 100, 
@@ -1315,10 +1736,50 @@ const MapContainer = ({
         <div className="text-xs text-slate-400">{selectedArea}</div>
         {currentDate && currentTime && <div className="text-xs text-green-300 mt-1">{currentDate} {currentTime}</div>}
       </div>
+
+      <button
+        onClick={() => {
+          setIsDrawingTransect(!isDrawingTransect);
+          setTransectStart(null);
+        }}
+        className={`absolute top-20 md:top-24 right-9 md:right-11 px-2 py-1 rounded-lg text-xs z-20 ${isDrawingTransect ? 'bg-yellow-500 text-slate-900' : 'bg-slate-800/80 text-slate-300 hover:text-white'}`}
+      >
+        {isDrawingTransect ? (transectStart ? 'Click the section end' : 'Click the section start') : '📏 Vertical Section'}
+      </button>
+      
+      <button
+        onClick={() => {
+          setShowDriftPanel(!showDriftPanel);
+          setDriftPlacementMode(null);
+        }}
+        className={`absolute top-28 md:top-32 right-9 md:right-11 px-2 py-1 rounded-lg text-xs z-20 ${showDriftPanel ? 'bg-rose-500 text-white' : 'bg-slate-800/80 text-slate-300 hover:text-white'}`}
+      >
+        🧭 Drift Prediction
+      </button>
+
+      <button
+        onClick={() => {
+          setShowRoutePanel(!showRoutePanel);
+          setRoutePlacementMode(null);
+        }}
+        className={`absolute top-36 md:top-40 right-9 md:right-11 px-2 py-1 rounded-lg text-xs z-20 ${showRoutePanel ? 'bg-sky-500 text-white' : 'bg-slate-800/80 text-slate-300 hover:text-white'}`}
+      >
+        🚢 Route Planner
+      </button>
+
+      <button
+        onClick={() => {
+          setShowMissionPanel(!showMissionPanel);
+          setIsPlacingWaypoints(false);
+        }}
+        className={`absolute top-44 md:top-48 right-9 md:right-11 px-2 py-1 rounded-lg text-xs z-20 ${showMissionPanel ? 'bg-cyan-500 text-white' : 'bg-slate-800/80 text-slate-300 hover:text-white'}`}
+      >
+        🎯 HoloOcean Mission{!showMissionPanel && missionActiveIndex !== -1 ? ' (running)' : ''}
+      </button>
       
       <div className="absolute bottom-5 md:bottom-7 left-2 md:left-4 bg-slate-800/80 px-2 md:px-3 py-1 md:py-2 rounded-lg pointer-events-none z-20 max-w-xs">
         <div className="text-xs md:text-sm font-semibold text-slate-300">Interactive Ocean Map</div>
-        <div className="text-xs text-slate-400">Depth: {selectedDepth}m</div>
+        <div className="text-xs text-slate-400">Depth: {formatValue(selectedDepth, 'depth', unitPreferences, 0)}</div>
         <div className="text-xs text-slate-400 mt-1">
           {Object.entries(mapLayerVisibility)
             .filter(([key, value]) => value && layerDisplayNames[key])
@@ -1334,6 +1795,7 @@ const MapContainer = ({
           {mapLayerVisibility.salinity && <span className="text-emerald-300">🧂 Salinity </span>}
           {mapLayerVisibility.ssh && <span className="text-indigo-300">🌊 SSH </span>}
           {mapLayerVisibility.pressure && <span className="text-orange-300">⚖️ Pressure </span>}
+          {mapLayerVisibility.density && <span className="text-teal-300">🫧 Density (σθ) </span>}
           {mapLayerVisibility.windVelocity && <span className="text-yellow-300">💨 Wind Velocity </span>}
           {showGrid && <span className="text-blue-300">📋 Grid </span>}
           {mapStyle === 'arcgis-ocean' && <span className="text-indigo-300">🌊 Ocean Base </span>}
@@ -1342,16 +1804,97 @@ const MapContainer = ({
         {pauseParticleAnimations && <div className="text-xs text-red-300 mt-1">⏸️ Particles Paused</div>}
       </div>
 
-      <StationTooltip station={activeTooltip} />
+      <StationTooltip station={activeTooltip} unitPreferences={unitPreferences} />
       
-      <SelectedStationPanel station={selectedStation} data={rawData} onClose={() => { setSelectedStation(null); onStationSelect?.(null); }} />
+      <SelectedStationPanel station={selectedStation} data={rawData} unitPreferences={unitPreferences} onClose={() => { setSelectedStation(null); onStationSelect?.(null); }} />
+
+      <TransectPanel
+        line={transectLine}
+        rows={transectRows}
+        frameTime={frameTime}
+        unitPreferences={unitPreferences}
+        onClose={() => setTransectLine(null)}
+        onSendToChat={onTransectToChat}
+      />
+
+      {showDriftPanel && (
+        <DriftPanel
+          releases={driftReleases}
+          draftPolygon={driftDraftPolygon}
+          placementMode={driftPlacementMode}
+          onPlacementModeChange={(mode) => {
+            setDriftPlacementMode(mode);
+            setDriftDraftPolygon([]);
+          }}
+          onFinishPolygon={() => {
+            setDriftReleases(prev => [...prev, { id: `R${prev.length + 1}`, type: 'polygon', coordinates: driftDraftPolygon }]);
+            setDriftDraftPolygon([]);
+            setDriftPlacementMode(null);
+          }}
+          onClearReleases={() => {
+            setDriftReleases([]);
+            setDriftDraftPolygon([]);
+            setDriftResult(null);
+          }}
+          rows={rawData}
+          frameTime={frameTime}
+          selectedDepth={selectedDepth}
+          unitPreferences={unitPreferences}
+          result={driftResult}
+          onResult={setDriftResult}
+          onClose={() => {
+            setShowDriftPanel(false);
+            setDriftPlacementMode(null);
+          }}
+        />
+      )}
+
+      {showRoutePanel && (
+        <RoutePanel
+          start={routePoints.start}
+          end={routePoints.end}
+          placementMode={routePlacementMode}
+          onPlacementModeChange={setRoutePlacementMode}
+          onClearPoints={() => {
+            setRoutePoints({ start: null, end: null });
+            setRoutePlan(null);
+          }}
+          rows={rawData}
+          frameTime={frameTime}
+          selectedDepth={selectedDepth}
+          unitPreferences={unitPreferences}
+          plan={routePlan}
+          onPlan={setRoutePlan}
+          onClose={() => {
+            setShowRoutePanel(false);
+            setRoutePlacementMode(null);
+          }}
+        />
+      )}
+
+      {/* Stays mounted (hidden) while a mission runs so that it keeps advancing */}
+      {(showMissionPanel || missionActiveIndex !== -1) && (
+        <MissionPanel
+          waypoints={missionWaypoints}
+          onWaypointsChange={setMissionWaypoints}
+          isPlacing={isPlacingWaypoints}
+          onPlacingChange={setIsPlacingWaypoints}
+          onActiveIndexChange={setMissionActiveIndex}
+          unitPreferences={unitPreferences}
+          onClose={() => {
+            setShowMissionPanel(false);
+            setIsPlacingWaypoints(false);
+          }}
+          className={showMissionPanel ? '' : 'hidden'}
+        />
+      )}
 
       <div className="absolute top-2 md:top-2 left-2 md:left-4 bg-slate-800/80 px-2 md:px-3 py-1 md:py-2 rounded-lg z-20">
         <div className="text-xs text-slate-400">HoloOcean POV</div>
         <div className="text-xs md:text-sm font-mono text-cyan-300">({holoOceanPOV.x.toFixed(1)}, {holoOceanPOV.y.toFixed(1)})</div>
         <div className="mt-2">
           <label className="text-xs text-slate-400 block mb-1">
-            Depth: {holoOceanPOV.depth}m
+            Depth: {formatValue(holoOceanPOV.depth, 'depth', unitPreferences, 0)}
           </label>
           <input
             type="range"
@@ -1372,8 +1915,8 @@ const MapContainer = ({
             disabled={availableDepths.length === 0}
           />
           <div className="flex justify-between text-xs text-slate-500 mt-1">
-            <span>{availableDepths.length > 0 ? Math.min(...availableDepths) : 0}m</span>
-            <span>{availableDepths.length > 0 ? Math.max(...availableDepths) : 12}m</span>
+            <span>{formatValue(availableDepths.length > 0 ? Math.min(...availableDepths) : 0, 'depth', unitPreferences, 0)}</span>
+            <span>{formatValue(availableDepths.length > 0 ? Math.max(...availableDepths) : 12, 'depth', unitPreferences, 0)}</span>
           </div>
         </div>
       </div>
@@ -0,0 +1,224 @@
+import React, { useState } from 'react';
+import { X, Route, Download, Play, Send, AlertTriangle } from 'lucide-react';
+import {
+  DEFAULT_ROUTE_OPTIONS,
+  planRoutes,
+  routeTargets,
+  routesToGeoJSON
+} from '../../services/routeService';
+import holoOceanService from '../../services/holoOceanService';
+import {
+  DEFAULT_UNIT_PREFERENCES,
+  convertValue,
+  toCanonicalValue,
+  formatValue,
+  getUnitSymbol
+} from '../../services/unitService';
+
+const formatDuration = (seconds) => {
+  const minutes = Math.round(seconds / 60);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes} min`;
+};
+
+/**
+ * Route planner panel: start/end placed on the map, vessel settings, the comparison of the
+ * least-time, least-energy and straight-line routes, GeoJSON export and the HoloOcean waypoint push.
+ * The map owns the endpoints and draws the routes.
+ */
+const RoutePanel = ({
+  // [lon, lat] endpoints, or null until placed
+  start = null,
+  end = null,
+  // Map click mode: 'start', 'end' or null
+  placementMode = null,
+  onPlacementModeChange,
+  onClearPoints,
+  // Canonical rows (rawData) with every loaded time
+  rows = [],
+  frameTime = null,
+  selectedDepth = 0,
+  unitPreferences = DEFAULT_UNIT_PREFERENCES,
+  // planRoutes output drawn on the map, or null
+  plan = null,
+  onPlan,
+  onClose,
+  className = ""
+}) => {
+  // Vessel speed in the display speed unit
+  const [speedInput, setSpeedInput] = useState(() => Number(convertValue(DEFAULT_ROUTE_OPTIONS.speed, 'speed', unitPreferences).toFixed(1)));
+  const [fuelRate, setFuelRate] = useState(DEFAULT_ROUTE_OPTIONS.fuelRate);
+  const [isPlanning, setIsPlanning] = useState(false);
+  const [error, setError] = useState(null);
+  const [pushStatus, setPushStatus] = useState(null);
+
+  const handlePlan = () => {
+    setIsPlanning(true);
+    setError(null);
+    setPushStatus(null);
+    // Let the button show the planning state before the (synchronous) search starts
+    setTimeout(() => {
+      try {
+        onPlan?.(planRoutes(rows, start, end, {
+          speed: toCanonicalValue(Number(speedInput), 'speed', unitPreferences),
+          fuelRate: Number(fuelRate),
+          depth: selectedDepth,
+          departureTime: frameTime
+        }));
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setIsPlanning(false);
+      }
+    }, 0);
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([JSON.stringify(routesToGeoJSON(plan), null, 2)], { type: 'application/geo+json' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `routes_${plan.departureTime.slice(0, 16).replace(/[:T]/g, '-')}.geojson`;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+  };
+
+  const handlePush = async (route) => {
+    if (!holoOceanService.isConnected) {
+      setPushStatus({ ok: false, message: 'Connect to HoloOcean first' });
+      return;
+    }
+    const targets = routeTargets(route, plan.depth);
+    try {
+      // Waypoints go out in order, each timed at its planned ETA
+      for (const target of targets) {
+        await holoOceanService.setTarget(target.lat, target.lon, target.depth, target.time);
+      }
+      setPushStatus({ ok: true, message: `Sent ${targets.length} waypoint(s) of the ${route.label.toLowerCase()} route` });
+    } catch (err) {
+      setPushStatus({ ok: false, message: err.message });
+    }
+  };
+
+  const pointLabel = (point) => (point ? `${point[1].toFixed(4)}, ${point[0].toFixed(4)}` : 'not set');
+  const fastest = plan ? Math.min(...plan.routes.filter(route => route.feasible).map(route => route.duration)) : null;
+  const leanest = plan ? Math.min(...plan.routes.filter(route => route.feasible).map(route => route.fuel)) : null;
+
+  const input = "bg-slate-700 border border-slate-600 rounded px-1 py-0.5 text-xs text-white w-full";
+
+  return (
+    <div className={`absolute bottom-24 left-2 md:left-4 w-80 bg-slate-800/95 backdrop-blur-sm border border-sky-400/30 rounded-lg shadow-xl z-30 max-h-[70vh] overflow-y-auto ${className}`}>
+      <div className="flex items-center justify-between p-2 md:p-3 border-b border-slate-700">
+        <div className="flex items-center gap-2">
+          <Route className="w-4 h-4 text-sky-400" />
+          <div className="font-semibold text-sky-300 text-sm">Route Planner</div>
+        </div>
+        <button onClick={onClose} className="text-slate-400 hover:text-white p-1 rounded transition-colors" aria-label="Close route planner">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="p-2 md:p-3 space-y-3 text-xs text-slate-300">
+        {/* Endpoints */}
+        <div className="space-y-1">
+          {['start', 'end'].map(which => (
+            <div key={which} className="flex items-center gap-2">
+              <button
+                onClick={() => onPlacementModeChange?.(placementMode === which ? null : which)}
+                className={`w-20 px-2 py-1 rounded ${placementMode === which ? 'bg-sky-500 text-white' : 'bg-slate-700 hover:bg-slate-600'}`}
+              >
+                {placementMode === which ? 'Click map…' : which === 'start' ? 'Set Start' : 'Set End'}
+              </button>
+              <span className="font-mono text-slate-400">{pointLabel(which === 'start' ? start : end)}</span>
+            </div>
+          ))}
+          {(start || end) && (
+            <button onClick={onClearPoints} className="text-slate-500 hover:text-slate-300 underline">Clear points</button>
+          )}
+        </div>
+
+        {/* Vessel */}
+        <div className="grid grid-cols-2 gap-2">
+          <label className="flex flex-col gap-1">
+            Speed ({getUnitSymbol('speed', unitPreferences)})
+            <input type="number" min="0" step="0.1" value={speedInput} onChange={(e) => setSpeedInput(e.target.value)} className={input} />
+          </label>
+          <label className="flex flex-col gap-1" title="Fuel burned per hour at the cruise speed">
+            Fuel rate (per h)
+            <input type="number" min="0" step="1" value={fuelRate} onChange={(e) => setFuelRate(e.target.value)} className={input} />
+          </label>
+        </div>
+        <div className="text-slate-500">
+          Departs {frameTime ? `${frameTime.slice(0, 16).replace('T', ' ')} UTC (current frame)` : 'at the first loaded time'}, through the currents of that time at the loaded level nearest {formatValue(selectedDepth, 'depth', unitPreferences, 0)}.
+        </div>
+
+        {error && (
+          <div className="flex items-start gap-2 text-red-300 bg-red-900/30 border border-red-600/40 rounded p-2">
+            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            onClick={handlePlan}
+            disabled={isPlanning || !start || !end || rows.length === 0 || !(Number(speedInput) > 0)}
+            className="flex-1 flex items-center justify-center gap-1 px-2 py-1 bg-sky-600 hover:bg-sky-500 disabled:opacity-50 rounded text-white font-semibold"
+          >
+            <Play className="w-3 h-3" /> {isPlanning ? 'Planning…' : 'Plan Routes'}
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={!plan}
+            className="flex items-center gap-1 px-2 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded text-slate-200"
+          >
+            <Download className="w-3 h-3" /> GeoJSON
+          </button>
+        </div>
+
+        {/* Comparison */}
+        {plan && (
+          <div className="space-y-2">
+            {plan.routes.map(route => (
+              <div key={route.kind} className="bg-slate-700/30 rounded p-2 space-y-0.5">
+                <div className="flex items-center justify-between">
+                  <span className="font-semibold text-slate-200">{route.label}</span>
+                  {route.feasible && (
+                    <button
+                      onClick={() => handlePush(route)}
+                      className="flex items-center gap-1 text-cyan-300 hover:text-cyan-100"
+                      title="Send the waypoints to HoloOcean as timed targets"
+                    >
+                      <Send className="w-3 h-3" /> HoloOcean
+                    </button>
+                  )}
+                </div>
+                {route.feasible ? (
+                  <>
+                    <div>
+                      {formatValue(route.distance, 'distance', unitPreferences, 1)} ·{' '}
+                      <span className={route.duration === fastest ? 'text-sky-300' : ''}>{formatDuration(route.duration)}</span> ·{' '}
+                      <span className={route.fuel === leanest ? 'text-green-300' : ''}>{route.fuel.toFixed(1)} fuel</span>
+                    </div>
+                    <div className="text-slate-500">ETA {route.eta.slice(0, 16).replace('T', ' ')} UTC · {route.waypoints.length} waypoints</div>
+                  </>
+                ) : (
+                  <div className="text-amber-300">{route.reason}</div>
+                )}
+              </div>
+            ))}
+            <div className="text-slate-500">
+              Currents of {plan.currentsTime.slice(0, 16).replace('T', ' ')} UTC are held for the whole passage; tidal currents turn within hours, so the times of long passages are estimates.
+            </div>
+            {pushStatus && (
+              <div className={pushStatus.ok ? 'text-green-300' : 'text-red-300'}>{pushStatus.message}</div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RoutePanel;
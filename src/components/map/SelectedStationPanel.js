@@ -17,6 +17,14 @@ import {
   Calendar
 } from 'lucide-react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import {
+  DEFAULT_UNIT_PREFERENCES,
+  convertValue,
+  getUnitSymbol,
+  withUnitLabel,
+  formatValue
+} from '../../services/unitService';
+import TideAnalysisTab from './TideAnalysisTab';
 
 const SelectedStationPanel = ({
   station,
@@ -26,6 +34,7 @@ const SelectedStationPanel = ({
   onAddChatMessage,
   showCharts = true,
   showDataExport = true,
+  unitPreferences = DEFAULT_UNIT_PREFERENCES,
   className = ""
 }) => {
   const [activeTab, setActiveTab] = useState('overview');
@@ -43,7 +52,7 @@ const SelectedStationPanel = ({
     });
   }, [station, data]);
 
-  // Process data for charts
+  // Process data for charts (in the selected display units)
   const chartData = useMemo(() => {
     if (!stationData.length) return [];
     
@@ -57,14 +66,14 @@ const SelectedStationPanel = ({
           minute: '2-digit' 
         }),
         timestamp: new Date(row.time),
-        currentSpeed: row.speed || 0,
-        temperature: row.temp || null,
+        currentSpeed: convertValue(row.speed || 0, 'speed', unitPreferences),
+        temperature: row.temp ? convertValue(row.temp, 'temp', unitPreferences) : null,
         salinity: row.salinity || null,
-        ssh: row.ssh || 0,
-        pressure: row.pressure_dbars || null,
-        windSpeed: row.windspeed || 0
+        ssh: convertValue(row.ssh || 0, 'ssh', unitPreferences),
+        pressure: row.pressure_dbars ? convertValue(row.pressure_dbars, 'pressure_dbars', unitPreferences) : null,
+        windSpeed: convertValue(row.windspeed || 0, 'speed', unitPreferences)
       }));
-  }, [stationData]);
+  }, [stationData, unitPreferences]);
 
   // Get station statistics
   const stationStats = useMemo(() => {
@@ -150,13 +159,13 @@ const SelectedStationPanel = ({
       
       const conditions = [];
       if (stats.avgTemperature !== null) {
-        conditions.push(`average temperature: ${stats.avgTemperature.toFixed(2)}°F`);
+        conditions.push(`average temperature: ${formatValue(stats.avgTemperature, 'temp', unitPreferences, 2)}`);
       }
       if (stats.avgCurrentSpeed !== null) {
-        conditions.push(`average current speed: ${stats.avgCurrentSpeed.toFixed(3)} m/s`);
+        conditions.push(`average current speed: ${formatValue(stats.avgCurrentSpeed, 'speed', unitPreferences, 3)}`);
       }
       if (stats.maxSurfaceElevation !== null) {
-        conditions.push(`max surface elevation (SSH): ${stats.maxSurfaceElevation.toFixed(2)} m`);
+        conditions.push(`max surface elevation (SSH): ${formatValue(stats.maxSurfaceElevation, 'ssh', unitPreferences, 2)}`);
       }
       
       if (conditions.length > 0) {
@@ -171,21 +180,29 @@ const SelectedStationPanel = ({
     return message;
   };
 
-  // Export station data
+  // Export station data in the selected display units
   const handleExport = () => {
     if (!stationData.length) return;
-    
+
+    const exportValue = (value, variable) => (value ? convertValue(value, variable, unitPreferences) : '');
     const csvContent = [
-      ['timestamp', 'latitude', 'longitude', 'temperature', 'current_speed', 'ssh', 'salinity', 'pressure'],
+      [
+        'timestamp', 'latitude', 'longitude',
+        withUnitLabel('temperature', 'temp', unitPreferences),
+        withUnitLabel('current_speed', 'speed', unitPreferences),
+        withUnitLabel('ssh', 'ssh', unitPreferences),
+        withUnitLabel('salinity', 'salinity', unitPreferences),
+        withUnitLabel('pressure', 'pressure_dbars', unitPreferences)
+      ],
       ...stationData.map(row => [
         row.time,
         row.lat,
         row.lon,
-        row.temp || '',
-        row.speed || '',
-        row.ssh || '',
-        row.salinity || '',
-        row.pressure_dbars || ''
+        exportValue(row.temp, 'temp'),
+        exportValue(row.speed, 'speed'),
+        exportValue(row.ssh, 'ssh'),
+        exportValue(row.salinity, 'salinity'),
+        exportValue(row.pressure_dbars, 'pressure_dbars')
       ])
     ].map(row => row.join(',')).join('\n');
     
@@ -206,6 +223,7 @@ const SelectedStationPanel = ({
     switch (type?.toLowerCase()) {
       case 'usm': return 'text-blue-400 bg-blue-400/10';
       case 'ndbc': return 'text-yellow-400 bg-yellow-400/10';
+      case 'coops': return 'text-amber-400 bg-amber-400/10';
       case 'api_station': return 'text-green-400 bg-green-400/10';
       default: return 'text-slate-400 bg-slate-400/10';
     }
@@ -225,7 +243,9 @@ const SelectedStationPanel = ({
             <div className="w-1.s h-1.5 rounded-full bg-current"></div>
             {station.type === 'api_station' ? 'Data Station' : 
              station.type === 'usm' ? 'USM Station' : 
-             station.type === 'ndbc' ? 'NDBC Buoy' : 'Station'}
+             station.type === 'ndbc' ? 'NDBC Buoy' :
+             station.type === 'coops' ? 'CO-OPS Station' :
+             station.type === 'probe' ? 'Probed Point' : 'Station'}
           </div>
         </div>
         <button
@@ -248,6 +268,16 @@ const SelectedStationPanel = ({
         >
           Overview
         </button>
+        <button
+          onClick={() => setActiveTab('tides')}
+          className={`flex-1 px-3 py-2 text-xs md:text-sm font-medium transition-colors ${
+            activeTab === 'tides' 
+              ? 'text-blue-300 border-b-2 border-blue-400 bg-blue-400/5' 
+              : 'text-slate-400 hover:text-slate-300'
+          }`}
+        >
+          Tides
+        </button>
         {/* {chartData.length > 0 && showCharts && (
           <button
             onClick={() => setActiveTab('charts')}
@@ -317,7 +347,7 @@ const SelectedStationPanel = ({
                       <Thermometer className="w-3 h-3 text-red-400" />
                       <div>
                         <div className="text-slate-400">Temperature</div>
-                        <div className="text-slate-200">{stationStats.avgTemperature.toFixed(1)}°F</div>
+                        <div className="text-slate-200">{formatValue(stationStats.avgTemperature, 'temp', unitPreferences, 1)}</div>
                       </div>
                     </div>
                   )}
@@ -326,7 +356,7 @@ const SelectedStationPanel = ({
                       <Navigation className="w-3 h-3 text-cyan-400" />
                       <div>
                         <div className="text-slate-400">Current</div>
-                        <div className="text-slate-200">{stationStats.avgCurrentSpeed.toFixed(2)} m/s</div>
+                        <div className="text-slate-200">{formatValue(stationStats.avgCurrentSpeed, 'speed', unitPreferences, 2)}</div>
                       </div>
                     </div>
                   )}
@@ -335,7 +365,7 @@ const SelectedStationPanel = ({
                       <Waves className="w-3 h-3 text-blue-400" />
                       <div>
                         <div className="text-slate-400">Max SSH</div>
-                        <div className="text-slate-200">{stationStats.maxSurfaceElevation.toFixed(2)} m</div>
+                        <div className="text-slate-200">{formatValue(stationStats.maxSurfaceElevation, 'ssh', unitPreferences, 2)}</div>
                       </div>
                     </div>
                   )}
@@ -383,12 +413,16 @@ const SelectedStationPanel = ({
           </div>
         )}
 
+        {activeTab === 'tides' && (
+          <TideAnalysisTab station={station} rows={data} unitPreferences={unitPreferences} />
+        )}
+
         {activeTab === 'charts' && chartData.length > 0 && (
           <div className="space-y-4">
             
             {/* Current Speed Chart */}
             <div className="bg-slate-700/30 p-3 rounded">
-              <div className="text-xs text-slate-400 mb-2">Current Speed (m/s)</div>
+              <div className="text-xs text-slate-400 mb-2">{withUnitLabel('Current Speed', 'speed', unitPreferences)}</div>
               <ResponsiveContainer width="100%" height={120}>
                 <LineChart data={chartData.slice(-24)}>
                   <XAxis dataKey="time" tick={false} />
@@ -408,7 +442,7 @@ const SelectedStationPanel = ({
                       borderRadius: '6px',
                       fontSize: '12px'
                     }}
-                    formatter={(value) => [`${value.toFixed(3)} m/s`, 'Speed']}
+                    formatter={(value) => [`${value.toFixed(3)} ${getUnitSymbol('speed', unitPreferences)}`, 'Speed']}
                   />
                 </LineChart>
               </ResponsiveContainer>
@@ -417,7 +451,7 @@ const SelectedStationPanel = ({
             {/* Temperature Chart */}
             {chartData.some(d => d.temperature !== null) && (
               <div className="bg-slate-700/30 p-3 rounded">
-                <div className="text-xs text-slate-400 mb-2">Temperature (°F)</div>
+                <div className="text-xs text-slate-400 mb-2">{withUnitLabel('Temperature', 'temp', unitPreferences)}</div>
                 <ResponsiveContainer width="100%" height={120}>
                   <LineChart data={chartData.slice(-24)}>
                     <XAxis dataKey="time" tick={false} />
@@ -437,7 +471,7 @@ const SelectedStationPanel = ({
                         borderRadius: '6px',
                         fontSize: '12px'
                       }}
-                      formatter={(value) => [`${value?.toFixed(2)}°F`, 'Temperature']}
+                      formatter={(value) => [`${value?.toFixed(2)}${getUnitSymbol('temp', unitPreferences)}`, 'Temperature']}
                     />
                   </LineChart>
                 </ResponsiveContainer>
@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { MapPin, Database, Clock, Activity, Waves, Thermometer, Map } from 'lucide-react';
+import { DEFAULT_UNIT_PREFERENCES, formatValue } from '../../services/unitService';
 
 const StationTooltip = ({ 
   station, 
@@ -7,6 +8,7 @@ const StationTooltip = ({
   showDataPreview = false,
   timeSeriesData = [],
   currentFrame = 0,
+  unitPreferences = DEFAULT_UNIT_PREFERENCES,
   className = ""
 }) => {
   const [isVisible, setIsVisible] = useState(false);
@@ -52,6 +54,12 @@ const StationTooltip = ({
           bgColor: 'bg-yellow-400/10',
           label: 'NDBC Buoy'
         };
+      case 'coops':
+        return {
+          color: 'text-amber-400',
+          bgColor: 'bg-amber-400/10',
+          label: 'CO-OPS Station'
+        };
       case 'api_station':
         return {
           color: 'text-green-400',
@@ -235,7 +243,7 @@ const StationTooltip = ({
                 return (
                   <div key={index} className="flex justify-between items-center">
                     <span>{parts[0]}</span>
-                    {parts.length > 1 && <span className="font-mono font-semibold">{parts[1].trim()}</span>}
+                    {parts.length > 1 && <span className="font-mono font-semibold">{parts.slice(1).join(':').trim()}</span>}
                   </div>
                 );
               })}
@@ -328,7 +336,7 @@ const StationTooltip = ({
                   <Waves className="w-3 h-3 text-cyan-400" />
                   <div>
                     <div className="text-slate-400">Current</div>
-                    <div className="text-slate-200">{currentData.currentSpeed} m/s</div>
+                    <div className="text-slate-200">{formatValue(currentData.currentSpeed, 'currentSpeed', unitPreferences, 3)}</div>
                   </div>
                 </div>
               )}
@@ -337,7 +345,7 @@ const StationTooltip = ({
                   <Thermometer className="w-3 h-3 text-red-400" />
                   <div>
                     <div className="text-slate-400">Temp</div>
-                    <div className="text-slate-200">{currentData.temperature}°F</div>
+                    <div className="text-slate-200">{formatValue(currentData.temperature, 'temperature', unitPreferences, 1)}</div>
                   </div>
                 </div>
               )}
@@ -346,7 +354,7 @@ const StationTooltip = ({
                   <Waves className="w-3 h-3 text-blue-400" />
                   <div>
                     <div className="text-slate-400">Wave</div>
-                    <div className="text-slate-200">{currentData.waveHeight} m</div>
+                    <div className="text-slate-200">{formatValue(currentData.waveHeight, 'waveHeight', unitPreferences, 2)}</div>
                   </div>
                 </div>
               )}
@@ -355,7 +363,7 @@ const StationTooltip = ({
                   <div className="w-3 h-3 bg-green-400 rounded-full"></div>
                   <div>
                     <div className="text-slate-400">Salinity</div>
-                    <div className="text-slate-200">{currentData.salinity} PSU</div>
+                    <div className="text-slate-200">{formatValue(currentData.salinity, 'salinity', unitPreferences, 2)}</div>
                   </div>
                 </div>
               )}
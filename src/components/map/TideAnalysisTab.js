@@ -0,0 +1,200 @@
+import React, { useState, useMemo } from 'react';
+import { Download, AlertTriangle } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import {
+  analyzeTides,
+  predictTides,
+  buildPredictionTimes,
+  extractSshSeries,
+  tidesToCsv
+} from '../../services/tidalService';
+import { DEFAULT_UNIT_PREFERENCES, convertValue, formatValue, withUnitLabel } from '../../services/unitService';
+
+const PREDICTION_OPTIONS = [
+  { hours: 24, label: '24 h' },
+  { hours: 72, label: '3 days' },
+  { hours: 168, label: '7 days' }
+];
+
+// Points drawn on the chart; longer records are thinned
+const MAX_CHART_POINTS = 400;
+
+const formatChartTime = (time) => new Date(time).toLocaleString('en-US', {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'UTC'
+});
+
+/**
+ * Tides tab of the station panel: harmonic analysis of the station's SSH series (observed water
+ * levels for observation stations, model SSH interpolated to the point otherwise), with the
+ * constituents, the detided residual and a prediction past the end of the record.
+ */
+const TideAnalysisTab = ({
+  // Station or probed point: { name, coordinates: [lon, lat], rows? (observation rows) }
+  station,
+  // Model rows (rawData), used when the station has no observed water levels
+  rows = [],
+  unitPreferences = DEFAULT_UNIT_PREFERENCES
+}) => {
+  const [predictionHours, setPredictionHours] = useState(72);
+
+  const source = useMemo(() => {
+    const observed = (station.rows || []).filter(row => row.ssh !== null && row.ssh !== undefined);
+    if (observed.length > 0) {
+      return {
+        label: `Observed water level${observed[0].datum ? ` (${observed[0].datum})` : ''}`,
+        series: observed.map(row => ({ time: row.time, value: row.ssh }))
+      };
+    }
+    return {
+      label: 'Model SSH interpolated to this point',
+      series: extractSshSeries(rows, station.coordinates[0], station.coordinates[1])
+    };
+  }, [station, rows]);
+
+  const { analysis, error } = useMemo(() => {
+    try {
+      return { analysis: analyzeTides(source.series), error: null };
+    } catch (err) {
+      return { analysis: null, error: err.message };
+    }
+  }, [source]);
+
+  const prediction = useMemo(() => {
+    if (!analysis) return [];
+    const last = analysis.residuals[analysis.residuals.length - 1].time;
+    return predictTides(analysis, buildPredictionTimes(last, predictionHours));
+  }, [analysis, predictionHours]);
+
+  const chartData = useMemo(() => {
+    if (!analysis) return [];
+    const all = [
+      ...analysis.residuals.map(point => ({
+        time: point.time,
+        observed: convertValue(point.observed, 'ssh', unitPreferences),
+        tide: convertValue(point.tide, 'ssh', unitPreferences),
+        residual: convertValue(point.residual, 'ssh', unitPreferences)
+      })),
+      ...prediction.map(point => ({ time: point.time, prediction: convertValue(point.tide, 'ssh', unitPreferences) }))
+    ];
+    const step = Math.ceil(all.length / MAX_CHART_POINTS);
+    return all.filter((_, i) => i % step === 0).map(point => ({ ...point, label: formatChartTime(point.time) }));
+  }, [analysis, prediction, unitPreferences]);
+
+  const handleExport = () => {
+    const blob = new Blob([tidesToCsv(analysis, prediction, unitPreferences)], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${station.name.replace(/\s+/g, '_')}_tides.csv`;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+  };
+
+  if (error) {
+    return (
+      <div className="space-y-2 text-xs">
+        <div className="text-slate-400">{source.label}: {source.series.length} values</div>
+        <div className="flex items-start gap-2 text-amber-300 bg-amber-900/20 border border-amber-600/30 rounded p-2">
+          <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3 text-xs">
+      <div className="text-slate-400">
+        {source.label}: {analysis.residuals.length} values over {(analysis.recordHours / 24).toFixed(1)} days
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        <div className="bg-slate-700/30 p-2 rounded">
+          <div className="text-slate-400">Mean</div>
+          <div className="text-slate-200 font-mono">{formatValue(analysis.mean, 'ssh', unitPreferences, 3)}</div>
+        </div>
+        <div className="bg-slate-700/30 p-2 rounded">
+          <div className="text-slate-400">Residual RMS</div>
+          <div className="text-slate-200 font-mono">{formatValue(analysis.residualRms, 'ssh', unitPreferences, 3)}</div>
+        </div>
+        <div className="bg-slate-700/30 p-2 rounded">
+          <div className="text-slate-400">Tide Variance</div>
+          <div className="text-slate-200 font-mono">
+            {analysis.varianceExplained === null ? '—' : `${(analysis.varianceExplained * 100).toFixed(1)}%`}
+          </div>
+        </div>
+      </div>
+
+      <table className="w-full text-slate-300">
+        <thead>
+          <tr className="text-slate-400 text-left">
+            <th className="py-1 font-normal">Constituent</th>
+            <th className="py-1 font-normal text-right">{withUnitLabel('Amplitude', 'ssh', unitPreferences)}</th>
+            <th className="py-1 font-normal text-right">Phase (°)</th>
+            <th className="py-1 font-normal text-right">Period (h)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {analysis.constituents.map(constituent => (
+            <tr key={constituent.name} title={constituent.description}>
+              <td className="py-0.5 font-semibold">{constituent.name}</td>
+              <td className="py-0.5 text-right font-mono">{convertValue(constituent.amplitude, 'ssh', unitPreferences).toFixed(3)}</td>
+              <td className="py-0.5 text-right font-mono">{constituent.phase.toFixed(1)}</td>
+              <td className="py-0.5 text-right font-mono">{constituent.period.toFixed(2)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="text-slate-500">
+        Phases are relative to {formatChartTime(analysis.reference)} UTC.
+        {analysis.skipped.length > 0 && ` Record too short to separate ${analysis.skipped.join(', ')}.`}
+      </div>
+
+      <div className="bg-slate-700/30 p-2 rounded">
+        <div className="flex items-center justify-between mb-1">
+          <span className="text-slate-400">{withUnitLabel('Water level', 'ssh', unitPreferences)}</span>
+          <select
+            value={predictionHours}
+            onChange={(e) => setPredictionHours(Number(e.target.value))}
+            className="bg-slate-700 border border-slate-600 rounded px-1 py-0.5 text-xs text-white"
+            aria-label="Prediction length"
+          >
+            {PREDICTION_OPTIONS.map(option => <option key={option.hours} value={option.hours}>Predict {option.label}</option>)}
+          </select>
+        </div>
+        <ResponsiveContainer width="100%" height={160}>
+          <LineChart data={chartData}>
+            <XAxis dataKey="label" tick={false} />
+            <YAxis tick={{ fill: '#94a3b8', fontSize: 10 }} width={35} />
+            <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+            <Line type="monotone" dataKey="observed" name="Observed" stroke="#94a3b8" strokeWidth={1} dot={false} connectNulls={false} />
+            <Line type="monotone" dataKey="tide" name="Tide" stroke="#22d3ee" strokeWidth={2} dot={false} />
+            <Line type="monotone" dataKey="residual" name="Residual" stroke="#f472b6" strokeWidth={1} dot={false} />
+            <Line type="monotone" dataKey="prediction" name="Prediction" stroke="#facc15" strokeWidth={2} strokeDasharray="4 3" dot={false} />
+            <Tooltip
+              contentStyle={{
+                backgroundColor: '#1f2937',
+                border: '1px solid #374151',
+                borderRadius: '6px',
+                fontSize: '12px'
+              }}
+              formatter={(value, name) => [Number(value).toFixed(3), name]}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <button
+        onClick={handleExport}
+        className="w-full bg-slate-600 hover:bg-slate-500 px-3 py-1.5 rounded font-medium transition-colors flex items-center justify-center gap-2"
+      >
+        <Download className="w-3 h-3" />
+        Residual & Prediction CSV
+      </button>
+    </div>
+  );
+};
+
+export default TideAnalysisTab;
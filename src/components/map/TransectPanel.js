@@ -0,0 +1,189 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { X, Ruler, Download, Image as ImageIcon, MessageCircle } from 'lucide-react';
+import {
+  TRANSECT_VARIABLES,
+  buildTransect,
+  getTransectRange,
+  transectToCsv,
+  summarizeTransect
+} from '../../services/transectService';
+import { DEFAULT_UNIT_PREFERENCES, convertValue, withUnitLabel } from '../../services/unitService';
+
+const PLOT_WIDTH = 420;
+const PLOT_HEIGHT = 220;
+const PLOT_MARGIN = { top: 10, right: 12, bottom: 30, left: 44 };
+
+// Section colour ramp, low to high
+const SECTION_COLORS = [
+  [49, 54, 149], [69, 117, 180], [116, 173, 209], [171, 217, 233],
+  [254, 224, 144], [253, 174, 97], [244, 109, 67], [215, 48, 39]
+];
+
+const sectionColor = (t) => {
+  const scaled = Math.min(Math.max(t, 0), 1) * (SECTION_COLORS.length - 1);
+  const i = Math.min(Math.floor(scaled), SECTION_COLORS.length - 2);
+  const f = scaled - i;
+  const [a, b] = [SECTION_COLORS[i], SECTION_COLORS[i + 1]];
+  return `rgb(${a.map((c, k) => Math.round(c + (b[k] - c) * f)).join(',')})`;
+};
+
+/**
+ * Draws a section as distance-vs-depth cells, depth increasing downward.
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {object} transect - buildTransect output
+ * @param {string} variable - TRANSECT_VARIABLES key
+ * @param {object} unitPreferences - Unit id per quantity
+ */
+const drawSection = (canvas, transect, variable, unitPreferences) => {
+  const ctx = canvas.getContext('2d');
+  const { top, right, bottom, left } = PLOT_MARGIN;
+  const width = PLOT_WIDTH - left - right;
+  const height = PLOT_HEIGHT - top - bottom;
+  ctx.fillStyle = '#0f172a';
+  ctx.fillRect(0, 0, PLOT_WIDTH, PLOT_HEIGHT);
+
+  const { depths, points, values } = transect;
+  const range = getTransectRange(transect, variable);
+  if (range && depths.length > 0) {
+    const span = range.max - range.min || 1;
+    const cellWidth = width / points.length;
+    const cellHeight = height / depths.length;
+    depths.forEach((_, depthIndex) => {
+      values[variable][depthIndex].forEach((value, pointIndex) => {
+        if (value === null) return;
+        ctx.fillStyle = sectionColor((value - range.min) / span);
+        ctx.fillRect(left + pointIndex * cellWidth, top + depthIndex * cellHeight, Math.ceil(cellWidth), Math.ceil(cellHeight));
+      });
+    });
+  }
+
+  // Axes: distance along the bottom, depth levels down the left
+  ctx.strokeStyle = '#64748b';
+  ctx.strokeRect(left, top, width, height);
+  ctx.fillStyle = '#94a3b8';
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'center';
+  [0, 0.5, 1].forEach(t => {
+    const distance = convertValue(transect.length * t, 'distance', unitPreferences);
+    ctx.fillText(distance.toFixed(1), left + width * t, top + height + 12);
+  });
+  ctx.fillText(withUnitLabel('Distance', 'distance', unitPreferences), left + width / 2, PLOT_HEIGHT - 4);
+  ctx.textAlign = 'right';
+  const labelEvery = Math.max(1, Math.ceil(depths.length / 8));
+  depths.forEach((depth, depthIndex) => {
+    if (depthIndex % labelEvery !== 0) return;
+    const y = top + (depthIndex + 0.5) * (height / depths.length);
+    ctx.fillText(convertValue(depth, 'depth', unitPreferences).toFixed(0), left - 4, y + 3);
+  });
+  ctx.save();
+  ctx.translate(10, top + height / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.textAlign = 'center';
+  ctx.fillText(withUnitLabel('Depth', 'depth', unitPreferences), 0, 0);
+  ctx.restore();
+};
+
+const downloadFile = (href, filename) => {
+  const a = document.createElement('a');
+  a.href = href;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+};
+
+const TransectPanel = ({
+  // { start: [lon, lat], end: [lon, lat] } drawn on the map
+  line,
+  // Rows of the current frame at every depth level
+  rows = [],
+  frameTime = null,
+  unitPreferences = DEFAULT_UNIT_PREFERENCES,
+  onClose,
+  onSendToChat,
+  className = ""
+}) => {
+  const [variable, setVariable] = useState('temp');
+  const [sentAt, setSentAt] = useState(null);
+  const canvasRef = useRef(null);
+
+  // Rebuilt as the frame changes, so the section animates with playback
+  const transect = useMemo(() => (
+    line ? buildTransect(rows, line.start, line.end) : null
+  ), [line, rows]);
+
+  const range = transect ? getTransectRange(transect, variable) : null;
+
+  useEffect(() => {
+    if (canvasRef.current && transect) drawSection(canvasRef.current, transect, variable, unitPreferences);
+  }, [transect, variable, unitPreferences]);
+
+  if (!line || !transect) return null;
+
+  const handleCsvExport = () => {
+    const blob = new Blob([transectToCsv(transect, unitPreferences)], { type: 'text/csv' });
+    const url = window.URL.createObjectURL(blob);
+    downloadFile(url, `transect_${frameTime ? frameTime.replace(/[:.]/g, '-') : 'section'}.csv`);
+    window.URL.revokeObjectURL(url);
+  };
+
+  const handlePngExport = () => {
+    if (!canvasRef.current) return;
+    downloadFile(canvasRef.current.toDataURL('image/png'), `transect_${variable}.png`);
+  };
+
+  const handleSendToChat = () => {
+    onSendToChat?.(summarizeTransect(transect, variable, unitPreferences, frameTime));
+    setSentAt(frameTime);
+  };
+
+  const formatRangeValue = (value) => convertValue(value, variable, unitPreferences).toFixed(2);
+
+  return (
+    <div className={`absolute bottom-24 right-2 md:right-4 bg-slate-800/95 backdrop-blur-sm border border-blue-400/30 rounded-lg shadow-xl z-30 ${className}`}>
+      <div className="flex items-center justify-between p-2 md:p-3 border-b border-slate-700">
+        <div className="flex items-center gap-2">
+          <Ruler className="w-4 h-4 text-blue-400" />
+          <div className="font-semibold text-blue-300 text-sm">Vertical Section</div>
+          <select value={variable} onChange={(e) => setVariable(e.target.value)} className="bg-slate-700 border border-slate-600 rounded px-1 py-0.5 text-xs text-white">
+            {Object.entries(TRANSECT_VARIABLES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <button onClick={onClose} className="text-slate-400 hover:text-white p-1 rounded transition-colors">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="p-2 md:p-3">
+        <canvas ref={canvasRef} width={PLOT_WIDTH} height={PLOT_HEIGHT} className="rounded max-w-full" />
+        <div className="flex items-center justify-between mt-2 text-xs text-slate-400">
+          <span>
+            {range
+              ? `${withUnitLabel(TRANSECT_VARIABLES[variable].label, variable, unitPreferences)}: ${formatRangeValue(range.min)} – ${formatRangeValue(range.max)}`
+              : 'No data along this line'}
+          </span>
+          {frameTime && <span className="text-green-300">{new Date(frameTime).toLocaleString()}</span>}
+        </div>
+        <div className="h-2 mt-1 rounded" style={{ background: `linear-gradient(to right, ${SECTION_COLORS.map(c => `rgb(${c.join(',')})`).join(',')})` }} />
+
+        <div className="flex gap-2 mt-3">
+          <button onClick={handleCsvExport} className="flex items-center gap-1 px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs text-slate-200">
+            <Download className="w-3 h-3" /> CSV
+          </button>
+          <button onClick={handlePngExport} className="flex items-center gap-1 px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs text-slate-200">
+            <ImageIcon className="w-3 h-3" /> PNG
+          </button>
+          {onSendToChat && (
+            <button onClick={handleSendToChat} disabled={!range} className="flex items-center gap-1 px-2 py-1 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 rounded text-xs text-white">
+              <MessageCircle className="w-3 h-3" /> {sentAt === frameTime && sentAt !== null ? 'Sent to Chat' : 'Send to Chat'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TransectPanel;
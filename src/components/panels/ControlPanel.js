@@ -31,8 +31,30 @@ import {
   Droplets,
   BarChart2,
   Compass,
+  Upload,
+  Download,
+  FileText,
+  ShieldCheck,
+  Radio,
 } from 'lucide-react';
 import { useOcean } from '../../contexts/OceanDataContext';
+import {
+  DEFAULT_UNIT_PREFERENCES,
+  convertValue,
+  toCanonicalValue,
+  withUnitLabel,
+  formatValue
+} from '../../services/unitService';
+import { DEFAULT_MODEL_ID } from '../../services/modelAdapterService';
+import { parseImportFile } from '../../services/fileImportService';
+import DataImportDialog from './DataImportDialog';
+import DataExportDialog from './DataExportDialog';
+import ObservationPanel from './ObservationPanel';
+
+// Depth range input value in the selected depth unit
+const toDepthInput = (depth, unitPreferences) => (
+  depth === null || depth === undefined ? '' : Number(convertValue(depth, 'depth', unitPreferences).toFixed(2))
+);
 
 // Configuration for all map layer toggles
 const allMapLayers = [
@@ -41,7 +63,9 @@ const allMapLayers = [
     { key: 'ssh', label: 'Sea Surface Elevation', icon: BarChart2, color: 'indigo' },
     { key: 'salinity', label: 'Salinity', icon: Droplets, color: 'emerald' },
     { key: 'pressure', label: 'Pressure', icon: Gauge, color: 'orange' },
+    { key: 'density', label: 'Density (σθ)', icon: Layers, color: 'teal' },
     { key: 'windVelocity', label: 'Wind Velocity', icon: Zap, color: 'red' },
+    { key: 'observations', label: 'Observation Stations', icon: Radio, color: 'amber' },
 ];
 
 // Helper to map layer colors to Tailwind CSS classes
@@ -51,6 +75,8 @@ const layerColorClasses = {
     indigo: 'text-indigo-400',
     emerald: 'text-emerald-400',
     orange: 'text-orange-400',
+    teal: 'text-teal-400',
+    amber: 'text-amber-400',
 };
 
 // Helper to map layer colors to button background classes
@@ -60,6 +86,8 @@ const layerButtonClasses = {
     indigo: 'bg-indigo-600 text-white',
     emerald: 'bg-emerald-600 text-white',
     orange: 'bg-orange-600 text-white',
+    teal: 'bg-teal-600 text-white',
+    amber: 'bg-amber-600 text-white',
 };
 
 
@@ -67,12 +95,14 @@ const ControlPanel = ({
   // Current state values
   isLoading = false,
   selectedArea = '',
-  selectedModel = 'NGOFS2',
+  selectedModel = DEFAULT_MODEL_ID,
   selectedDepth = 0,
   startDate,
   endDate,
   timeZone = 'UTC',
   currentFrame = 0,
+  // Time at the (possibly interpolated) frame position, ISO string
+  frameTime = null,
   playbackSpeed = 10,
   loopMode = 'Repeat',
   holoOceanPOV = { x: 0, y: 0, depth: 0 },
@@ -88,16 +118,39 @@ const ControlPanel = ({
   currentsColorBy = 'speed',
 
   // Data for dropdowns
+  availableAreas = [],
   availableModels = [],
+  modelAdapters = [],
   availableDepths = [],
   totalFrames = 24,
   data = [],
   dataLoaded = false,
+  depthRange = null,
+  importedFile = null,
+  dataSource = null,
+  // Model time steps (epoch ms) and the loaded extent, for the export dialog
+  timeAxis = [],
+  loadedExtent = null,
+  qcMode = 'highlight',
+  qcSummary = null,
+  unitPreferences = DEFAULT_UNIT_PREFERENCES,
+  // Loaded NDBC / CO-OPS observation datasets and stations known from the observation config
+  observations = [],
+  knownObservationStations = [],
+  isLoadingObservations = false,
+  observationError = null,
 
   // Callbacks
   onAreaChange,
   onModelChange,
   onDepthChange,
+  onDepthRangeChange,
+  onImportData,
+  onQcModeChange,
+  onClearImport,
+  onAddObservationFile,
+  onAddObservationUrl,
+  onRemoveObservation,
   onDateRangeChange,
   onTimeZoneChange,
   onSpeedChange,
@@ -123,11 +176,30 @@ const ControlPanel = ({
   const [isCalendarOpen, setCalendarOpen] = useState(false);
   const [errors, setErrors] = useState({});
   const [showLayerControls, setShowLayerControls] = useState(true);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const [isParsingImport, setIsParsingImport] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [showExportDialog, setShowExportDialog] = useState(false);
   const [showLayerToggles, setShowLayerToggles] = useState(false);
   
   // Local state for the date picker to ensure state update and query trigger are coupled
   const [dateRangeValue, setDateRangeValue] = useState([startDate, endDate]);
 
+  // Local state for the server-side depth range filter, applied explicitly and entered in
+  // the selected depth unit
+  const [depthRangeInput, setDepthRangeInput] = useState({
+    min: toDepthInput(depthRange?.min, unitPreferences),
+    max: toDepthInput(depthRange?.max, unitPreferences)
+  });
+
+  // Re-show the applied range when it or the display units change
+  useEffect(() => {
+    setDepthRangeInput({
+      min: toDepthInput(depthRange?.min, unitPreferences),
+      max: toDepthInput(depthRange?.max, unitPreferences)
+    });
+  }, [depthRange, unitPreferences]);
+
   // Effect to sync local state if parent props change
   useEffect(() => {
     setDateRangeValue([startDate, endDate]);
@@ -135,12 +207,10 @@ const ControlPanel = ({
 
 
   // Available options
-  const areaOptions = [
+  const areaOptions = useMemo(() => [
     { value: '', label: 'Select Area' },
-    { value: 'USM', label: 'USM' },
-    { value: 'MBL', label: 'MBL' },
-    { value: 'MSR', label: 'MSR' },
-  ];
+    ...availableAreas.map(area => ({ value: area.value, label: area.label, title: area.description }))
+  ], [availableAreas]);
 
   const modelOptions = useMemo(() => {
     if (!dataLoaded) {
@@ -151,16 +221,16 @@ const ControlPanel = ({
       return [{ value: '', label: 'No model found', disabled: true }];
     }
 
-    const modelLabels = {
-      'NGOFS2': 'NGOFS2',
-    };
-
-    return availableModels.map(model => ({
-      value: model,
-      label: modelLabels[model] || `${model} (Ocean Model)`,
-      disabled: false
-    }));
-  }, [availableModels, dataLoaded]);
+    return availableModels.map(model => {
+      const adapter = modelAdapters.find(a => a.id === model);
+      return {
+        value: model,
+        label: adapter?.label || `${model} (Ocean Model)`,
+        title: adapter ? `${adapter.description} (${adapter.verticalCoordinate}-levels, ${adapter.timeStepMinutes ?? '?'} min step)` : undefined,
+        disabled: false
+      };
+    });
+  }, [availableModels, modelAdapters, dataLoaded]);
 
   const loopOptions = [
     { value: 'Repeat', label: 'Repeat Loop' },
@@ -181,10 +251,12 @@ const ControlPanel = ({
     }
     return availableDepths.map(depth => ({
       value: depth,
-      label: depth === 0 ? '0 m (Surface)' : `${depth} m`,
+      label: depth === 0
+        ? `${formatValue(0, 'depth', unitPreferences, 0)} (Surface)`
+        : formatValue(depth, 'depth', unitPreferences, 1),
       disabled: false
     }));
-  }, [availableDepths]);
+  }, [availableDepths, unitPreferences]);
 
   useEffect(() => {
     const newErrors = {};
@@ -205,6 +277,65 @@ const ControlPanel = ({
     onDepthChange?.(value);
   };
 
+  const handleDepthRangeApply = () => {
+    const min = depthRangeInput.min === '' ? null : toCanonicalValue(Number(depthRangeInput.min), 'depth', unitPreferences);
+    const max = depthRangeInput.max === '' ? null : toCanonicalValue(Number(depthRangeInput.max), 'depth', unitPreferences);
+    if ((min !== null && (isNaN(min) || min < 0)) || (max !== null && isNaN(max)) || (min !== null && max !== null && min > max)) {
+      setErrors(prev => ({ ...prev, depthRange: 'Enter a valid min/max depth range' }));
+      return;
+    }
+    setErrors(prev => {
+      const { depthRange: _removed, ...rest } = prev;
+      return rest;
+    });
+    onDepthRangeChange?.(min === null && max === null ? null : { min, max });
+  };
+
+  const handleDepthRangeClear = () => {
+    setDepthRangeInput({ min: '', max: '' });
+    onDepthRangeChange?.(null);
+  };
+
+  // --- QC flag totals across variables ---
+  const qcFlaggedCounts = useMemo(() => {
+    if (!qcSummary) return null;
+    return Object.values(qcSummary).reduce((totals, counts) => ({
+      suspect: totals.suspect + counts.suspect,
+      fail: totals.fail + counts.fail
+    }), { suspect: 0, fail: 0 });
+  }, [qcSummary]);
+
+  // --- File import (drag-and-drop or file picker) ---
+  const handleImportFiles = async (files) => {
+    const file = files?.[0];
+    if (!file) return;
+    setErrors(prev => ({ ...prev, import: null }));
+    setIsParsingImport(true);
+    try {
+      setPendingImport(await parseImportFile(file));
+    } catch (error) {
+      setErrors(prev => ({ ...prev, import: error.message }));
+    } finally {
+      setIsParsingImport(false);
+    }
+  };
+
+  const handleImportDrop = (e) => {
+    e.preventDefault();
+    setIsDraggingFile(false);
+    handleImportFiles(e.dataTransfer.files);
+  };
+
+  const handleImportConfirm = (rows, meta) => {
+    try {
+      onImportData(rows, meta);
+      setPendingImport(null);
+    } catch (error) {
+      setErrors(prev => ({ ...prev, import: error.message }));
+      setPendingImport(null);
+    }
+  };
+
   const handleModelChange = (newModel) => {
     if (onModelChange && newModel && availableModels.includes(newModel)) {
       onModelChange(newModel);
@@ -257,8 +388,8 @@ const ControlPanel = ({
   };
 
   const getFrameTimeDisplay = () => {
-    if (data.length > 0 && data[currentFrame]?.time) {
-      return new Date(data[currentFrame].time).toLocaleString();
+    if (frameTime) {
+      return new Date(frameTime).toLocaleString();
     }
     return `Frame ${currentFrame + 1} of ${totalFrames}`;
   };
@@ -272,7 +403,7 @@ const ControlPanel = ({
   }, [mapLayerVisibility]);
   
   const isAnyHeatmapLayerActive = useMemo(() => {
-    const heatmapKeys = ['temperature', 'salinity', 'pressure'];
+    const heatmapKeys = ['temperature', 'salinity', 'pressure', 'density'];
     return heatmapKeys.some(key => mapLayerVisibility[key]);
   }, [mapLayerVisibility]);
 
@@ -303,14 +434,14 @@ const ControlPanel = ({
         <div>
           <label className="block text-xs text-slate-400 mb-1 flex items-center gap-1"><MapPin className="w-3 h-3" /> Study Area</label>
           <select value={selectedArea} onChange={handleAreaChange} className="w-full bg-slate-700 border border-slate-600 rounded px-1 md:px-2 py-1 text-xs md:text-sm">
-            {areaOptions.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            {areaOptions.map(option => <option key={option.value} value={option.value} title={option.title}>{option.label}</option>)}
           </select>
         </div>
 
         <div>
           <label className="block text-xs text-slate-400 mb-1 flex items-center gap-1"><Layers className="w-3 h-3" /> Ocean Model</label>
           <select value={selectedModel} onChange={(e) => handleModelChange(e.target.value)} className={`w-full bg-slate-700 border rounded px-1 md:px-2 py-1 text-xs md:text-sm ${errors.model ? 'border-red-500' : 'border-slate-600'}`} disabled={!dataLoaded || availableModels.length === 0}>
-            {modelOptions.map(option => <option key={option.value} value={option.value} disabled={option.disabled}>{option.label}</option>)}
+            {modelOptions.map(option => <option key={option.value} value={option.value} title={option.title} disabled={option.disabled}>{option.label}</option>)}
           </select>
         </div>
 
@@ -349,7 +480,7 @@ const ControlPanel = ({
         <div>
           <label className="block text-xs text-slate-400 mb-1 flex items-center gap-1">
             <Gauge className="w-3 h-3" /> 
-            Depth (m)
+            {withUnitLabel('Depth', 'depth', unitPreferences)}
           </label>
           <select 
             value={selectedDepth ?? ''} 
@@ -364,6 +495,169 @@ const ControlPanel = ({
         </div>
       </div>
 
+      {onDepthRangeChange && (
+        <div className="mb-4">
+          <label className="block text-xs text-slate-400 mb-1 flex items-center gap-1">
+            <Gauge className="w-3 h-3" />
+            {withUnitLabel('Query Depth Range', 'depth', unitPreferences)}
+          </label>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min="0"
+              placeholder="Min"
+              value={depthRangeInput.min}
+              onChange={(e) => setDepthRangeInput(prev => ({ ...prev, min: e.target.value }))}
+              className={`w-20 bg-slate-700 border rounded px-2 py-1 text-xs md:text-sm ${errors.depthRange ? 'border-red-500' : 'border-slate-600'}`}
+              disabled={!dataLoaded}
+            />
+            <span className="text-slate-500 text-xs">to</span>
+            <input
+              type="number"
+              min="0"
+              placeholder="Max"
+              value={depthRangeInput.max}
+              onChange={(e) => setDepthRangeInput(prev => ({ ...prev, max: e.target.value }))}
+              className={`w-20 bg-slate-700 border rounded px-2 py-1 text-xs md:text-sm ${errors.depthRange ? 'border-red-500' : 'border-slate-600'}`}
+              disabled={!dataLoaded}
+            />
+            <button
+              onClick={handleDepthRangeApply}
+              className="bg-pink-600 text-white px-3 py-1 rounded text-xs font-semibold hover:bg-pink-700 disabled:opacity-50"
+              disabled={!dataLoaded || isLoading}
+            >
+              Apply
+            </button>
+            {depthRange && (
+              <button
+                onClick={handleDepthRangeClear}
+                className="text-xs text-slate-400 hover:text-slate-300"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+          {errors.depthRange && <p className="text-red-400 text-xs mt-1">{errors.depthRange}</p>}
+        </div>
+      )}
+
+      {onQcModeChange && (
+        <div className="mb-4">
+          <label className="block text-xs text-slate-400 mb-1 flex items-center gap-1">
+            <ShieldCheck className="w-3 h-3" />
+            Quality Control
+          </label>
+          <select
+            value={qcMode}
+            onChange={(e) => onQcModeChange(e.target.value)}
+            className="w-full bg-slate-700 border border-slate-600 rounded px-1 md:px-2 py-1 text-xs md:text-sm"
+          >
+            <option value="show">Show all values</option>
+            <option value="highlight">Highlight suspect values</option>
+            <option value="hide">Hide suspect values</option>
+          </select>
+          {qcFlaggedCounts && (
+            <p className="text-xs text-slate-400 mt-1">
+              {qcFlaggedCounts.suspect.toLocaleString()} suspect, {qcFlaggedCounts.fail.toLocaleString()} failed values
+            </p>
+          )}
+        </div>
+      )}
+
+      {onImportData && (
+        <div className="mb-4">
+          <label className="block text-xs text-slate-400 mb-1 flex items-center gap-1">
+            <Upload className="w-3 h-3" />
+            Import Data File
+          </label>
+          <label
+            onDragOver={(e) => { e.preventDefault(); setIsDraggingFile(true); }}
+            onDragLeave={() => setIsDraggingFile(false)}
+            onDrop={handleImportDrop}
+            className={`flex items-center justify-center gap-2 border border-dashed rounded px-3 py-2 text-xs cursor-pointer transition-colors ${
+              isDraggingFile ? 'border-pink-400 bg-pink-900/20 text-pink-200' : 'border-slate-600 text-slate-400 hover:border-slate-500'
+            }`}
+          >
+            <input
+              type="file"
+              accept=".csv,.txt,.json,text/csv,application/json"
+              className="hidden"
+              onChange={(e) => { handleImportFiles(e.target.files); e.target.value = ''; }}
+            />
+            {isParsingImport ? (
+              <><Loader className="w-3 h-3 animate-spin" /> Reading file...</>
+            ) : (
+              <>Drop a CSV or NetCDF JSON export here, or click to browse</>
+            )}
+          </label>
+          {importedFile && (
+            <div className="flex items-center justify-between mt-1 text-xs text-slate-300">
+              <span className="flex items-center gap-1 truncate">
+                <FileText className="w-3 h-3 flex-shrink-0" />
+                {importedFile.fileName} ({importedFile.rowCount.toLocaleString()} rows)
+              </span>
+              {onClearImport && (
+                <button onClick={onClearImport} className="text-slate-400 hover:text-slate-300 flex-shrink-0 ml-2">
+                  Back to API data
+                </button>
+              )}
+            </div>
+          )}
+          {errors.import && <p className="text-red-400 text-xs mt-1">{errors.import}</p>}
+        </div>
+      )}
+
+      {pendingImport && (
+        <DataImportDialog
+          parsedFile={pendingImport}
+          selectedArea={selectedArea}
+          onConfirm={handleImportConfirm}
+          onCancel={() => setPendingImport(null)}
+        />
+      )}
+
+      {data.length > 0 && (
+        <div className="mb-4">
+          <button
+            onClick={() => setShowExportDialog(true)}
+            className="w-full flex items-center justify-center gap-2 border border-slate-600 hover:border-slate-500 rounded px-3 py-2 text-xs text-slate-300 transition-colors"
+          >
+            <Download className="w-3 h-3" />
+            Export Data (CSV, GeoJSON, KML, NetCDF)
+          </button>
+        </div>
+      )}
+
+      {showExportDialog && (
+        <DataExportDialog
+          rows={data}
+          selectedArea={selectedArea}
+          selectedModel={selectedModel}
+          dataSource={dataSource}
+          importedFile={importedFile}
+          qcMode={qcMode}
+          unitPreferences={unitPreferences}
+          selectedDepth={selectedDepth}
+          availableDepths={availableDepths}
+          timeAxis={timeAxis}
+          currentFrame={currentFrame}
+          loadedExtent={loadedExtent}
+          onClose={() => setShowExportDialog(false)}
+        />
+      )}
+
+      {onAddObservationFile && (
+        <ObservationPanel
+          observations={observations}
+          knownStations={knownObservationStations}
+          isLoading={isLoadingObservations}
+          error={observationError}
+          onAddFile={onAddObservationFile}
+          onAddUrl={onAddObservationUrl}
+          onRemove={onRemoveObservation}
+        />
+      )}
+
       {/* Layer Controls Section */}
       <div className="mb-4 border-t border-slate-600 pt-3">
         <div className="flex items-center justify-between mb-2">
@@ -484,7 +778,7 @@ const ControlPanel = ({
               <div className="pl-2 space-y-0.5">
                 {getActiveLayers().map(layer => (
                     <div key={layer.key} className={layerColorClasses[layer.color]}>
-                      {layer.key === 'oceanCurrents' ? '🌊' : layer.key === 'temperature' ? '🌡️' : layer.key === 'ssh' ? '🌊' : layer.key === 'salinity' ? '🧂' : layer.key === 'pressure' ? '⚖️' : layer.key === 'windVelocity' ? '⚡' : ''} {layer.label}
+                      {layer.key === 'oceanCurrents' ? '🌊' : layer.key === 'temperature' ? '🌡️' : layer.key === 'ssh' ? '🌊' : layer.key === 'salinity' ? '🧂' : layer.key === 'pressure' ? '⚖️' : layer.key === 'density' ? '🫧' : layer.key === 'windVelocity' ? '⚡' : ''} {layer.label}
                     </div>
                 ))}
                 {getActiveLayers().length === 0 && (
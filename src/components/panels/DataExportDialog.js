@@ -0,0 +1,284 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { X, Download, AlertTriangle } from 'lucide-react';
+import {
+  EXPORT_FORMATS,
+  EXPORT_VARIABLES,
+  DEFAULT_EXPORT_VARIABLES,
+  selectExportRows,
+  buildExportMetadata,
+  buildExportFile
+} from '../../services/exportService';
+import { getDataExtent } from '../../services/dataService';
+import { DEFAULT_UNIT_PREFERENCES, formatValue } from '../../services/unitService';
+
+// datetime-local value (UTC) of an epoch ms or ISO time
+const toUtcInput = (time) => (time === null || time === undefined ? '' : new Date(time).toISOString().slice(0, 16));
+const fromUtcInput = (value) => (value ? `${value}:00Z` : null);
+
+/**
+ * Export dialog for the loaded rows.
+ * Narrows them to a time window, depth levels, an area of interest and variables, and writes
+ * the selection as CSV, GeoJSON, KML, CF-JSON or NetCDF-3 without another API call.
+ */
+const DataExportDialog = ({
+  rows = [],
+  selectedArea = '',
+  selectedModel = null,
+  dataSource = null,
+  importedFile = null,
+  qcMode = 'highlight',
+  unitPreferences = DEFAULT_UNIT_PREFERENCES,
+  selectedDepth = 0,
+  availableDepths = [],
+  // Model time steps (epoch ms) and the current one, for the current-frame window
+  timeAxis = [],
+  currentFrame = 0,
+  // Extent of the loaded data, or null when the whole area was loaded
+  loadedExtent = null,
+  onClose
+}) => {
+  const dataExtent = useMemo(() => getDataExtent(rows), [rows]);
+  const presentVariables = useMemo(() => (
+    Object.keys(EXPORT_VARIABLES).filter(variable => rows.some(row => Number.isFinite(row[variable])))
+  ), [rows]);
+
+  const [format, setFormat] = useState('csv');
+  const [timeWindow, setTimeWindow] = useState('all');
+  const [customTime, setCustomTime] = useState(() => ({
+    start: toUtcInput(timeAxis[0]),
+    end: toUtcInput(timeAxis[timeAxis.length - 1])
+  }));
+  const [depthMode, setDepthMode] = useState('selected');
+  const [customDepths, setCustomDepths] = useState(() => [selectedDepth]);
+  const [aoiMode, setAoiMode] = useState('all');
+  const [customBbox, setCustomBbox] = useState(() => dataExtent || { north: '', south: '', east: '', west: '' });
+  const [variables, setVariables] = useState(() => {
+    const defaults = DEFAULT_EXPORT_VARIABLES.filter(variable => presentVariables.includes(variable));
+    return defaults.length > 0 ? defaults : presentVariables.slice(0, 5);
+  });
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') onClose?.();
+    };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [onClose]);
+
+  const selection = useMemo(() => {
+    const stepTime = timeAxis[currentFrame];
+    const time = timeWindow === 'frame' && stepTime !== undefined
+      ? { startTime: stepTime, endTime: stepTime }
+      : timeWindow === 'custom'
+        ? { startTime: fromUtcInput(customTime.start), endTime: fromUtcInput(customTime.end) }
+        : { startTime: null, endTime: null };
+    const depths = depthMode === 'selected' ? [selectedDepth] : depthMode === 'custom' ? customDepths : null;
+    const customBboxValid = ['north', 'south', 'east', 'west'].every(side => customBbox[side] !== '' && Number.isFinite(Number(customBbox[side])));
+    const bbox = aoiMode === 'loaded' ? loadedExtent
+      : aoiMode === 'custom' && customBboxValid
+        ? { north: Number(customBbox.north), south: Number(customBbox.south), east: Number(customBbox.east), west: Number(customBbox.west) }
+        : null;
+    return { ...time, depths, bbox };
+  }, [timeWindow, customTime, timeAxis, currentFrame, depthMode, selectedDepth, customDepths, aoiMode, loadedExtent, customBbox]);
+
+  const selectedRows = useMemo(() => selectExportRows(rows, selection), [rows, selection]);
+
+  useEffect(() => {
+    setError(null);
+  }, [selection, format, variables]);
+
+  const toggleVariable = (variable) => {
+    setVariables(prev => (prev.includes(variable) ? prev.filter(v => v !== variable) : [...prev, variable]));
+  };
+
+  const toggleDepth = (depth) => {
+    setCustomDepths(prev => (prev.includes(depth) ? prev.filter(d => d !== depth) : [...prev, depth]));
+  };
+
+  const handleExport = () => {
+    try {
+      const metadata = buildExportMetadata({
+        rows: selectedRows,
+        variables,
+        area: selectedArea,
+        model: selectedModel,
+        dataSource,
+        importedFile,
+        qcMode,
+        ...selection
+      });
+      const { content, mimeType, extension } = buildExportFile(format, selectedRows, { variables, unitPreferences, metadata });
+      const blob = new Blob([content], { type: mimeType });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${[selectedArea || 'ocean', selectedModel, metadata.exportedAt.slice(0, 10)].filter(Boolean).join('_')}.${extension}`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+      onClose?.();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const radio = (name, value, current, onChange, label, disabled = false) => (
+    <label className={`flex items-center gap-1 ${disabled ? 'opacity-50' : 'cursor-pointer'}`}>
+      <input type="radio" name={name} value={value} checked={current === value} disabled={disabled} onChange={() => onChange(value)} />
+      {label}
+    </label>
+  );
+
+  const canonicalFormat = format === 'cfjson' || format === 'netcdf';
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="data-export-title"
+    >
+      <div className="bg-slate-800 border border-cyan-500/30 rounded-lg shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-3 border-b border-slate-700">
+          <h2 id="data-export-title" className="font-semibold text-cyan-300 flex items-center gap-2 text-sm md:text-base">
+            <Download className="w-4 h-4" />
+            Export {selectedArea} Data
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-slate-400 hover:text-white transition-colors p-1 rounded hover:bg-slate-700/50"
+            aria-label="Close export dialog"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-3 space-y-4 text-xs text-slate-300">
+          {/* Format */}
+          <div>
+            <div className="text-slate-400 mb-1">Format</div>
+            <div className="flex flex-wrap gap-3">
+              {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+                <React.Fragment key={key}>{radio('export-format', key, format, setFormat, label)}</React.Fragment>
+              ))}
+            </div>
+            <div className="text-slate-500 mt-1">
+              {canonicalFormat
+                ? 'CF-1.8 point dataset in canonical units (degree_Celsius, m s-1, m, dbar), with QARTOD flag variables and provenance attributes.'
+                : 'Values in your display units; QC flags are written next to each variable that has them.'}
+            </div>
+          </div>
+
+          {/* Time Window */}
+          <div>
+            <div className="text-slate-400 mb-1">Time window</div>
+            <div className="flex flex-wrap gap-3">
+              {radio('export-time', 'all', timeWindow, setTimeWindow, 'All loaded times')}
+              {radio('export-time', 'frame', timeWindow, setTimeWindow, 'Current time step', timeAxis.length === 0)}
+              {radio('export-time', 'custom', timeWindow, setTimeWindow, 'Custom (UTC)')}
+            </div>
+            {timeWindow === 'custom' && (
+              <div className="flex gap-2 mt-2">
+                <input type="datetime-local" value={customTime.start} onChange={(e) => setCustomTime(prev => ({ ...prev, start: e.target.value }))} className="bg-slate-700 border border-slate-600 rounded px-1 py-1" aria-label="Export start time" />
+                <input type="datetime-local" value={customTime.end} onChange={(e) => setCustomTime(prev => ({ ...prev, end: e.target.value }))} className="bg-slate-700 border border-slate-600 rounded px-1 py-1" aria-label="Export end time" />
+              </div>
+            )}
+          </div>
+
+          {/* Depths */}
+          <div>
+            <div className="text-slate-400 mb-1">Depths</div>
+            <div className="flex flex-wrap gap-3">
+              {radio('export-depth', 'selected', depthMode, setDepthMode, `Selected (${formatValue(selectedDepth, 'depth', unitPreferences, 0)})`)}
+              {radio('export-depth', 'all', depthMode, setDepthMode, 'All loaded depths')}
+              {radio('export-depth', 'custom', depthMode, setDepthMode, 'Choose levels', availableDepths.length === 0)}
+            </div>
+            {depthMode === 'custom' && (
+              <div className="flex flex-wrap gap-2 mt-2">
+                {availableDepths.map(depth => (
+                  <label key={depth} className="flex items-center gap-1 cursor-pointer">
+                    <input type="checkbox" checked={customDepths.includes(depth)} onChange={() => toggleDepth(depth)} />
+                    {formatValue(depth, 'depth', unitPreferences, 0)}
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Area of Interest */}
+          <div>
+            <div className="text-slate-400 mb-1">Area of interest</div>
+            <div className="flex flex-wrap gap-3">
+              {radio('export-aoi', 'all', aoiMode, setAoiMode, 'All loaded data')}
+              {radio('export-aoi', 'loaded', aoiMode, setAoiMode, 'Queried extent', !loadedExtent)}
+              {radio('export-aoi', 'custom', aoiMode, setAoiMode, 'Bounding box')}
+            </div>
+            {aoiMode === 'custom' && (
+              <div className="grid grid-cols-4 gap-2 mt-2">
+                {['north', 'south', 'west', 'east'].map(side => (
+                  <label key={side} className="flex flex-col gap-1 capitalize">
+                    {side}
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={customBbox[side]}
+                      onChange={(e) => setCustomBbox(prev => ({ ...prev, [side]: e.target.value }))}
+                      className="bg-slate-700 border border-slate-600 rounded px-1 py-1"
+                    />
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Variables */}
+          <div>
+            <div className="text-slate-400 mb-1">Variables</div>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-1">
+              {presentVariables.map(variable => (
+                <label key={variable} className="flex items-center gap-1 cursor-pointer">
+                  <input type="checkbox" checked={variables.includes(variable)} onChange={() => toggleVariable(variable)} />
+                  {EXPORT_VARIABLES[variable].label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="text-slate-400">
+            {selectedRows.length.toLocaleString()} of {rows.length.toLocaleString()} rows selected.
+            {qcMode === 'hide' && ' Suspect and failed values are left empty (QC hide mode).'}
+          </div>
+
+          {error && (
+            <div className="flex items-start gap-2 text-red-300 bg-red-900/30 border border-red-600/40 rounded p-2">
+              <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="flex justify-end gap-2 p-3 border-t border-slate-700">
+          <button
+            onClick={onClose}
+            className="px-3 py-1 rounded text-xs text-slate-300 hover:text-white hover:bg-slate-700"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={selectedRows.length === 0 || variables.length === 0}
+            className="px-3 py-1 rounded text-xs font-semibold bg-cyan-600 hover:bg-cyan-700 text-white disabled:opacity-50"
+          >
+            Export {EXPORT_FORMATS[format].label}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DataExportDialog;
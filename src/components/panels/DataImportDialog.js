@@ -0,0 +1,242 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { X, Upload, CheckCircle, AlertTriangle } from 'lucide-react';
+import {
+  IMPORT_FIELDS,
+  suggestColumnMapping,
+  suggestUnits,
+  buildImportRows
+} from '../../services/fileImportService';
+
+const PREVIEW_ROWS = 5;
+
+/**
+ * Column mapping dialog for an uploaded CSV or NetCDF JSON file.
+ * Maps file columns (and units) to canonical fields, validates coordinates and hands the
+ * converted rows to onConfirm.
+ */
+const DataImportDialog = ({
+  parsedFile,
+  selectedArea = null,
+  onConfirm,
+  onCancel
+}) => {
+  const [mapping, setMapping] = useState(() => suggestColumnMapping(parsedFile.columns));
+  const [units, setUnits] = useState(() => suggestUnits(suggestColumnMapping(parsedFile.columns), parsedFile.units));
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Any mapping change invalidates the last validation
+  useEffect(() => {
+    setResult(null);
+    setError(null);
+  }, [mapping, units]);
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') onCancel?.();
+    };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [onCancel]);
+
+  const previewRecords = useMemo(() => parsedFile.records.slice(0, PREVIEW_ROWS), [parsedFile.records]);
+  const mappedFields = IMPORT_FIELDS.filter(field => mapping[field.key]);
+
+  const handleMappingChange = (fieldKey, column) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      if (column) {
+        next[fieldKey] = column;
+      } else {
+        delete next[fieldKey];
+      }
+      return next;
+    });
+  };
+
+  const handleUnitChange = (field, unit) => {
+    setUnits(prev => {
+      const next = { ...prev };
+      // The first listed unit is canonical and needs no conversion
+      if (unit === field.units[0]) {
+        delete next[field.key];
+      } else {
+        next[field.key] = unit;
+      }
+      return next;
+    });
+  };
+
+  const handleValidate = () => {
+    try {
+      const built = buildImportRows(parsedFile.records, mapping, {
+        units,
+        area: selectedArea,
+        fileName: parsedFile.fileName
+      });
+      if (built.rows.length === 0) {
+        setError('No rows have valid coordinates with this mapping.');
+        setResult(null);
+        return;
+      }
+      setResult(built);
+    } catch (err) {
+      setError(err.message);
+      setResult(null);
+    }
+  };
+
+  const handleImport = () => {
+    if (!result) return;
+    onConfirm(result.rows, {
+      fileName: parsedFile.fileName,
+      warnings: [...parsedFile.warnings, ...result.warnings]
+    });
+  };
+
+  const ranges = result?.validation.coordinateRanges;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="data-import-title"
+    >
+      <div className="bg-slate-800 border border-pink-500/30 rounded-lg shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-3 border-b border-slate-700">
+          <h2 id="data-import-title" className="font-semibold text-pink-300 flex items-center gap-2 text-sm md:text-base">
+            <Upload className="w-4 h-4" />
+            Import {parsedFile.fileName}
+          </h2>
+          <button
+            onClick={onCancel}
+            className="text-slate-400 hover:text-white transition-colors p-1 rounded hover:bg-slate-700/50"
+            aria-label="Close import dialog"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-3 space-y-4 text-xs">
+          <div className="text-slate-400">
+            {parsedFile.records.length.toLocaleString()} rows, {parsedFile.columns.length} columns
+            ({parsedFile.format === 'csv' ? 'CSV' : 'NetCDF JSON'}). Map the file's columns to ocean fields;
+            Latitude, Longitude and Time are required.
+          </div>
+
+          {/* Column Mapping */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4 gap-y-2">
+            {IMPORT_FIELDS.map(field => (
+              <div key={field.key} className="flex items-center gap-2">
+                <label htmlFor={`import-${field.key}`} className="w-28 text-slate-300 flex-shrink-0">
+                  {field.label}{field.required && <span className="text-pink-400">*</span>}
+                </label>
+                <select
+                  id={`import-${field.key}`}
+                  value={mapping[field.key] || ''}
+                  onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                  className="flex-1 min-w-0 bg-slate-700 border border-slate-600 rounded px-1 py-1"
+                >
+                  <option value="">— none —</option>
+                  {parsedFile.columns.map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+                {field.units && (
+                  <select
+                    value={units[field.key] || field.units[0]}
+                    onChange={(e) => handleUnitChange(field, e.target.value)}
+                    disabled={!mapping[field.key]}
+                    className="w-16 bg-slate-700 border border-slate-600 rounded px-1 py-1 disabled:opacity-50"
+                    aria-label={`${field.label} unit`}
+                  >
+                    {field.units.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                  </select>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {/* Preview */}
+          {mappedFields.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-slate-300">
+                <thead>
+                  <tr className="text-slate-400 border-b border-slate-700">
+                    {mappedFields.map(field => <th key={field.key} className="px-2 py-1 font-medium">{field.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {previewRecords.map((record, index) => (
+                    <tr key={index} className="border-b border-slate-700/50">
+                      {mappedFields.map(field => (
+                        <td key={field.key} className="px-2 py-1 font-mono whitespace-nowrap">
+                          {String(record[mapping[field.key]] ?? '')}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Validation Result */}
+          {error && (
+            <div className="flex items-start gap-2 text-red-300 bg-red-900/30 border border-red-600/40 rounded p-2">
+              <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          )}
+          {result && (
+            <div className="space-y-1 text-emerald-200 bg-emerald-900/20 border border-emerald-600/40 rounded p-2">
+              <div className="flex items-center gap-2">
+                <CheckCircle className="w-4 h-4" />
+                <span>
+                  {result.validation.valid.toLocaleString()} of {result.validation.total.toLocaleString()} rows have valid
+                  coordinates ({result.validation.validPercentage}%)
+                </span>
+              </div>
+              {ranges && (
+                <div className="text-slate-400 pl-6">
+                  Lat {ranges.latitude.min.toFixed(3)} to {ranges.latitude.max.toFixed(3)},
+                  Lon {ranges.longitude.min.toFixed(3)} to {ranges.longitude.max.toFixed(3)}
+                </div>
+              )}
+              {[...parsedFile.warnings, ...result.warnings].map(warning => (
+                <div key={warning} className="text-yellow-300 pl-6">{warning}</div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="flex justify-end gap-2 p-3 border-t border-slate-700">
+          <button
+            onClick={onCancel}
+            className="px-3 py-1 rounded text-xs text-slate-300 hover:text-white hover:bg-slate-700"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleValidate}
+            className="px-3 py-1 rounded text-xs bg-slate-600 hover:bg-slate-500 text-white"
+          >
+            Validate
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={!result}
+            className="px-3 py-1 rounded text-xs font-semibold bg-pink-600 hover:bg-pink-700 text-white disabled:opacity-50"
+          >
+            {result ? `Import ${result.rows.length.toLocaleString()} Rows` : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DataImportDialog;
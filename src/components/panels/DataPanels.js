@@ -19,8 +19,52 @@ import {
 } from 'lucide-react';
 import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, AreaChart, Area } from 'recharts';
 import useHoloOcean from '../../hooks/useHoloOcean';
+import SkillAssessmentPanel from './SkillAssessmentPanel';
+import { QC_FLAGS, isFlagged } from '../../services/qcService';
+import {
+  DEFAULT_UNIT_PREFERENCES,
+  convertValue,
+  getUnitSymbol,
+  withUnitLabel,
+  formatValue as formatUnitValue
+} from '../../services/unitService';
 import videoSrc from '../../assets/vids/recording.mp4';
 
+// Time series keys and the QC variable that flags them
+const QC_VARIABLE_BY_KEY = {
+  currentSpeed: 'nspeed',
+  heading: 'direction',
+  temperature: 'temp',
+  salinity: 'salinity',
+  pressure: 'pressure_dbars',
+  waveHeight: 'ssh'
+};
+
+const QC_DOT_COLORS = {
+  [QC_FLAGS.SUSPECT]: '#fbbf24',
+  [QC_FLAGS.FAIL]: '#ef4444'
+};
+
+// Derived water column readings of envData (see useEnvironmentalData)
+const TEOS10_READINGS = [
+  { key: 'density', label: 'Density', digits: 2 },
+  { key: 'sigmaTheta', label: 'Sigma-θ', digits: 2 },
+  { key: 'conservativeTemperature', label: 'Cons. Temp', digits: 2 },
+  { key: 'absoluteSalinity', label: 'Abs. Salinity', digits: 2 },
+  { key: 'buoyancyFrequencySquared', label: 'N²', digits: 6 },
+  { key: 'soundSpeedTeos10', label: 'Sound Speed', digits: 1 },
+  { key: 'soundSpeedResidual', label: 'Sound Δ (model)', digits: 2 },
+  { key: 'mixedLayerDepth', label: 'Mixed Layer', digits: 1 },
+  { key: 'thermoclineDepth', label: 'Thermocline', digits: 1 }
+];
+
+// Chart dot that marks QC-flagged points only
+const renderQcDot = ({ cx, cy, payload, index }) => {
+  const color = QC_DOT_COLORS[payload?.qcFlag];
+  if (!color || cx === undefined || cy === undefined) return <g key={`qc-dot-${index}`} />;
+  return <circle key={`qc-dot-${index}`} cx={cx} cy={cy} r={3} fill={color} stroke="#0f172a" strokeWidth={1} />;
+};
+
 const DataPanels = ({
   // Environmental data
   envData = { temperature: null, salinity: null, pressure: null, depth: 0 },
@@ -32,11 +76,20 @@ const DataPanels = ({
   timeSeriesData = [],
   currentFrame = 0,
   availableDepths = [],
+  // 'show', 'highlight' (mark QC-flagged points) or 'hide' (leave gaps for them)
+  qcMode = 'highlight',
+  // Display unit per quantity (see unitService)
+  unitPreferences = DEFAULT_UNIT_PREFERENCES,
+  // (lon, lat) => interpolated model values at a point, or null (see spatialInterpolationService)
+  sampleAt = null,
+  // NDBC / CO-OPS observation datasets, for the model skill panel
+  observations = [],
   // Configuration
   showHoloOcean = true,
   showEnvironmental = true,
   showCharts = true,
   showAdvancedMetrics = false,
+  showSkill = true,
   // Callbacks
   onDepthChange,
   onParameterChange,
@@ -64,6 +117,11 @@ const DataPanels = ({
     connectionError
   } = useHoloOcean();
 
+  // Model conditions at the HoloOcean target, interpolated between the surrounding nodes
+  const targetSample = useMemo(() => (
+    hasTarget && sampleAt ? sampleAt(Number(target.lon), Number(target.lat)) : null
+  ), [hasTarget, sampleAt, target]);
+
   // The timeSeriesData prop is now the single source of truth for charts.
   const dataSource = timeSeriesData;
 
@@ -106,21 +164,23 @@ const DataPanels = ({
     return null;
   };
 
-  // Format value with units
+  // Format value in the selected display units
   const formatValue = (value, type) => {
     if (value === null || value === undefined || isNaN(value)) return 'No Data';
     const numValue = Number(value);
     switch (type) {
-      case 'temperature': return `${numValue.toFixed(2)}°F`;
-      case 'salinity': return `${numValue.toFixed(2)} PSU`;
-      case 'pressure': return `${numValue.toFixed(1)} dbar`;
-      case 'depth': return `${numValue} m`;
-      case 'speed': return `${numValue.toFixed(3)} m/s`;
+      case 'temperature': return formatUnitValue(numValue, 'temperature', unitPreferences, 2);
+      case 'salinity': return formatUnitValue(numValue, 'salinity', unitPreferences, 2);
+      case 'pressure': return formatUnitValue(numValue, 'pressure', unitPreferences, 1);
+      case 'depth': return formatUnitValue(numValue, 'depth', unitPreferences, 1);
+      case 'speed': return formatUnitValue(numValue, 'speed', unitPreferences, 3);
       case 'direction': return `${numValue.toFixed(1)}°`;
-      case 'height': return `${numValue.toFixed(2)} m`;
-      case 'soundSpeed': return `${numValue.toFixed(2)} m/s`;
-      case 'windSpeed': return `${numValue.toFixed(2)} m/s`;
-      case 'distance': return numValue < 1000 ? `${numValue.toFixed(1)}m` : `${(numValue/1000).toFixed(2)}km`;
+      case 'height': return formatUnitValue(numValue, 'height', unitPreferences, 2);
+      case 'soundSpeed': return formatUnitValue(numValue, 'soundSpeed', unitPreferences, 2);
+      case 'windSpeed': return formatUnitValue(numValue, 'windSpeed', unitPreferences, 2);
+      case 'distance': return numValue < 1000
+        ? formatUnitValue(numValue, 'length', unitPreferences, 1)
+        : formatUnitValue(numValue, 'distance', unitPreferences, 2);
       case 'coordinate': return `${numValue.toFixed(6)}°`;
       default: return numValue.toString();
     }
@@ -164,11 +224,13 @@ const DataPanels = ({
         timeDisplay = `${String(index % 24).padStart(2, '0')}:00`;
       }
 
-      const value = Number(item[dataKey]) || 0;
+      const qcFlag = item.qc?.[QC_VARIABLE_BY_KEY[dataKey]] ?? null;
+      const value = qcMode === 'hide' && isFlagged(qcFlag) ? null : convertValue(item[dataKey], dataKey, unitPreferences) || 0;
       
       return {
         time: timeDisplay,
         value: value,
+        qcFlag,
         originalData: item,
         ...item
       };
@@ -268,6 +330,23 @@ const DataPanels = ({
                     <div className="text-sm md:text-lg font-bold text-purple-300">{formatValue(envData?.pressure || getCurrentValue('Pressure'), 'pressure')}</div>
                 </div>
             </div>
+            {envData?.density !== null && envData?.density !== undefined && (
+              <div className="mt-2 md:mt-3 bg-slate-700/30 p-2 md:p-3 rounded-lg">
+                <div className="flex items-center gap-1 md:gap-2 mb-2"><Waves className="w-3 h-3 md:w-4 md:h-4 text-teal-400" /><span className="text-xs text-slate-400">Water Column (TEOS-10)</span></div>
+                <div className="grid grid-cols-2 gap-x-3 gap-y-1 text-xs">
+                  {TEOS10_READINGS.map(({ key, label, digits }) => (
+                    <div key={key} className="flex justify-between gap-2">
+                      <span className="text-slate-400">{label}</span>
+                      <span className="font-mono text-teal-200">
+                        {envData[key] === null || envData[key] === undefined
+                          ? '—'
+                          : formatUnitValue(envData[key], key, unitPreferences, digits)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         )}
 
@@ -385,6 +464,12 @@ const DataPanels = ({
                     <div>Lat: {formatValue(target.lat, 'coordinate')}</div>
                     <div>Lon: {formatValue(target.lon, 'coordinate')}</div>
                     <div>Depth: {formatValue(target.depth, 'depth')}</div>
+                    {targetSample?.values.temp !== null && targetSample?.values.temp !== undefined && (
+                      <div>Temp: {formatUnitValue(targetSample.values.temp, 'temp', unitPreferences, 1)}</div>
+                    )}
+                    {targetSample?.vectors.current && (
+                      <div>Current: {formatUnitValue(targetSample.vectors.current.speed, 'speed', unitPreferences, 2)} → {targetSample.vectors.current.direction.toFixed(0)}°</div>
+                    )}
                   </div>
                 </div>
               )}
@@ -393,7 +478,7 @@ const DataPanels = ({
                 <div className="bg-slate-800/80 p-2 rounded">
                   <div className="text-xs text-slate-400 mb-2 flex items-center justify-between">
                     <span>Depth Profile</span>
-                    <span>{selectedDepth}m</span>
+                    <span>{formatUnitValue(selectedDepth, 'depth', unitPreferences, 0)}</span>
                   </div>
                   <div className="h-8 md:h-12 bg-gradient-to-r from-blue-600 via-blue-500 to-blue-400 rounded relative cursor-pointer"
                        onClick={(e) => {
@@ -416,7 +501,7 @@ const DataPanels = ({
                   </div>
                   <div className="flex justify-between text-xs text-slate-400 mt-1">
                     <span>Surface</span>
-                    <span>{maxDepth}m</span>
+                    <span>{formatUnitValue(maxDepth, 'depth', unitPreferences, 0)}</span>
                   </div>
                   {/* Depth Legend */}
                   {(hasCurrent || hasTarget) && (
@@ -461,12 +546,12 @@ const DataPanels = ({
             <div className="space-y-2 md:space-y-4">
                 <div className="bg-slate-700/30 p-2 md:p-3 rounded-lg">
                     <div className="text-xs text-slate-400 mb-2 flex items-center justify-between">
-                        <span>Wind Speed (m/s)</span>
+                        <span>{withUnitLabel('Wind Speed', 'windSpeed', unitPreferences)}</span>
                         <span className="text-amber-300">{formatValue(getCurrentValue('Wind Speed'), 'speed')}</span>
                     </div>
                     <ResponsiveContainer width="100%" height={60}>
                         <LineChart data={getChartData('Wind Speed', chartTimeRange)}>
-                            <Line type="monotone" dataKey="value" stroke="#fcd34d" strokeWidth={2} dot={false} />
+                            <Line type="monotone" dataKey="value" stroke="#fcd34d" strokeWidth={2} dot={qcMode === 'highlight' ? renderQcDot : false} />
                             <XAxis hide /><YAxis hide />
                             <Tooltip 
                               contentStyle={{ 
@@ -476,7 +561,7 @@ const DataPanels = ({
                                 fontSize: '12px',
                                 color: '#ffffff'
                               }} 
-                              formatter={(value) => [`${Number(value).toFixed(3)} m/s`, 'Wind Speed']} 
+                              formatter={(value) => [`${Number(value).toFixed(3)} ${getUnitSymbol('windSpeed', unitPreferences)}`, 'Wind Speed']} 
                               labelFormatter={(label) => `Time: ${label}`}
                             />
                         </LineChart>
@@ -489,7 +574,7 @@ const DataPanels = ({
                     </div>
                     <ResponsiveContainer width="100%" height={60}>
                         <LineChart data={getChartData('Current Direction', chartTimeRange)}>
-                            <Line type="monotone" dataKey="value" stroke="#10b981" strokeWidth={2} dot={false} />
+                            <Line type="monotone" dataKey="value" stroke="#10b981" strokeWidth={2} dot={qcMode === 'highlight' ? renderQcDot : false} />
                             <XAxis hide /><YAxis hide />
                             <Tooltip 
                               contentStyle={{ 
@@ -507,7 +592,7 @@ const DataPanels = ({
                 </div>
                 <div className="bg-slate-700/30 p-2 md:p-3 rounded-lg">
                     <div className="text-xs text-slate-400 mb-2 flex items-center justify-between">
-                        <span>Sound Speed (m/s)</span>
+                        <span>{withUnitLabel('Sound Speed', 'soundSpeed', unitPreferences)}</span>
                         <span className="text-green-300">{formatValue(getCurrentValue('Sound Speed'), 'soundSpeed')}</span>
                     </div>
                     <ResponsiveContainer width="100%" height={60}>
@@ -522,7 +607,7 @@ const DataPanels = ({
                                 fontSize: '12px',
                                 color: '#ffffff'
                               }} 
-                              formatter={(value) => [`${Number(value).toFixed(2)} m/s`, 'Sound Speed']} 
+                              formatter={(value) => [`${Number(value).toFixed(2)} ${getUnitSymbol('soundSpeed', unitPreferences)}`, 'Sound Speed']} 
                               labelFormatter={(label) => `Time: ${label}`}
                             />
                         </AreaChart>
@@ -530,12 +615,12 @@ const DataPanels = ({
                 </div>
                 <div className="bg-slate-700/30 p-2 md:p-3 rounded-lg">
                     <div className="text-xs text-slate-400 mb-2 flex items-center justify-between">
-                        <span>Temperature (°F)</span>
+                        <span>{withUnitLabel('Temperature', 'temperature', unitPreferences)}</span>
                         <span className="text-orange-300">{formatValue(getCurrentValue('Temperature'), 'temperature')}</span>
                     </div>
                     <ResponsiveContainer width="100%" height={60}>
                         <LineChart data={getChartData('Temperature', chartTimeRange)}>
-                            <Line type="monotone" dataKey="value" stroke="#f59e0b" strokeWidth={2} dot={false} />
+                            <Line type="monotone" dataKey="value" stroke="#f59e0b" strokeWidth={2} dot={qcMode === 'highlight' ? renderQcDot : false} />
                             <XAxis hide /><YAxis hide />
                             <Tooltip 
                               contentStyle={{ 
@@ -545,7 +630,7 @@ const DataPanels = ({
                                 fontSize: '12px',
                                 color: '#ffffff'
                               }} 
-                              formatter={(value) => [`${Number(value).toFixed(2)}°F`, 'Temp']} 
+                              formatter={(value) => [`${Number(value).toFixed(2)}${getUnitSymbol('temperature', unitPreferences)}`, 'Temp']} 
                               labelFormatter={(label) => `Time: ${label}`}
                             />
                         </LineChart>
@@ -604,6 +689,18 @@ const DataPanels = ({
             </div>
         </div>
       )}
+
+      {showSkill && observations.length > 0 && (
+        <SkillAssessmentPanel
+          className="col-span-1 md:col-span-2 lg:col-span-4"
+          observations={observations}
+          timeSeriesData={dataSource}
+          selectedDepth={selectedDepth}
+          unitPreferences={unitPreferences}
+          isExpanded={expandedPanel === 'skill'}
+          onToggleExpand={() => setExpandedPanel(expandedPanel === 'skill' ? null : 'skill')}
+        />
+      )}
     </div>
   );
 };
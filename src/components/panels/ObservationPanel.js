@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { Radio, Link, Loader, Trash2 } from 'lucide-react';
+import { OBSERVATION_FORMATS } from '../../services/observationService';
+
+const FORMAT_LABELS = {
+  ndbc: 'NDBC text',
+  'coops-json': 'CO-OPS JSON',
+  'coops-csv': 'CO-OPS CSV'
+};
+
+/**
+ * Loads NDBC and CO-OPS observation files or URLs and lists the loaded stations.
+ * NDBC files and CO-OPS CSV carry no coordinates, so the station's location comes from the
+ * observation config or the latitude/longitude fields here.
+ */
+const ObservationPanel = ({
+  observations = [],
+  knownStations = [],
+  isLoading = false,
+  error = null,
+  onAddFile,
+  onAddUrl,
+  onRemove
+}) => {
+  const [url, setUrl] = useState('');
+  const [format, setFormat] = useState('');
+  const [station, setStation] = useState({ id: '', name: '', lat: '', lon: '' });
+
+  // Only pass fields the user filled in, so ids and locations can come from the name or config
+  const stationOption = () => {
+    const filled = Object.fromEntries(Object.entries(station).filter(([, value]) => value !== ''));
+    return Object.keys(filled).length > 0 ? filled : null;
+  };
+
+  const handleFile = (files) => {
+    const file = files?.[0];
+    if (file) onAddFile?.(file, { station: stationOption(), format: format || null });
+  };
+
+  const handleUrl = () => {
+    if (url.trim()) onAddUrl?.(url.trim(), { station: stationOption(), format: format || null });
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="block text-xs text-slate-400 mb-1 flex items-center gap-1">
+        <Radio className="w-3 h-3" />
+        Observations (NDBC / CO-OPS)
+      </label>
+
+      <div className="grid grid-cols-4 gap-1 mb-1">
+        {[['id', 'Station'], ['name', 'Name'], ['lat', 'Lat'], ['lon', 'Lon']].map(([field, label]) => (
+          <input
+            key={field}
+            type={field === 'lat' || field === 'lon' ? 'number' : 'text'}
+            step="0.0001"
+            placeholder={label}
+            value={station[field]}
+            list={field === 'id' ? 'observation-known-stations' : undefined}
+            onChange={(e) => setStation(prev => ({ ...prev, [field]: e.target.value }))}
+            className="bg-slate-700 border border-slate-600 rounded px-1 py-1 text-xs text-slate-200"
+            aria-label={`Observation station ${label.toLowerCase()}`}
+          />
+        ))}
+        <datalist id="observation-known-stations">
+          {knownStations.map(known => <option key={known.id} value={known.id}>{known.name}</option>)}
+        </datalist>
+      </div>
+
+      <div className="flex gap-1 mb-1">
+        <select
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          className="bg-slate-700 border border-slate-600 rounded px-1 py-1 text-xs text-slate-200"
+          aria-label="Observation format"
+        >
+          <option value="">Detect format</option>
+          {OBSERVATION_FORMATS.map(key => <option key={key} value={key}>{FORMAT_LABELS[key]}</option>)}
+        </select>
+        <label className="flex-1 flex items-center justify-center border border-dashed border-slate-600 hover:border-slate-500 rounded px-2 py-1 text-xs text-slate-400 cursor-pointer">
+          <input
+            type="file"
+            accept=".txt,.ocean,.csv,.json,text/plain,text/csv,application/json"
+            className="hidden"
+            onChange={(e) => { handleFile(e.target.files); e.target.value = ''; }}
+          />
+          {isLoading ? <><Loader className="w-3 h-3 animate-spin mr-1" /> Loading...</> : 'Choose file'}
+        </label>
+      </div>
+
+      <div className="flex gap-1">
+        <input
+          type="url"
+          value={url}
+          placeholder="NDBC file or CO-OPS API URL"
+          onChange={(e) => setUrl(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleUrl()}
+          className="flex-1 min-w-0 bg-slate-700 border border-slate-600 rounded px-1 py-1 text-xs text-slate-200"
+          aria-label="Observation URL"
+        />
+        <button
+          onClick={handleUrl}
+          disabled={isLoading || !url.trim()}
+          className="flex items-center gap-1 border border-slate-600 hover:border-slate-500 rounded px-2 py-1 text-xs text-slate-300 disabled:opacity-50"
+        >
+          <Link className="w-3 h-3" />
+          Load
+        </button>
+      </div>
+
+      {observations.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {observations.map(dataset => (
+            <li key={dataset.id} className="flex items-center justify-between text-xs text-slate-300">
+              <span className="truncate">
+                {dataset.station.source} {dataset.station.id} · {dataset.label} ({dataset.rows.length.toLocaleString()} obs)
+              </span>
+              <button
+                onClick={() => onRemove?.(dataset.id)}
+                className="text-slate-400 hover:text-red-300 flex-shrink-0 ml-2"
+                aria-label={`Remove ${dataset.label}`}
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <p className="text-red-400 text-xs mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default ObservationPanel;
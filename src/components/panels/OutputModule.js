@@ -1,4 +1,4 @@
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useEffect, useState, useMemo } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { 
@@ -28,6 +28,14 @@ import {
   Globe
 } from 'lucide-react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar } from 'recharts';
+import {
+  DEFAULT_UNIT_PREFERENCES,
+  convertRows,
+  convertValue,
+  getUnitSymbol,
+  withUnitLabel,
+  formatValue
+} from '../../services/unitService';
 
 const OutputModule = ({
   // Chat messages (filtered to show only AI responses)
@@ -40,6 +48,9 @@ const OutputModule = ({
   currentFrame = 0,
   selectedParameter = 'Current Speed',
   selectedDepth = 0,
+
+  // Display unit per quantity (see unitService)
+  unitPreferences = DEFAULT_UNIT_PREFERENCES,
   
   // Display options
   showCharts = true,
@@ -65,6 +76,12 @@ const OutputModule = ({
 }) => {
   
   const outputScrollRef = useRef(null);
+
+  // Charts and tables show the time series in the selected display units
+  const displaySeries = useMemo(
+    () => convertRows(timeSeriesData, unitPreferences),
+    [timeSeriesData, unitPreferences]
+  );
   const [showScrollToBottom, setShowScrollToBottom] = useState(false);
   const [expandedResponse, setExpandedResponse] = useState(null);
   const [responseFilter, setResponseFilter] = useState('api'); // Changed from 'all' to 'api'
@@ -176,7 +193,7 @@ const OutputModule = ({
         <div className="bg-slate-600/50 rounded p-2 md:p-3 mt-2">
           <div className="text-xs text-slate-400 mb-2">Current Speed Analysis</div>
           <ResponsiveContainer width="100%" height={100}>
-            <LineChart data={timeSeriesData.slice(-12)}>
+            <LineChart data={displaySeries.slice(-12)}>
               <Line 
                 type="monotone" 
                 dataKey="currentSpeed" 
@@ -193,7 +210,7 @@ const OutputModule = ({
                   borderRadius: '6px',
                   fontSize: '12px'
                 }}
-                formatter={(value) => [`${value?.toFixed(3)} m/s`, 'Current Speed']}
+                formatter={(value) => [`${value?.toFixed(3)} ${getUnitSymbol('currentSpeed', unitPreferences)}`, 'Current Speed']}
               />
             </LineChart>
           </ResponsiveContainer>
@@ -206,7 +223,7 @@ const OutputModule = ({
         <div className="bg-slate-600/50 rounded p-2 md:p-3 mt-2">
           <div className="text-xs text-slate-400 mb-2">Surface Elevation (SSH) Trends</div>
           <ResponsiveContainer width="100%" height={100}>
-            <BarChart data={timeSeriesData.slice(-8)}>
+            <BarChart data={displaySeries.slice(-8)}>
               <Bar 
                 dataKey="ssh" 
                 fill="#10b981"
@@ -221,7 +238,7 @@ const OutputModule = ({
                   borderRadius: '6px',
                   fontSize: '12px'
                 }}
-                formatter={(value) => [`${value?.toFixed(2)} m`, 'SSH']}
+                formatter={(value) => [`${value?.toFixed(2)} ${getUnitSymbol('ssh', unitPreferences)}`, 'SSH']}
               />
             </BarChart>
           </ResponsiveContainer>
@@ -245,13 +262,13 @@ const OutputModule = ({
               <thead>
                 <tr className="border-b border-slate-500">
                   <th className="text-left p-1 text-slate-300">Time</th>
-                  <th className="text-left p-1 text-slate-300">Temp (°F)</th>
-                  <th className="text-left p-1 text-slate-300">Current (m/s)</th>
-                  <th className="text-left p-1 text-slate-300">SSH (m)</th>
+                  <th className="text-left p-1 text-slate-300">{withUnitLabel('Temp', 'temperature', unitPreferences)}</th>
+                  <th className="text-left p-1 text-slate-300">{withUnitLabel('Current', 'currentSpeed', unitPreferences)}</th>
+                  <th className="text-left p-1 text-slate-300">{withUnitLabel('SSH', 'ssh', unitPreferences)}</th>
                 </tr>
               </thead>
               <tbody>
-                {timeSeriesData.slice(-3).map((row, i) => (
+                {displaySeries.slice(-3).map((row, i) => (
                   <tr key={i} className="border-b border-slate-600/50">
                     <td className="p-1 text-slate-200 font-mono">{row.time}</td>
                     <td className="p-1 text-slate-200">{row.temperature?.toFixed(1) || 'N/A'}</td>
@@ -290,7 +307,8 @@ const OutputModule = ({
       type: responseType.type,
       frame: currentFrame,
       parameter: selectedParameter,
-      depth: selectedDepth,
+      depth: convertValue(selectedDepth, 'depth', unitPreferences),
+      depthUnit: getUnitSymbol('depth', unitPreferences),
       retryAttempt: response.retryAttempt || 0
     };
     
@@ -542,7 +560,7 @@ const OutputModule = ({
                           <div>
                             <span className="text-slate-500">Depth:</span>
                             <br />
-                            <span className="text-slate-300">{selectedDepth}m</span>
+                            <span className="text-slate-300">{formatValue(selectedDepth, 'depth', unitPreferences, 0)}</span>
                           </div>
                           <div>
                             <span className="text-slate-500">Frame:</span>
@@ -0,0 +1,222 @@
+import React, { useState, useMemo } from 'react';
+import { Target, Maximize2, Minimize2, Download } from 'lucide-react';
+import {
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  ReferenceLine
+} from 'recharts';
+import { assessSkill, toTaylorCoordinates, skillToCsv, skillPairsToCsv } from '../../services/skillService';
+import { DEFAULT_UNIT_PREFERENCES } from '../../services/unitService';
+
+const CHART_TOOLTIP_STYLE = {
+  backgroundColor: '#1f2937',
+  border: '1px solid #374151',
+  borderRadius: '6px',
+  fontSize: '12px',
+  color: '#ffffff'
+};
+
+const TAYLOR_COLORS = ['#22d3ee', '#f472b6', '#facc15', '#4ade80', '#a78bfa', '#fb923c'];
+
+// Standard deviation arcs of the Taylor diagram (normalized, quarter circles)
+const TAYLOR_ARCS = [0.5, 1, 1.5].map(radius => (
+  Array.from({ length: 19 }, (_, i) => {
+    const angle = (i * 5 * Math.PI) / 180;
+    return { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+  })
+));
+
+const downloadCsv = (content, filename) => {
+  const url = window.URL.createObjectURL(new Blob([content], { type: 'text/csv' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+};
+
+const formatStat = (value, digits = 2) => (value === null || value === undefined ? '—' : value.toFixed(digits));
+
+/**
+ * Model-vs-observation skill per station and variable: a statistics table, a scatter plot of the
+ * selected station's matched pairs and a Taylor diagram of all of them. Expanded, the charts are
+ * shown next to the table.
+ */
+const SkillAssessmentPanel = ({
+  // Observation datasets (see useObservations)
+  observations = [],
+  // processAPIData output at the selected depth
+  timeSeriesData = [],
+  selectedDepth = 0,
+  unitPreferences = DEFAULT_UNIT_PREFERENCES,
+  isExpanded = false,
+  onToggleExpand,
+  className = ""
+}) => {
+  const [selectedId, setSelectedId] = useState(null);
+
+  const results = useMemo(() => (
+    assessSkill(timeSeriesData, observations, { depth: selectedDepth, unitPreferences })
+  ), [timeSeriesData, observations, selectedDepth, unitPreferences]);
+
+  const selected = results.find(result => result.id === selectedId) || results[0] || null;
+
+  const taylorPoints = useMemo(() => results
+    .map((result, index) => ({ result, index, point: toTaylorCoordinates(result.stats) }))
+    .filter(({ point }) => point), [results]);
+
+  // Axis bounds of the scatter plot, shared so the 1:1 line is the diagonal
+  const scatterDomain = useMemo(() => {
+    if (!selected) return [0, 1];
+    const values = selected.pairs.flatMap(pair => [pair.obs, pair.model]);
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(value => {
+      if (value < min) min = value;
+      if (value > max) max = value;
+    });
+    const pad = (max - min) * 0.05 || 1;
+    return [Number((min - pad).toFixed(2)), Number((max + pad).toFixed(2))];
+  }, [selected]);
+
+  const taylorMax = Math.max(1.5, ...taylorPoints.map(({ point }) => Math.hypot(point.x, point.y))) * 1.05;
+
+  if (observations.length === 0) return null;
+
+  return (
+    <div className={`p-2 md:p-4 border-t border-slate-700 ${className}`}>
+      <div className="flex items-center justify-between mb-2 md:mb-3">
+        <h3 className="text-xs md:text-sm font-semibold text-slate-300 flex items-center gap-1 md:gap-2">
+          <Target className="w-3 h-3 md:w-4 md:h-4" />
+          Model Skill vs Observations
+        </h3>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => downloadCsv(skillToCsv(results), 'model_skill.csv')}
+            disabled={results.length === 0}
+            className="flex items-center gap-1 px-2 py-0.5 rounded text-xs text-slate-300 border border-slate-600 hover:border-slate-500 disabled:opacity-50"
+          >
+            <Download className="w-3 h-3" />
+            Statistics
+          </button>
+          <button
+            onClick={() => downloadCsv(skillPairsToCsv(selected), `skill_pairs_${selected.stationId}_${selected.variable}.csv`)}
+            disabled={!selected}
+            className="flex items-center gap-1 px-2 py-0.5 rounded text-xs text-slate-300 border border-slate-600 hover:border-slate-500 disabled:opacity-50"
+          >
+            <Download className="w-3 h-3" />
+            Pairs
+          </button>
+          <button onClick={onToggleExpand} className="p-1 text-cyan-400 hover:text-cyan-300" aria-label={isExpanded ? 'Collapse skill panel' : 'Expand skill panel'}>
+            {isExpanded ? <Minimize2 className="w-4 h-4" /> : <Maximize2 className="w-4 h-4" />}
+          </button>
+        </div>
+      </div>
+
+      {results.length === 0 ? (
+        <p className="text-xs text-slate-400">
+          No observations overlap the loaded model times and area at this depth. Load model data covering the observation period, or pick the surface level for surface observations.
+        </p>
+      ) : (
+        <div className={isExpanded ? 'grid grid-cols-1 lg:grid-cols-3 gap-3' : ''}>
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs text-slate-300">
+              <thead>
+                <tr className="text-slate-400 text-left">
+                  <th className="py-1 pr-2 font-normal">Station</th>
+                  <th className="py-1 pr-2 font-normal">Variable</th>
+                  <th className="py-1 pr-2 font-normal text-right">N</th>
+                  <th className="py-1 pr-2 font-normal text-right">Bias</th>
+                  <th className="py-1 pr-2 font-normal text-right">RMSE</th>
+                  <th className="py-1 pr-2 font-normal text-right">r</th>
+                  <th className="py-1 font-normal text-right" title="Willmott index of agreement">Skill</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map(result => (
+                  <tr
+                    key={result.id}
+                    onClick={() => setSelectedId(result.id)}
+                    className={`cursor-pointer ${selected?.id === result.id ? 'bg-cyan-900/30' : 'hover:bg-slate-700/40'}`}
+                  >
+                    <td className="py-1 pr-2 truncate max-w-[8rem]" title={result.stationName}>{result.source} {result.stationId}</td>
+                    <td className="py-1 pr-2">
+                      {result.label}{result.anomaly ? ' (anom.)' : ''}{result.unit ? ` ${result.unit}` : ''}
+                    </td>
+                    <td className="py-1 pr-2 text-right font-mono">{result.pairs.length}</td>
+                    <td className="py-1 pr-2 text-right font-mono">{formatStat(result.stats?.bias)}</td>
+                    <td className="py-1 pr-2 text-right font-mono">{formatStat(result.stats?.rmse)}</td>
+                    <td className="py-1 pr-2 text-right font-mono">{formatStat(result.stats?.correlation)}</td>
+                    <td className="py-1 text-right font-mono">{formatStat(result.stats?.willmott)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {isExpanded && selected && (
+            <div className="bg-slate-700/30 p-2 rounded-lg">
+              <div className="text-xs text-slate-400 mb-1">
+                {selected.stationName}: {selected.label} ({selected.unit || 'unitless'})
+              </div>
+              <ResponsiveContainer width="100%" height={220}>
+                <ScatterChart margin={{ top: 5, right: 10, bottom: 15, left: 0 }}>
+                  <CartesianGrid stroke="#334155" strokeDasharray="3 3" />
+                  <XAxis type="number" dataKey="obs" name="Observed" domain={scatterDomain} tick={{ fill: '#94a3b8', fontSize: 10 }} label={{ value: 'Observed', position: 'insideBottom', offset: -8, fill: '#94a3b8', fontSize: 10 }} />
+                  <YAxis type="number" dataKey="model" name="Model" domain={scatterDomain} tick={{ fill: '#94a3b8', fontSize: 10 }} width={40} />
+                  <ReferenceLine segment={[{ x: scatterDomain[0], y: scatterDomain[0] }, { x: scatterDomain[1], y: scatterDomain[1] }]} stroke="#64748b" strokeDasharray="4 4" />
+                  <Tooltip contentStyle={CHART_TOOLTIP_STYLE} formatter={(value) => Number(value).toFixed(2)} />
+                  <Scatter data={selected.pairs} fill="#22d3ee" />
+                </ScatterChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+
+          {isExpanded && (
+            <div className="bg-slate-700/30 p-2 rounded-lg">
+              <div className="text-xs text-slate-400 mb-1">Taylor diagram (normalized std. dev., correlation angle)</div>
+              <ResponsiveContainer width="100%" height={220}>
+                <ScatterChart margin={{ top: 5, right: 10, bottom: 15, left: 0 }}>
+                  <XAxis type="number" dataKey="x" domain={[0, Number(taylorMax.toFixed(2))]} tick={{ fill: '#94a3b8', fontSize: 10 }} />
+                  <YAxis type="number" dataKey="y" domain={[0, Number(taylorMax.toFixed(2))]} tick={{ fill: '#94a3b8', fontSize: 10 }} width={30} />
+                  {TAYLOR_ARCS.map((arc, i) => (
+                    <Scatter key={`arc-${i}`} data={arc} line={{ stroke: '#475569', strokeDasharray: '3 3' }} shape={() => null} isAnimationActive={false} />
+                  ))}
+                  <Scatter name="Observed" data={[{ x: 1, y: 0 }]} fill="#ffffff" />
+                  {taylorPoints.map(({ result, index, point }) => (
+                    <Scatter
+                      key={result.id}
+                      name={`${result.stationId} ${result.label}`}
+                      data={[{ ...point, r: result.stats.correlation }]}
+                      fill={TAYLOR_COLORS[index % TAYLOR_COLORS.length]}
+                    />
+                  ))}
+                  <Tooltip
+                    contentStyle={CHART_TOOLTIP_STYLE}
+                    formatter={(value, name, item) => (name === 'x' ? [Math.hypot(item.payload.x, item.payload.y).toFixed(2), 'σ model / σ obs'] : [item.payload.r?.toFixed(2) ?? '—', 'r'])}
+                  />
+                </ScatterChart>
+              </ResponsiveContainer>
+              <div className="flex flex-wrap gap-2 text-xs">
+                {taylorPoints.map(({ result, index }) => (
+                  <span key={result.id} style={{ color: TAYLOR_COLORS[index % TAYLOR_COLORS.length] }}>
+                    ● {result.stationId} {result.label}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SkillAssessmentPanel;
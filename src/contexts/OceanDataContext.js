@@ -1,8 +1,9 @@
 import React, { createContext, useContext, useState, useCallback } from 'react';
 import { useOceanData } from '../hooks/useOceanData';
-import { useAnimationControl } from '../hooks/useAnimationControl';
 import useHoloOcean from '../hooks/useHoloOcean';
 import LoadingScreen from '../components/common/LoadingScreen';
+import StreamingProgressScreen from '../components/common/StreamingProgressScreen';
+import StreamingProgressBar from '../components/common/StreamingProgressBar';
 import ErrorScreen from '../components/common/ErrorScreen';
 
 // 1. Create the context
@@ -31,23 +32,17 @@ export const useOcean = () => {
  * @param {string} props.authMethod - The authentication method used ('auth0' or 'password').
  */
 export const OceanDataProvider = ({ children, authMethod = 'password' }) => {
-  // Manages data fetching and state
-  // Pass the authMethod to useOceanData so it knows whether to use Auth0 tokens
-  const oceanData = useOceanData(authMethod);
-
   // The single source of truth for play/pause state
   const [isPlaying, setIsPlaying] = useState(false);
   const playAnimation = useCallback(() => setIsPlaying(true), []);
   const pauseAnimation = useCallback(() => setIsPlaying(false), []);
   const togglePlay = useCallback(() => setIsPlaying(prev => !prev), []);
 
-  // Manages animation logic (e.g., currentFrame)
-  // It RECEIVES the play state and control functions as arguments.
-  const animationControl = useAnimationControl(
-    oceanData.totalFrames,
-    isPlaying,
-    { pauseAnimation, togglePlay }
-  );
+  // Manages data fetching and state
+  // Pass the authMethod to useOceanData so it knows whether to use Auth0 tokens.
+  // useOceanData owns the animation logic (e.g., currentFrame) so the environmental readouts
+  // follow the same frame; it RECEIVES the play state and control functions as arguments.
+  const { animationControl, ...oceanData } = useOceanData(authMethod, { isPlaying, pauseAnimation, togglePlay });
 
   // HoloOcean WebSocket integration
   const holoOceanData = useHoloOcean();
@@ -68,7 +63,16 @@ export const OceanDataProvider = ({ children, authMethod = 'password' }) => {
 
   // Handle global loading and error states before rendering children
   // Show a loading spinner only while the INITIAL data is being fetched.
+  // While pages are streaming in, show per-page progress with a cancel button instead.
   if (value.isLoading && !value.dataLoaded) {
+    if (value.loadingProgress) {
+      return (
+        <StreamingProgressScreen
+          progress={value.loadingProgress}
+          onCancel={value.cancelDataLoad}
+        />
+      );
+    }
     return <LoadingScreen />;
   }
 
@@ -80,6 +84,10 @@ export const OceanDataProvider = ({ children, authMethod = 'password' }) => {
   return (
     <OceanDataContext.Provider value={value}>
       {children}
+      {/* Later loads (area, model or date changes) stream in behind a progress bar */}
+      {value.isLoading && (
+        <StreamingProgressBar progress={value.loadingProgress} onCancel={value.cancelDataLoad} />
+      )}
     </OceanDataContext.Provider>
   );
 };
\ No newline at end of file
@@ -0,0 +1,183 @@
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import {
+  createAlertRule,
+  evaluateAlertRules,
+  formatAlertMessage,
+  buildWebhookPayload,
+  deliverWebhook,
+  showBrowserNotification,
+  requestNotificationPermission,
+  loadAlertRules,
+  saveAlertRules,
+  loadAlertSettings,
+  saveAlertSettings
+} from '../services/alertService';
+
+// Notifications kept in the notification center
+const MAX_ALERT_NOTIFICATIONS = 100;
+
+/**
+ * Hook for threshold alert rules. Rules are evaluated whenever the loaded rows change (each
+ * completed refreshData or import) and, when a schedule is set, every few minutes after reloading
+ * the data. New events go to the notification center and, per the settings, to browser
+ * notifications and a webhook.
+ * @param {Array<object>} rows - Canonical rows (rawData)
+ * @param {object} options - { unitPreferences, dataSource, refreshData }
+ * @returns {object} Rules, settings, notifications, the active events and their actions
+ */
+export const useAlerts = (rows = [], { unitPreferences, dataSource = 'none', refreshData } = {}) => {
+  // --- Alert State ---
+  const [alertRules, setAlertRules] = useState(() => loadAlertRules());
+  const [alertSettings, setAlertSettings] = useState(() => loadAlertSettings());
+  // Events of the latest evaluation; the map highlights their nodes
+  const [activeAlerts, setActiveAlerts] = useState([]);
+  // Notification center entries: events plus { receivedAt, read, delivery }
+  const [alertNotifications, setAlertNotifications] = useState([]);
+  const [lastEvaluatedAt, setLastEvaluatedAt] = useState(null);
+  const [evaluationTick, setEvaluationTick] = useState(0);
+  const notifiedKeysRef = useRef(new Set());
+
+  const recordDelivery = useCallback((key, delivery) => {
+    setAlertNotifications(prev => prev.map(entry => (entry.key === key ? { ...entry, delivery } : entry)));
+  }, []);
+
+  // --- Evaluation ---
+  useEffect(() => {
+    const events = evaluateAlertRules(rows, alertRules);
+    setActiveAlerts(events);
+    setLastEvaluatedAt(new Date().toISOString());
+
+    const fresh = events.filter(event => !notifiedKeysRef.current.has(event.key));
+    if (fresh.length === 0) return;
+    fresh.forEach(event => notifiedKeysRef.current.add(event.key));
+    const receivedAt = new Date().toISOString();
+    setAlertNotifications(prev => [
+      ...fresh.map(event => ({ ...event, receivedAt, read: false, delivery: null })),
+      ...prev
+    ].slice(0, MAX_ALERT_NOTIFICATIONS));
+
+    fresh.forEach(event => {
+      const rule = alertRules.find(candidate => candidate.id === event.ruleId);
+      const message = formatAlertMessage(event, rule, unitPreferences);
+      if (alertSettings.browserNotifications) {
+        showBrowserNotification(`Ocean alert (${event.severity})`, message);
+      }
+      if (alertSettings.webhookUrl) {
+        deliverWebhook(alertSettings.webhookUrl, buildWebhookPayload(event, rule, unitPreferences))
+          .then(({ status }) => recordDelivery(event.key, { ok: true, status }))
+          .catch(error => recordDelivery(event.key, { ok: false, error: error.message }));
+      }
+    });
+  }, [rows, alertRules, evaluationTick, alertSettings, unitPreferences, recordDelivery]);
+
+  // --- Schedule ---
+  useEffect(() => {
+    if (!alertSettings.scheduleMinutes) return undefined;
+    const interval = setInterval(() => {
+      // Imported files cannot be reloaded, so they are evaluated as they are
+      if (dataSource !== 'upload' && refreshData) {
+        refreshData();
+      } else {
+        setEvaluationTick(tick => tick + 1);
+      }
+    }, alertSettings.scheduleMinutes * 60 * 1000);
+    return () => clearInterval(interval);
+  }, [alertSettings.scheduleMinutes, dataSource, refreshData]);
+
+  // --- Rule actions ---
+  const updateRules = useCallback((update) => {
+    setAlertRules(prev => {
+      const next = update(prev);
+      saveAlertRules(next);
+      return next;
+    });
+  }, []);
+
+  const saveAlertRule = useCallback((fields) => {
+    const rule = createAlertRule(fields);
+    updateRules(prev => (
+      prev.some(existing => existing.id === rule.id)
+        ? prev.map(existing => (existing.id === rule.id ? rule : existing))
+        : [...prev, rule]
+    ));
+    return rule;
+  }, [updateRules]);
+
+  const deleteAlertRule = useCallback((id) => {
+    updateRules(prev => prev.filter(rule => rule.id !== id));
+  }, [updateRules]);
+
+  const toggleAlertRule = useCallback((id) => {
+    updateRules(prev => prev.map(rule => (rule.id === id ? { ...rule, enabled: !rule.enabled } : rule)));
+  }, [updateRules]);
+
+  // --- Settings actions ---
+  const updateAlertSettings = useCallback(async (changes) => {
+    const next = { ...alertSettings, ...changes };
+    if (changes.browserNotifications) {
+      const permission = await requestNotificationPermission();
+      if (permission !== 'granted') next.browserNotifications = false;
+    }
+    saveAlertSettings(next);
+    setAlertSettings(next);
+    return next;
+  }, [alertSettings]);
+
+  // Posts a sample event, so the webhook can be checked before a rule triggers
+  const testAlertWebhook = useCallback((url = alertSettings.webhookUrl) => {
+    const rule = createAlertRule({ id: 'test', name: 'Webhook test', variable: 'temp', threshold: 0, severity: 'info' });
+    const now = new Date().toISOString();
+    const event = {
+      key: `test:${now}`,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      variable: rule.variable,
+      severity: rule.severity,
+      triggeredAt: now,
+      extreme: 0,
+      count: 0,
+      nodes: []
+    };
+    return deliverWebhook(url, buildWebhookPayload(event, rule, unitPreferences));
+  }, [alertSettings.webhookUrl, unitPreferences]);
+
+  // --- Notification center actions ---
+  const markAlertsRead = useCallback(() => {
+    setAlertNotifications(prev => prev.map(entry => ({ ...entry, read: true })));
+  }, []);
+
+  const clearAlertNotifications = useCallback(() => {
+    setAlertNotifications([]);
+  }, []);
+
+  const unreadAlertCount = useMemo(
+    () => alertNotifications.filter(entry => !entry.read).length,
+    [alertNotifications]
+  );
+
+  // Triggering nodes of the active events, for the map
+  const alertHighlights = useMemo(() => activeAlerts.flatMap(event => event.nodes.map(node => ({
+    ...node,
+    ruleId: event.ruleId,
+    ruleName: event.ruleName,
+    variable: event.variable,
+    severity: event.severity
+  }))), [activeAlerts]);
+
+  return {
+    alertRules,
+    alertSettings,
+    activeAlerts,
+    alertHighlights,
+    alertNotifications,
+    unreadAlertCount,
+    lastAlertEvaluation: lastEvaluatedAt,
+    saveAlertRule,
+    deleteAlertRule,
+    toggleAlertRule,
+    updateAlertSettings,
+    testAlertWebhook,
+    markAlertsRead,
+    clearAlertNotifications
+  };
+};
@@ -1,8 +1,13 @@
 import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 
+// Timer ticks per second while smooth transitions interpolate between time steps
+const SMOOTH_TICK_RATE = 20;
+
 /**
- * Hook for managing animation playback, frame control, and timing
- * @param {number} totalFrames - Total number of frames available
+ * Hook for managing animation playback, frame control, and timing. Frames are the steps of the
+ * data's time axis; with smooth transitions on, playback advances a fractional frame position
+ * so layers and readouts can interpolate between steps (see temporalInterpolationService).
+ * @param {number} totalFrames - Total number of frames (time steps) available
  * @param {boolean} isPlaying - The current play/pause state from the parent.
  * @param {object} callbacks - Callback functions to control the parent's state.
  * @returns {object} Animation control state and functions
@@ -14,7 +19,8 @@ export const useAnimationControl = (totalFrames = 24, isPlaying, callbacks = {})
   const MIN_PLAYBACK_SPEED = 0.1;
 
   // --- Animation State ---
-  const [currentFrame, setCurrentFrame] = useState(0);
+  const [framePosition, setFramePosition] = useState(0); // fractional frame, e.g. 2.5 is halfway to frame 3
+  const currentFrame = Math.floor(framePosition);
   const [playbackSpeed, setPlaybackSpeedInternal] = useState(10);
   const [loopMode, setLoopMode] = useState('Once'); // 'Repeat', 'Once', 'PingPong'
   const [direction, setDirection] = useState(1); // 1 for forward, -1 for backward (ping-pong)
@@ -42,12 +48,17 @@ export const useAnimationControl = (totalFrames = 24, isPlaying, callbacks = {})
   // --- Frame navigation with bounds checking ---
   const setCurrentFrameSafe = useCallback((frameIndex) => {
     const validFrame = Math.max(0, Math.min(frameIndex, totalFrames - 1));
-    setCurrentFrame(validFrame);
+    setFramePosition(validFrame);
+  }, [totalFrames]);
+
+  // Keep the position on the axis when a new dataset has fewer frames
+  useEffect(() => {
+    setFramePosition(prev => Math.max(0, Math.min(prev, totalFrames - 1)));
   }, [totalFrames]);
 
   // --- Reset animation ---
   const handleReset = useCallback(() => {
-    setCurrentFrame(0);
+    setFramePosition(0);
     if (pauseAnimation) pauseAnimation(); // Use callback function to stop play
     setElapsedTime(0);
     setStartTime(null);
@@ -68,8 +79,9 @@ export const useAnimationControl = (totalFrames = 24, isPlaying, callbacks = {})
   }, [currentFrame, setCurrentFrameSafe]);
 
   const stepBackward = useCallback(() => {
-    setCurrentFrameSafe(currentFrame - 1);
-  }, [currentFrame, setCurrentFrameSafe]);
+    // Between two frames, the previous frame is the one at or before the position
+    setCurrentFrameSafe(Math.ceil(framePosition) - 1);
+  }, [framePosition, setCurrentFrameSafe]);
 
   // --- Jump to start/end ---
   const jumpToStart = useCallback(() => {
@@ -94,18 +106,19 @@ export const useAnimationControl = (totalFrames = 24, isPlaying, callbacks = {})
     setAnimationConfig(prev => ({ ...prev, ...newConfig }));
   }, []);
 
-  // --- Calculate next frame based on loop mode ---
-  const calculateNextFrame = useCallback((current, dir) => {
+  // --- Calculate next frame position based on loop mode ---
+  const calculateNextFrame = useCallback((current, dir, increment = 1) => {
+    const lastFrame = totalFrames - 1;
     switch (loopMode) {
       case 'Once':
-        if (current >= totalFrames - 1) {
+        if (current >= lastFrame) {
           if (pauseAnimation) pauseAnimation();
-          return current;
+          return lastFrame;
         }
-        return current + 1;
+        return Math.min(current + increment, lastFrame);
         
       case 'PingPong':
-        let nextFrame = current + dir;
+        let nextFrame = current + dir * increment;
         let nextDirection = dir;
         
         if (nextFrame >= totalFrames - 1) {
@@ -121,15 +134,15 @@ export const useAnimationControl = (totalFrames = 24, isPlaying, callbacks = {})
         
       case 'Repeat':
       default:
-        return current >= totalFrames - 1 ? 0 : current + 1;
+        return current >= lastFrame ? 0 : Math.min(current + increment, lastFrame);
     }
   }, [loopMode, totalFrames, pauseAnimation]);
 
   // --- Animation progress calculation ---
   const animationProgress = useMemo(() => {
     if (totalFrames <= 1) return 100;
-    return (currentFrame / (totalFrames - 1)) * 100;
-  }, [currentFrame, totalFrames]);
+    return (framePosition / (totalFrames - 1)) * 100;
+  }, [framePosition, totalFrames]);
 
   // --- Animation status ---
   const animationStatus = useMemo(() => {
@@ -145,8 +158,13 @@ export const useAnimationControl = (totalFrames = 24, isPlaying, callbacks = {})
   const frameTimeHistory = useRef([]);
 
   // --- Main animation loop ---
+  // Smooth transitions tick at SMOOTH_TICK_RATE and advance playbackSpeed frames per second in
+  // fractional increments; otherwise each tick advances one whole frame
+  const smoothTransitions = animationConfig.smoothTransitions;
   useEffect(() => {
     if (isPlaying && totalFrames > 1) {
+      const tickRate = smoothTransitions ? Math.max(SMOOTH_TICK_RATE, playbackSpeed) : playbackSpeed;
+      const increment = smoothTransitions ? playbackSpeed / tickRate : 1;
       // Set start time and last frame time when play begins
       if (!startTime) {
         setStartTime(Date.now());
@@ -165,10 +183,10 @@ export const useAnimationControl = (totalFrames = 24, isPlaying, callbacks = {})
         const avgFrameTime = frameTimeHistory.current.reduce((a, b) => a + b, 0) / frameTimeHistory.current.length;
         setCurrentFPS(avgFrameTime > 0 ? Math.round(1000 / avgFrameTime) : 0);
         
-        setCurrentFrame(prev => calculateNextFrame(prev, direction));
+        setFramePosition(prev => calculateNextFrame(prev, direction, increment));
         setElapsedTime(prev => prev + deltaTime);
         lastFrameTime.current = now;
-      }, 1000 / playbackSpeed);
+      }, 1000 / tickRate);
     } else {
       if (intervalRef.current) {
         clearInterval(intervalRef.current);
@@ -183,7 +201,7 @@ export const useAnimationControl = (totalFrames = 24, isPlaying, callbacks = {})
         intervalRef.current = null;
       }
     };
-  }, [isPlaying, playbackSpeed, totalFrames, calculateNextFrame, direction, startTime]);
+  }, [isPlaying, playbackSpeed, totalFrames, calculateNextFrame, direction, startTime, smoothTransitions]);
 
   // --- Keyboard controls ---
   const handleKeyboardControl = useCallback((event) => {
@@ -267,6 +285,7 @@ export const useAnimationControl = (totalFrames = 24, isPlaying, callbacks = {})
   return {
     // Core state
     currentFrame,
+    framePosition,
     playbackSpeed,
     loopMode,
     direction,
@@ -1,11 +1,16 @@
-import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useAuth0 } from '@auth0/auth0-react';
-import { loadAllData, processAPIData, generateStationDataFromAPI } from '../services/dataService';
+import { loadAllData, processAPIData, getDataExtent } from '../services/dataService';
+import { formatRowsAsync, buildColumnarStoreAsync, generateStationsAsync } from '../services/dataWorkerService';
+import { getModelAdapter, describeModelAdapter } from '../services/modelAdapterService';
+import { applyQcMode, DEFAULT_QC_MODE } from '../services/qcService';
+import { STORE_DERIVED_FIELDS } from '../services/derivedVariablesService';
+import { buildTimeAxis, buildFrameIndex } from '../services/temporalInterpolationService';
 
 /**
  * Hook for managing oceanographic data loading, processing, and quality assessment
  * @param {string} selectedArea - Currently selected area for data fetching
- * @param {string} selectedModel - Currently selected model for data fetching
+ * @param {string} selectedModel - Model whose rows are shown when an area loads several models
  * @param {string} currentDate - Currently selected date for data fetching
  * @param {string} currentTime - Currently selected time for data fetching
  * @param {number} selectedDepth - Currently selected depth for data filtering
@@ -33,10 +38,28 @@ export const useDataManagement = (
   const [dataLoaded, setDataLoaded] = useState(false);
   const [dataSource, setDataSource] = useState('simulated');
   const [generatedStationData, setGeneratedStationData] = useState([]);
+  const [formattedRows, setFormattedRows] = useState([]); // numeric rows with _qc flags, before the QC mode
+  const [dataStore, setDataStore] = useState(null); // columnar store of the same rows, for map layers
+  const [qcSummary, setQcSummary] = useState(null); // flag counts per QC variable
+  const [isProcessingData, setIsProcessingData] = useState(false);
 
   // --- Loading and Error State ---
   const [isLoading, setIsLoading] = useState(true);
   const [errorMessage, setErrorMessage] = useState(null);
+  const [loadingProgress, setLoadingProgress] = useState(null);
+  const [loadWarnings, setLoadWarnings] = useState([]);
+  const [loadTruncated, setLoadTruncated] = useState(false);
+  const [offlineStatus, setOfflineStatus] = useState(null); // { source: 'cache'|'sample'|'none', cachedAt, synthetic, sampleArea }
+  const [importedFile, setImportedFile] = useState(null); // { fileName, rowCount, importedAt, warnings }
+  const abortControllerRef = useRef(null);
+
+  // --- Server-side Query Filters ---
+  // The viewport bbox is tied to the area it was requested for, so switching areas drops it
+  const [viewportQuery, setViewportQuery] = useState(null);
+  const [queryDepthRange, setQueryDepthRange] = useState(null);
+  const queryBbox = useMemo(() => {
+    return viewportQuery && viewportQuery.area === selectedArea ? viewportQuery.bbox : null;
+  }, [viewportQuery, selectedArea]);
 
   // --- Data Configuration State ---
   const [availableModels, setAvailableModels] = useState([]);
@@ -49,7 +72,8 @@ export const useDataManagement = (
   const [dataProcessingOptions, setDataProcessingOptions] = useState({
     filterByDepth: true,
     sortByTime: true,
-    skipNullValues: true
+    skipNullValues: true,
+    qcMode: DEFAULT_QC_MODE // 'show', 'highlight' or 'hide' suspect and failed values
   });
 
   // --- Get Auth Token (conditionally based on authMethod) ---
@@ -65,73 +89,213 @@ export const useDataManagement = (
     return null;
   }, [authMethod, isAuthenticated, getAccessTokenSilently]);
 
+  // --- Store loaded rows and derive the available models, depths, dates and times ---
+  const applyLoadedRows = useCallback((allData) => {
+    setApiData(allData);
+
+    // Extract available models
+    const models = [...new Set(allData.map(row => row.model).filter(Boolean))].sort();
+    setAvailableModels(models);
+    
+    // Extract available depths
+    const depths = [...new Set(allData.map(row => row.depth).filter(d => d !== null && d !== undefined))].sort((a, b) => a - b);
+    setAvailableDepths(depths);
+
+    // Extract available dates and times
+    const dates = [...new Set(allData.map(row => row.time ? new Date(row.time).toISOString().split('T')[0] : null).filter(Boolean))].sort();
+    const times = [...new Set(allData.map(row => row.time ? new Date(row.time).toTimeString().split(' ')[0].substring(0, 5) : null).filter(Boolean))].sort();
+    
+    setAvailableDates(dates);
+    setAvailableTimes(times);
+  }, []);
+
   // --- Load and refresh data ---
   const refreshData = useCallback(async () => {
+    // Cancel any in-flight load; its results are for a stale area or date range
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const isCurrentLoad = () => abortControllerRef.current === controller;
+
     setIsLoading(true);
     setErrorMessage(null);
+    setLoadingProgress(null);
+    setLoadWarnings([]);
     
     try {
-      const token = await getAuthToken();
+      await getAuthToken();
       // Pass all relevant query parameters to the data loading service
-      const queryParams = { area: selectedArea, model: selectedModel, date: currentDate, time: currentTime, startDate, endDate };
+      const queryParams = {
+        area: selectedArea,
+        date: currentDate,
+        time: currentTime,
+        startDate,
+        endDate,
+        bbox: queryBbox,
+        depthRange: queryDepthRange
+      };
       console.log("useDataManagement: Calling loadAllData with params:", queryParams);
-      const { allData } = await loadAllData(queryParams, token);
+      const { allData, aborted, truncated, offline = null } = await loadAllData(queryParams, {
+        signal: controller.signal,
+        onProgress: (progress) => {
+          if (isCurrentLoad()) {
+            setLoadingProgress(progress);
+            setLoadWarnings(progress.errors);
+          }
+        }
+      });
+
+      // A newer load superseded this one; leave state to it
+      if (!isCurrentLoad()) return;
+      if (aborted) {
+        console.warn(`useDataManagement: Load cancelled after ${allData.length} rows`);
+      }
+      setLoadTruncated(Boolean(truncated || aborted));
+      setOfflineStatus(offline);
       
       if (allData.length > 0) {
-        setApiData(allData);
-        setDataSource('api');
-
-        // Extract available models
-        const models = [...new Set(allData.map(row => row.model).filter(Boolean))].sort();
-        setAvailableModels(models);
-        
-        // Extract available depths
-        const depths = [...new Set(allData.map(row => row.depth).filter(d => d !== null && d !== undefined))].sort((a, b) => a - b);
-        setAvailableDepths(depths);
-
-        // Extract available dates and times
-        const dates = [...new Set(allData.map(row => row.time ? new Date(row.time).toISOString().split('T')[0] : null).filter(Boolean))].sort();
-        const times = [...new Set(allData.map(row => row.time ? new Date(row.time).toTimeString().split(' ')[0].substring(0, 5) : null).filter(Boolean))].sort();
-        
-        setAvailableDates(dates);
-        setAvailableTimes(times);
-        
+        applyLoadedRows(allData);
+        // Offline fallbacks are labelled by where the rows came from
+        setDataSource(offline ? (offline.source === 'cache' ? 'cached' : 'sample') : 'api');
+        setImportedFile(null);
+      } else if (offline?.source === 'none') {
+        // The bundled sample only covers its own area; say so instead of a generic empty result
+        setErrorMessage(`No offline data for ${selectedArea}: nothing is cached for this area${
+          offline.sampleArea ? ` and the bundled sample only covers ${offline.sampleArea}` : ''
+        }.`);
+        setDataSource('none');
+      } else if ((queryBbox || queryDepthRange) && !aborted) {
+        // A filtered query can legitimately be empty (e.g. the map is panned off the model grid)
+        setApiData([]);
+        setDataSource('none');
+        setLoadWarnings(prev => [...prev, 'No data matches the current map view or depth range.']);
       } else {
-        setErrorMessage('No data returned from the source.');
+        setErrorMessage(aborted ? 'Data load was cancelled before any rows were received.' : 'No data returned from the source.');
         setDataSource('none');
       }
     } catch (error) {
+      if (!isCurrentLoad()) return;
       console.error('Critical error during data loading:', error);
       setErrorMessage(error.message || 'An unknown error occurred.');
       setDataSource('none');
     } finally {
-      setIsLoading(false);
-      setDataLoaded(true);
+      if (isCurrentLoad()) {
+        abortControllerRef.current = null;
+        setIsLoading(false);
+        setDataLoaded(true);
+      }
     }
-  }, [selectedArea, selectedModel, currentDate, currentTime, startDate, endDate, getAuthToken]);
-
-  // --- Formatted Raw Data ---
-  const rawData = useMemo(() => {
-    return apiData.map(row => ({
-      ...row,
-      // Ensure key currents fields are properly formatted
-      lat: parseFloat(row.lat),
-      lon: parseFloat(row.lon),
-      direction: parseFloat(row.direction),
-      speed: parseFloat(row.speed),
-      nspeed: parseFloat(row.nspeed), // wind speed
-      ndirection: parseFloat(row.ndirection), // wind direction
-      temp: parseFloat(row.temp),
-      salinity: parseFloat(row.salinity),
-      depth: parseFloat(row.depth),
-      ssh: parseFloat(row.ssh),
-      pressure_dbars: parseFloat(row.pressure_dbars),
-      sound_speed_ms: parseFloat(row.sound_speed_ms),
-      time: row.time
-    })).filter(row => 
-      !isNaN(row.lat) && !isNaN(row.lon) // Minimum requirement for mapping
-    );
-  }, [apiData]);
+  }, [selectedArea, currentDate, currentTime, startDate, endDate, queryBbox, queryDepthRange, getAuthToken, applyLoadedRows]);
+
+  // --- Extent covered by the loaded data (null when the whole area was loaded) ---
+  const loadedExtent = useMemo(() => {
+    if (queryBbox) return queryBbox;
+    if (loadTruncated) return getDataExtent(apiData);
+    return null;
+  }, [queryBbox, loadTruncated, apiData]);
+
+  // --- Request data for a map viewport ---
+  const setQueryBbox = useCallback((bbox) => {
+    setViewportQuery(bbox ? { area: selectedArea, bbox } : null);
+  }, [selectedArea]);
+
+  // --- Replace the loaded data with rows imported from a file ---
+  const importData = useCallback((rows, { fileName = 'upload', warnings = [] } = {}) => {
+    if (!rows || rows.length === 0) {
+      throw new Error('The imported file has no valid rows');
+    }
+    // An in-flight API load would overwrite the imported rows
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      abortControllerRef.current = null;
+    }
+    applyLoadedRows(rows);
+    setDataSource('upload');
+    setOfflineStatus(null);
+    setLoadTruncated(false);
+    setLoadingProgress(null);
+    setLoadWarnings(warnings);
+    setErrorMessage(null);
+    setIsLoading(false);
+    setDataLoaded(true);
+    setImportedFile({ fileName, rowCount: rows.length, importedAt: new Date().toISOString(), warnings });
+  }, [applyLoadedRows]);
+
+  // --- Drop imported rows and reload from the API ---
+  const clearImportedData = useCallback(() => {
+    setImportedFile(null);
+    refreshData();
+  }, [refreshData]);
+
+  // --- Cancel an in-flight load, keeping the pages already received ---
+  const cancelDataLoad = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+  }, []);
+
+  // --- Model adapters that produced the loaded rows ---
+  const modelAdapters = useMemo(() => {
+    return availableModels
+      .map(modelId => getModelAdapter(modelId))
+      .filter(Boolean)
+      .map(describeModelAdapter);
+  }, [availableModels]);
+
+  // --- Rows for the selected model (every source of the area is loaded side by side) ---
+  const modelData = useMemo(() => {
+    if (availableModels.length < 2 || !availableModels.includes(selectedModel)) {
+      return apiData;
+    }
+    return apiData.filter(row => row.model === selectedModel);
+  }, [apiData, availableModels, selectedModel]);
+
+  // --- Formatted Raw Data, QC flags and columnar store (built in the data worker) ---
+  useEffect(() => {
+    if (modelData.length === 0) {
+      setFormattedRows([]);
+      setDataStore(null);
+      setQcSummary(null);
+      setIsProcessingData(false);
+      return undefined;
+    }
+    // A newer dataset cancels processing of the previous one
+    const controller = new AbortController();
+    const { signal } = controller;
+    setIsProcessingData(true);
+    Promise.all([formatRowsAsync(modelData, { signal }), buildColumnarStoreAsync(modelData, { signal })])
+      .then(([formatted, store]) => {
+        setFormattedRows(formatted.rows);
+        // Store rows line up with the formatted rows, so they share the QC flags and derived columns
+        const derivedColumns = {};
+        STORE_DERIVED_FIELDS.forEach(field => {
+          derivedColumns[field] = Float32Array.from(formatted.derived[field]);
+        });
+        setDataStore({ ...store, columns: { ...store.columns, ...derivedColumns }, qcFlags: formatted.qcFlags });
+        setQcSummary(formatted.qcSummary);
+      })
+      .catch(error => {
+        if (error.name === 'AbortError') return;
+        console.error('Error formatting data rows:', error);
+        setFormattedRows([]);
+        setDataStore(null);
+        setQcSummary(null);
+      })
+      .finally(() => {
+        if (!signal.aborted) setIsProcessingData(false);
+      });
+    return () => controller.abort();
+  }, [modelData]);
+
+  // --- Rows for display: hide mode blanks suspect and failed values ---
+  const qcMode = dataProcessingOptions.qcMode;
+  const rawData = useMemo(() => applyQcMode(formattedRows, qcMode), [formattedRows, qcMode]);
+
+  // --- Playback time axis: one frame per distinct model timestamp ---
+  const timeAxis = useMemo(() => buildTimeAxis(formattedRows), [formattedRows]);
+  const frameIndex = useMemo(() => buildFrameIndex(rawData, timeAxis), [rawData, timeAxis]);
 
   // --- Station-specific data filtering ---
   const selectedStationEnvironmentalData = useMemo(() => {
@@ -347,24 +511,46 @@ export const useDataManagement = (
     setMaxDataPoints(limit);
   }, []);
 
+  const setQcMode = useCallback((mode) => {
+    setDataProcessingOptions(prev => ({ ...prev, qcMode: mode }));
+  }, []);
+
   // --- Initial data load and model change handling ---
   useEffect(() => {
     refreshData();
   }, [refreshData]);
 
-  // --- Update station data when raw data changes ---
+  // --- Reload from the API when connectivity returns after an offline fallback ---
   useEffect(() => {
-    if (apiData.length > 0) {
-      try {
-        const stationResult = generateStationDataFromAPI(apiData);
-        setGeneratedStationData(stationResult);
-      } catch (error) {
+    if (!offlineStatus) return undefined;
+    window.addEventListener('online', refreshData);
+    return () => window.removeEventListener('online', refreshData);
+  }, [offlineStatus, refreshData]);
+
+  // --- Abort any pending load on unmount ---
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+        abortControllerRef.current = null;
+      }
+    };
+  }, []);
+
+  // --- Update station data when raw data changes (grouped in the data worker) ---
+  useEffect(() => {
+    if (modelData.length === 0) return undefined;
+    const controller = new AbortController();
+    generateStationsAsync(modelData, { signal: controller.signal })
+      .then(setGeneratedStationData)
+      .catch(error => {
+        if (error.name === 'AbortError') return;
         console.error('Error generating station data:', error);
         setErrorMessage(prev => prev || error.message);
         setGeneratedStationData([]);
-      }
-    }
-  }, [apiData]);
+      });
+    return () => controller.abort();
+  }, [modelData]);
 
   // --- Return public API ---
   return {
@@ -372,6 +558,7 @@ export const useDataManagement = (
     apiData: apiData,
     rawApiData: apiData,
     rawData: rawData,
+    dataStore,
     timeSeriesData: processedTimeSeriesData,
     stationData: processedStationData,
     selectedStationEnvironmentalData,
@@ -380,11 +567,21 @@ export const useDataManagement = (
     dataLoaded,
     dataSource,
     isLoading,
+    isProcessingData,
+    loadingProgress,
+    loadedExtent,
+    queryBbox,
+    queryDepthRange,
+    loadWarnings,
+    offlineStatus,
+    isOffline: offlineStatus !== null,
+    importedFile,
     hasError: !!errorMessage,
     errorMessage,
     
     // Configuration options
     availableModels,
+    modelAdapters,
     availableDepths,
     availableDates,
     availableTimes,
@@ -397,15 +594,25 @@ export const useDataManagement = (
     // Processing configuration
     maxDataPoints,
     dataProcessingOptions,
+    qcMode,
+    qcSummary,
     
     // Functions
     refreshData,
+    cancelDataLoad,
+    setQueryBbox,
+    setQueryDepthRange,
+    importData,
+    clearImportedData,
     validateData,
     updateDataProcessingOptions,
     setMaxDataPointsLimit,
+    setQcMode,
     
     // Computed values
-    totalFrames: apiData.length,
+    timeAxis,
+    frameIndex,
+    totalFrames: timeAxis.length,
     data: rawData
   };
 };
\ No newline at end of file
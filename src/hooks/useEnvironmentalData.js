@@ -1,13 +1,65 @@
 import { useState, useCallback, useEffect } from 'react';
+import { deriveSample } from '../services/derivedVariablesService';
+
+/**
+ * @param {number} value - Row value
+ * @returns {number|null} The value, or null when it is missing or NaN
+ */
+const finiteOrNull = (value) => (Number.isFinite(value) ? value : null);
+
+/**
+ * Environmental readings of one row, with its TEOS-10 derived variables (computed here for rows
+ * that did not come through the data worker).
+ * @param {object} dataPoint - Formatted row
+ * @param {number} selectedDepth - Depth used when the row has none
+ * @returns {object} envData
+ */
+const buildEnvData = (dataPoint, selectedDepth) => {
+  const temperature = dataPoint.temp ?? dataPoint.temperature ?? null;
+  const salinity = dataPoint.salinity ?? null;
+  const pressure = dataPoint.pressure_dbars ?? dataPoint.pressure ?? null;
+  const soundSpeed = dataPoint.sound_speed_ms ?? null;
+  const derived = Number.isFinite(dataPoint.density) ? null : deriveSample({
+    temp: Number(temperature ?? NaN),
+    salinity: Number(salinity ?? NaN),
+    pressure: Number(pressure ?? NaN),
+    depth: Number(dataPoint.depth ?? NaN),
+    lat: Number(dataPoint.lat),
+    soundSpeed: Number(soundSpeed ?? NaN)
+  });
+  return {
+    temperature,
+    salinity,
+    pressure,
+    depth: dataPoint.depth ?? selectedDepth,
+    soundSpeed,
+    currentSpeed: dataPoint.speed ?? null,
+    currentDirection: dataPoint.direction ?? null,
+    windSpeed: dataPoint.nspeed ?? null,
+    windDirection: dataPoint.ndirection ?? null,
+    seaSurfaceHeight: dataPoint.ssh ?? null,
+    density: finiteOrNull(derived ? derived.density : dataPoint.density),
+    sigmaTheta: finiteOrNull(derived ? derived.sigmaTheta : dataPoint.sigma_theta),
+    absoluteSalinity: finiteOrNull(derived ? derived.sa : dataPoint.abs_salinity),
+    conservativeTemperature: finiteOrNull(derived ? derived.ct : dataPoint.cons_temp),
+    soundSpeedTeos10: finiteOrNull(derived ? derived.soundSpeed : dataPoint.sound_speed_teos),
+    soundSpeedResidual: finiteOrNull(derived ? derived.soundSpeedDelta : dataPoint.sound_speed_delta),
+    buoyancyFrequencySquared: finiteOrNull(dataPoint.n2),
+    mixedLayerDepth: finiteOrNull(dataPoint.mld),
+    thermoclineDepth: finiteOrNull(dataPoint.thermocline_depth)
+  };
+};
 
 /**
  * Hook for managing environmental data and HoloOcean POV
  * @param {Array} rawData - Raw data
  * @param {number} currentFrame - Current animation frame
  * @param {number} selectedDepth - Currently selected depth
+ * @param {object} frameRow - Row at the current frame position, interpolated between time steps
+ * (see interpolateFrame); rawData[currentFrame] is used without one
  * @returns {object} Environmental data state and functions
  */
-export const useEnvironmentalData = (rawData = [], currentFrame = 0, selectedDepth = 0) => {
+export const useEnvironmentalData = (rawData = [], currentFrame = 0, selectedDepth = 0, frameRow = null) => {
   // --- Environmental Data State ---
   const [envData, setEnvData] = useState({
     temperature: null,
@@ -16,6 +68,14 @@ export const useEnvironmentalData = (rawData = [], currentFrame = 0, selectedDep
     depth: 0,
     soundSpeed: null,
     density: null,
+    sigmaTheta: null,
+    absoluteSalinity: null,
+    conservativeTemperature: null,
+    soundSpeedTeos10: null,
+    soundSpeedResidual: null,
+    buoyancyFrequencySquared: null,
+    mixedLayerDepth: null,
+    thermoclineDepth: null,
     currentSpeed: null,
     currentDirection: null,
     windSpeed: null,
@@ -33,56 +93,25 @@ export const useEnvironmentalData = (rawData = [], currentFrame = 0, selectedDep
     roll: 0
   });
 
-  // --- Calculate seawater density ---
+  // --- Calculate seawater density (TEOS-10 in-situ density) ---
   const calculateSeawaterDensity = useCallback((temp, salinity, pressure) => {
-    if (temp === null || salinity === null) return null;
-    
-    // Simplified UNESCO seawater density formula
-    const T = temp;
-    const S = salinity;
-    const P = pressure || 0;
-    
-    // Pure water density at atmospheric pressure
-    const rho0 = 999.842594 + (6.793952e-2 * T) - (9.095290e-3 * T * T) + 
-                 (1.001685e-4 * T * T * T) - (1.120083e-6 * T * T * T * T) + 
-                 (6.536336e-9 * T * T * T * T * T);
-    
-    // Salinity contribution
-    const A = 8.24493e-1 - 4.0899e-3 * T + 7.6438e-5 * T * T - 8.2467e-7 * T * T * T + 5.3875e-9 * T * T * T * T;
-    const B = -5.72466e-3 + 1.0227e-4 * T - 1.6546e-6 * T * T;
-    const C = 4.8314e-4;
-    
-    const rho = rho0 + A * S + B * S * Math.sqrt(S) + C * S * S;
-    
-    return Math.round(rho * 100) / 100; // Round to 2 decimal places
+    if (temp === null || temp === undefined || salinity === null || salinity === undefined) return null;
+    const sample = deriveSample({ temp: Number(temp), salinity: Number(salinity), pressure: Number(pressure) });
+    return sample ? Math.round(sample.density * 100) / 100 : null; // Round to 2 decimal places
   }, []);
 
   // --- Update environmental data from current frame ---
   const updateFromCurrentFrame = useCallback(() => {
-    if (rawData.length > 0 && currentFrame < rawData.length) {
+    if (frameRow) {
+      setEnvData(buildEnvData(frameRow, selectedDepth));
+    } else if (rawData.length > 0 && currentFrame < rawData.length) {
       const currentDataPoint = rawData[currentFrame];
       
       if (currentDataPoint) {
-        setEnvData({
-          temperature: currentDataPoint.temp ?? currentDataPoint.temperature ?? null,
-          salinity: currentDataPoint.salinity ?? null,
-          pressure: currentDataPoint.pressure_dbars ?? currentDataPoint.pressure ?? null,
-          depth: currentDataPoint.depth ?? selectedDepth,
-          soundSpeed: currentDataPoint.sound_speed_ms ?? null,
-          currentSpeed: currentDataPoint.speed ?? null,
-          currentDirection: currentDataPoint.direction ?? null,
-          windSpeed: currentDataPoint.nspeed ?? null,
-          windDirection: currentDataPoint.ndirection ?? null,
-          seaSurfaceHeight: currentDataPoint.ssh ?? null,
-          density: calculateSeawaterDensity(
-            currentDataPoint.temp ?? currentDataPoint.temperature,
-            currentDataPoint.salinity,
-            currentDataPoint.pressure_dbars ?? currentDataPoint.pressure
-          )
-        });
+        setEnvData(buildEnvData(currentDataPoint, selectedDepth));
       }
     }
-  }, [rawData, currentFrame, selectedDepth, calculateSeawaterDensity]);
+  }, [rawData, currentFrame, selectedDepth, frameRow]);
 
   // --- Manual environmental data update ---
   const updateEnvData = useCallback((newData) => {
@@ -181,30 +210,8 @@ export const useEnvironmentalData = (rawData = [], currentFrame = 0, selectedDep
 
   // --- Auto-update when frame changes ---
   useEffect(() => {
-    if (rawData.length > 0 && currentFrame < rawData.length) {
-      const currentDataPoint = rawData[currentFrame];
-      
-      if (currentDataPoint) {
-        setEnvData({
-          temperature: currentDataPoint.temp ?? currentDataPoint.temperature ?? null,
-          salinity: currentDataPoint.salinity ?? null,
-          pressure: currentDataPoint.pressure_dbars ?? currentDataPoint.pressure ?? null,
-          depth: currentDataPoint.depth ?? selectedDepth,
-          soundSpeed: currentDataPoint.sound_speed_ms ?? null,
-          currentSpeed: currentDataPoint.speed ?? null,
-          currentDirection: currentDataPoint.direction ?? null,
-          windSpeed: currentDataPoint.nspeed ?? null,
-          windDirection: currentDataPoint.ndirection ?? null,
-          seaSurfaceHeight: currentDataPoint.ssh ?? null,
-          density: calculateSeawaterDensity(
-            currentDataPoint.temp ?? currentDataPoint.temperature,
-            currentDataPoint.salinity,
-            currentDataPoint.pressure_dbars ?? currentDataPoint.pressure
-          )
-        });
-      }
-    }
-  }, [rawData, currentFrame, selectedDepth, calculateSeawaterDensity]);
+    updateFromCurrentFrame();
+  }, [updateFromCurrentFrame]);
 
   // --- Sync HoloOcean depth with selected depth ---
   useEffect(() => {
@@ -239,6 +246,9 @@ export const useEnvironmentalData = (rawData = [], currentFrame = 0, selectedDep
     currentPressure: envData.pressure,
     currentDepth: envData.depth,
     waterDensity: envData.density,
+    sigmaTheta: envData.sigmaTheta,
+    mixedLayerDepth: envData.mixedLayerDepth,
+    thermoclineDepth: envData.thermoclineDepth,
     currentSpeed: envData.currentSpeed,
     currentDirection: envData.currentDirection,
     windSpeed: envData.windSpeed,
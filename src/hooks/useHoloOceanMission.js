@@ -0,0 +1,185 @@
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import useHoloOcean from './useHoloOcean';
+import { validateMission, isTargetForWaypoint } from '../services/missionService';
+
+/**
+ * Hook that runs a HoloOcean mission. Each waypoint is sent with setTarget; once useHoloOcean
+ * reports isAtTarget for that waypoint, the agent holds there for the dwell time and the next
+ * waypoint is sent. Pausing or aborting while under way sends the agent's current position as
+ * the target so it holds station.
+ * @param {Array<object>} waypoints - Mission waypoints (see missionService.createWaypoint)
+ * @returns {object} Connection and run state plus start/pause/resume/abort actions
+ */
+export const useHoloOceanMission = (waypoints = []) => {
+  const {
+    isConnected,
+    isSubscribed,
+    subscribe,
+    setTarget,
+    target,
+    current,
+    hasCurrent,
+    isAtTarget,
+    distanceToTarget,
+    validateCoordinates
+  } = useHoloOcean();
+
+  // --- Mission State ---
+  const [missionState, setMissionState] = useState('idle');
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [dwellEndsAt, setDwellEndsAt] = useState(null);
+  const [missionError, setMissionError] = useState(null);
+  const [clock, setClock] = useState(() => Date.now());
+  // Waypoints as started: editing the list does not change a mission under way
+  const missionRef = useRef([]);
+  // What to resume: { phase: 'running' } or { phase: 'dwelling', remaining }
+  const pausedRef = useRef(null);
+
+  const validation = useMemo(() => validateMission(waypoints, validateCoordinates), [waypoints, validateCoordinates]);
+
+  const goTo = useCallback(async (index) => {
+    const waypoint = missionRef.current[index];
+    setActiveIndex(index);
+    setDwellEndsAt(null);
+    setMissionState('running');
+    try {
+      await setTarget(waypoint.lat, waypoint.lon, waypoint.depth);
+    } catch (error) {
+      setMissionError(error.message);
+      pausedRef.current = { phase: 'running' };
+      setMissionState('paused');
+    }
+  }, [setTarget]);
+
+  const advance = useCallback((index) => {
+    if (index + 1 >= missionRef.current.length) {
+      setDwellEndsAt(null);
+      setMissionState('completed');
+      return;
+    }
+    goTo(index + 1);
+  }, [goTo]);
+
+  const holdPosition = useCallback(async () => {
+    if (!hasCurrent) return;
+    try {
+      await setTarget(current.lat, current.lon, current.depth);
+    } catch (error) {
+      setMissionError(error.message);
+    }
+  }, [hasCurrent, current, setTarget]);
+
+  // --- Actions ---
+  const startMission = useCallback(async () => {
+    if (!validation.isValid) {
+      setMissionError(validation.errors[0]);
+      return;
+    }
+    setMissionError(null);
+    pausedRef.current = null;
+    missionRef.current = waypoints.map(waypoint => ({ ...waypoint }));
+    try {
+      // Arrival is detected from the status stream
+      if (!isSubscribed) await subscribe();
+    } catch (error) {
+      setMissionError(error.message);
+      return;
+    }
+    goTo(0);
+  }, [validation, waypoints, isSubscribed, subscribe, goTo]);
+
+  const pauseMission = useCallback(() => {
+    if (missionState === 'dwelling') {
+      pausedRef.current = { phase: 'dwelling', remaining: Math.max(0, dwellEndsAt - Date.now()) };
+    } else if (missionState === 'running') {
+      pausedRef.current = { phase: 'running' };
+      holdPosition();
+    } else {
+      return;
+    }
+    setMissionState('paused');
+  }, [missionState, dwellEndsAt, holdPosition]);
+
+  const resumeMission = useCallback(() => {
+    if (missionState !== 'paused') return;
+    setMissionError(null);
+    const paused = pausedRef.current;
+    pausedRef.current = null;
+    if (paused?.phase === 'dwelling') {
+      setDwellEndsAt(Date.now() + paused.remaining);
+      setMissionState('dwelling');
+    } else {
+      goTo(activeIndex);
+    }
+  }, [missionState, activeIndex, goTo]);
+
+  const abortMission = useCallback(() => {
+    if (missionState === 'running' || (missionState === 'paused' && pausedRef.current?.phase === 'running')) {
+      holdPosition();
+    }
+    pausedRef.current = null;
+    setDwellEndsAt(null);
+    setMissionState('aborted');
+  }, [missionState, holdPosition]);
+
+  // --- Arrival ---
+  useEffect(() => {
+    if (missionState !== 'running') return;
+    const waypoint = missionRef.current[activeIndex];
+    // isAtTarget may still describe the previous target until the agent reports the new one
+    if (!isAtTarget || !isTargetForWaypoint(target, waypoint)) return;
+    if (waypoint.dwellSeconds > 0) {
+      setDwellEndsAt(Date.now() + waypoint.dwellSeconds * 1000);
+      setMissionState('dwelling');
+    } else {
+      advance(activeIndex);
+    }
+  }, [missionState, activeIndex, isAtTarget, target, advance]);
+
+  // --- Dwell Timer ---
+  useEffect(() => {
+    if (missionState !== 'dwelling' || dwellEndsAt === null) return undefined;
+    const timer = setTimeout(() => advance(activeIndex), Math.max(0, dwellEndsAt - Date.now()));
+    // Tick once a second for the countdown
+    setClock(Date.now());
+    const ticker = setInterval(() => setClock(Date.now()), 1000);
+    return () => {
+      clearTimeout(timer);
+      clearInterval(ticker);
+    };
+  }, [missionState, dwellEndsAt, activeIndex, advance]);
+
+  // --- Connection Loss ---
+  useEffect(() => {
+    if (isConnected || (missionState !== 'running' && missionState !== 'dwelling')) return;
+    pausedRef.current = missionState === 'dwelling'
+      ? { phase: 'dwelling', remaining: Math.max(0, dwellEndsAt - Date.now()) }
+      : { phase: 'running' };
+    setMissionError('Connection to HoloOcean lost; the mission is paused');
+    setMissionState('paused');
+  }, [isConnected, missionState, dwellEndsAt]);
+
+  const dwellRemaining = missionState === 'dwelling' && dwellEndsAt !== null
+    ? Math.max(0, Math.ceil((dwellEndsAt - clock) / 1000))
+    : null;
+
+  return {
+    isConnected,
+    current,
+    distanceToTarget,
+    validation,
+    missionState,
+    activeIndex,
+    // Waypoint count of the mission under way (the edited list may differ)
+    missionLength: missionRef.current.length,
+    dwellRemaining,
+    missionError,
+    isMissionActive: ['running', 'dwelling', 'paused'].includes(missionState),
+    startMission,
+    pauseMission,
+    resumeMission,
+    abortMission
+  };
+};
+
+export default useHoloOceanMission;
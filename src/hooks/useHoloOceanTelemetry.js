@@ -0,0 +1,171 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  isTelemetryStorageAvailable,
+  listSessions,
+  getSessionRecords,
+  deleteSession,
+  onRecordingChange,
+  getActiveRecording,
+  startRecording,
+  stopRecording,
+  createTelemetryPlayer
+} from '../services/telemetryService';
+import holoOceanService from '../services/holoOceanService';
+
+/**
+ * Hook for HoloOcean telemetry: the recording state, the stored sessions and the replay of one
+ * session through holoOceanService's events. Recording continues after the hook unmounts; replay
+ * stops with it, and when HoloOcean connects.
+ * @returns {object} Recording, session and replay state plus their actions
+ */
+export const useHoloOceanTelemetry = () => {
+  const isAvailable = isTelemetryStorageAvailable();
+
+  // --- Recording ---
+  const [recording, setRecording] = useState(() => {
+    const session = getActiveRecording();
+    return session ? { ...session } : null;
+  });
+  const [sessions, setSessions] = useState([]);
+  const [telemetryError, setTelemetryError] = useState(null);
+
+  const refreshSessions = useCallback(async () => {
+    if (!isAvailable) return;
+    try {
+      setSessions(await listSessions());
+    } catch (error) {
+      setTelemetryError(error.message);
+    }
+  }, [isAvailable]);
+
+  useEffect(() => {
+    refreshSessions();
+    // Copy the session so that each new record re-renders the count
+    return onRecordingChange(session => setRecording(session ? { ...session } : null));
+  }, [refreshSessions]);
+
+  const startTelemetryRecording = useCallback(async (name) => {
+    setTelemetryError(null);
+    try {
+      await startRecording(name);
+      await refreshSessions();
+    } catch (error) {
+      setTelemetryError(error.message);
+    }
+  }, [refreshSessions]);
+
+  const stopTelemetryRecording = useCallback(async () => {
+    try {
+      await stopRecording();
+      await refreshSessions();
+    } catch (error) {
+      setTelemetryError(error.message);
+    }
+  }, [refreshSessions]);
+
+  const removeSession = useCallback(async (sessionId) => {
+    try {
+      await deleteSession(sessionId);
+      await refreshSessions();
+    } catch (error) {
+      setTelemetryError(error.message);
+    }
+  }, [refreshSessions]);
+
+  // --- Replay ---
+  const playerRef = useRef(null);
+  const [replaySession, setReplaySession] = useState(null);
+  const [replayRecords, setReplayRecords] = useState([]);
+  const [replayPosition, setReplayPosition] = useState(0);
+  const [isReplaying, setIsReplaying] = useState(false);
+  const [replaySpeed, setReplaySpeedState] = useState(1);
+
+  const closeReplay = useCallback(() => {
+    playerRef.current?.pause();
+    playerRef.current = null;
+    setReplaySession(null);
+    setReplayRecords([]);
+    setReplayPosition(0);
+    setIsReplaying(false);
+  }, []);
+
+  const loadReplay = useCallback(async (session) => {
+    playerRef.current?.pause();
+    setIsReplaying(false);
+    setTelemetryError(null);
+    try {
+      const records = await getSessionRecords(session.id);
+      playerRef.current = createTelemetryPlayer(records, {
+        speed: replaySpeed,
+        onProgress: setReplayPosition,
+        onEnd: () => setIsReplaying(false)
+      });
+      setReplaySession(session);
+      setReplayRecords(records);
+      setReplayPosition(0);
+    } catch (error) {
+      setTelemetryError(error.message);
+    }
+  }, [replaySpeed]);
+
+  const playReplay = useCallback(() => {
+    const player = playerRef.current;
+    if (!player) return;
+    // Playing from the end starts over
+    if (player.position >= replayRecords.length) player.seek(0);
+    player.play();
+    setIsReplaying(true);
+  }, [replayRecords.length]);
+
+  const pauseReplay = useCallback(() => {
+    playerRef.current?.pause();
+    setIsReplaying(false);
+  }, []);
+
+  const seekReplay = useCallback((position) => {
+    playerRef.current?.seek(position);
+  }, []);
+
+  const setReplaySpeed = useCallback((speed) => {
+    playerRef.current?.setSpeed(speed);
+    setReplaySpeedState(speed);
+  }, []);
+
+  useEffect(() => () => playerRef.current?.pause(), []);
+
+  // holoOceanService drops replayed messages while connected, so a connection stops the replay
+  useEffect(() => {
+    const handleConnected = () => {
+      playerRef.current?.pause();
+      setIsReplaying(false);
+    };
+    holoOceanService.on('connected', handleConnected);
+    return () => holoOceanService.off('connected', handleConnected);
+  }, []);
+
+  return {
+    isTelemetryAvailable: isAvailable,
+    telemetryError,
+    recording,
+    sessions,
+    refreshSessions,
+    startRecording: startTelemetryRecording,
+    stopRecording: stopTelemetryRecording,
+    deleteSession: removeSession,
+    getSessionRecords,
+    replaySession,
+    replayRecords,
+    replayPosition,
+    replayTime: replayPosition > 0 ? replayRecords[replayPosition - 1].t : replayRecords[0]?.t ?? null,
+    isReplaying,
+    replaySpeed,
+    loadReplay,
+    playReplay,
+    pauseReplay,
+    seekReplay,
+    setReplaySpeed,
+    closeReplay
+  };
+};
+
+export default useHoloOceanTelemetry;
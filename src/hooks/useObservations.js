@@ -0,0 +1,111 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  parseObservations,
+  fetchObservations,
+  guessObservationOptions,
+  loadObservationConfig,
+  buildObservationStations
+} from '../services/observationService';
+
+// Fill in the station location from the config's known stations when the caller gave none
+const resolveStation = (name, station, knownStations) => {
+  const id = station?.id || guessObservationOptions(name).stationId;
+  const known = knownStations.find(candidate => String(candidate.id) === String(id));
+  const hasLocation = station && station.lat !== '' && station.lat !== undefined && station.lon !== '' && station.lon !== undefined;
+  return hasLocation ? { ...known, ...station, id } : known || (id ? { ...station, id } : station);
+};
+
+/**
+ * Hook for NDBC and CO-OPS observations loaded from files, URLs or the observation config
+ * @param {string|number} frameTime - Time of the current frame, to pick each station's observation
+ * @returns {object} Loaded observation datasets, their map stations and load/remove actions
+ */
+export const useObservations = (frameTime = null) => {
+  // --- Observation State ---
+  const [observations, setObservations] = useState([]);
+  // Stations with known locations from the observation config
+  const [knownStations, setKnownStations] = useState([]);
+  const [isLoadingObservations, setIsLoadingObservations] = useState(false);
+  const [observationError, setObservationError] = useState(null);
+
+  const addDataset = useCallback((label, parsed) => {
+    const dataset = { id: `${parsed.station.source}:${parsed.station.id}:${label}`, label, ...parsed };
+    setObservations(prev => [...prev.filter(existing => existing.id !== dataset.id), dataset]);
+    return dataset;
+  }, []);
+
+  // --- Loaders ---
+  const addObservationFile = useCallback(async (file, { station = null, format = null, ...options } = {}) => {
+    setIsLoadingObservations(true);
+    setObservationError(null);
+    try {
+      const text = await file.text();
+      const parsed = parseObservations(text, { name: file.name, format, station: resolveStation(file.name, station, knownStations), ...options });
+      return addDataset(file.name, parsed);
+    } catch (error) {
+      setObservationError(`${file.name}: ${error.message}`);
+      return null;
+    } finally {
+      setIsLoadingObservations(false);
+    }
+  }, [knownStations, addDataset]);
+
+  const addObservationUrl = useCallback(async (url, { station = null, format = null, ...options } = {}) => {
+    setIsLoadingObservations(true);
+    setObservationError(null);
+    try {
+      const parsed = await fetchObservations(url, { format, station: resolveStation(url, station, knownStations), ...options });
+      return addDataset(url.split('?')[0].split('/').pop() || url, parsed);
+    } catch (error) {
+      setObservationError(`${url}: ${error.message}`);
+      return null;
+    } finally {
+      setIsLoadingObservations(false);
+    }
+  }, [knownStations, addDataset]);
+
+  const removeObservation = useCallback((id) => {
+    setObservations(prev => prev.filter(dataset => dataset.id !== id));
+  }, []);
+
+  // Load the configured stations and sources once
+  useEffect(() => {
+    let cancelled = false;
+    const loadConfigured = async () => {
+      try {
+        const { stations, sources } = await loadObservationConfig();
+        if (cancelled) return;
+        setKnownStations(stations);
+        for (const source of sources) {
+          const station = typeof source.station === 'object' ? source.station : { id: source.station };
+          try {
+            const parsed = await fetchObservations(source.url, { ...source, station: resolveStation(source.url, station, stations) });
+            if (!cancelled) addDataset(source.label || source.url.split('?')[0].split('/').pop(), parsed);
+          } catch (error) {
+            console.warn(`Observation source ${source.url} failed:`, error.message);
+          }
+        }
+      } catch (error) {
+        console.warn('Observation config failed to load:', error.message);
+      }
+    };
+    loadConfigured();
+    return () => { cancelled = true; };
+  }, [addDataset]);
+
+  const observationStations = useMemo(
+    () => buildObservationStations(observations, frameTime),
+    [observations, frameTime]
+  );
+
+  return {
+    observations,
+    observationStations,
+    knownStations,
+    isLoadingObservations,
+    observationError,
+    addObservationFile,
+    addObservationUrl,
+    removeObservation
+  };
+};
@@ -7,16 +7,38 @@ import { useUIControls } from './useUIControls';
 import { useEnvironmentalData } from './useEnvironmentalData';
 import { useTutorial } from './useTutorial';
 import { useTimeManagement } from './useTimeManagement';
-
-export const useOceanData = (authMethod = 'password') => {
+import { useUnitPreferences } from './useUnitPreferences';
+import { useObservations } from './useObservations';
+import { useAlerts } from './useAlerts';
+import { formatValue } from '../services/unitService';
+import { interpolateFrame, positionToTime } from '../services/temporalInterpolationService';
+import { createInterpolator } from '../services/spatialInterpolationService';
+import { processVectorDataAsync } from '../services/dataWorkerService';
+
+const EMPTY_FEATURE_COLLECTION = { type: 'FeatureCollection', features: [] };
+
+/**
+ * Hook combining data loading, playback, environmental readouts, chat and UI state
+ * @param {string} authMethod - The authentication method ('auth0' or 'password')
+ * @param {object} playback - Play state owned by OceanDataProvider: { isPlaying, pauseAnimation, togglePlay }
+ * @returns {object} Ocean data state and handlers, plus the animationControl hook result
+ */
+export const useOceanData = (authMethod = 'password', playback = {}) => {
   const uiControls = useUIControls();
   const [currentsVectorScale, setCurrentsVectorScale] = useState(0.009);
   const [currentsColorBy, setCurrentsColorBy] = useState('speed');
   const [showOceanBaseLayer, setShowOceanBaseLayer] = useState(false);
   const [oceanBaseOpacity, setOceanBaseOpacity] = useState(1.0);
+  // Vertical section summary attached to the chat (see summarizeTransect), or null
+  const [transectContext, setTransectContext] = useState(null);
 
   const timeManagement = useTimeManagement();
 
+  // Registry entry for the selected area (camera, bbox, configured depth levels)
+  const selectedAreaConfig = useMemo(() => {
+    return uiControls.availableAreas.find(area => area.value === uiControls.selectedArea) || null;
+  }, [uiControls.availableAreas, uiControls.selectedArea]);
+
   const dataManagement = useDataManagement(
     uiControls.selectedArea,
     uiControls.selectedModel,
@@ -56,46 +78,79 @@ export const useOceanData = (authMethod = 'password') => {
     }
   }, [dataManagement.rawData, timeManagement]);
 
-  const animationControl = useAnimationControl(dataManagement.totalFrames);
+  const animationControl = useAnimationControl(dataManagement.totalFrames, playback.isPlaying, {
+    pauseAnimation: playback.pauseAnimation,
+    togglePlay: playback.togglePlay
+  });
+
+  // --- Rows at the current (possibly fractional) frame position ---
+  const { timeAxis, frameIndex } = dataManagement;
+  const { framePosition } = animationControl;
+  const frameRows = useMemo(
+    () => interpolateFrame(dataManagement.rawData, frameIndex, framePosition),
+    [dataManagement.rawData, frameIndex, framePosition]
+  );
+  const frameTime = useMemo(() => {
+    const time = positionToTime(timeAxis, framePosition);
+    return time === null ? null : new Date(time).toISOString();
+  }, [timeAxis, framePosition]);
+
+  // The frame at the selected depth (every depth when none is at it)
+  const frameRowsAtDepth = useMemo(() => {
+    const atDepth = frameRows.filter(row => row.depth === uiControls.selectedDepth);
+    return atDepth.length > 0 ? atDepth : frameRows;
+  }, [frameRows, uiControls.selectedDepth]);
+
+  // Env readouts follow the frame's first sample at the selected depth
+  const frameRow = frameRowsAtDepth[0] || null;
+
+  // --- Values at arbitrary points of the frame (probes, tooltips, HoloOcean target) ---
+  const frameInterpolator = useMemo(() => createInterpolator(frameRowsAtDepth), [frameRowsAtDepth]);
+  const sampleAt = useCallback((longitude, latitude) => frameInterpolator.sample(longitude, latitude), [frameInterpolator]);
 
   const environmentalDataSource = dataManagement.rawData;
   const environmentalData = useEnvironmentalData(
     environmentalDataSource,
     animationControl.currentFrame,
-    uiControls.selectedDepth
+    uiControls.selectedDepth,
+    frameRow
   );
 
-  const currentsGeoJSON = useMemo(() => {
+  // Current vectors of every loaded row, filtered and parsed in the data worker
+  const [currentsGeoJSON, setCurrentsGeoJSON] = useState(EMPTY_FEATURE_COLLECTION);
+  useEffect(() => {
     if (!dataManagement.rawData || dataManagement.rawData.length === 0) {
-      return { type: 'FeatureCollection', features: [] };
+      setCurrentsGeoJSON(EMPTY_FEATURE_COLLECTION);
+      return undefined;
     }
-
-    const features = dataManagement.rawData.map(row => ({
-      type: 'Feature',
-      geometry: {
-        type: 'Point',
-        coordinates: [parseFloat(row.lon), parseFloat(row.lat)],
-      },
-      properties: {
-        direction: parseFloat(row.direction),
-        speed: parseFloat(row.nspeed),
-      },
-    })).filter(feature =>
-      !isNaN(feature.geometry.coordinates[0]) &&
-      !isNaN(feature.geometry.coordinates[1]) &&
-      !isNaN(feature.properties.direction) &&
-      !isNaN(feature.properties.speed)
-    );
-
-    return {
-      type: 'FeatureCollection',
-      features,
-    };
+    const controller = new AbortController();
+    processVectorDataAsync(dataManagement.rawData, { gridResolution: 0, signal: controller.signal })
+      .then(vectors => setCurrentsGeoJSON({
+        type: 'FeatureCollection',
+        features: vectors.map(vector => ({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: vector.coordinates },
+          properties: { direction: vector.direction, speed: vector.magnitude }
+        }))
+      }))
+      .catch(error => {
+        if (error.name === 'AbortError') return;
+        console.error('Error processing current vectors:', error);
+        setCurrentsGeoJSON(EMPTY_FEATURE_COLLECTION);
+      });
+    return () => controller.abort();
   }, [dataManagement.rawData]);
 
   const apiIntegration = useApiIntegration(authMethod);
   const chatManagement = useChatManagement(authMethod);
   const tutorial = useTutorial();
+  const units = useUnitPreferences();
+  const observationData = useObservations(frameTime);
+  const alerts = useAlerts(dataManagement.rawData, {
+    unitPreferences: units.unitPreferences,
+    dataSource: dataManagement.dataSource,
+    refreshData: dataManagement.refreshData
+  });
 
   const fetchData = useCallback((settings) => {
     if (!settings) return;
@@ -133,27 +188,23 @@ export const useOceanData = (authMethod = 'password') => {
     setOceanBaseOpacity(newOpacity);
   };
 
-  const handleFrameChange = (frameIndex) => {
-    animationControl.jumpToFrame(frameIndex);
+  const handleFrameChange = (frame) => {
+    animationControl.jumpToFrame(frame);
 
-    if (dataManagement.rawData.length > frameIndex && dataManagement.rawData[frameIndex]?.time) {
-      const frameData = dataManagement.rawData[frameIndex];
-      const frameTime = new Date(frameData.time);
-      timeManagement.setCurrentDate(frameTime);
+    if (frame >= 0 && frame < timeAxis.length) {
+      timeManagement.setCurrentDate(new Date(timeAxis[frame]));
     }
   };
 
   const handlePointAnalysis = (point) => {
-    const pointData = dataManagement.rawData.filter(row => {
-      if (!row.lat || !row.lon) return false;
-      const latDiff = Math.abs(row.lat - point.latitude);
-      const lngDiff = Math.abs(row.lon - point.longitude);
-      return latDiff < 0.001 && lngDiff < 0.001;
-    });
-
-    const latest = pointData[pointData.length - 1];
-    const analysisContent = `Point Analysis: ${pointData.length} measurements found at [${point.latitude}, ${point.longitude}]. ` +
-      (latest ? `Latest temp: ${latest.temp || 'N/A'}Ã‚Â°C, current speed: ${latest.nspeed || 'N/A'} m/s` : 'No recent measurements.');
+    const sample = sampleAt(point.longitude, point.latitude);
+    const current = sample?.vectors.current;
+    const analysisContent = `Point Analysis at [${point.latitude}, ${point.longitude}]: ` +
+      (sample
+        ? `${sample.method === 'bilinear' ? 'bilinear' : 'inverse-distance'} interpolation from ${sample.nodes} nodes. ` +
+          `Temp: ${formatValue(sample.values.temp, 'temp', units.unitPreferences, 1)}, ` +
+          `current: ${current ? `${formatValue(current.speed, 'speed', units.unitPreferences, 2)} toward ${current.direction.toFixed(0)}°` : 'N/A'}`
+        : 'No model nodes nearby.');
 
     chatManagement.addAIResponse(analysisContent, 'system');
   };
@@ -168,6 +219,14 @@ export const useOceanData = (authMethod = 'password') => {
 
   return {
     isLoading: dataManagement.isLoading,
+    isProcessingData: dataManagement.isProcessingData,
+    loadingProgress: dataManagement.loadingProgress,
+    loadWarnings: dataManagement.loadWarnings,
+    offlineStatus: dataManagement.offlineStatus,
+    isOffline: dataManagement.isOffline,
+    importedFile: dataManagement.importedFile,
+    loadedExtent: dataManagement.loadedExtent,
+    queryDepthRange: dataManagement.queryDepthRange,
     hasError: dataManagement.hasError,
     errorMessage: dataManagement.errorMessage,
     dataLoaded: dataManagement.dataLoaded,
@@ -178,11 +237,46 @@ export const useOceanData = (authMethod = 'password') => {
 
     // Raw data
     rawData: dataManagement.rawData,
+    dataStore: dataManagement.dataStore,
+    qcMode: dataManagement.qcMode,
+    qcSummary: dataManagement.qcSummary,
+    setQcMode: dataManagement.setQcMode,
     data: dataManagement.data,
     timeSeriesData: dataManagement.timeSeriesData,
     totalFrames: dataManagement.totalFrames,
+    timeAxis,
+    frameRows,
+    frameRowsAtDepth,
+    frameTime,
+    sampleAt,
     currentsGeoJSON,
 
+    // NDBC / CO-OPS observations
+    observations: observationData.observations,
+    observationStations: observationData.observationStations,
+    knownObservationStations: observationData.knownStations,
+    isLoadingObservations: observationData.isLoadingObservations,
+    observationError: observationData.observationError,
+    addObservationFile: observationData.addObservationFile,
+    addObservationUrl: observationData.addObservationUrl,
+    removeObservation: observationData.removeObservation,
+
+    // Threshold alerts
+    alertRules: alerts.alertRules,
+    alertSettings: alerts.alertSettings,
+    activeAlerts: alerts.activeAlerts,
+    alertHighlights: alerts.alertHighlights,
+    alertNotifications: alerts.alertNotifications,
+    unreadAlertCount: alerts.unreadAlertCount,
+    lastAlertEvaluation: alerts.lastAlertEvaluation,
+    saveAlertRule: alerts.saveAlertRule,
+    deleteAlertRule: alerts.deleteAlertRule,
+    toggleAlertRule: alerts.toggleAlertRule,
+    updateAlertSettings: alerts.updateAlertSettings,
+    testAlertWebhook: alerts.testAlertWebhook,
+    markAlertsRead: alerts.markAlertsRead,
+    clearAlertNotifications: alerts.clearAlertNotifications,
+
     // UI state
     selectedArea: uiControls.selectedArea,
     selectedModel: uiControls.selectedModel,
@@ -193,9 +287,14 @@ export const useOceanData = (authMethod = 'password') => {
     setSelectedDepth: uiControls.setSelectedDepth,
     setSelectedParameter: uiControls.setSelectedParameter,
     availableAreas: uiControls.availableAreas,
+    selectedAreaConfig,
     availableParameters: uiControls.availableParameters,
     availableModels: dataManagement.availableModels,
-    availableDepths: dataManagement.availableDepths,
+    modelAdapters: dataManagement.modelAdapters,
+    // Fall back to the area's configured depth levels until data reports its own
+    availableDepths: dataManagement.availableDepths.length > 0
+      ? dataManagement.availableDepths
+      : (selectedAreaConfig?.depthLevels || []),
 
     // Layer visibility
     mapLayerVisibility: uiControls.mapLayerVisibility,
@@ -212,16 +311,16 @@ export const useOceanData = (authMethod = 'password') => {
     currentsVectorScale,
     currentsColorBy,
 
-    // Animation
-    isPlaying: animationControl.isPlaying,
+    // Animation (OceanDataProvider spreads the full animationControl into its value)
+    animationControl,
     currentFrame: animationControl.currentFrame,
+    framePosition,
     playbackSpeed: animationControl.playbackSpeed,
     loopMode: animationControl.loopMode,
-    setIsPlaying: animationControl.setIsPlaying,
     setCurrentFrame: animationControl.setCurrentFrame,
     setPlaybackSpeed: animationControl.setPlaybackSpeed,
     setLoopMode: animationControl.setLoopMode,
-    handlePlayToggle: animationControl.handlePlayToggle,
+    handlePlayToggle: playback.togglePlay,
     handleReset: animationControl.handleReset,
 
     // Time management
@@ -248,6 +347,14 @@ export const useOceanData = (authMethod = 'password') => {
     setIsTyping: chatManagement.startTyping,
     addChatMessage: chatManagement.addChatMessage,
     clearChatMessages: chatManagement.clearChatMessages,
+    transectContext,
+    setTransectContext,
+
+    // Display units
+    unitPreferences: units.unitPreferences,
+    unitSystem: units.unitSystem,
+    setUnitPreferences: units.setUnitPreferences,
+    setUnitSystem: units.setUnitSystem,
 
     // Tutorial
     showTutorial: tutorial.showTutorial,
@@ -263,6 +370,11 @@ export const useOceanData = (authMethod = 'password') => {
     handleFrameChange,
     handlePointAnalysis,
     refreshData: dataManagement.refreshData,
+    cancelDataLoad: dataManagement.cancelDataLoad,
+    setQueryBbox: dataManagement.setQueryBbox,
+    setQueryDepthRange: dataManagement.setQueryDepthRange,
+    importData: dataManagement.importData,
+    clearImportedData: dataManagement.clearImportedData,
     handleDateTimeChange: enhancedDateTimeChange,
 
     // Layer actions
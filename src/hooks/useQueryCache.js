@@ -0,0 +1,52 @@
+import { useState, useCallback } from 'react';
+import {
+  CACHE_LIMIT_OPTIONS,
+  getCacheStats,
+  getCacheLimit,
+  setCacheLimit as setStoredCacheLimit,
+  clearCache as clearStoredCache
+} from '../services/queryCacheService';
+
+/**
+ * Hook for inspecting and managing the IndexedDB query cache
+ * @returns {object} Cache statistics and eviction controls
+ */
+export const useQueryCache = () => {
+  // --- Cache State ---
+  const [cacheStats, setCacheStats] = useState(null);
+  const [cacheLimit, setCacheLimitState] = useState(() => getCacheLimit());
+  const [isBusy, setIsBusy] = useState(false);
+
+  // --- Statistics ---
+  const refreshCacheStats = useCallback(async () => {
+    const stats = await getCacheStats();
+    setCacheStats(stats);
+    return stats;
+  }, []);
+
+  // --- Eviction Controls ---
+  const setCacheLimit = useCallback(async (limitBytes) => {
+    setIsBusy(true);
+    setCacheLimitState(limitBytes);
+    await setStoredCacheLimit(limitBytes);
+    await refreshCacheStats();
+    setIsBusy(false);
+  }, [refreshCacheStats]);
+
+  const clearCache = useCallback(async () => {
+    setIsBusy(true);
+    await clearStoredCache();
+    await refreshCacheStats();
+    setIsBusy(false);
+  }, [refreshCacheStats]);
+
+  return {
+    cacheStats,
+    cacheLimit,
+    cacheLimitOptions: CACHE_LIMIT_OPTIONS,
+    isBusy,
+    refreshCacheStats,
+    setCacheLimit,
+    clearCache
+  };
+};
@@ -1,4 +1,6 @@
 import { useState, useCallback, useMemo, useEffect } from 'react';
+import { getAreas, getDefaultAreaId, loadAreaConfig } from '../services/areaRegistryService';
+import { getModelAdapter, getModelAdapters, DEFAULT_MODEL_ID } from '../services/modelAdapterService';
 
 /**
  * Hook for managing UI control selections and validation
@@ -15,8 +17,9 @@ export const useUIControls = (
   availableTimes = []
 ) => {
   // --- Core UI State ---
-  const [selectedArea, setSelectedArea] = useState('USM');
-  const [selectedModel, setSelectedModel] = useState('NGOFS2');
+  const [areaRegistry, setAreaRegistry] = useState(() => getAreas());
+  const [selectedArea, setSelectedArea] = useState(() => getDefaultAreaId());
+  const [selectedModel, setSelectedModel] = useState(DEFAULT_MODEL_ID);
   const [selectedDepth, setSelectedDepth] = useState(0);
   const [currentDate, setCurrentDate] = useState('');
   const [currentTime, setCurrentTime] = useState('');
@@ -28,12 +31,14 @@ export const useUIControls = (
     oceanCurrents: true,
     temperature: false,
     stations: true,
+    observations: true,
     currentSpeed: false,
     currentDirection: false,
     ssh: false,
     waveDirection: false,
     salinity: false,
     pressure: false,
+    density: false,
     windSpeed: false,
     windDirection: false,
     windVelocity: false,
@@ -77,16 +82,27 @@ export const useUIControls = (
   }, []);
 
   // --- Available Options ---
-  const availableAreas = useMemo(() => [
-    { value: 'MBL', label: 'MBL', region: 'Gulf Coast' },
-    { value: 'MSR', label: 'MSR', region: 'Gulf Coast' },
-    { value: 'USM', label: 'USM', region: 'Gulf Coast' }
-  ], []);
+  const availableAreas = useMemo(() => areaRegistry.map(area => ({
+    ...area,
+    value: area.id,
+    label: area.label,
+    region: area.regionLabel
+  })), [areaRegistry]);
+
+  // --- Load the area registry from the configured JSON (bundled areas until then) ---
+  useEffect(() => {
+    let cancelled = false;
+    loadAreaConfig().then(() => {
+      if (cancelled) return;
+      const areas = getAreas();
+      setAreaRegistry(areas);
+      setSelectedArea(prev => (areas.some(area => area.id === prev) ? prev : getDefaultAreaId()));
+    });
+    return () => { cancelled = true; };
+  }, []);
 
-  // Default ocean models list
-  const defaultOceanModels = useMemo(() => [
-    'NGOFS2'
-  ], []);
+  // Default ocean models list (every registered model adapter)
+  const defaultOceanModels = useMemo(() => getModelAdapters().map(adapter => adapter.id), []);
 
   // --- Validated setters ---
   const setSelectedAreaValidated = useCallback((area) => {
@@ -98,7 +114,8 @@ export const useUIControls = (
 
   const setSelectedModelValidated = useCallback((model) => {
     const modelsToCheck = availableModels.length > 0 ? availableModels : defaultOceanModels;
-    if (modelsToCheck.includes(model) || !uiConfig.validateSelections) {
+    // Adapters registered after mount (e.g. for imported files) are valid too
+    if (modelsToCheck.includes(model) || getModelAdapter(model) || !uiConfig.validateSelections) {
       setSelectedModel(model);
     }
   }, [availableModels, defaultOceanModels, uiConfig.validateSelections]);
@@ -215,8 +232,8 @@ export const useUIControls = (
   // --- Reset to defaults ---
   const resetToDefaults = useCallback(() => {
     const modelsToUse = availableModels.length > 0 ? availableModels : defaultOceanModels;
-    setSelectedArea('USM');
-    setSelectedModel(modelsToUse[0] || 'NGOFS2');
+    setSelectedArea(getDefaultAreaId());
+    setSelectedModel(modelsToUse[0] || DEFAULT_MODEL_ID);
     setSelectedDepth(availableDepths[0] || 0);
     setActiveParameter('oceanCurrents');
     setCurrentDate(availableDates[0] || '');
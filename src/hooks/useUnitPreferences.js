@@ -0,0 +1,47 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth0 } from '@auth0/auth0-react';
+import {
+  UNIT_SYSTEMS,
+  getUnitSystemId,
+  loadUnitPreferences,
+  saveUnitPreferences
+} from '../services/unitService';
+
+/**
+ * Hook for the signed-in user's display units
+ * @returns {object} Unit preferences, the matching unit system and setters that persist them
+ */
+export const useUnitPreferences = () => {
+  const { user } = useAuth0();
+  const userId = user?.sub || null;
+
+  // --- Preference State ---
+  const [unitPreferences, setUnitPreferencesState] = useState(() => loadUnitPreferences(userId));
+
+  // Reload when a different user signs in
+  useEffect(() => {
+    setUnitPreferencesState(loadUnitPreferences(userId));
+  }, [userId]);
+
+  // --- Setters ---
+  const setUnitPreferences = useCallback((changes) => {
+    setUnitPreferencesState(prev => {
+      const next = { ...prev, ...changes };
+      saveUnitPreferences(next, userId);
+      return next;
+    });
+  }, [userId]);
+
+  const setUnitSystem = useCallback((systemId) => {
+    if (UNIT_SYSTEMS[systemId]) {
+      setUnitPreferences(UNIT_SYSTEMS[systemId].units);
+    }
+  }, [setUnitPreferences]);
+
+  return {
+    unitPreferences,
+    unitSystem: getUnitSystemId(unitPreferences),
+    setUnitPreferences,
+    setUnitSystem
+  };
+};
@@ -5,6 +5,7 @@ import './index.css';
 import App from './App';
 import Auth0ProviderWrapper from './contexts/AuthContext';
 import reportWebVitals from './reportWebVitals';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 
@@ -18,4 +19,7 @@ root.render(
   </React.StrictMode>
 );
 
+// Cache the app shell and sample data so the app can start without connectivity
+serviceWorkerRegistration.register();
+
 reportWebVitals();
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+ * Registers the offline service worker (public/service-worker.js) in production builds.
+ * Development builds skip registration so the dev server's hot reloading is unaffected.
+ */
+
+/**
+ * Registers the service worker once the page has loaded.
+ * @returns {void}
+ */
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    navigator.serviceWorker
+      .register(swUrl)
+      .catch(error => {
+        console.error('Service worker registration failed:', error);
+      });
+  });
+};
+
+/**
+ * Unregisters any active service worker.
+ * @returns {Promise<void>}
+ */
+export const unregister = async () => {
+  if (!('serviceWorker' in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.unregister();
+  } catch (error) {
+    console.error('Service worker unregistration failed:', error);
+  }
+};
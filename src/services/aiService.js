@@ -3,6 +3,8 @@
  * Handles communication with demo-chat.isdata.ai API (API-only mode)
  */
 
+import { convertValue, describeUnits, formatValue } from './unitService';
+
 // API Configuration
 if (process.env.NODE_ENV === 'production' && process.env.REACT_APP_BASE_URL && !process.env.REACT_APP_BASE_URL.startsWith('https://')) {
   console.warn('Insecure API endpoint configured for production environment. Please use https.');
@@ -105,7 +107,9 @@ const formatAPIPayload = (message, context, threadId = null) => {
     totalFrames = 24,
     startDate,
     endDate,
-    envData = {}
+    envData = {},
+    unitPreferences = null,
+    transect = null
   } = context;
 
   // Helper to format date to YYYY-MM-DD
@@ -122,11 +126,17 @@ const formatAPIPayload = (message, context, threadId = null) => {
   const formattedEndDate = formatDate(endDate || startDate);
   const date_range = `${formattedStartDate} to ${formattedEndDate}`;
 
+  // Readings are sent in the user's display units, which the prompt names
+  const units = describeUnits(unitPreferences);
+  const unitSummary = Object.entries(units).map(([quantity, symbol]) => `${quantity} in ${symbol}`).join(', ');
+
   // Create flattened oceanographic context for filters
   const oceanographicFilters = {
     area: selectedArea,
     date_range: date_range,
     depth: `${selectedDepth} meters`, // Use meters to match API schema
+    display_depth: formatValue(selectedDepth, 'depth', unitPreferences, 1),
+    units,
     domain: 'oceanography',
     model: selectedModel,
     parameter: selectedParameter,
@@ -137,15 +147,29 @@ const formatAPIPayload = (message, context, threadId = null) => {
     data_points: timeSeriesData.length,
     pov_x: holoOceanPOV.x,
     pov_y: holoOceanPOV.y,
-    pov_depth: holoOceanPOV.depth,
-    current_speed: currentData ? currentData.currentSpeed : null,
+    pov_depth: convertValue(holoOceanPOV.depth, 'depth', unitPreferences),
+    current_speed: currentData ? convertValue(currentData.currentSpeed, 'currentSpeed', unitPreferences) : null,
     heading: currentData ? currentData.heading : null,
-    wave_height: currentData ? currentData.waveHeight : null,
-    temperature: currentData ? currentData.temperature : null,
+    wave_height: currentData ? convertValue(currentData.waveHeight, 'waveHeight', unitPreferences) : null,
+    temperature: currentData ? convertValue(currentData.temperature, 'temperature', unitPreferences) : null,
+    // TEOS-10 water column at the current frame (see useEnvironmentalData)
+    density: convertValue(envData.density, 'density', unitPreferences),
+    sigma_theta: convertValue(envData.sigmaTheta, 'sigmaTheta', unitPreferences),
+    conservative_temperature: convertValue(envData.conservativeTemperature, 'conservativeTemperature', unitPreferences),
+    absolute_salinity: convertValue(envData.absoluteSalinity, 'absoluteSalinity', unitPreferences),
+    buoyancy_frequency_squared: convertValue(envData.buoyancyFrequencySquared, 'buoyancyFrequencySquared', unitPreferences),
+    sound_speed_teos10: convertValue(envData.soundSpeedTeos10, 'soundSpeedTeos10', unitPreferences),
+    sound_speed_residual: convertValue(envData.soundSpeedResidual, 'soundSpeedResidual', unitPreferences),
+    mixed_layer_depth: convertValue(envData.mixedLayerDepth, 'mixedLayerDepth', unitPreferences),
+    thermocline_depth: convertValue(envData.thermoclineDepth, 'thermoclineDepth', unitPreferences),
+    // Vertical section the user sent from the map (see summarizeTransect), already in display units
+    transect,
     system_prompt: `You are CubeAI, an expert oceanographic analysis assistant for the University of Southern Mississippi's marine science platform. 
     You analyze real-time ocean data including currents, waves, temperature, and environmental conditions. 
     Provide technical yet accessible responses focused on maritime safety, research insights, and data interpretation.
-    Current context: ${selectedArea} at ${selectedDepth} meters depth using ${selectedModel} model for the date range ${date_range}.`
+    Current context: ${selectedArea} at ${selectedDepth} meters depth using ${selectedModel} model for the date range ${date_range}.
+    Readings in this request are in the user's display units (${unitSummary}); report values in these units.${transect ? `
+    The user attached a vertical section of ${transect.variable} along a ${transect.length} ${transect.length_unit} line (filters.transect: range and mean per depth level); use it for questions about the section.` : ''}`
   };
 
   // Format for API (matching working Postman structure)
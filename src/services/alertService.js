@@ -0,0 +1,318 @@
+/**
+ * Alert Service
+ * User-defined threshold rules evaluated against the loaded rows, e.g. "current speed > 1.5 kt at
+ * any USM node at 0 m" or "surface temperature > 31 °C for 6 h". A rule holds its threshold in
+ * canonical units; the UI converts from the display unit when the rule is saved.
+ *
+ * Each node (position and depth) is checked through time. Without a duration a node triggers at
+ * its first step over the threshold; with one, it triggers once the condition has held on
+ * consecutive steps for that long. A rule's event lists every triggering node, so the map can
+ * highlight them, and carries a key that stays the same while the same data is re-evaluated, so
+ * repeated evaluations do not notify twice.
+ *
+ * Events can be delivered to the browser's notification center and to a webhook (JSON POST).
+ */
+
+import EncryptedStorage from './encryptedStorageService';
+import { formatValue, getUnitSymbol, convertValue } from './unitService';
+
+// Row fields a rule can watch; the current magnitude is nspeed, as the model adapters write it
+export const ALERT_VARIABLES = {
+  nspeed: { label: 'Current Speed' },
+  temp: { label: 'Temperature' },
+  salinity: { label: 'Salinity' },
+  ssh: { label: 'Sea Surface Height' },
+  pressure_dbars: { label: 'Pressure' },
+  sound_speed_ms: { label: 'Sound Speed' }
+};
+
+export const ALERT_OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold
+};
+
+export const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+
+// Minutes between scheduled evaluations (0 = only after each data refresh)
+export const ALERT_SCHEDULE_OPTIONS = [0, 5, 15, 30, 60];
+
+export const DEFAULT_ALERT_SETTINGS = {
+  scheduleMinutes: 0,
+  browserNotifications: false,
+  webhookUrl: ''
+};
+
+// Nodes listed per event; the rest are counted
+export const MAX_EVENT_NODES = 500;
+
+// A rule depth matches rows within this many meters
+const DEPTH_MATCH_TOLERANCE = 0.5;
+
+const HOUR_MS = 60 * 60 * 1000;
+const ALERT_RULES_STORAGE_KEY = 'ocean-monitor-alert-rules';
+const ALERT_SETTINGS_STORAGE_KEY = 'ocean-monitor-alert-settings';
+
+/**
+ * @param {object} fields - Rule fields to set
+ * @returns {object} A complete rule with defaults filled in
+ */
+export const createAlertRule = (fields = {}) => ({
+  id: fields.id || `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  name: '',
+  enabled: true,
+  variable: 'nspeed',
+  operator: '>',
+  threshold: 0,
+  // null = any depth
+  depth: null,
+  // null = any area
+  area: null,
+  // Hours the condition must hold at a node (0 = a single step)
+  durationHours: 0,
+  severity: 'warning',
+  ...fields
+});
+
+/**
+ * @param {object} rule - Rule to check
+ * @returns {Array<string>} Problems with the rule (empty when valid)
+ */
+export const validateAlertRule = (rule) => {
+  const problems = [];
+  if (!ALERT_VARIABLES[rule.variable]) problems.push(`Unknown variable "${rule.variable}"`);
+  if (!ALERT_OPERATORS[rule.operator]) problems.push(`Unknown operator "${rule.operator}"`);
+  if (!Number.isFinite(rule.threshold)) problems.push('Threshold must be a number');
+  if (rule.depth !== null && !(Number.isFinite(rule.depth) && rule.depth >= 0)) problems.push('Depth must be a non-negative number');
+  if (!(Number.isFinite(rule.durationHours) && rule.durationHours >= 0)) problems.push('Duration must be zero or more hours');
+  if (!ALERT_SEVERITIES.includes(rule.severity)) problems.push(`Unknown severity "${rule.severity}"`);
+  return problems;
+};
+
+/**
+ * @param {object} rule - Alert rule
+ * @param {object} preferences - Display units
+ * @returns {string} Plain-language rule, e.g. "Current Speed > 1.50 kn at any node at 0 m in USM for 6 h"
+ */
+export const describeAlertRule = (rule, preferences) => {
+  const variable = ALERT_VARIABLES[rule.variable]?.label || rule.variable;
+  const parts = [`${variable} ${rule.operator} ${formatValue(rule.threshold, rule.variable, preferences, 2)} at any node`];
+  if (rule.depth !== null) parts.push(`at ${formatValue(rule.depth, 'depth', preferences, 0)}`);
+  if (rule.area) parts.push(`in ${rule.area}`);
+  if (rule.durationHours > 0) parts.push(`for ${rule.durationHours} h`);
+  return parts.join(' ');
+};
+
+/**
+ * Evaluates one rule.
+ * @param {Array<object>} rows - Canonical rows (rawData)
+ * @param {object} rule - Alert rule
+ * @returns {object|null} Event: { key, ruleId, ruleName, severity, triggeredAt, extreme, count,
+ * nodes: [{ lat, lon, depth, value, since, triggeredAt }] }, or null when no node triggers
+ */
+export const evaluateAlertRule = (rows, rule) => {
+  const test = ALERT_OPERATORS[rule.operator];
+  const wantsHigh = rule.operator.startsWith('>');
+  const durationMs = (rule.durationHours || 0) * HOUR_MS;
+
+  // Each node's values through time
+  const nodes = new Map();
+  rows.forEach(row => {
+    const value = row[rule.variable];
+    if (value === null || value === undefined || value === '' || !Number.isFinite(Number(value)) || !row.time) return;
+    if (rule.area && row.area && row.area !== rule.area) return;
+    const depth = Number(row.depth) || 0;
+    if (rule.depth !== null && Math.abs(depth - rule.depth) > DEPTH_MATCH_TOLERANCE) return;
+    const key = `${Number(row.lat).toFixed(4)},${Number(row.lon).toFixed(4)},${depth}`;
+    if (!nodes.has(key)) nodes.set(key, { lat: Number(row.lat), lon: Number(row.lon), depth, steps: [] });
+    nodes.get(key).steps.push({ time: Date.parse(row.time), value: Number(value) });
+  });
+
+  const triggered = [];
+  nodes.forEach(({ lat, lon, depth, steps }) => {
+    steps.sort((a, b) => a.time - b.time);
+    let runStart = null;
+    let hit = null;
+    steps.forEach(step => {
+      if (!test(step.value, rule.threshold)) {
+        runStart = null;
+        return;
+      }
+      if (runStart === null) runStart = step.time;
+      if (step.time - runStart < durationMs) return;
+      if (!hit) {
+        hit = { lat, lon, depth, value: step.value, since: runStart, triggeredAt: step.time };
+      } else if (wantsHigh ? step.value > hit.value : step.value < hit.value) {
+        hit.value = step.value;
+      }
+    });
+    if (hit) triggered.push(hit);
+  });
+  if (triggered.length === 0) return null;
+
+  triggered.sort((a, b) => (wantsHigh ? b.value - a.value : a.value - b.value));
+  const triggeredAt = triggered.reduce((earliest, node) => Math.min(earliest, node.triggeredAt), Infinity);
+  return {
+    key: `${rule.id}:${triggeredAt}:${rule.operator}${rule.threshold}`,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    variable: rule.variable,
+    severity: rule.severity,
+    triggeredAt: new Date(triggeredAt).toISOString(),
+    extreme: triggered[0].value,
+    count: triggered.length,
+    nodes: triggered.slice(0, MAX_EVENT_NODES).map(node => ({
+      ...node,
+      since: new Date(node.since).toISOString(),
+      triggeredAt: new Date(node.triggeredAt).toISOString()
+    }))
+  };
+};
+
+/**
+ * Evaluates every enabled rule.
+ * @param {Array<object>} rows - Canonical rows (rawData)
+ * @param {Array<object>} rules - Alert rules
+ * @returns {Array<object>} Events of the rules that trigger (see evaluateAlertRule)
+ */
+export const evaluateAlertRules = (rows, rules) => {
+  if (!rows?.length) return [];
+  return rules
+    .filter(rule => rule.enabled && validateAlertRule(rule).length === 0)
+    .map(rule => evaluateAlertRule(rows, rule))
+    .filter(Boolean);
+};
+
+/**
+ * @param {object} event - evaluateAlertRule output
+ * @param {object} rule - The event's rule
+ * @param {object} preferences - Display units
+ * @returns {string} One-line summary for notifications
+ */
+export const formatAlertMessage = (event, rule, preferences) => (
+  `${rule.name || describeAlertRule(rule, preferences)}: ${event.count} node${event.count === 1 ? '' : 's'}, ` +
+  `${rule.operator.startsWith('>') ? 'max' : 'min'} ${formatValue(event.extreme, event.variable, preferences, 2)} ` +
+  `from ${event.triggeredAt.slice(0, 16).replace('T', ' ')} UTC`
+);
+
+/**
+ * Webhook payload of an event, with values in display units.
+ * @param {object} event - evaluateAlertRule output
+ * @param {object} rule - The event's rule
+ * @param {object} preferences - Display units
+ * @returns {object} JSON-serializable payload
+ */
+export const buildWebhookPayload = (event, rule, preferences) => ({
+  type: 'ocean-alert',
+  message: formatAlertMessage(event, rule, preferences),
+  severity: event.severity,
+  rule: { ...rule, description: describeAlertRule(rule, preferences) },
+  triggeredAt: event.triggeredAt,
+  unit: getUnitSymbol(event.variable, preferences),
+  extreme: convertValue(event.extreme, event.variable, preferences),
+  count: event.count,
+  nodes: event.nodes.map(node => ({ ...node, value: convertValue(node.value, event.variable, preferences) }))
+});
+
+/**
+ * POSTs a payload to a webhook.
+ * @param {string} url - Webhook URL
+ * @param {object} payload - JSON body
+ * @param {object} options - { fetchImpl } to deliver through something other than window.fetch
+ * @returns {Promise<{status: number}>} Response status
+ */
+export const deliverWebhook = async (url, payload, { fetchImpl = fetch } = {}) => {
+  if (!/^https?:\/\//i.test(url || '')) {
+    throw new Error('Webhook URL must start with http:// or https://');
+  }
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  return { status: response.status };
+};
+
+/**
+ * Shows a browser notification when permission has been granted.
+ * @param {string} title - Notification title
+ * @param {string} body - Notification text
+ * @returns {boolean} Whether a notification was shown
+ */
+export const showBrowserNotification = (title, body) => {
+  if (typeof window === 'undefined' || !('Notification' in window) || window.Notification.permission !== 'granted') {
+    return false;
+  }
+  const notification = new window.Notification(title, { body, tag: title });
+  return Boolean(notification);
+};
+
+/**
+ * @returns {Promise<string>} The notification permission after asking ('granted', 'denied',
+ * 'default' or 'unsupported')
+ */
+export const requestNotificationPermission = async () => {
+  if (typeof window === 'undefined' || !('Notification' in window)) return 'unsupported';
+  if (window.Notification.permission !== 'default') return window.Notification.permission;
+  return window.Notification.requestPermission();
+};
+
+/**
+ * @returns {Array<object>} Stored rules
+ */
+export const loadAlertRules = () => {
+  const stored = EncryptedStorage.getItem(ALERT_RULES_STORAGE_KEY);
+  if (!Array.isArray(stored)) return [];
+  // Rules saved before current speed moved to nspeed watched the empty speed field
+  return stored.map(rule => createAlertRule(rule.variable === 'speed' ? { ...rule, variable: 'nspeed' } : rule));
+};
+
+/**
+ * @param {Array<object>} rules - Rules to store
+ */
+export const saveAlertRules = (rules) => {
+  EncryptedStorage.setItem(ALERT_RULES_STORAGE_KEY, rules);
+};
+
+/**
+ * @returns {object} Stored alert settings, with defaults for missing fields
+ */
+export const loadAlertSettings = () => {
+  const stored = EncryptedStorage.getItem(ALERT_SETTINGS_STORAGE_KEY);
+  return { ...DEFAULT_ALERT_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) };
+};
+
+/**
+ * @param {object} settings - Settings to store
+ */
+export const saveAlertSettings = (settings) => {
+  EncryptedStorage.setItem(ALERT_SETTINGS_STORAGE_KEY, settings);
+};
+
+const alertService = {
+  ALERT_VARIABLES,
+  ALERT_OPERATORS,
+  ALERT_SEVERITIES,
+  ALERT_SCHEDULE_OPTIONS,
+  DEFAULT_ALERT_SETTINGS,
+  createAlertRule,
+  validateAlertRule,
+  describeAlertRule,
+  evaluateAlertRule,
+  evaluateAlertRules,
+  formatAlertMessage,
+  buildWebhookPayload,
+  deliverWebhook,
+  showBrowserNotification,
+  requestNotificationPermission,
+  loadAlertRules,
+  saveAlertRules,
+  loadAlertSettings,
+  saveAlertSettings
+};
+
+export default alertService;
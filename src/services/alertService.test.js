@@ -0,0 +1,88 @@
+import {
+  createAlertRule,
+  validateAlertRule,
+  describeAlertRule,
+  evaluateAlertRules,
+  buildWebhookPayload,
+  deliverWebhook,
+  loadAlertRules,
+  saveAlertRules
+} from './alertService';
+import { UNIT_SYSTEMS, toCanonicalValue } from './unitService';
+import { setSessionKey } from './sessionKey';
+import { getModelAdapter, toCanonicalRow } from './modelAdapterService';
+
+const nautical = UNIT_SYSTEMS.nautical.units;
+
+// Two surface nodes and one at 10 m, hourly for 8 h; node A warms past 31 °C from hour 2.
+// Rows go through the NGOFS2 adapter, so they have the fields of loaded data.
+const ngofs2 = getModelAdapter('NGOFS2');
+const loadedRow = (raw) => ({ ...toCanonicalRow(ngofs2, { direction: 90, ...raw }), area: 'USM' });
+const rows = [];
+for (let h = 0; h < 8; h++) {
+  const time = new Date(Date.UTC(2025, 7, 1, h)).toISOString();
+  rows.push(loadedRow({ time, lat: 30, lon: -88, depth: 0, temp: h >= 2 ? 31 + h * 0.1 : 30, nspeed: 0.5 }));
+  rows.push(loadedRow({ time, lat: 30.1, lon: -88, depth: 0, temp: h === 4 ? 32 : 29, nspeed: h === 6 ? 0.9 : 0.3 }));
+  rows.push(loadedRow({ time, lat: 30, lon: -88, depth: 10, temp: 33, nspeed: 0.1 }));
+}
+
+describe('alertService', () => {
+  beforeAll(() => setSessionKey('test-session-key'));
+  afterEach(() => localStorage.clear());
+
+  it('triggers a node only once the condition has held for the rule duration', () => {
+    const rule = createAlertRule({ id: 'warm', name: 'Warm surface', variable: 'temp', threshold: 31, depth: 0, durationHours: 3 });
+    const [event] = evaluateAlertRules(rows, [rule]);
+    expect(event.count).toBe(1);
+    expect(event.nodes[0]).toMatchObject({ lat: 30, lon: -88, depth: 0, since: '2025-08-01T02:00:00.000Z' });
+    expect(event.triggeredAt).toBe('2025-08-01T05:00:00.000Z');
+    expect(event.extreme).toBeCloseTo(31.7);
+
+    // Without a duration the one-hour spike at node B counts too, and depth = any adds the 10 m node
+    const instant = evaluateAlertRules(rows, [{ ...rule, depth: null, durationHours: 0 }])[0];
+    expect(instant.count).toBe(3);
+    expect(instant.nodes[0]).toMatchObject({ depth: 10, value: 33 });
+    expect(instant.triggeredAt).toBe('2025-08-01T00:00:00.000Z');
+  });
+
+  it('takes thresholds entered in display units and skips disabled or invalid rules', () => {
+    const rule = createAlertRule({ id: 'fast', variable: 'nspeed', threshold: toCanonicalValue(1.5, 'nspeed', nautical), depth: 0, area: 'USM' });
+    expect(describeAlertRule(rule, nautical)).toBe('Current Speed > 1.50 kn at any node at 0 ft in USM');
+    const [event] = evaluateAlertRules(rows, [rule]);
+    expect(event.count).toBe(1);
+    expect(event.nodes[0]).toMatchObject({ lat: 30.1, value: 0.9, triggeredAt: '2025-08-01T06:00:00.000Z' });
+
+    expect(evaluateAlertRules(rows, [{ ...rule, enabled: false }])).toEqual([]);
+    expect(evaluateAlertRules(rows, [{ ...rule, area: 'NGOFS2' }])).toEqual([]);
+    expect(validateAlertRule({ ...rule, operator: '!=' })).toEqual(['Unknown operator "!="']);
+    expect(evaluateAlertRules(rows, [{ ...rule, operator: '!=' }])).toEqual([]);
+  });
+
+  it('posts events to a webhook and reports failed deliveries', async () => {
+    const rule = createAlertRule({ id: 'fast', name: 'Fast current', threshold: 0.8, severity: 'critical' });
+    const [event] = evaluateAlertRules(rows, [rule]);
+    const payload = buildWebhookPayload(event, rule, nautical);
+    expect(payload).toMatchObject({ type: 'ocean-alert', severity: 'critical', unit: 'kn', count: 1 });
+    expect(payload.extreme).toBeCloseTo(0.9 * 1.943844, 4);
+    expect(payload.message).toMatch(/^Fast current: 1 node, max 1\.75 kn from 2025-08-01 06:00 UTC$/);
+
+    // Local stand-in for the webhook endpoint
+    const received = [];
+    const standIn = async (url, init) => {
+      received.push({ url, method: init.method, body: JSON.parse(init.body) });
+      return { ok: url.endsWith('/hook'), status: url.endsWith('/hook') ? 204 : 500, statusText: 'Internal Server Error' };
+    };
+    await expect(deliverWebhook('http://localhost:9000/hook', payload, { fetchImpl: standIn })).resolves.toEqual({ status: 204 });
+    expect(received[0]).toMatchObject({ url: 'http://localhost:9000/hook', method: 'POST', body: { rule: { id: 'fast' }, count: 1 } });
+    await expect(deliverWebhook('http://localhost:9000/broken', payload, { fetchImpl: standIn })).rejects.toThrow('HTTP 500');
+    await expect(deliverWebhook('ftp://example.com', payload, { fetchImpl: standIn })).rejects.toThrow('must start with http');
+  });
+
+  it('stores rules', () => {
+    expect(loadAlertRules()).toEqual([]);
+    saveAlertRules([{ id: 'r1', variable: 'temp', threshold: 31 }]);
+    expect(loadAlertRules()[0]).toMatchObject({ id: 'r1', variable: 'temp', threshold: 31, operator: '>', enabled: true, depth: null });
+    saveAlertRules([{ id: 'r2', variable: 'speed', threshold: 0.8 }]);
+    expect(loadAlertRules()[0].variable).toBe('nspeed');
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Area Registry Service
+ * Single source of truth for study areas (id, label, table/model sources, bbox, camera, depth levels).
+ * The bundled config in src/config/areas.json can be replaced at runtime by a JSON file
+ * served from REACT_APP_AREA_CONFIG_URL, so new domains are a config change.
+ */
+
+import defaultAreaConfig from '../config/areas.json';
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+/**
+ * Validates a bbox object and returns a normalized copy.
+ * @param {object} bbox - Bbox { north, south, east, west }
+ * @param {string} label - Name used in error messages
+ * @returns {{north: number, south: number, east: number, west: number}} The normalized bbox
+ */
+const normalizeBbox = (bbox, label) => {
+  const values = ['north', 'south', 'east', 'west'].map(key => Number(bbox?.[key]));
+  if (values.some(value => !Number.isFinite(value))) {
+    throw new Error(`${label}: bbox must have numeric north, south, east and west`);
+  }
+  const [north, south, east, west] = values;
+  if (south > north || west > east) {
+    throw new Error(`${label}: bbox south/west must not exceed north/east`);
+  }
+  return { north, south, east, west };
+};
+
+/**
+ * Validates a raw registry config and returns a normalized registry.
+ * @param {object} config - Parsed JSON config
+ * @returns {object} Normalized registry { version, defaultArea, regions, areas }
+ */
+export const normalizeAreaConfig = (config) => {
+  if (!config || !Array.isArray(config.areas) || config.areas.length === 0) {
+    throw new Error('Area config must contain a non-empty "areas" array');
+  }
+
+  const regions = (config.regions || []).map(region => ({
+    id: region.id,
+    label: region.label || region.id,
+    waterBounds: region.waterBounds ? normalizeBbox(region.waterBounds, `Region ${region.id}`) : null,
+    landMasks: (region.landMasks || []).map(mask => ({
+      label: mask.label || '',
+      ...normalizeBbox(mask, `Region ${region.id} land mask`)
+    }))
+  }));
+
+  const seenIds = new Set();
+  const areas = config.areas.map(area => {
+    if (!area.id || seenIds.has(area.id)) {
+      throw new Error(`Area ids must be unique and non-empty (got ${JSON.stringify(area.id)})`);
+    }
+    seenIds.add(area.id);
+    // An area may serve several models side by side; "table"/"model" is the single-source shorthand
+    const sources = (Array.isArray(area.sources) && area.sources.length > 0
+      ? area.sources
+      : [{ table: area.table, model: area.model }]
+    ).map(source => {
+      if (!IDENTIFIER_PATTERN.test(source.table || '')) {
+        throw new Error(`Area ${area.id}: invalid table name ${JSON.stringify(source.table)}`);
+      }
+      return { table: source.table, model: source.model || null };
+    });
+
+    const bbox = normalizeBbox(area.bbox, `Area ${area.id}`);
+    const center = area.center
+      ? { longitude: Number(area.center.longitude), latitude: Number(area.center.latitude) }
+      : { longitude: (bbox.east + bbox.west) / 2, latitude: (bbox.north + bbox.south) / 2 };
+
+    return {
+      id: area.id,
+      label: area.label || area.id,
+      description: area.description || '',
+      region: area.region || null,
+      regionLabel: regions.find(region => region.id === area.region)?.label || area.region || 'Unknown',
+      table: sources[0].table,
+      model: sources[0].model,
+      sources,
+      bbox,
+      center,
+      zoom: Number.isFinite(area.zoom) ? area.zoom : 8,
+      depthLevels: Array.isArray(area.depthLevels)
+        ? area.depthLevels.map(Number).filter(Number.isFinite).sort((a, b) => a - b)
+        : []
+    };
+  });
+
+  const defaultArea = areas.some(area => area.id === config.defaultArea)
+    ? config.defaultArea
+    : areas[0].id;
+
+  return { version: config.version || 1, defaultArea, regions, areas };
+};
+
+// Active registry; starts with the bundled config
+let registry = normalizeAreaConfig(defaultAreaConfig);
+
+/**
+ * Replaces the active registry with a new config.
+ * @param {object} config - Raw registry config
+ * @returns {object} The normalized registry now in use
+ */
+export const setAreaConfig = (config) => {
+  registry = normalizeAreaConfig(config);
+  return registry;
+};
+
+/**
+ * Returns the active registry. It is plain data, so it can be posted to a worker and applied
+ * there with setAreaConfig.
+ * @returns {object} Normalized registry { version, defaultArea, regions, areas }
+ */
+export const getAreaConfig = () => registry;
+
+/**
+ * Loads the registry from a JSON URL, keeping the current registry if loading fails.
+ * @param {string} url - URL of the JSON config (defaults to REACT_APP_AREA_CONFIG_URL)
+ * @returns {Promise<object>} The registry in use after loading
+ */
+export const loadAreaConfig = async (url = process.env.REACT_APP_AREA_CONFIG_URL) => {
+  if (!url) return registry;
+
+  try {
+    const response = await fetch(url, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    return setAreaConfig(await response.json());
+  } catch (error) {
+    console.error(`Failed to load area config from ${url}, using bundled areas:`, error);
+    return registry;
+  }
+};
+
+/**
+ * @returns {Array<object>} All configured areas
+ */
+export const getAreas = () => registry.areas;
+
+/**
+ * @returns {string} Id of the default area
+ */
+export const getDefaultAreaId = () => registry.defaultArea;
+
+/**
+ * Looks up an area, falling back to the default area for unknown ids.
+ * @param {string} areaId - Area id (e.g., 'USM')
+ * @returns {object} The area config
+ */
+export const getArea = (areaId) => {
+  return registry.areas.find(area => area.id === areaId) ||
+    registry.areas.find(area => area.id === registry.defaultArea);
+};
+
+/**
+ * Maps an area id to its database table name.
+ * @param {string} areaId - Area id
+ * @returns {string} The table name
+ */
+export const getTableNameForArea = (areaId) => getArea(areaId).table;
+
+/**
+ * @returns {Array<string>} Every table referenced by the registry (the query allow-list)
+ */
+export const getAreaTables = () => [
+  ...new Set(registry.areas.flatMap(area => area.sources.map(source => source.table)))
+];
+
+/**
+ * Returns the model sources (table + model adapter id) loaded for an area.
+ * @param {string} areaId - Area id
+ * @returns {Array<{table: string, model: string|null}>} The area's sources
+ */
+export const getAreaSources = (areaId) => getArea(areaId).sources;
+
+/**
+ * Returns the map camera for an area.
+ * @param {string} areaId - Area id
+ * @returns {{longitude: number, latitude: number, zoom: number}} Camera settings
+ */
+export const getAreaViewState = (areaId) => {
+  const { center, zoom } = getArea(areaId);
+  return { longitude: center.longitude, latitude: center.latitude, zoom };
+};
+
+/**
+ * Simple land/water check against the registry's region water bounds and land masks.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {boolean} True if the point is inside a configured water region and not on a land mask
+ */
+export const isInConfiguredWaters = (lat, lon) => {
+  const inBox = (box) => lat >= box.south && lat <= box.north && lon >= box.west && lon <= box.east;
+  // Land masks exclude their edges, so water points on a mask boundary are kept
+  const onLandMask = (box) => lat > box.south && lat < box.north && lon > box.west && lon < box.east;
+  const waterRegions = registry.regions.filter(region => region.waterBounds);
+  // Without region bounds, fall back to the union of the area bboxes
+  if (waterRegions.length === 0) {
+    return registry.areas.some(area => inBox(area.bbox));
+  }
+  return waterRegions.some(region =>
+    inBox(region.waterBounds) && !region.landMasks.some(onLandMask)
+  );
+};
+
+const areaRegistryService = {
+  normalizeAreaConfig,
+  setAreaConfig,
+  getAreaConfig,
+  loadAreaConfig,
+  getAreas,
+  getDefaultAreaId,
+  getArea,
+  getTableNameForArea,
+  getAreaTables,
+  getAreaSources,
+  getAreaViewState,
+  isInConfiguredWaters
+};
+
+export default areaRegistryService;
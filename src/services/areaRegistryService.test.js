@@ -0,0 +1,95 @@
+import defaultAreaConfig from '../config/areas.json';
+import {
+  normalizeAreaConfig,
+  setAreaConfig,
+  getAreaConfig,
+  getArea,
+  getAreaTables,
+  getTableNameForArea,
+  getAreaViewState,
+  isInConfiguredWaters
+} from './areaRegistryService';
+
+describe('areaRegistryService', () => {
+  afterEach(() => {
+    setAreaConfig(defaultAreaConfig);
+  });
+
+  test('bundled config maps the existing areas to their tables', () => {
+    expect(getTableNameForArea('USM')).toBe('usm_ngofs2');
+    expect(getTableNameForArea('MBL')).toBe('mbl_ngofs2');
+    expect(getTableNameForArea('MSR')).toBe('msr_ngofs2');
+    expect(getTableNameForArea('unknown')).toBe('usm_ngofs2');
+  });
+
+  test('bundled areas each have their own bounds, camera and depth levels', () => {
+    const areas = getAreaConfig().areas;
+    const [region] = getAreaConfig().regions;
+    const bboxKeys = new Set(areas.map(area => JSON.stringify(area.bbox)));
+
+    expect(bboxKeys.size).toBe(areas.length);
+    areas.forEach(area => {
+      expect(area.bbox.north).toBeLessThanOrEqual(region.waterBounds.north);
+      expect(area.bbox.south).toBeGreaterThanOrEqual(region.waterBounds.south);
+      expect(area.bbox.east).toBeLessThanOrEqual(region.waterBounds.east);
+      expect(area.bbox.west).toBeGreaterThanOrEqual(region.waterBounds.west);
+      expect(area.center.latitude).toBeGreaterThanOrEqual(area.bbox.south);
+      expect(area.center.latitude).toBeLessThanOrEqual(area.bbox.north);
+      expect(area.center.longitude).toBeGreaterThanOrEqual(area.bbox.west);
+      expect(area.center.longitude).toBeLessThanOrEqual(area.bbox.east);
+      expect(area.depthLevels.length).toBeGreaterThan(0);
+    });
+  });
+
+  test('a new area is a config change that reaches tables and camera', () => {
+    setAreaConfig({
+      defaultArea: 'TBY',
+      areas: [
+        ...defaultAreaConfig.areas,
+        {
+          id: 'TBY',
+          label: 'Tampa Bay',
+          table: 'tby_tbofs',
+          model: 'TBOFS',
+          bbox: { north: 28.1, south: 27.4, east: -82.3, west: -82.9 },
+          zoom: 10
+        }
+      ]
+    });
+
+    expect(getAreaTables()).toContain('tby_tbofs');
+    expect(getArea('nope').id).toBe('TBY');
+    expect(getAreaViewState('TBY')).toEqual({ longitude: -82.6, latitude: 27.75, zoom: 10 });
+  });
+
+  test('water check uses region bounds and land masks', () => {
+    expect(isInConfiguredWaters(30.2, -88.9)).toBe(true);
+    expect(isInConfiguredWaters(29.4, -89.5)).toBe(false);
+    // Mask edges stay water, as in the original delta cutout
+    expect(isInConfiguredWaters(29, -89.5)).toBe(true);
+    expect(isInConfiguredWaters(29.4, -89)).toBe(true);
+    expect(isInConfiguredWaters(35, -88.9)).toBe(false);
+  });
+
+  test('rejects invalid configs', () => {
+    expect(() => normalizeAreaConfig({ areas: [] })).toThrow('non-empty');
+    expect(() => normalizeAreaConfig({ areas: [{ id: 'X', table: 'x; DROP', bbox: { north: 1, south: 0, east: 1, west: 0 } }] }))
+      .toThrow('invalid table name');
+    expect(() => normalizeAreaConfig({ areas: [{ id: 'X', table: 'x', bbox: { north: 0, south: 1, east: 1, west: 0 } }] }))
+      .toThrow('bbox');
+  });
+
+  test('the active registry can be applied again, as the data worker does', () => {
+    const registry = setAreaConfig({
+      ...defaultAreaConfig,
+      regions: [{ id: 'tampa', waterBounds: { north: 28.1, south: 27.4, east: -82.3, west: -82.9 } }],
+      areas: [{ id: 'TBY', table: 'tby_tbofs', model: 'TBOFS', region: 'tampa', bbox: { north: 28.1, south: 27.4, east: -82.3, west: -82.9 } }]
+    });
+    const copy = JSON.parse(JSON.stringify(getAreaConfig()));
+    setAreaConfig(defaultAreaConfig);
+    expect(isInConfiguredWaters(27.7, -82.6)).toBe(false);
+
+    expect(setAreaConfig(copy)).toEqual(registry);
+    expect(isInConfiguredWaters(27.7, -82.6)).toBe(true);
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Columnar Store Service
+ * Holds the loaded rows as one Float32Array per variable, with each row's time step and depth
+ * level indexed so the rows for a depth (and time step) can be looked up without scanning.
+ * Map layers read the columns directly as deck.gl binary attributes instead of filtering
+ * row objects on every rebuild.
+ */
+
+import { isFlagged } from './qcService';
+
+// Variables stored as columns (lat and lon are required for a row to be stored)
+export const STORE_VARIABLES = [
+  'lat', 'lon', 'depth', 'temp', 'salinity', 'ssh', 'pressure_dbars',
+  'sound_speed_ms', 'nspeed', 'speed', 'direction', 'ndirection'
+];
+
+// Depth tolerance of the heatmap layers (one foot, in meters)
+export const DEFAULT_STORE_DEPTH_TOLERANCE = 0.3048;
+
+// Index value for rows without a readable time or depth
+export const NO_INDEX = 0xffffffff;
+
+/**
+ * Sorted unique values of a column, ignoring NaN.
+ * @param {Float32Array|Float64Array} values - Column values
+ * @param {Function} ArrayType - Typed array constructor for the result
+ * @returns {Float32Array|Float64Array} Sorted unique values
+ */
+const uniqueSorted = (values, ArrayType) => {
+  const unique = Array.from(new Set(values)).filter(value => !isNaN(value));
+  return ArrayType.from(unique.sort((a, b) => a - b));
+};
+
+/**
+ * Index of each value in a sorted array of unique values.
+ * @param {Float32Array|Float64Array} values - Column values
+ * @param {Float32Array|Float64Array} levels - Sorted unique values
+ * @returns {Uint32Array} Level index per value (NO_INDEX for NaN)
+ */
+const indexValues = (values, levels) => {
+  const lookup = new Map();
+  levels.forEach((level, index) => lookup.set(level, index));
+  return Uint32Array.from(values, value => (isNaN(value) ? NO_INDEX : lookup.get(value)));
+};
+
+/**
+ * First position in order[start, end) whose key is >= target (keys ascending).
+ * @returns {number} Position
+ */
+const lowerBound = (keys, order, start, end, target) => {
+  let low = start;
+  let high = end;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (keys[order[mid]] < target) low = mid + 1; else high = mid;
+  }
+  return low;
+};
+
+/**
+ * Builds a columnar store from canonical rows.
+ * @param {Array<object>} rows - Canonical rows (numeric strings are parsed)
+ * @returns {object} Store: { length, columns, positions, times, timeIndex, depths, depthIndex, order, depthOffsets }.
+ * positions interleaves lon/lat for getPosition; order lists rows sorted by depth level then
+ * time step, and depthOffsets[k] is where depth level k starts in order (rows without a depth last)
+ */
+export const buildColumnarStore = (rows) => {
+  const stored = rows.filter(row => !isNaN(parseFloat(row.lat)) && !isNaN(parseFloat(row.lon)));
+  const length = stored.length;
+
+  const columns = {};
+  STORE_VARIABLES.forEach(variable => {
+    columns[variable] = Float32Array.from(stored, row => parseFloat(row[variable]));
+  });
+  const positions = new Float32Array(length * 2);
+  for (let i = 0; i < length; i++) {
+    positions[i * 2] = columns.lon[i];
+    positions[i * 2 + 1] = columns.lat[i];
+  }
+
+  const timeValues = Float64Array.from(stored, row => Date.parse(row.time));
+  const times = uniqueSorted(timeValues, Float64Array);
+  const timeIndex = indexValues(timeValues, times);
+  const depths = uniqueSorted(columns.depth, Float32Array);
+  const depthIndex = indexValues(columns.depth, depths);
+
+  // NO_INDEX sorts after every level, so rows without a depth or time come last
+  const order = Uint32Array.from({ length }, (_, i) => i).sort((a, b) => (
+    depthIndex[a] - depthIndex[b] || timeIndex[a] - timeIndex[b]
+  ));
+  const depthOffsets = new Uint32Array(depths.length + 2);
+  let position = 0;
+  for (let level = 0; level <= depths.length; level++) {
+    depthOffsets[level] = position;
+    const key = level === depths.length ? NO_INDEX : level;
+    while (position < length && depthIndex[order[position]] === key) position++;
+  }
+  depthOffsets[depths.length + 1] = length;
+
+  return { length, columns, positions, times, timeIndex, depths, depthIndex, order, depthOffsets };
+};
+
+/**
+ * @param {object} store - Columnar store
+ * @returns {Array<ArrayBuffer>} Buffers of the store, for the postMessage transfer list
+ */
+export const getStoreBuffers = (store) => [
+  ...Object.values(store.columns).map(column => column.buffer),
+  ...['positions', 'times', 'timeIndex', 'depths', 'depthIndex', 'order', 'depthOffsets'].map(key => store[key].buffer)
+];
+
+/**
+ * @param {object} store - Columnar store
+ * @param {string|number} time - Time (ISO string or epoch ms)
+ * @returns {number} Index of the latest time step at or before time, or -1
+ */
+export const findTimeStep = (store, time) => {
+  const target = typeof time === 'number' ? time : Date.parse(time);
+  if (isNaN(target) || store.times.length === 0) return -1;
+  let low = 0;
+  let high = store.times.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (store.times[mid] <= target) low = mid + 1; else high = mid;
+  }
+  return low - 1;
+};
+
+/**
+ * Looks up the rows at a depth and/or time step.
+ * @param {object} store - Columnar store
+ * @param {object} options - Lookup options
+ * @param {number} options.depth - Depth in meters (null for every depth)
+ * @param {number} options.depthTolerance - Depth levels within this distance match
+ * @param {number} options.timeStep - Index into store.times (null for every time)
+ * @returns {Uint32Array} Matching row indices
+ */
+export const selectRowIndices = (store, { depth = null, depthTolerance = DEFAULT_STORE_DEPTH_TOLERANCE, timeStep = null } = {}) => {
+  const { depths, depthOffsets, order, timeIndex } = store;
+  const levels = [];
+  if (depth === null || depth === undefined) {
+    for (let level = 0; level <= depths.length; level++) levels.push(level);
+  } else {
+    depths.forEach((level, index) => {
+      if (Math.abs(level - depth) < depthTolerance) levels.push(index);
+    });
+  }
+
+  const ranges = levels.map(level => {
+    const start = depthOffsets[level];
+    const end = depthOffsets[level + 1];
+    if (timeStep === null || timeStep === undefined) return [start, end];
+    // Rows within a depth level are sorted by time step
+    return [lowerBound(timeIndex, order, start, end, timeStep), lowerBound(timeIndex, order, start, end, timeStep + 1)];
+  });
+
+  const result = new Uint32Array(ranges.reduce((sum, [start, end]) => sum + (end - start), 0));
+  let offset = 0;
+  ranges.forEach(([start, end]) => {
+    result.set(order.subarray(start, end), offset);
+    offset += end - start;
+  });
+  return result;
+};
+
+/**
+ * Scales values to 0..1 for heatmap weights.
+ * @param {Float32Array} values - Layer values
+ * @returns {Float32Array} Scaled values (a constant column becomes 0.5)
+ */
+export const normalizeValues = (values) => {
+  let minValue = Infinity;
+  let maxValue = -Infinity;
+  values.forEach(value => {
+    if (value < minValue) minValue = value;
+    if (value > maxValue) maxValue = value;
+  });
+  const range = maxValue - minValue;
+  return values.map(value => (range > 0 ? (value - minValue) / range : 0.5));
+};
+
+/**
+ * Builds deck.gl binary layer data for one variable at a depth and/or time step.
+ * @param {object} store - Columnar store, optionally with qcFlags (a Uint8Array per variable)
+ * @param {string} variable - Column to read (one of STORE_VARIABLES)
+ * @param {object} options - selectRowIndices options, plus:
+ * @param {boolean} options.normalize - Scale values to 0..1 (a constant column becomes 0.5)
+ * @param {string} options.weightAccessor - Accessor the values are bound to (default getWeight)
+ * @param {boolean} options.hideFlagged - Leave out values QC flagged as suspect or failed
+ * @returns {{length: number, attributes: object, rowIndices: Uint32Array, values: Float32Array, qcFlags: Uint8Array|null}}
+ * Binary data for the layer's data prop, the source row, raw value and QC flag of each point
+ */
+export const buildLayerAttributes = (store, variable, { normalize = true, weightAccessor = 'getWeight', hideFlagged = false, ...lookup } = {}) => {
+  const column = store.columns[variable];
+  const variableFlags = store.qcFlags?.[variable] || null;
+  const candidates = selectRowIndices(store, lookup);
+  const rowIndices = candidates.filter(row => (
+    !isNaN(column[row]) && !(hideFlagged && variableFlags && isFlagged(variableFlags[row]))
+  ));
+  const length = rowIndices.length;
+
+  const positions = new Float32Array(length * 2);
+  const values = new Float32Array(length);
+  rowIndices.forEach((row, i) => {
+    positions[i * 2] = store.positions[row * 2];
+    positions[i * 2 + 1] = store.positions[row * 2 + 1];
+    values[i] = column[row];
+  });
+
+  return {
+    length,
+    attributes: {
+      getPosition: { value: positions, size: 2 },
+      [weightAccessor]: { value: normalize ? normalizeValues(values) : values, size: 1 }
+    },
+    rowIndices,
+    values,
+    qcFlags: variableFlags ? Uint8Array.from(rowIndices, row => variableFlags[row]) : null
+  };
+};
+
+const columnarStoreService = {
+  STORE_VARIABLES,
+  DEFAULT_STORE_DEPTH_TOLERANCE,
+  NO_INDEX,
+  buildColumnarStore,
+  getStoreBuffers,
+  findTimeStep,
+  selectRowIndices,
+  normalizeValues,
+  buildLayerAttributes
+};
+
+export default columnarStoreService;
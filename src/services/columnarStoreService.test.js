@@ -0,0 +1,52 @@
+import {
+  buildColumnarStore,
+  selectRowIndices,
+  findTimeStep,
+  buildLayerAttributes
+} from './columnarStoreService';
+
+const T0 = '2025-08-01T00:00:00Z';
+const T1 = '2025-08-01T01:00:00Z';
+
+const rows = [
+  { lat: 30.0, lon: -89.0, depth: 5, time: T1, temp: 20 },
+  { lat: 30.1, lon: -89.1, depth: 0, time: T0, temp: 22 },
+  { lat: null, lon: -89.2, depth: 0, time: T0, temp: 23 },
+  { lat: 30.2, lon: -89.2, depth: 0, time: T1, temp: 24 },
+  { lat: 30.3, lon: -89.3, depth: 5, time: T0, temp: 'n/a' },
+  { lat: 30.4, lon: -89.4, time: T0, temp: 25 }
+];
+
+describe('columnarStoreService', () => {
+  const store = buildColumnarStore(rows);
+
+  test('stores rows with coordinates as Float32 columns with time and depth indices', () => {
+    expect(store.length).toBe(5);
+    expect(store.columns.temp).toBeInstanceOf(Float32Array);
+    expect(Array.from(store.depths)).toEqual([0, 5]);
+    expect(store.times).toHaveLength(2);
+    expect(Array.from(store.positions.slice(0, 2))).toEqual([Math.fround(-89.0), Math.fround(30.0)]);
+  });
+
+  test('looks up rows by depth and time step', () => {
+    const t1 = findTimeStep(store, T1);
+    expect(t1).toBe(1);
+    expect(findTimeStep(store, '2025-07-31T00:00:00Z')).toBe(-1);
+
+    expect(Array.from(selectRowIndices(store, { depth: 0 }))).toEqual([1, 2]);
+    expect(Array.from(selectRowIndices(store, { depth: 5, timeStep: t1 }))).toEqual([0]);
+    expect(Array.from(selectRowIndices(store, { timeStep: 0 }))).toEqual([1, 3, 4]);
+    expect(selectRowIndices(store)).toHaveLength(5);
+  });
+
+  test('builds normalized binary attributes for a layer', () => {
+    const data = buildLayerAttributes(store, 'temp', { depth: 5 });
+    expect(data.length).toBe(1);
+    expect(Array.from(data.attributes.getWeight.value)).toEqual([0.5]);
+
+    const all = buildLayerAttributes(store, 'temp', { normalize: false, weightAccessor: 'getElevationWeight' });
+    expect(all.length).toBe(4);
+    expect(all.attributes.getPosition.size).toBe(2);
+    expect(Array.from(all.attributes.getElevationWeight.value).sort()).toEqual([20, 22, 24, 25]);
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Data Processing Service
+ * The heavy row transforms run by the data processing worker (src/workers/dataProcessing.worker.js):
+ * numeric row formatting with QC and TEOS-10 derived variables, columnar store building, station
+ * grouping and vector processing.
+ * Each task returns typed-array columns and indices instead of row objects so its output can be
+ * transferred back to the main thread without copying; the build* helpers turn those results
+ * back into rows there.
+ */
+
+import { processVectorData, generateStationDataFromAPI } from './dataService';
+import { buildColumnarStore, getStoreBuffers } from './columnarStoreService';
+import { computeQcFlags } from './qcService';
+import { computeDerivedColumns, DERIVED_FIELDS } from './derivedVariablesService';
+
+// Fields parsed to numbers for the map and charts (lat and lon are required)
+export const NUMERIC_ROW_FIELDS = [
+  'lat', 'lon', 'direction', 'nspeed', 'ndirection', 'temp',
+  'salinity', 'depth', 'ssh', 'pressure_dbars', 'sound_speed_ms'
+];
+
+// Numeric fields of processVectorData output
+const VECTOR_FIELDS = ['latitude', 'longitude', 'direction', 'magnitude', 'depth', 'vectorX', 'vectorY'];
+
+/**
+ * @param {object} columns - Typed-array columns
+ * @returns {Array<ArrayBuffer>} Their buffers, for the postMessage transfer list
+ */
+const columnBuffers = (columns) => Object.values(columns).map(column => column.buffer);
+
+/**
+ * Parses the numeric fields of each row into Float64Array columns, dropping rows without a
+ * numeric lat and lon.
+ * @param {Array<object>} rows - Canonical rows
+ * @returns {{result: {columns: object, rowIndices: Uint32Array}, transfer: Array<ArrayBuffer>}}
+ * One column per NUMERIC_ROW_FIELDS entry and the index of each kept row in rows
+ */
+export const formatRowColumns = (rows) => {
+  const lat = new Float64Array(rows.length);
+  const lon = new Float64Array(rows.length);
+  const kept = new Uint32Array(rows.length);
+  let count = 0;
+  rows.forEach((row, index) => {
+    const rowLat = parseFloat(row.lat);
+    const rowLon = parseFloat(row.lon);
+    if (isNaN(rowLat) || isNaN(rowLon)) return;
+    lat[count] = rowLat;
+    lon[count] = rowLon;
+    kept[count] = index;
+    count++;
+  });
+
+  const rowIndices = kept.slice(0, count);
+  const columns = { lat: lat.slice(0, count), lon: lon.slice(0, count) };
+  NUMERIC_ROW_FIELDS.forEach(field => {
+    if (columns[field]) return;
+    const column = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      column[i] = parseFloat(rows[rowIndices[i]][field]);
+    }
+    columns[field] = column;
+  });
+
+  return {
+    result: { columns, rowIndices },
+    transfer: [...columnBuffers(columns), rowIndices.buffer]
+  };
+};
+
+/**
+ * Groups rows into stations (see generateStationDataFromAPI), replacing each station's row
+ * copies with the indices of its rows.
+ * @param {Array<object>} rows - Canonical rows
+ * @returns {{result: Array<object>, transfer: Array<ArrayBuffer>}} Stations with a rowIndices Uint32Array
+ */
+export const groupStationRows = (rows) => {
+  const stations = generateStationDataFromAPI(rows).map(({ allDataPoints, ...station }) => ({
+    ...station,
+    rowIndices: Uint32Array.from(allDataPoints, point => point.rowIndex)
+  }));
+  return { result: stations, transfer: stations.map(station => station.rowIndices.buffer) };
+};
+
+/**
+ * Runs processVectorData and returns its output as columns.
+ * @param {Array<object>} rows - Canonical rows
+ * @param {object} options - processVectorData options
+ * @returns {{result: {count: number, columns: object, time: Array<string>}, transfer: Array<ArrayBuffer>}}
+ * Vector columns and times
+ */
+export const processVectorColumns = (rows, options = {}) => {
+  const vectors = processVectorData(rows, options);
+  const columns = {};
+  VECTOR_FIELDS.forEach(field => {
+    columns[field] = Float64Array.from(vectors, vector => vector[field]);
+  });
+  return {
+    result: { count: vectors.length, columns, time: vectors.map(vector => vector.time) },
+    transfer: columnBuffers(columns)
+  };
+};
+
+/**
+ * Formats rows (see formatRowColumns), runs QC on the formatted values and derives the TEOS-10
+ * variables (see computeDerivedColumns).
+ * @param {Array<object>} rows - Canonical rows
+ * @param {object} qcConfig - QC thresholds (defaults to DEFAULT_QC_CONFIG)
+ * @returns {{result: object, transfer: Array<ArrayBuffer>}} formatRowColumns output plus
+ * qcFlags (a Uint8Array per QC variable, aligned with rowIndices), qcSummary and derived
+ * (a Float64Array per DERIVED_FIELDS entry, aligned with rowIndices)
+ */
+export const formatAndQcRows = (rows, qcConfig) => {
+  const { result, transfer } = formatRowColumns(rows);
+  const times = Float64Array.from(result.rowIndices, rowIndex => Date.parse(rows[rowIndex].time));
+  const { flags, summary } = computeQcFlags({ columns: result.columns, times }, qcConfig);
+  const derived = computeDerivedColumns({ columns: result.columns, times });
+  return {
+    result: { ...result, qcFlags: flags, qcSummary: summary, derived },
+    transfer: [...transfer, ...columnBuffers(flags), ...columnBuffers(derived)]
+  };
+};
+
+const TASKS = {
+  formatRows: ({ rows, qcConfig }) => formatAndQcRows(rows, qcConfig),
+  columnarStore: ({ rows }) => {
+    const store = buildColumnarStore(rows);
+    return { result: store, transfer: getStoreBuffers(store) };
+  },
+  stations: ({ rows }) => groupStationRows(rows),
+  vectors: ({ rows, options }) => processVectorColumns(rows, options)
+};
+
+/**
+ * Runs a named processing task.
+ * @param {string} type - Task name: formatRows, columnarStore, stations or vectors
+ * @param {object} payload - Task input ({ rows, options })
+ * @returns {{result: *, transfer: Array<ArrayBuffer>}} Task output and its transferable buffers
+ */
+export const runDataTask = (type, payload) => {
+  const task = TASKS[type];
+  if (!task) {
+    throw new Error(`Unknown data processing task: ${type}`);
+  }
+  return task(payload);
+};
+
+/**
+ * Rebuilds formatted rows from formatRowColumns (or formatAndQcRows) output.
+ * @param {Array<object>} rows - The rows the task was run on
+ * @param {{columns: object, rowIndices: Uint32Array, qcFlags: object, derived: object}} formatted - Task result
+ * @returns {Array<object>} Rows with their numeric fields parsed, the derived fields when they
+ * were computed, and a _qc object of flags per variable when QC ran
+ */
+export const buildFormattedRows = (rows, { columns, rowIndices, qcFlags = null, derived = null }) => {
+  const qcVariables = qcFlags ? Object.keys(qcFlags) : [];
+  return Array.from(rowIndices, (rowIndex, i) => {
+    const row = { ...rows[rowIndex] };
+    NUMERIC_ROW_FIELDS.forEach(field => {
+      row[field] = columns[field][i];
+    });
+    if (derived) {
+      DERIVED_FIELDS.forEach(field => {
+        row[field] = derived[field][i];
+      });
+    }
+    if (qcFlags) {
+      row._qc = {};
+      qcVariables.forEach(variable => {
+        row._qc[variable] = qcFlags[variable][i];
+      });
+    }
+    return row;
+  });
+};
+
+/**
+ * Rebuilds stations from groupStationRows output, restoring allDataPoints.
+ * @param {Array<object>} rows - The rows the task was run on
+ * @param {Array<object>} stations - Task result
+ * @returns {Array<object>} Stations in generateStationDataFromAPI form
+ */
+export const buildStations = (rows, stations) => {
+  return stations.map(({ rowIndices, ...station }) => ({
+    ...station,
+    allDataPoints: Array.from(rowIndices, rowIndex => ({ ...rows[rowIndex], rowIndex }))
+  }));
+};
+
+/**
+ * Rebuilds processVectorData output from processVectorColumns output.
+ * @param {{count: number, columns: object, time: Array<string>}} vectors - Task result
+ * @returns {Array<object>} Vector data points
+ */
+export const buildVectorRows = ({ count, columns, time }) => {
+  const vectors = new Array(count);
+  for (let i = 0; i < count; i++) {
+    const magnitude = columns.magnitude[i];
+    vectors[i] = {
+      id: `vector_${i}`,
+      latitude: columns.latitude[i],
+      longitude: columns.longitude[i],
+      direction: columns.direction[i],
+      speed: magnitude,
+      magnitude,
+      time: time[i],
+      depth: columns.depth[i],
+      coordinates: [columns.longitude[i], columns.latitude[i]],
+      vectorX: columns.vectorX[i],
+      vectorY: columns.vectorY[i]
+    };
+  }
+  return vectors;
+};
+
+const dataProcessingService = {
+  NUMERIC_ROW_FIELDS,
+  formatRowColumns,
+  formatAndQcRows,
+  groupStationRows,
+  processVectorColumns,
+  runDataTask,
+  buildFormattedRows,
+  buildStations,
+  buildVectorRows
+};
+
+export default dataProcessingService;
@@ -0,0 +1,43 @@
+import {
+  formatRowColumns,
+  groupStationRows,
+  processVectorColumns,
+  buildFormattedRows,
+  buildStations,
+  buildVectorRows
+} from './dataProcessingService';
+import { processVectorData, generateStationDataFromAPI } from './dataService';
+
+const rows = [
+  { lat: '30.1', lon: '-89.2', depth: '2', temp: '28.5', nspeed: 0.4, direction: 90, time: '2025-08-01T00:00:00Z', model: 'NGOFS2' },
+  { lat: null, lon: -89.2, time: '2025-08-01T00:00:00Z' },
+  { lat: 30.1, lon: -89.2, depth: 5, temp: 27, nspeed: 0.6, direction: 180, time: '2025-08-01T01:00:00Z', model: 'NGOFS2' },
+  { lat: 30.2, lon: -89.1, depth: 2, temp: 29, nspeed: 0.2, direction: 0, time: '2025-08-01T00:00:00Z', model: 'NGOFS2' }
+];
+
+describe('dataProcessingService', () => {
+  test('formats numeric fields into transferable columns and rebuilds the rows', () => {
+    const { result, transfer } = formatRowColumns(rows);
+
+    expect(Array.from(result.rowIndices)).toEqual([0, 2, 3]);
+    expect(result.columns.temp).toBeInstanceOf(Float64Array);
+    expect(transfer).toContain(result.columns.lat.buffer);
+
+    const formatted = buildFormattedRows(rows, result);
+    expect(formatted[0]).toMatchObject({ lat: 30.1, lon: -89.2, depth: 2, temp: 28.5, time: '2025-08-01T00:00:00Z' });
+    expect(formatted[0].salinity).toBeNaN();
+  });
+
+  test('station and vector results round-trip to the main-thread shapes', () => {
+    const numericRows = buildFormattedRows(rows, formatRowColumns(rows).result);
+
+    const stations = buildStations(numericRows, groupStationRows(numericRows).result);
+    const expected = generateStationDataFromAPI(numericRows);
+    expect(stations.map(s => s.dataPoints)).toEqual(expected.map(s => s.dataPoints));
+    expect(stations[0].allDataPoints.map(p => p.rowIndex)).toEqual([0, 1]);
+
+    const vectors = buildVectorRows(processVectorColumns(numericRows).result);
+    const { id, ...vector } = processVectorData(numericRows)[0];
+    expect(vectors[0]).toMatchObject(vector);
+  });
+});
@@ -3,6 +3,21 @@
  * Handles loading, processing, and validation of oceanographic data from the isdata.ai API.
  */
 
+import { buildQueryDescriptor, buildQueryRequestBody, DEFAULT_QUERY_LIMIT } from './queryBuilder';
+import { getDefaultAreaId, getAreaSources, getAreaTables, isInConfiguredWaters } from './areaRegistryService';
+import { getModelAdapter, toCanonicalRow, DEFAULT_MODEL_ID } from './modelAdapterService';
+import {
+  isCacheAvailable,
+  buildCacheKey,
+  filterRowsToBbox,
+  getSettledRange,
+  findMissingRanges,
+  mergeSliceRows,
+  getCachedSlices,
+  putCachedSlice
+} from './queryCacheService';
+import { isBrowserOffline, loadOfflineData } from './offlineDataService';
+
 // API Configuration
 if (process.env.NODE_ENV === 'production' && process.env.REACT_APP_BASE_URL && !process.env.REACT_APP_BASE_URL.startsWith('https://')) {
   console.warn('Insecure API endpoint configured for production environment. Please use https.');
@@ -16,108 +31,406 @@ const API_CONFIG = {
   token: process.env.REACT_APP_BEARER_TOKEN
 };
 
+// Upper bound on rows pulled for one query window, to protect the browser
+const MAX_ROWS_PER_LOAD = 500000;
+
 /**
- * Maps ocean area names to database table names
- * @param {string} areaName - The selected ocean area
- * @returns {string} The corresponding database table name
+ * Normalizes one page of the /data/query response. The API may return a bare row array
+ * (offset pagination) or an envelope with rows, a next-page cursor and a total count.
+ * @param {Array|object} payload - Parsed JSON response
+ * @returns {{rows: Array, nextCursor: string|null, totalRows: number|null}} Normalized page
  */
-const getTableNameForArea = (areaName) => {
-  const areaTableMap = {
-    'MBL': 'mbl_ngofs2',
-    'MSR': 'msr_ngofs2',
-    'USM': 'usm_ngofs2'
-  };
-  
-  return areaTableMap[areaName] || areaTableMap['USM'];
+const parseQueryPage = (payload) => {
+  if (Array.isArray(payload)) {
+    return { rows: payload, nextCursor: null, totalRows: null };
+  }
+  const rows = payload?.rows || payload?.data || [];
+  const nextCursor = payload?.next_cursor || payload?.nextCursor || null;
+  const totalRows = Number.isFinite(payload?.total_rows) ? payload.total_rows : null;
+  return { rows: Array.isArray(rows) ? rows : [], nextCursor, totalRows };
 };
 
 /**
  * Loads data from the oceanographic API based on specified query parameters.
+ * Every model source configured for the area is loaded side by side; each source's rows
+ * are converted to canonical fields by its model adapter and tagged with the adapter id.
+ * Pages through the full time window (cursor or offset pagination) instead of
+ * stopping at the first page. Time slices already in the query cache are not re-fetched.
  * @param {object} queryParams - The query parameters for filtering data.
  * @param {string} queryParams.area - The selected ocean area (e.g., 'MBL').
  * @param {Date} queryParams.startDate - The start of the selected date/time range.
  * @param {Date} queryParams.endDate - The end of the selected date/time range.
- * @returns {Promise<{allData: Array}>} A promise that resolves to an object
- * containing all the data rows from the API.
+ * @param {object} queryParams.bbox - Optional viewport filter { north, south, east, west }.
+ * @param {object} queryParams.depthRange - Optional depth filter { min, max } in meters.
+ * @param {object} options - Loading options.
+ * @param {AbortSignal} options.signal - Signal used to cancel the load between or during pages.
+ * @param {Function} options.onProgress - Called after each page with a progress object
+ * shaped for StreamingProgressScreen.
+ * @param {number} options.pageSize - Rows requested per page.
+ * @param {number} options.maxRows - Stop paging once this many rows are loaded.
+ * @param {boolean} options.useCache - Serve overlapping time windows from the IndexedDB cache
+ * and fetch only the missing time slices.
+ * @param {boolean} options.allowOffline - When offline or the API fails, fall back to the
+ * latest cached dataset for the area or the bundled sample.
+ * @returns {Promise<{allData: Array, aborted: boolean, truncated: boolean, offline?: object}>} A
+ * promise that resolves to the loaded rows; when aborted, allData holds the pages loaded so far.
+ * offline ({ source: 'cache'|'sample'|'none', cachedAt, synthetic?, sampleArea? }) is set when the
+ * fallback was used; 'none' means neither the cache nor the sample has data for the area.
  */
-export const loadAllData = async (queryParams = {}) => {
+export const loadAllData = async (queryParams = {}, options = {}) => {
   const { 
-    area: selectedArea = 'USM', 
+    area: selectedArea = getDefaultAreaId(), 
     startDate = new Date('Fri Aug 01 2025 11:00:00 GMT-0700 (Pacific Daylight Time)'), 
-    endDate 
+    endDate,
+    bbox = null,
+    depthRange = null
   } = queryParams;
-  
-  const tableName = getTableNameForArea(selectedArea);
-  const baseQuery = `SELECT lat, lon, depth, direction, ndirection, salinity, temp, nspeed, time, ssh, pressure_dbars, sound_speed_ms FROM \`${process.env.REACT_APP_DB}.${tableName}\``;
-  const whereClauses = [];
-
-  if (startDate && endDate) {
-    const startISO = startDate.toISOString();
-    const endISO = endDate.toISOString();
-    whereClauses.push(`time BETWEEN TIMESTAMP('${startISO}') AND TIMESTAMP('${endISO}')`);
-  }
+  const {
+    signal = null,
+    onProgress = null,
+    pageSize = DEFAULT_QUERY_LIMIT,
+    maxRows = MAX_ROWS_PER_LOAD,
+    useCache = true,
+    allowOffline = true
+  } = options;
 
-  let query = baseQuery;
-  if (whereClauses.length > 0) {
-    query += ` WHERE ${whereClauses.join(' AND ')}`;
-  }
-  query += ` ORDER BY time DESC LIMIT 10000`;
+  const sources = getAreaSources(selectedArea)
+    .map(source => ({ ...source, adapter: getModelAdapter(source.model || DEFAULT_MODEL_ID) }))
+    .filter(source => {
+      if (!source.adapter) {
+        console.warn(`loadAllData: no model adapter registered for ${source.model}; skipping ${source.table}`);
+      }
+      return Boolean(source.adapter);
+    });
+
+  const rows = [];
+  const progress = {
+    currentFile: null,
+    currentFileIndex: 0,
+    totalFiles: 0,
+    processedRows: 0,
+    totalProcessedRows: 0,
+    estimatedTotalRows: null,
+    isComplete: false,
+    errors: []
+  };
+  const reportProgress = (update) => {
+    Object.assign(progress, update);
+    if (onProgress) onProgress({ ...progress, errors: [...progress.errors] });
+  };
+
+  const toResult = (extra = {}) => {
+    const loadedAt = new Date().toISOString();
+    const allData = rows.map(row => ({
+      ...row,
+      area: selectedArea,
+      _source_file: `API_${selectedArea}_${row.model}`,
+      _loaded_at: loadedAt
+    }));
+    return { allData, aborted: false, truncated: false, ...extra };
+  };
+
+  // Replaces whatever was loaded with the offline fallback (latest cache or bundled sample).
+  // With neither, the result is empty but still carries the status, so the UI can say why.
+  const toOfflineResult = async () => {
+    const { rows: offlineRows, ...offline } = await loadOfflineData(selectedArea);
+    if (offlineRows.length === 0) {
+      return { allData: [], aborted: false, truncated: false, offline };
+    }
+    rows.length = 0;
+    for (const row of offlineRows) {
+      rows.push(row);
+    }
+    reportProgress({
+      currentFile: `${selectedArea} offline ${offline.source}`,
+      processedRows: rows.length,
+      totalProcessedRows: rows.length,
+      isComplete: true
+    });
+    return toResult({ offline });
+  };
 
   try {
-    const url = `${API_CONFIG.baseUrl}${API_CONFIG.endpoint}?query=${encodeURIComponent(query)}`;
+    if (allowOffline && isBrowserOffline()) {
+      const offlineResult = await toOfflineResult();
+      if (offlineResult.allData.length > 0) return offlineResult;
+    }
+
+    const url = `${API_CONFIG.baseUrl}${API_CONFIG.endpoint}`;
     const myHeaders = new Headers();
     myHeaders.append("Content-Type", "application/json");
     myHeaders.append("Authorization", `Bearer ${API_CONFIG.token}`);
 
-    const requestOptions = {
-      method: "GET",
-      headers: myHeaders,
-      redirect: "follow"
+    let truncated = false;
+    let pageIndex = 0;
+
+    // Pages through one source for one time window, appending canonical rows to the result.
+    // Resolves to the window's rows; complete is false when the load stopped at maxRows.
+    const fetchSourceRange = async ({ table, adapter, sourceLabel }, timeWindow) => {
+      // Sources without a depth column are depth-filtered after conversion instead
+      const serverDepthRange = adapter.filterColumns.depth ? depthRange : null;
+      const clientDepthRange = depthRange && !serverDepthRange ? depthRange : null;
+      const rangeRows = [];
+      let sourceRowCount = 0;
+      let cursor = null;
+      let sourcePage = 0;
+
+      reportProgress({ currentFile: `${sourceLabel} page 1` });
+
+      while (true) {
+        const descriptor = buildQueryDescriptor({
+          table,
+          allowedTables: getAreaTables(),
+          dataset: process.env.REACT_APP_DB || null,
+          columns: adapter.columns,
+          allowedColumns: adapter.columns,
+          filterColumns: adapter.filterColumns,
+          timeWindow,
+          bbox,
+          depthRange: serverDepthRange,
+          limit: pageSize,
+          offset: cursor ? 0 : sourceRowCount,
+          order: adapter.orderColumns.map((column, index) => ({ column, direction: index === 0 ? 'DESC' : 'ASC' }))
+        });
+
+        const requestOptions = {
+          method: "POST",
+          headers: myHeaders,
+          body: JSON.stringify(buildQueryRequestBody(descriptor, cursor)),
+          redirect: "follow",
+          signal
+        };
+
+        const response = await fetch(url, requestOptions);
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const page = parseQueryPage(await response.json());
+        sourceRowCount += page.rows.length;
+        for (const row of page.rows) {
+          const canonical = toCanonicalRow(adapter, row);
+          if (!clientDepthRange || isDepthInWindow(parseFloat(canonical.depth), clientDepthRange)) {
+            rangeRows.push(canonical);
+            rows.push(canonical);
+          }
+        }
+
+        const estimatedTotalRows = page.totalRows ?? progress.estimatedTotalRows;
+        reportProgress({
+          currentFile: `${sourceLabel} page ${sourcePage + 1}`,
+          currentFileIndex: pageIndex,
+          totalFiles: estimatedTotalRows ? Math.ceil(estimatedTotalRows / pageSize) : 0,
+          processedRows: page.rows.length,
+          totalProcessedRows: rows.length,
+          estimatedTotalRows
+        });
+        pageIndex += 1;
+
+        if (rows.length >= maxRows) {
+          truncated = page.nextCursor !== null || page.rows.length >= pageSize;
+          return { rangeRows, complete: !truncated };
+        }
+        if (page.nextCursor) {
+          cursor = page.nextCursor;
+        } else if (cursor || page.rows.length < pageSize) {
+          return { rangeRows, complete: true };
+        }
+        sourcePage += 1;
+      }
     };
 
-    const response = await fetch(url, requestOptions);
+    const timeWindow = startDate && endDate ? { start: startDate, end: endDate } : null;
+    const cacheEnabled = useCache && timeWindow !== null && isCacheAvailable();
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
+    for (const { table, adapter } of sources) {
+      const source = {
+        table,
+        adapter,
+        sourceLabel: sources.length > 1 ? `${selectedArea} ${adapter.label}` : selectedArea
+      };
 
-    const apiData = await response.json();
+      if (!cacheEnabled) {
+        await fetchSourceRange(source, timeWindow);
+        if (rows.length >= maxRows) break;
+        continue;
+      }
 
-    const allData = apiData.map(row => ({
-      ...row,
-      model: 'NGOFS2',
-      area: selectedArea,
-      _source_file: `API_${selectedArea}`,
-      _loaded_at: new Date().toISOString()
-    }));
+      // Serve the cached parts of the window and fetch only the missing time slices. Slices
+      // fetched for a larger bbox (or the whole area) serve this one, trimmed to it.
+      const range = { start: new Date(startDate).getTime(), end: new Date(endDate).getTime() };
+      const cacheKey = buildCacheKey({ area: selectedArea, model: adapter.id, table, depthRange });
+      const slices = await getCachedSlices(cacheKey, range, bbox);
+      const missing = findMissingRanges(range, slices);
+      // Missing ranges are fetched inclusive of their ends, so cached rows inside them are skipped
+      for (const row of filterRowsToBbox(mergeSliceRows(slices, range, missing), bbox)) {
+        rows.push(row);
+      }
+      if (slices.length > 0) {
+        reportProgress({
+          currentFile: `${source.sourceLabel} cache`,
+          processedRows: rows.length,
+          totalProcessedRows: rows.length
+        });
+      }
 
-    return { allData };
+      for (const gap of missing) {
+        const { rangeRows, complete } = await fetchSourceRange(source, { start: new Date(gap.start), end: new Date(gap.end) });
+        // Recent and forecast times change with each model cycle, so only the settled part is kept
+        const settled = complete ? getSettledRange(gap) : null;
+        if (settled) {
+          const settledRows = settled.end < gap.end ? rangeRows.filter(row => Date.parse(row.time) <= settled.end) : rangeRows;
+          putCachedSlice(cacheKey, settled, settledRows, bbox);
+        }
+        if (rows.length >= maxRows) break;
+      }
+      if (rows.length >= maxRows) break;
+    }
+
+    if (truncated) {
+      const warning = `Stopped after ${rows.length.toLocaleString()} rows; narrow the date range to load the rest.`;
+      console.warn(`loadAllData: ${warning}`);
+      progress.errors.push(warning);
+    }
+    reportProgress({ isComplete: true });
+
+    return toResult({ truncated });
 
   } catch (error) {
+    if (error.name === 'AbortError') {
+      return toResult({ aborted: true });
+    }
     console.error(`Failed to load data for area ${selectedArea} with params ${JSON.stringify(queryParams)}:`, error);
-    return { allData: [] };
+    if (allowOffline) {
+      return toOfflineResult();
+    }
+    return { allData: [], aborted: false, truncated: false };
   }
 };
 
+/**
+ * Computes the geographic extent covered by a set of data rows.
+ * @param {Array} rows - Rows with lat/lon fields.
+ * @returns {{north: number, south: number, east: number, west: number}|null} The extent, or null if empty.
+ */
+export const getDataExtent = (rows = []) => {
+  let north = -Infinity, south = Infinity, east = -Infinity, west = Infinity;
+  for (const row of rows) {
+    const lat = parseFloat(row.lat);
+    const lon = parseFloat(row.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+    if (lat > north) north = lat;
+    if (lat < south) south = lat;
+    if (lon > east) east = lon;
+    if (lon < west) west = lon;
+  }
+  return north === -Infinity ? null : { north, south, east, west };
+};
+
+/**
+ * Returns the smallest and largest of a list of numbers. Loops instead of spreading into
+ * Math.min/Math.max, which overflows the call stack on arrays of full-load size.
+ * @param {Array<number>} values - Numbers to scan.
+ * @returns {{min: number, max: number}} The range ({ min: Infinity, max: -Infinity } when empty).
+ */
+export const getValueRange = (values = []) => {
+  let min = Infinity, max = -Infinity;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return { min, max };
+};
+
+/**
+ * Returns the fraction of a viewport's area that lies inside a loaded extent.
+ * @param {object} viewport - Viewport bbox { north, south, east, west }.
+ * @param {object} extent - Loaded extent bbox { north, south, east, west }.
+ * @returns {number} Coverage between 0 (disjoint) and 1 (fully covered).
+ */
+export const getBboxCoverage = (viewport, extent) => {
+  if (!viewport || !extent) return 0;
+  const latSpan = viewport.north - viewport.south;
+  const lonSpan = viewport.east - viewport.west;
+  if (latSpan <= 0 || lonSpan <= 0) return 1;
+  const overlapLat = Math.max(0, Math.min(viewport.north, extent.north) - Math.max(viewport.south, extent.south));
+  const overlapLon = Math.max(0, Math.min(viewport.east, extent.east) - Math.max(viewport.west, extent.west));
+  return (overlapLat * overlapLon) / (latSpan * lonSpan);
+};
+
+/**
+ * Grows a bbox by a fraction of its size on every side, clamped to valid coordinates.
+ * @param {object} bbox - Bbox { north, south, east, west }.
+ * @param {number} fraction - Padding as a fraction of the bbox span (0.25 = 25% per side).
+ * @returns {{north: number, south: number, east: number, west: number}} The padded bbox.
+ */
+export const padBbox = (bbox, fraction = 0.25) => {
+  const latPad = (bbox.north - bbox.south) * fraction;
+  const lonPad = (bbox.east - bbox.west) * fraction;
+  return {
+    north: Math.min(90, bbox.north + latPad),
+    south: Math.max(-90, bbox.south - latPad),
+    east: Math.min(180, bbox.east + lonPad),
+    west: Math.max(-180, bbox.west - lonPad)
+  };
+};
+
+// Default half-width (meters) of the depth window around a selected depth level
+export const DEFAULT_DEPTH_TOLERANCE = 5;
+
+/**
+ * Resolves the depth window used for client-side filtering.
+ * @param {number|null} depth - Selected depth level in meters.
+ * @param {object|null} depthRange - Explicit { min, max } range; takes precedence over depth.
+ * @param {number} tolerance - Half-width of the window around depth, in meters.
+ * @returns {{min: number|null, max: number|null}|null} The depth window, or null for no filtering.
+ */
+export const resolveDepthWindow = (depth, depthRange = null, tolerance = DEFAULT_DEPTH_TOLERANCE) => {
+  if (depthRange && (depthRange.min != null || depthRange.max != null)) {
+    return { min: depthRange.min ?? null, max: depthRange.max ?? null };
+  }
+  if (depth === null || depth === undefined || isNaN(depth)) {
+    return null;
+  }
+  return { min: depth - tolerance, max: depth + tolerance };
+};
+
+/**
+ * Checks whether a depth value falls inside a depth window.
+ * @param {number} depth - Depth in meters.
+ * @param {{min: number|null, max: number|null}} depthWindow - Window from resolveDepthWindow.
+ * @returns {boolean} True if the depth is inside the window.
+ */
+const isDepthInWindow = (depth, depthWindow) => {
+  if (depthWindow.min !== null && depth < depthWindow.min) return false;
+  if (depthWindow.max !== null && depth > depthWindow.max) return false;
+  return true;
+};
+
 /**
  * Processes raw data into a format suitable for time series charts.
  * @param {Array} rawData - The raw data from the API.
  * @param {number} selectedDepth - The depth to filter the data by.
  * @param {number|null} maxDataPoints - Maximum number of data points to return (null = no limit).
+ * @param {object} options - Depth filtering options.
+ * @param {object} options.depthRange - Explicit { min, max } depth range; overrides selectedDepth.
+ * @param {number} options.depthTolerance - Half-width of the window around selectedDepth, in meters.
  * @returns {Array} An array of processed data points for visualization.
  */
-export const processAPIData = (rawData, selectedDepth = 0, maxDataPoints = null) => {
+export const processAPIData = (rawData, selectedDepth = 0, maxDataPoints = null, options = {}) => {
+    const { depthRange = null, depthTolerance = DEFAULT_DEPTH_TOLERANCE } = options;
     if (!rawData || rawData.length === 0) {
       console.log('No data to process');
       return [];
     }
+    const depthWindow = resolveDepthWindow(selectedDepth, depthRange, depthTolerance);
     let filteredData = rawData.filter(row => {
       if (row.nspeed === null || row.nspeed === undefined || row.nspeed === '') {
         return false;
       }
-      if (row.depth !== undefined && row.depth !== null && selectedDepth !== undefined) {
-        const depthDiff = Math.abs(row.depth - selectedDepth);
-        return depthDiff <= 5;
+      if (row.depth !== undefined && row.depth !== null && depthWindow) {
+        return isDepthInWindow(row.depth, depthWindow);
       }
       return true;
     });
@@ -138,7 +451,7 @@ export const processAPIData = (rawData, selectedDepth = 0, maxDataPoints = null)
       heading: row.direction || 0,
       currentSpeed: row.nspeed || 0,
       soundSpeed: row.sound_speed_ms || 0, 
-      waveHeight: row.ssh || 0,
+      waveHeight: row.ssh ?? null,
       temperature: row.temp || null,
       latitude: row.lat,
       longitude: row.lon,
@@ -147,6 +460,7 @@ export const processAPIData = (rawData, selectedDepth = 0, maxDataPoints = null)
       sourceFile: row._source_file,
       model: row.model,
       area: row.area,
+      qc: row._qc || null,
     }));
 
     return processedData;
@@ -160,7 +474,13 @@ export const processAPIData = (rawData, selectedDepth = 0, maxDataPoints = null)
  * @returns {Array} Array of processed scalar data points.
  */
 const processScalarData = (rawData, parameterKey, options = {}) => {
-  const { maxDataPoints = null, latestOnly = false, depthFilter = null } = options;
+  const {
+    maxDataPoints = null,
+    latestOnly = false,
+    depthFilter = null,
+    depthRange = null,
+    depthTolerance = DEFAULT_DEPTH_TOLERANCE
+  } = options;
 
   if (!rawData || rawData.length === 0) return [];
 
@@ -171,9 +491,10 @@ const processScalarData = (rawData, parameterKey, options = {}) => {
     Math.abs(row.lat) <= 90 && Math.abs(row.lon) <= 180
   );
 
-  if (depthFilter !== null) {
+  const depthWindow = resolveDepthWindow(depthFilter, depthRange, depthTolerance);
+  if (depthWindow) {
     filteredData = filteredData.filter(row => 
-      row.depth !== null && row.depth !== undefined && Math.abs(row.depth - depthFilter) <= 5
+      row.depth !== null && row.depth !== undefined && isDepthInWindow(row.depth, depthWindow)
     );
   }
 
@@ -209,6 +530,7 @@ const processScalarData = (rawData, parameterKey, options = {}) => {
  * @param {Object} options - Processing options
  * @param {string} options.magnitudeKey - Field name for magnitude/speed
  * @param {string} options.directionKey - Field name for direction
+ * @param {number} options.gridResolution - Grid cell size in degrees; 0 keeps every row
  * @returns {Array} Array of vector data points
  */
 export const processVectorData = (rawData, options = {}) => {
@@ -217,6 +539,8 @@ export const processVectorData = (rawData, options = {}) => {
     latestOnly = false, 
     gridResolution = 0.01, 
     depthFilter = null,
+    depthRange = null,
+    depthTolerance = DEFAULT_DEPTH_TOLERANCE,
     magnitudeKey = 'nspeed',
     directionKey = 'direction'
   } = options;
@@ -232,9 +556,10 @@ export const processVectorData = (rawData, options = {}) => {
            Math.abs(row.lat) <= 90 && Math.abs(row.lon) <= 180;
   });
 
-  if (depthFilter !== null) {
+  const depthWindow = resolveDepthWindow(depthFilter, depthRange, depthTolerance);
+  if (depthWindow) {
     vectorData = vectorData.filter(row => 
-      row.depth !== null && row.depth !== undefined && Math.abs(row.depth - depthFilter) <= 5
+      row.depth !== null && row.depth !== undefined && isDepthInWindow(row.depth, depthWindow)
     );
   }
 
@@ -264,6 +589,15 @@ export const processVectorData = (rawData, options = {}) => {
       time: cell.times.sort((a, b) => new Date(b) - new Date(a))[0],
       depth: cell.depths.reduce((s, d) => s + d, 0) / cell.depths.length,
     }));
+  } else {
+    vectorData = vectorData.map(row => ({
+      lat: Number(row.lat),
+      lon: Number(row.lon),
+      direction: Number(row[directionKey]),
+      magnitude: Number(row[magnitudeKey]),
+      time: row.time,
+      depth: Number(row.depth) || 0,
+    }));
   }
 
   if (latestOnly) {
@@ -360,6 +694,7 @@ export const generateCurrentsVectorData = (rawData, options = {}) => {
     maxDataPoints: maxVectors, 
     gridResolution: 0.01, 
     depthFilter,
+    depthRange: options.depthRange || null,
     magnitudeKey: finalMagnitudeKey,
     directionKey: finalDirectionKey
   });
@@ -372,8 +707,8 @@ export const generateCurrentsVectorData = (rawData, options = {}) => {
   const filteredVectors = vectorData.filter(vector => vector.magnitude >= minMagnitude);
   const speeds = filteredVectors.map(c => c.speed);
   const depths = filteredVectors.map(c => c.depth);
-  const maxSpeed = Math.max(...speeds), minSpeed = Math.min(...speeds);
-  const maxDepth = Math.max(...depths), minDepth = Math.min(...depths);
+  const { min: minSpeed, max: maxSpeed } = getValueRange(speeds);
+  const { min: minDepth, max: maxDepth } = getValueRange(depths);
 
   const features = filteredVectors.map(vector => {
     const vectorLength = vector.magnitude * vectorScale;
@@ -450,7 +785,8 @@ const getFieldMapping = (displayParameter) => {
 export const getCurrentsColorScale = (currentsData = [], colorBy = 'speed') => {
   if (currentsData.length === 0) return { min: 0, max: 10, property: colorBy, colors: [] };
   const values = currentsData.map(d => colorBy === 'speed' ? d.speed : d.depth).filter(v => !isNaN(v));
-  const minValue = Math.min(...values), maxValue = Math.max(...values), midValue = (minValue + maxValue) / 2;
+  const { min: minValue, max: maxValue } = getValueRange(values);
+  const midValue = (minValue + maxValue) / 2;
   return {
     min: minValue, max: maxValue, mid: midValue, property: colorBy,
     gradient: colorBy === 'speed' 
@@ -467,14 +803,13 @@ export const getCurrentsColorScale = (currentsData = [], colorBy = 'speed') => {
  * @returns {Array} Array of [lat, lng, intensity] points for heatmap.
  */
 const generateScalarHeatmapData = (rawData, parameterKey, options = {}) => {
-  const { intensityScale = 1.0, normalize = true, gridResolution = 0.01, depthFilter = null } = options;
-  const processedData = processScalarData(rawData, parameterKey, { latestOnly: false, depthFilter });
+  const { intensityScale = 1.0, normalize = true, gridResolution = 0.01, depthFilter = null, depthRange = null } = options;
+  const processedData = processScalarData(rawData, parameterKey, { latestOnly: false, depthFilter, depthRange });
 
   if (processedData.length === 0) return [];
 
   const values = processedData.map(d => d.value);
-  const minVal = Math.min(...values);
-  const maxVal = Math.max(...values);
+  const { min: minVal, max: maxVal } = getValueRange(values);
   const range = maxVal - minVal;
 
   const gridData = new Map();
@@ -519,8 +854,7 @@ export const getTemperatureColorScale = (temperatureData = []) => {
     };
   }
 
-  const minTemp = Math.min(...temperatures);
-  const maxTemp = Math.max(...temperatures);
+  const { min: minTemp, max: maxTemp } = getValueRange(temperatures);
   const midTemp = (minTemp + maxTemp) / 2;
   const quarterTemp = minTemp + (maxTemp - minTemp) * 0.25;
   const threeQuarterTemp = minTemp + (maxTemp - minTemp) * 0.75;
@@ -576,16 +910,8 @@ export const formatTimeForDisplay = (time) => {
  * Simple land/water detection using basic geographic rules
  */
 export const isLikelyOnWater = (lat, lon) => {
-  // More permissive bounding box to ensure all relevant data is included.
-  const gulfBounds = { north: 31, south: 28, east: -86, west: -91 };
-  if (lat >= gulfBounds.south && lat <= gulfBounds.north && lon >= gulfBounds.west && lon <= gulfBounds.east) {
-    // A more precise cutout for the Mississippi River Delta landmass
-    if (lat > 29 && lat < 29.8 && lon > -90 && lon < -89) {
-      return false;
-    }
-    return true; // It's within the general Gulf area and not on the delta.
-  }
-  return false; // It's outside our primary area of interest.
+  // Water bounds and land cutouts (e.g. the Mississippi River Delta) come from the area registry
+  return isInConfiguredWaters(lat, lon);
 };
 
 /**
@@ -622,7 +948,6 @@ export const generateOptimizedStationDataFromAPI = (rawData) => {
     return true;
   });
 
-  const stations = new Map();
   const getOptimalPrecision = (dataCount) => {
     if (dataCount > 50000) return 1; if (dataCount > 10000) return 2;
     if (dataCount > 1000) return 3; return 4;
@@ -630,32 +955,27 @@ export const generateOptimizedStationDataFromAPI = (rawData) => {
   const precision = getOptimalPrecision(waterData.length);
   const area = waterData.length > 0 ? waterData[0].area : null;
 
+  // Bucket rows by rounded coordinates in one pass, then build each station from its bucket
+  const groups = new Map();
   waterData.forEach((row, index) => {
     const key = `${row.lat.toFixed(precision)},${row.lon.toFixed(precision)}`;
-    if (!stations.has(key)) {
-      const groupData = waterData.filter(r => 
-        Math.abs(r.lat - row.lat) < Math.pow(10, -precision) &&
-        Math.abs(r.lon - row.lon) < Math.pow(10, -precision)
-      );
-      const centroidLat = groupData.reduce((sum, r) => sum + r.lat, 0) / groupData.length;
-      const centroidLon = groupData.reduce((sum, r) => sum + r.lon, 0) / groupData.length;
-      stations.set(key, {
-        name: `Ocean Station ${stations.size + 1}`, coordinates: [centroidLon, centroidLat],
-        exactLat: centroidLat, exactLon: centroidLon, type: 'ocean_station',
-        color: getStationColor(groupData), dataPoints: 0, sourceFiles: new Set(),
-        allDataPoints: [], deploymentStatus: 'active', waterDepth: estimateWaterDepth(centroidLat, centroidLon),
-        model: 'NGOFS2', area: area
-      });
-    }
-    const station = stations.get(key);
-    station.dataPoints++;
-    if (row._source_file) station.sourceFiles.add(row._source_file);
-    station.allDataPoints.push({ ...row, rowIndex: index });
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ ...row, rowIndex: index });
   });
 
-  return Array.from(stations.values()).map(station => ({
-    ...station, sourceFiles: Array.from(station.sourceFiles)
-  }));
+  return Array.from(groups.values()).map((groupData, stationIndex) => {
+    const centroidLat = groupData.reduce((sum, r) => sum + r.lat, 0) / groupData.length;
+    const centroidLon = groupData.reduce((sum, r) => sum + r.lon, 0) / groupData.length;
+    const sourceFiles = new Set(groupData.map(r => r._source_file).filter(Boolean));
+    return {
+      name: `Ocean Station ${stationIndex + 1}`, coordinates: [centroidLon, centroidLat],
+      exactLat: centroidLat, exactLon: centroidLon, type: 'ocean_station',
+      color: getStationColor(groupData), dataPoints: groupData.length, sourceFiles: Array.from(sourceFiles),
+      allDataPoints: groupData,
+      deploymentStatus: 'active', waterDepth: estimateWaterDepth(centroidLat, centroidLon),
+      model: groupData[0].model || DEFAULT_MODEL_ID, area: area
+    };
+  });
 };
 
 /**
@@ -689,7 +1009,7 @@ export const generateStationDataFromAPI = (rawData) => {
           name: `Station at ${row.lat.toFixed(4)}, ${row.lon.toFixed(4)}`,
           coordinates: [row.lon, row.lat], exactLat: row.lat, exactLon: row.lon,
           type: 'api_station', color: [Math.random() * 255, Math.random() * 255, Math.random() * 255],
-          dataPoints: 0, sourceFiles: new Set(), allDataPoints: [], model: 'NGOFS2', area: area
+          dataPoints: 0, sourceFiles: new Set(), allDataPoints: [], model: row.model || DEFAULT_MODEL_ID, area: area
         });
       }
       const station = stations.get(key);
@@ -723,7 +1043,7 @@ export const generateStationDataFromAPINoGrouping = (rawData) => {
           dataPoints: rawData.filter(r => r.lat === row.lat && r.lon === row.lon).length,
           sourceFiles: [...new Set(rawData.filter(r => r.lat === row.lat && r.lon === row.lon).map(r => r._source_file).filter(Boolean))],
           allDataPoints: rawData.filter(r => r.lat === row.lat && r.lon === row.lon),
-          model: 'NGOFS2', area: area
+          model: row.model || DEFAULT_MODEL_ID, area: area
         });
       }
     }
@@ -743,18 +1063,13 @@ export const validateCoordinateData = (rawData) => {
     !row.lat || !row.lon || isNaN(row.lat) || isNaN(row.lon) ||
     Math.abs(row.lat) > 90 || Math.abs(row.lon) > 180
   );
+  const extent = getDataExtent(validCoords);
   return {
     total: rawData.length, valid: validCoords.length, invalid: invalidCoords.length,
     validPercentage: (validCoords.length / rawData.length * 100).toFixed(1),
-    coordinateRanges: validCoords.length > 0 ? {
-      latitude: {
-        min: Math.min(...validCoords.map(r => r.lat)), max: Math.max(...validCoords.map(r => r.lat)),
-        range: Math.max(...validCoords.map(r => r.lat)) - Math.min(...validCoords.map(r => r.lat))
-      },
-      longitude: {
-        min: Math.min(...validCoords.map(r => r.lon)), max: Math.max(...validCoords.map(r => r.lon)),
-        range: Math.max(...validCoords.map(r => r.lon)) - Math.min(...validCoords.map(r => r.lon))
-      }
+    coordinateRanges: extent ? {
+      latitude: { min: extent.south, max: extent.north, range: extent.north - extent.south },
+      longitude: { min: extent.west, max: extent.east, range: extent.east - extent.west }
     } : null,
     sampleValidCoords: validCoords.slice(0, 10).map(r => ({ lat: r.lat, lon: r.lon })),
     sampleInvalidCoords: invalidCoords.slice(0, 5).map(r => ({ lat: r.lat, lon: r.lon }))
@@ -763,6 +1078,11 @@ export const validateCoordinateData = (rawData) => {
 
 export default {
   loadAllData,
+  getDataExtent,
+  getValueRange,
+  getBboxCoverage,
+  padBbox,
+  resolveDepthWindow,
   processAPIData,
   processCurrentsData,
   processVectorData,
@@ -0,0 +1,286 @@
+import {
+  loadAllData,
+  processAPIData,
+  getDataExtent,
+  getValueRange,
+  validateCoordinateData,
+  getBboxCoverage,
+  padBbox,
+  resolveDepthWindow
+} from './dataService';
+import { setAreaConfig } from './areaRegistryService';
+import defaultAreaConfig from '../config/areas.json';
+import { isCacheAvailable, getCachedSlices, putCachedSlice } from './queryCacheService';
+
+jest.mock('./queryCacheService', () => ({
+  ...jest.requireActual('./queryCacheService'),
+  isCacheAvailable: jest.fn(() => false),
+  getCachedSlices: jest.fn(),
+  putCachedSlice: jest.fn()
+}));
+
+const jsonResponse = (body) => ({
+  ok: true,
+  json: () => Promise.resolve(body)
+});
+
+const makeRows = (count, offset = 0) =>
+  Array.from({ length: count }, (_, i) => ({ lat: 30, lon: -89, depth: 0, time: `2025-08-01T00:00:${String(offset + i).padStart(2, '0')}Z` }));
+
+describe('loadAllData pagination', () => {
+  const originalFetch = global.fetch;
+  const queryParams = {
+    area: 'USM',
+    startDate: new Date('2025-08-01T00:00:00Z'),
+    endDate: new Date('2025-08-03T00:00:00Z')
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  test('keeps requesting offset pages until a short page is returned', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse(makeRows(2)))
+      .mockResolvedValueOnce(jsonResponse(makeRows(2, 2)))
+      .mockResolvedValueOnce(jsonResponse(makeRows(1, 4)));
+    const onProgress = jest.fn();
+
+    const { allData, aborted } = await loadAllData(queryParams, { pageSize: 2, onProgress });
+
+    expect(allData).toHaveLength(5);
+    expect(aborted).toBe(false);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    const offsets = global.fetch.mock.calls.map(([, options]) => JSON.parse(options.body).params.offset);
+    expect(offsets).toEqual([undefined, 2, 4]);
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ totalProcessedRows: 5, isComplete: true }));
+  });
+
+  test('follows server cursors and returns partial rows when aborted', async () => {
+    const controller = new AbortController();
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse({ rows: makeRows(2), next_cursor: 'abc', total_rows: 6 }))
+      .mockImplementationOnce((url, options) => {
+        expect(JSON.parse(options.body).cursor).toBe('abc');
+        controller.abort();
+        const error = new Error('The operation was aborted.');
+        error.name = 'AbortError';
+        return Promise.reject(error);
+      });
+
+    const { allData, aborted } = await loadAllData(queryParams, { pageSize: 2, signal: controller.signal });
+
+    expect(aborted).toBe(true);
+    expect(allData).toHaveLength(2);
+    expect(allData[0]).toMatchObject({ area: 'USM', _source_file: 'API_USM_NGOFS2', model: 'NGOFS2' });
+  });
+});
+
+describe('viewport and depth helpers', () => {
+  test('measures how much of a viewport a loaded extent covers', () => {
+    const extent = { north: 31, south: 30, east: -88, west: -89 };
+
+    expect(getBboxCoverage({ north: 30.8, south: 30.2, east: -88.2, west: -88.8 }, extent)).toBe(1);
+    expect(getBboxCoverage({ north: 31, south: 30, east: -87.5, west: -88.5 }, extent)).toBeCloseTo(0.5);
+    expect(getBboxCoverage({ north: 29, south: 28, east: -90, west: -91 }, extent)).toBe(0);
+    expect(padBbox({ north: 89, south: 80, east: 10, west: 0 }, 0.5)).toEqual({ north: 90, south: 75.5, east: 15, west: -5 });
+  });
+
+  test('computes the extent of loaded rows', () => {
+    expect(getDataExtent([{ lat: 30, lon: -89 }, { lat: '30.5', lon: '-88.5' }, { lat: null, lon: 1 }]))
+      .toEqual({ north: 30.5, south: 30, east: -88.5, west: -89 });
+    expect(getDataExtent([])).toBeNull();
+  });
+
+  test('takes ranges of full-size loads without overflowing the stack', () => {
+    const rows = Array.from({ length: 200000 }, (_, i) => ({ lat: 29 + (i % 1000) / 1000, lon: -89 + (i % 500) / 1000 }));
+    expect(getValueRange(rows.map(row => row.lat))).toEqual({ min: 29, max: 29.999 });
+    expect(validateCoordinateData(rows).coordinateRanges.longitude).toEqual({ min: -89, max: -88.501, range: expect.any(Number) });
+    expect(getValueRange([])).toEqual({ min: Infinity, max: -Infinity });
+  });
+
+  test('resolves depth windows from a selected depth or an explicit range', () => {
+    expect(resolveDepthWindow(10)).toEqual({ min: 5, max: 15 });
+    expect(resolveDepthWindow(10, null, 2)).toEqual({ min: 8, max: 12 });
+    expect(resolveDepthWindow(10, { min: 0, max: 50 })).toEqual({ min: 0, max: 50 });
+    expect(resolveDepthWindow(null)).toBeNull();
+  });
+
+  test('processAPIData honours an explicit depth range', () => {
+    const rows = [0, 8, 20, 60].map(depth => ({ depth, nspeed: 1, time: '2025-08-01T00:00:00Z' }));
+
+    expect(processAPIData(rows, 0).map(r => r.depth)).toEqual([0]);
+    expect(processAPIData(rows, 0, null, { depthTolerance: 10 }).map(r => r.depth)).toEqual([0, 8]);
+    expect(processAPIData(rows, 0, null, { depthRange: { min: 5, max: 50 } }).map(r => r.depth)).toEqual([8, 20]);
+  });
+});
+
+describe('loadAllData with several model sources', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    setAreaConfig(defaultAreaConfig);
+  });
+
+  test('loads each source with its adapter and tags rows with the model', async () => {
+    setAreaConfig({
+      areas: [{
+        id: 'USM',
+        sources: [{ table: 'usm_ngofs2', model: 'NGOFS2' }, { table: 'usm_roms', model: 'ROMS' }],
+        bbox: { north: 31, south: 28, east: -86, west: -91 }
+      }]
+    });
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse(makeRows(1)))
+      .mockResolvedValueOnce(jsonResponse([
+        { lat_rho: 30, lon_rho: -89, ocean_time: '2025-08-01T00:00:00Z', s_rho: -0.5, h: 20, u: 0, v: 1, salt: 35 },
+        { lat_rho: 30, lon_rho: -89, ocean_time: '2025-08-01T00:00:00Z', s_rho: -0.9, h: 20, u: 0, v: 1, salt: 35 }
+      ]));
+
+    const { allData } = await loadAllData({ area: 'USM', depthRange: { min: 0, max: 12 } }, { pageSize: 10 });
+
+    const bodies = global.fetch.mock.calls.map(([, options]) => JSON.parse(options.body));
+    expect(bodies[0].query).toContain('FROM `usm_ngofs2`');
+    expect(bodies[0].params).toMatchObject({ depth_min: 0, depth_max: 12 });
+    expect(bodies[1].query).toContain('`salt`');
+    expect(bodies[1].params.depth_min).toBeUndefined();
+    expect(allData.map(row => row.model)).toEqual(['NGOFS2', 'ROMS']);
+    expect(allData[1]).toMatchObject({ depth: 10, salinity: 35, nspeed: 1, direction: 0, _source_file: 'API_USM_ROMS' });
+  });
+});
+
+describe('loadAllData with the query cache', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    isCacheAvailable.mockReturnValue(false);
+  });
+
+  test('serves cached slices and fetches only the missing time range', async () => {
+    const hour = 60 * 60 * 1000;
+    const start = Date.parse('2025-08-01T00:00:00Z');
+    const rowAt = (hours) => ({ lat: 30, lon: -89, depth: 0, time: new Date(start + hours * hour).toISOString(), model: 'NGOFS2' });
+    isCacheAvailable.mockReturnValue(true);
+    getCachedSlices.mockResolvedValue([{ start, end: start + 2 * hour, rows: [rowAt(0), rowAt(1), rowAt(2)] }]);
+    global.fetch = jest.fn().mockResolvedValueOnce(jsonResponse([rowAt(2), rowAt(3)]));
+
+    const { allData } = await loadAllData({
+      area: 'USM',
+      startDate: new Date(start),
+      endDate: new Date(start + 3 * hour)
+    }, { pageSize: 10 });
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).params).toMatchObject({
+      start_time: new Date(start + 2 * hour).toISOString(),
+      end_time: new Date(start + 3 * hour).toISOString()
+    });
+    expect(allData.map(row => row.time)).toEqual([0, 1, 2, 3].map(h => rowAt(h).time));
+    expect(putCachedSlice).toHaveBeenCalledWith(expect.stringContaining('USM|NGOFS2'), { start: start + 2 * hour, end: start + 3 * hour }, expect.any(Array), null);
+  });
+
+  test('trims whole-area slices to the requested bbox', async () => {
+    const start = Date.parse('2025-08-01T00:00:00Z');
+    const rowAt = (lon) => ({ lat: 30, lon, depth: 0, time: new Date(start).toISOString(), model: 'NGOFS2' });
+    isCacheAvailable.mockReturnValue(true);
+    getCachedSlices.mockResolvedValue([{ start, end: start, bbox: null, rows: [rowAt(-89), rowAt(-88.5), rowAt(-88)] }]);
+    global.fetch = jest.fn();
+
+    const bbox = { north: 30.5, south: 29.5, east: -88.4, west: -89.1 };
+    const { allData } = await loadAllData({ area: 'USM', startDate: new Date(start), endDate: new Date(start), bbox });
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(getCachedSlices).toHaveBeenCalledWith('USM|NGOFS2|usm_ngofs2|*', { start, end: start }, bbox);
+    expect(allData.map(row => row.lon)).toEqual([-89, -88.5]);
+  });
+
+  test('does not cache recent or forecast times', async () => {
+    const hour = 60 * 60 * 1000;
+    const now = Date.now();
+    const start = now - 12 * hour;
+    const rowAt = (time) => ({ lat: 30, lon: -89, depth: 0, time: new Date(time).toISOString(), model: 'NGOFS2' });
+    isCacheAvailable.mockReturnValue(true);
+    getCachedSlices.mockResolvedValue([]);
+    global.fetch = jest.fn().mockResolvedValueOnce(jsonResponse([rowAt(start), rowAt(now - 3 * hour), rowAt(now + 24 * hour)]));
+
+    await loadAllData({ area: 'USM', startDate: new Date(start), endDate: new Date(now + 48 * hour) }, { pageSize: 10 });
+
+    const [, range, cachedRows] = putCachedSlice.mock.calls[putCachedSlice.mock.calls.length - 1];
+    expect(range.start).toBe(start);
+    expect(range.end).toBeLessThanOrEqual(now - 6 * hour + 1000);
+    expect(range.end).toBeGreaterThan(now - 6 * hour - 60 * 1000);
+    expect(cachedRows.map(row => row.time)).toEqual([rowAt(start).time]);
+  });
+});
+
+describe('loadAllData offline fallback', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  test('serves the bundled sample when the API is unreachable', async () => {
+    global.fetch = jest.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(jsonResponse({ model: 'NGOFS2', area: 'USM', synthetic: true, generatedAt: '2025-08-02T00:00:00Z', rows: makeRows(3) }));
+
+    const result = await loadAllData({ area: 'USM', startDate: new Date('2025-08-01T00:00:00Z'), endDate: new Date('2025-08-02T00:00:00Z') });
+
+    expect(global.fetch.mock.calls[1][0]).toContain('/sample-data/ngofs2_sample.json');
+    expect(result.allData).toHaveLength(3);
+    expect(result.allData[0]).toMatchObject({ area: 'USM', model: 'NGOFS2' });
+    expect(result.offline).toEqual({ source: 'sample', cachedAt: '2025-08-02T00:00:00Z', synthetic: true, sampleArea: 'USM' });
+  });
+
+  test('treats a sample without a synthetic flag as synthetic', async () => {
+    global.fetch = jest.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(jsonResponse({ model: 'NGOFS2', area: 'USM', generatedAt: '2025-08-02T00:00:00Z', rows: makeRows(3) }));
+
+    const result = await loadAllData({ area: 'USM' });
+
+    expect(result.offline.synthetic).toBe(true);
+  });
+
+  test('does not serve the sample for an area it does not cover', async () => {
+    global.fetch = jest.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(jsonResponse({ model: 'NGOFS2', area: 'USM', generatedAt: '2025-08-02T00:00:00Z', rows: makeRows(3) }));
+
+    const result = await loadAllData({ area: 'MBL' });
+
+    expect(result).toEqual({
+      allData: [],
+      aborted: false,
+      truncated: false,
+      offline: { source: 'none', cachedAt: null, sampleArea: 'USM' }
+    });
+  });
+
+  test('returns no rows when neither the API nor the sample can be loaded', async () => {
+    global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+    const result = await loadAllData({ area: 'USM' });
+
+    expect(result).toEqual({
+      allData: [],
+      aborted: false,
+      truncated: false,
+      offline: { source: 'none', cachedAt: null, sampleArea: null }
+    });
+  });
+});
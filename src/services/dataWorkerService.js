@@ -0,0 +1,193 @@
+/**
+ * Data Worker Service
+ * Promise-based client for the data processing worker. Tasks run one at a time; aborting a
+ * queued task drops it, and aborting the running task terminates the worker (a fresh one is
+ * started for the next task), so superseded work never blocks newer input. Without Web Worker
+ * support the tasks run on the main thread behind the same API.
+ */
+
+import {
+  runDataTask,
+  buildFormattedRows,
+  buildStations,
+  buildVectorRows
+} from './dataProcessingService';
+import { getAreaConfig } from './areaRegistryService';
+import { createDataWorker } from '../workers/createDataWorker';
+
+let worker = null;
+let activeTask = null;
+let nextTaskId = 1;
+const taskQueue = [];
+
+/**
+ * @returns {boolean} True if tasks can run in a Web Worker
+ */
+export const isWorkerSupported = () => typeof Worker !== 'undefined';
+
+/**
+ * @returns {Error} The rejection for a cancelled task
+ */
+const createAbortError = () => {
+  const error = new Error('Data processing was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Settles the running task and starts the next one.
+ * @param {Function} settle - Callback receiving the finished task
+ */
+const finishActiveTask = (settle) => {
+  const task = activeTask;
+  activeTask = null;
+  if (task) {
+    task.signal?.removeEventListener('abort', task.onAbort);
+    settle(task);
+  }
+  runNextTask();
+};
+
+/**
+ * @returns {Worker} The worker, started on first use
+ */
+const getWorker = () => {
+  if (!worker) {
+    worker = createDataWorker();
+    worker.onmessage = ({ data }) => {
+      if (!activeTask || data.id !== activeTask.id) return;
+      finishActiveTask(task => (data.error ? task.reject(new Error(data.error)) : task.resolve(data.result)));
+    };
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      terminateDataWorker();
+      finishActiveTask(task => task.reject(new Error(event.message || 'Data processing worker failed')));
+    };
+  }
+  return worker;
+};
+
+/**
+ * Posts the next queued task to the worker (or runs it inline without worker support).
+ */
+const runNextTask = () => {
+  if (activeTask || taskQueue.length === 0) return;
+  activeTask = taskQueue.shift();
+  const { id, type, payload } = activeTask;
+
+  if (isWorkerSupported()) {
+    // The worker has its own copy of the registry modules, so it gets the active registry with each task
+    getWorker().postMessage({ id, type, payload, areaConfig: getAreaConfig() });
+    return;
+  }
+  // Yield first so an abort issued right after the request still cancels it
+  setTimeout(() => {
+    if (!activeTask || activeTask.id !== id) return;
+    try {
+      const { result } = runDataTask(type, payload);
+      finishActiveTask(task => task.resolve(result));
+    } catch (error) {
+      finishActiveTask(task => task.reject(error));
+    }
+  }, 0);
+};
+
+/**
+ * Queues a processing task.
+ * @param {string} type - Task name (see runDataTask)
+ * @param {object} payload - Task input
+ * @param {AbortSignal} signal - Optional signal that cancels the task
+ * @returns {Promise<*>} The task result; rejects with an AbortError when cancelled
+ */
+const runTask = (type, payload, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const task = { id: nextTaskId++, type, payload, resolve, reject, signal };
+  task.onAbort = () => {
+    if (activeTask === task) {
+      // The worker cannot be interrupted mid-task, so it is replaced
+      if (isWorkerSupported()) terminateDataWorker();
+      finishActiveTask(() => reject(createAbortError()));
+      return;
+    }
+    const queued = taskQueue.indexOf(task);
+    if (queued !== -1) {
+      taskQueue.splice(queued, 1);
+      reject(createAbortError());
+    }
+  };
+  signal?.addEventListener('abort', task.onAbort, { once: true });
+  taskQueue.push(task);
+  runNextTask();
+});
+
+/**
+ * Parses the numeric fields of rows and runs QC on them off the main thread, dropping rows
+ * without coordinates.
+ * @param {Array<object>} rows - Canonical rows
+ * @param {object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the task
+ * @param {object} options.qcConfig - QC thresholds (defaults to DEFAULT_QC_CONFIG)
+ * @returns {Promise<{rows: Array<object>, columns: object, rowIndices: Uint32Array, qcFlags: object, qcSummary: object}>}
+ * Formatted rows (with _qc flags), their numeric Float64Array columns, the source index of
+ * each row, and the QC flags and summary per variable
+ */
+export const formatRowsAsync = async (rows, { signal, qcConfig } = {}) => {
+  const formatted = await runTask('formatRows', { rows, qcConfig }, signal);
+  return { ...formatted, rows: buildFormattedRows(rows, formatted) };
+};
+
+/**
+ * Builds the columnar store for rows off the main thread (see buildColumnarStore).
+ * @param {Array<object>} rows - Canonical rows
+ * @param {object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the task
+ * @returns {Promise<object>} Columnar store
+ */
+export const buildColumnarStoreAsync = (rows, { signal } = {}) => runTask('columnarStore', { rows }, signal);
+
+/**
+ * Groups rows into stations off the main thread (see generateStationDataFromAPI).
+ * @param {Array<object>} rows - Canonical rows
+ * @param {object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the task
+ * @returns {Promise<Array<object>>} Stations
+ */
+export const generateStationsAsync = async (rows, { signal } = {}) => {
+  const stations = await runTask('stations', { rows }, signal);
+  return buildStations(rows, stations);
+};
+
+/**
+ * Runs processVectorData off the main thread.
+ * @param {Array<object>} rows - Canonical rows
+ * @param {object} options - processVectorData options, plus signal to cancel the task
+ * @returns {Promise<Array<object>>} Vector data points
+ */
+export const processVectorDataAsync = async (rows, { signal, ...options } = {}) => {
+  const vectors = await runTask('vectors', { rows, options }, signal);
+  return buildVectorRows(vectors);
+};
+
+/**
+ * Stops the worker. Queued tasks start a new one.
+ */
+export const terminateDataWorker = () => {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+};
+
+const dataWorkerService = {
+  isWorkerSupported,
+  formatRowsAsync,
+  buildColumnarStoreAsync,
+  generateStationsAsync,
+  processVectorDataAsync,
+  terminateDataWorker
+};
+
+export default dataWorkerService;
@@ -0,0 +1,54 @@
+import { formatRowsAsync, processVectorDataAsync, terminateDataWorker } from './dataWorkerService';
+import { getAreaConfig } from './areaRegistryService';
+import { createDataWorker } from '../workers/createDataWorker';
+
+jest.mock('../workers/createDataWorker', () => ({ createDataWorker: jest.fn() }));
+
+// jsdom has no Worker, so tasks run inline behind the same promise API
+describe('dataWorkerService', () => {
+  const rows = [{ lat: '30', lon: '-89', temp: '28' }];
+
+  test('resolves formatted rows', async () => {
+    const { rows: formatted } = await formatRowsAsync(rows);
+    expect(formatted[0]).toMatchObject({ lat: 30, lon: -89, temp: 28 });
+  });
+
+  test('keeps every current vector when not gridded', async () => {
+    const currents = [
+      { lat: 30, lon: -89, depth: 0, nspeed: 0.4, direction: 90, time: '2025-08-01T01:00:00Z' },
+      { lat: 30, lon: -89, depth: 0, nspeed: 0.6, direction: 180, time: '2025-08-01T00:00:00Z' },
+      { lat: 30.1, lon: -89, depth: 0, nspeed: null, direction: 0, time: '2025-08-01T00:00:00Z' }
+    ];
+    const vectors = await processVectorDataAsync(currents, { gridResolution: 0 });
+    expect(vectors.map(vector => [vector.magnitude, vector.direction])).toEqual([[0.6, 180], [0.4, 90]]);
+    expect(vectors[0].coordinates).toEqual([-89, 30]);
+  });
+
+  test('rejects cancelled tasks with an AbortError', async () => {
+    const controller = new AbortController();
+    const pending = formatRowsAsync(rows, { signal: controller.signal });
+    controller.abort();
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(formatRowsAsync(rows)).resolves.toBeDefined();
+  });
+});
+
+describe('dataWorkerService with a worker', () => {
+  afterEach(() => {
+    terminateDataWorker();
+    delete global.Worker;
+  });
+
+  test('sends the active area registry with each task', async () => {
+    const worker = { postMessage: jest.fn(), terminate: jest.fn() };
+    createDataWorker.mockReturnValue(worker);
+    global.Worker = function Worker() {};
+
+    const pending = formatRowsAsync([]);
+    const message = worker.postMessage.mock.calls[0][0];
+    expect(message).toMatchObject({ type: 'formatRows', areaConfig: getAreaConfig() });
+
+    worker.onmessage({ data: { id: message.id, result: { columns: {}, rowIndices: new Uint32Array(0) } } });
+    await expect(pending).resolves.toMatchObject({ rows: [] });
+  });
+});
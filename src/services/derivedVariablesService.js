@@ -0,0 +1,194 @@
+/**
+ * Derived Variables Service
+ * Computes TEOS-10 derived variables (see teos10Service) for every loaded row, plus the
+ * per-profile quantities that need the whole water column: buoyancy frequency, mixed layer depth
+ * and thermocline depth. A profile is the rows at one location and time, ordered by depth.
+ */
+
+import {
+  absoluteSalinity,
+  conservativeTemperature,
+  density,
+  sigmaTheta,
+  soundSpeed,
+  pressureFromDepth,
+  buoyancyFrequencySquared
+} from './teos10Service';
+
+// Derived row fields, in canonical units
+export const DERIVED_FIELDS = [
+  'abs_salinity', // g/kg
+  'cons_temp', // degC
+  'density', // in-situ, kg/m^3
+  'sigma_theta', // potential density anomaly at 0 dbar, kg/m^3
+  'sound_speed_teos', // m/s
+  'sound_speed_delta', // sound_speed_ms minus sound_speed_teos, m/s
+  'n2', // squared buoyancy frequency, 1/s^2
+  'mld', // mixed layer depth of the row's profile, m
+  'thermocline_depth' // thermocline depth of the row's profile, m
+];
+
+// Derived fields added to the columnar store for map layers
+export const STORE_DERIVED_FIELDS = ['sigma_theta', 'n2', 'mld'];
+
+// Mixed layer: sigma-theta more than this above its value at the reference depth (de Boyer Montegut et al. 2004)
+export const MLD_DENSITY_THRESHOLD = 0.03;
+export const MLD_REFERENCE_DEPTH = 10;
+
+// Thermocline: steepest temperature decrease, if at least this steep (degC/m)
+export const THERMOCLINE_MIN_GRADIENT = 0.05;
+
+/**
+ * Derives the TEOS-10 variables of one sample.
+ * @param {object} sample - Canonical values
+ * @param {number} sample.temp - In-situ temperature (degC)
+ * @param {number} sample.salinity - Practical salinity (PSU)
+ * @param {number} sample.pressure - Sea pressure (dbar); derived from depth when missing
+ * @param {number} sample.depth - Depth (m)
+ * @param {number} sample.lat - Latitude (degrees)
+ * @param {number} sample.soundSpeed - Reported sound speed (m/s), optional
+ * @returns {object|null} { sa, ct, p, density, sigmaTheta, soundSpeed, soundSpeedDelta }, or null
+ * without a temperature and salinity
+ */
+export const deriveSample = ({ temp, salinity, pressure, depth, lat, soundSpeed: reportedSoundSpeed }) => {
+  if (!Number.isFinite(temp) || !Number.isFinite(salinity)) return null;
+  let p = pressure;
+  if (!Number.isFinite(p)) {
+    p = Number.isFinite(depth) ? pressureFromDepth(Math.max(depth, 0), Number.isFinite(lat) ? lat : 30) : 0;
+  }
+  const sa = absoluteSalinity(salinity);
+  const ct = conservativeTemperature(sa, temp, p);
+  const teosSoundSpeed = soundSpeed(sa, ct, p);
+  return {
+    sa,
+    ct,
+    p,
+    density: density(sa, ct, p),
+    sigmaTheta: sigmaTheta(sa, ct),
+    soundSpeed: teosSoundSpeed,
+    soundSpeedDelta: Number.isFinite(reportedSoundSpeed) ? reportedSoundSpeed - teosSoundSpeed : NaN
+  };
+};
+
+/**
+ * Depth where sigma-theta first exceeds its reference value by MLD_DENSITY_THRESHOLD, linearly
+ * interpolated between samples. The reference is the deepest sample at or above
+ * MLD_REFERENCE_DEPTH (or the shallowest sample).
+ * @param {Array<{depth: number, sigmaTheta: number}>} profile - Samples ordered by depth
+ * @returns {number} Mixed layer depth (m); the deepest sample's depth if the profile stays mixed,
+ * NaN with fewer than two samples
+ */
+export const mixedLayerDepth = (profile) => {
+  if (profile.length < 2) return NaN;
+  let referenceIndex = 0;
+  profile.forEach((sample, index) => {
+    if (sample.depth <= MLD_REFERENCE_DEPTH) referenceIndex = index;
+  });
+  const target = profile[referenceIndex].sigmaTheta + MLD_DENSITY_THRESHOLD;
+  for (let i = referenceIndex + 1; i < profile.length; i++) {
+    if (profile[i].sigmaTheta > target) {
+      const above = profile[i - 1];
+      const below = profile[i];
+      const fraction = (target - above.sigmaTheta) / (below.sigmaTheta - above.sigmaTheta);
+      return above.depth + Math.min(Math.max(fraction, 0), 1) * (below.depth - above.depth);
+    }
+  }
+  return profile[profile.length - 1].depth;
+};
+
+/**
+ * Mid depth of the steepest temperature decrease between adjacent samples.
+ * @param {Array<{depth: number, ct: number}>} profile - Samples ordered by depth
+ * @returns {number} Thermocline depth (m), NaN if no gradient reaches THERMOCLINE_MIN_GRADIENT
+ */
+export const thermoclineDepth = (profile) => {
+  let steepest = THERMOCLINE_MIN_GRADIENT;
+  let result = NaN;
+  for (let i = 1; i < profile.length; i++) {
+    const dz = profile[i].depth - profile[i - 1].depth;
+    if (dz <= 0) continue;
+    const gradient = (profile[i - 1].ct - profile[i].ct) / dz;
+    if (gradient >= steepest) {
+      steepest = gradient;
+      result = (profile[i].depth + profile[i - 1].depth) / 2;
+    }
+  }
+  return result;
+};
+
+/**
+ * Computes DERIVED_FIELDS for every row.
+ * @param {object} input - Columnar input
+ * @param {object} input.columns - Numeric columns (lat, lon, depth, temp, salinity, pressure_dbars, sound_speed_ms)
+ * @param {Float64Array|Array<number>} input.times - Epoch ms per row
+ * @returns {object} A Float64Array per DERIVED_FIELDS entry (NaN where it cannot be derived)
+ */
+export const computeDerivedColumns = ({ columns, times }) => {
+  const count = times.length;
+  const derived = {};
+  DERIVED_FIELDS.forEach(field => {
+    derived[field] = new Float64Array(count).fill(NaN);
+  });
+
+  // Per-sample variables; profiles collect the samples at one location and time
+  const samples = new Array(count);
+  const profiles = new Map();
+  for (let i = 0; i < count; i++) {
+    const sample = deriveSample({
+      temp: columns.temp[i],
+      salinity: columns.salinity[i],
+      pressure: columns.pressure_dbars?.[i],
+      depth: columns.depth?.[i],
+      lat: columns.lat[i],
+      soundSpeed: columns.sound_speed_ms?.[i]
+    });
+    if (!sample) continue;
+    samples[i] = sample;
+    derived.abs_salinity[i] = sample.sa;
+    derived.cons_temp[i] = sample.ct;
+    derived.density[i] = sample.density;
+    derived.sigma_theta[i] = sample.sigmaTheta;
+    derived.sound_speed_teos[i] = sample.soundSpeed;
+    derived.sound_speed_delta[i] = sample.soundSpeedDelta;
+
+    if (!Number.isFinite(columns.depth?.[i])) continue;
+    const key = `${columns.lat[i].toFixed(5)},${columns.lon[i].toFixed(5)},${times[i]}`;
+    if (!profiles.has(key)) profiles.set(key, []);
+    profiles.get(key).push(i);
+  }
+
+  profiles.forEach(indices => {
+    indices.sort((a, b) => columns.depth[a] - columns.depth[b]);
+    const profile = indices.map(i => ({ ...samples[i], depth: columns.depth[i] }));
+
+    // N^2 of the intervals above and below each sample, averaged
+    const intervals = [];
+    for (let k = 1; k < profile.length; k++) {
+      intervals.push(buoyancyFrequencySquared(profile[k - 1], profile[k], columns.lat[indices[k]]));
+    }
+    const mld = mixedLayerDepth(profile);
+    const thermocline = thermoclineDepth(profile);
+    indices.forEach((rowIndex, k) => {
+      const around = [intervals[k - 1], intervals[k]].filter(Number.isFinite);
+      if (around.length > 0) derived.n2[rowIndex] = around.reduce((sum, value) => sum + value, 0) / around.length;
+      derived.mld[rowIndex] = mld;
+      derived.thermocline_depth[rowIndex] = thermocline;
+    });
+  });
+
+  return derived;
+};
+
+const derivedVariablesService = {
+  DERIVED_FIELDS,
+  STORE_DERIVED_FIELDS,
+  MLD_DENSITY_THRESHOLD,
+  MLD_REFERENCE_DEPTH,
+  THERMOCLINE_MIN_GRADIENT,
+  deriveSample,
+  mixedLayerDepth,
+  thermoclineDepth,
+  computeDerivedColumns
+};
+
+export default derivedVariablesService;
@@ -0,0 +1,52 @@
+import {
+  computeDerivedColumns,
+  mixedLayerDepth,
+  thermoclineDepth
+} from './derivedVariablesService';
+
+const T0 = Date.parse('2025-08-01T00:00:00Z');
+
+describe('derivedVariablesService', () => {
+  test('mixed layer and thermocline depth of a profile', () => {
+    const profile = [
+      { depth: 0, sigmaTheta: 24.00, ct: 28.0 },
+      { depth: 10, sigmaTheta: 24.01, ct: 27.9 },
+      { depth: 20, sigmaTheta: 24.02, ct: 27.8 },
+      { depth: 30, sigmaTheta: 24.51, ct: 24.0 },
+      { depth: 50, sigmaTheta: 25.00, ct: 20.0 }
+    ];
+    // Threshold 24.01 + 0.03 is crossed between 20 m and 30 m
+    expect(mixedLayerDepth(profile)).toBeCloseTo(20 + 10 * (0.02 / 0.49), 5);
+    expect(thermoclineDepth(profile)).toBe(25);
+    expect(mixedLayerDepth(profile.slice(0, 1))).toBeNaN();
+    expect(thermoclineDepth(profile.slice(0, 3))).toBeNaN();
+  });
+
+  test('derives every row and groups profiles by location and time', () => {
+    const depths = [0, 10, 20, 30, 0];
+    const columns = {
+      lat: Float64Array.from([30, 30, 30, 30, 31]),
+      lon: Float64Array.from([-89, -89, -89, -89, -89]),
+      depth: Float64Array.from(depths),
+      temp: Float64Array.from([28, 27.9, 24, 20, 28]),
+      salinity: Float64Array.from([35, 35, 35.2, 35.4, NaN]),
+      pressure_dbars: new Float64Array(5).fill(NaN),
+      sound_speed_ms: Float64Array.from([1541, NaN, NaN, NaN, NaN])
+    };
+    const derived = computeDerivedColumns({ columns, times: new Float64Array(5).fill(T0) });
+
+    expect(derived.density[0]).toBeGreaterThan(1020);
+    expect(derived.sigma_theta[3]).toBeGreaterThan(derived.sigma_theta[0]);
+    expect(Number.isFinite(derived.sound_speed_delta[0])).toBe(true);
+    expect(derived.sound_speed_delta[1]).toBeNaN();
+    [0, 1, 2, 3].forEach(i => {
+      expect(derived.n2[i]).toBeGreaterThan(0);
+      expect(derived.mld[i]).toBe(derived.mld[0]);
+    });
+    expect(derived.mld[0]).toBeGreaterThan(10);
+    expect(derived.mld[0]).toBeLessThan(20);
+    // Without a salinity nothing is derived
+    expect(derived.density[4]).toBeNaN();
+    expect(derived.mld[4]).toBeNaN();
+  });
+});
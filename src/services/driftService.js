@@ -0,0 +1,393 @@
+/**
+ * Drift Service
+ * Lagrangian particle tracking through the loaded current field, for search-and-rescue and spill
+ * response drills. Particles are released at points (optionally spread over a radius around the
+ * last known position) or scattered over polygons, and advected with fourth-order Runge-Kutta
+ * steps through the time-varying currents of one depth level. Velocities are interpolated in
+ * space per time step (see spatialInterpolationService) and linearly in time between steps.
+ *
+ * Windage is added as a fraction of the wind velocity (leeway, e.g. 0.03 for oil or a person in
+ * the water). Unresolved motion is represented by a random walk with a horizontal diffusivity, so
+ * an ensemble of particles spreads into an uncertainty cloud; the random numbers are seeded, so a
+ * run can be repeated exactly. Tracks run forward from the release time, or backward to find
+ * where drifting objects came from.
+ */
+
+import { createInterpolator, PROBE_VECTORS } from './spatialInterpolationService';
+import { buildTimeAxis } from './temporalInterpolationService';
+
+export const DRIFT_DIRECTIONS = ['forward', 'backward'];
+
+export const DEFAULT_DRIFT_OPTIONS = {
+  direction: 'forward',
+  durationHours: 24,
+  stepMinutes: 15,
+  particlesPerRelease: 50,
+  // Fraction of the wind velocity added to the current
+  leeway: 0,
+  // Horizontal diffusivity (m²/s) of the random walk
+  diffusivity: 1,
+  // Radius (m) over which point release particles start
+  releaseRadius: 0,
+  seed: 1
+};
+
+// Particle status at the end of a run
+export const PARTICLE_STATUS = {
+  active: 'Drifting at the end of the run',
+  'left-domain': 'Left the current field (land or model boundary)',
+  'time-limit': 'Reached the end of the loaded model times'
+};
+
+const EARTH_RADIUS_M = 6371000;
+const DEG = Math.PI / 180;
+const METERS_PER_DEGREE = EARTH_RADIUS_M * DEG;
+
+/**
+ * Seeded uniform random numbers in [0, 1) (mulberry32).
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal deviate (Box-Muller)
+const gaussian = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+/**
+ * @param {Array<number>} point - [lon, lat]
+ * @param {Array<Array<number>>} ring - Polygon vertices [[lon, lat], ...]
+ * @returns {boolean} Whether the point is inside the ring (ray casting)
+ */
+export const pointInPolygon = ([lon, lat], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * Moves a point by east/north meters.
+ * @returns {Array<number>} [lon, lat]
+ */
+const offsetMeters = ([lon, lat], east, north) => [
+  lon + east / (METERS_PER_DEGREE * Math.cos(lat * DEG)),
+  lat + north / METERS_PER_DEGREE
+];
+
+/**
+ * @param {Array<number>} from - [lon, lat]
+ * @param {Array<number>} to - [lon, lat]
+ * @returns {number} Distance in meters (equirectangular; fine for drift spreads)
+ */
+const localDistance = ([lon1, lat1], [lon2, lat2]) => Math.hypot(
+  (lon2 - lon1) * METERS_PER_DEGREE * Math.cos(((lat1 + lat2) / 2) * DEG),
+  (lat2 - lat1) * METERS_PER_DEGREE
+);
+
+// Wind for the leeway as the model rows carry it: nspeed along ndirection (the 'Wind Speed'
+// mapping in dataService)
+export const LEEWAY_WIND = { getSpeed: row => row.nspeed, getDirection: row => row.ndirection };
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+const hasVector = ({ getSpeed, getDirection }) => (row) => hasValue(getSpeed(row)) && hasValue(getDirection(row)) && Boolean(row.time);
+
+/**
+ * @param {Array<object>} rows - Canonical rows
+ * @returns {boolean} Whether any row carries wind (nspeed/ndirection) for the leeway
+ */
+export const hasWindData = (rows) => rows.some(hasVector(LEEWAY_WIND));
+
+/**
+ * Time-varying velocity field of one depth level.
+ * @param {Array<object>} rows - Canonical rows (rawData) with currents (nspeed/direction) and, for
+ * leeway, wind (nspeed/ndirection)
+ * @param {object} options - Field options
+ * @param {number} options.depth - Depth to track at; the nearest loaded level is used
+ * @param {number} options.leeway - Fraction of the wind velocity added to the current
+ * @param {number} options.maxDistance - IDW search distance for scattered nodes (degrees)
+ * @returns {{depth: number, start: number, end: number, times: Array<number>, velocityAt: Function}}
+ * times are the loaded time steps (epoch ms). velocityAt(lon, lat, time) returns { u, v } (m/s east
+ * and north), null outside the current field and undefined outside the loaded times. A single time
+ * step is treated as a steady field.
+ */
+export const createVelocityField = (rows, { depth = 0, leeway = 0, maxDistance } = {}) => {
+  const withCurrents = rows.filter(hasVector(PROBE_VECTORS.current));
+  if (withCurrents.length === 0) throw new Error('The loaded data has no currents to track particles with');
+  if (leeway && !hasWindData(withCurrents)) throw new Error('The loaded data has no wind for the leeway; set the leeway to none');
+
+  const levels = [...new Set(withCurrents.map(row => Number(row.depth) || 0))];
+  const level = levels.reduce((best, candidate) => (Math.abs(candidate - depth) < Math.abs(best - depth) ? candidate : best), levels[0]);
+  const levelRows = withCurrents.filter(row => (Number(row.depth) || 0) === level);
+
+  const axis = buildTimeAxis(levelRows);
+  const byStep = new Map();
+  levelRows.forEach(row => {
+    const time = Date.parse(row.time);
+    if (!byStep.has(time)) byStep.set(time, []);
+    byStep.get(time).push(row);
+  });
+
+  const interpolators = new Map();
+  const interpolatorAt = (step) => {
+    if (!interpolators.has(step)) {
+      const vectors = leeway ? { current: PROBE_VECTORS.current, wind: LEEWAY_WIND } : { current: PROBE_VECTORS.current };
+      const options = { fields: [], vectors };
+      if (maxDistance !== undefined) options.maxDistance = maxDistance;
+      interpolators.set(step, createInterpolator(byStep.get(axis[step]), options));
+    }
+    return interpolators.get(step);
+  };
+
+  const velocityAtStep = (step, lon, lat) => {
+    const sample = interpolatorAt(step).sample(lon, lat);
+    const current = sample?.vectors.current;
+    if (!current) return null;
+    const wind = leeway ? sample.vectors.wind : null;
+    return { u: current.u + (wind ? leeway * wind.u : 0), v: current.v + (wind ? leeway * wind.v : 0) };
+  };
+
+  const velocityAt = (lon, lat, time) => {
+    if (axis.length === 1) return velocityAtStep(0, lon, lat);
+    if (time < axis[0] || time > axis[axis.length - 1]) return undefined;
+    let step = 0;
+    while (step < axis.length - 2 && axis[step + 1] <= time) step++;
+    const fraction = (time - axis[step]) / (axis[step + 1] - axis[step]);
+    const from = velocityAtStep(step, lon, lat);
+    const to = fraction > 0 ? velocityAtStep(step + 1, lon, lat) : from;
+    if (!from || !to) return null;
+    return { u: from.u + (to.u - from.u) * fraction, v: from.v + (to.v - from.v) * fraction };
+  };
+
+  return {
+    depth: level,
+    start: axis.length === 1 ? -Infinity : axis[0],
+    end: axis.length === 1 ? Infinity : axis[axis.length - 1],
+    times: axis,
+    velocityAt
+  };
+};
+
+/**
+ * One fourth-order Runge-Kutta step.
+ * @param {Function} velocityAt - createVelocityField(...).velocityAt
+ * @param {Array<number>} position - [lon, lat]
+ * @param {number} time - Epoch ms
+ * @param {number} dt - Step in seconds (negative for backward tracking)
+ * @returns {{position: Array<number>}|{stopped: string}} The new position, or why the step failed
+ */
+export const rk4Step = (velocityAt, position, time, dt) => {
+  const rate = ([lon, lat], t) => {
+    const velocity = velocityAt(lon, lat, t);
+    if (!velocity) return velocity;
+    return [velocity.u / (METERS_PER_DEGREE * Math.cos(lat * DEG)), velocity.v / METERS_PER_DEGREE];
+  };
+  const along = (k, factor) => [position[0] + k[0] * dt * factor, position[1] + k[1] * dt * factor];
+  const halfTime = time + (dt * 1000) / 2;
+
+  const k1 = rate(position, time);
+  const k2 = k1 && rate(along(k1, 0.5), halfTime);
+  const k3 = k2 && rate(along(k2, 0.5), halfTime);
+  const k4 = k3 && rate(along(k3, 1), time + dt * 1000);
+  if (!k4) return { stopped: [k1, k2, k3, k4].includes(undefined) ? 'time-limit' : 'left-domain' };
+  return {
+    position: [
+      position[0] + (dt / 6) * (k1[0] + 2 * k2[0] + 2 * k3[0] + k4[0]),
+      position[1] + (dt / 6) * (k1[1] + 2 * k2[1] + 2 * k3[1] + k4[1])
+    ]
+  };
+};
+
+/**
+ * Starting positions of a release's particles.
+ * @param {object} release - { type: 'point', coordinates: [lon, lat] } or { type: 'polygon', coordinates: [[lon, lat], ...] }
+ * @param {number} count - Particles to seed
+ * @param {Function} random - createRandom generator
+ * @param {number} releaseRadius - Radius (m) around a point release
+ * @returns {Array<Array<number>>} [lon, lat] per particle
+ */
+export const seedRelease = (release, count, random, releaseRadius = 0) => {
+  if (release.type === 'point') {
+    return Array.from({ length: count }, () => {
+      if (!releaseRadius) return [...release.coordinates];
+      // Uniform over the disc
+      const radius = releaseRadius * Math.sqrt(random());
+      const angle = 2 * Math.PI * random();
+      return offsetMeters(release.coordinates, radius * Math.sin(angle), radius * Math.cos(angle));
+    });
+  }
+  if (release.type !== 'polygon' || release.coordinates.length < 3) {
+    throw new Error(`Release ${release.id} needs a point or a polygon of at least three vertices`);
+  }
+  const lons = release.coordinates.map(([lon]) => lon);
+  const lats = release.coordinates.map(([, lat]) => lat);
+  const [west, east, south, north] = [Math.min(...lons), Math.max(...lons), Math.min(...lats), Math.max(...lats)];
+  const seeds = [];
+  for (let tries = 0; seeds.length < count && tries < count * 200; tries++) {
+    const candidate = [west + (east - west) * random(), south + (north - south) * random()];
+    if (pointInPolygon(candidate, release.coordinates)) seeds.push(candidate);
+  }
+  if (seeds.length < count) throw new Error(`Release ${release.id}: the polygon is too thin to seed particles in`);
+  return seeds;
+};
+
+/**
+ * Centroid and spread of the particles still drifting at each output time.
+ * @returns {Array<{time: string, lon: number, lat: number, rmsRadius: number, radius90: number, active: number}>}
+ */
+const summarizeSpread = (particles, times) => times.map((time, index) => {
+  const positions = particles.filter(particle => particle.path.length > index).map(particle => particle.path[index]);
+  if (positions.length === 0) return null;
+  const centroid = [
+    positions.reduce((sum, [lon]) => sum + lon, 0) / positions.length,
+    positions.reduce((sum, [, lat]) => sum + lat, 0) / positions.length
+  ];
+  const distances = positions.map(position => localDistance(centroid, position)).sort((a, b) => a - b);
+  return {
+    time: new Date(time).toISOString(),
+    lon: centroid[0],
+    lat: centroid[1],
+    rmsRadius: Math.sqrt(distances.reduce((sum, d) => sum + d * d, 0) / distances.length),
+    radius90: distances[Math.min(distances.length - 1, Math.ceil(distances.length * 0.9) - 1)],
+    active: positions.length
+  };
+}).filter(Boolean);
+
+/**
+ * Tracks particles from each release.
+ * @param {Array<object>} rows - Canonical rows (rawData)
+ * @param {Array<object>} releases - [{ id, type: 'point'|'polygon', coordinates }]
+ * @param {object} options - DEFAULT_DRIFT_OPTIONS fields, plus startTime (ISO or epoch ms; defaults
+ * to the first loaded time, or the last for backward runs), depth and maxDistance
+ * @returns {object} { direction, depth, startTime, times (ISO), options, releases: [{ id, type,
+ * coordinates, particles: [{ id, path: [[lon, lat]], status }], spread }] }; a particle's path has
+ * one position per output time until it stops
+ */
+export const runDriftSimulation = (rows, releases, options = {}) => {
+  const settings = { ...DEFAULT_DRIFT_OPTIONS, ...options };
+  if (!DRIFT_DIRECTIONS.includes(settings.direction)) throw new Error(`Unknown drift direction "${settings.direction}"`);
+  if (!(settings.durationHours > 0) || !(settings.stepMinutes > 0)) throw new Error('Duration and step must be positive');
+  if (releases.length === 0) throw new Error('Add a release point or polygon first');
+
+  const field = createVelocityField(rows, { depth: settings.depth, leeway: settings.leeway, maxDistance: settings.maxDistance });
+  const sign = settings.direction === 'forward' ? 1 : -1;
+  const defaultStart = sign > 0 ? field.start : field.end;
+  const start = settings.startTime !== undefined && settings.startTime !== null
+    ? new Date(settings.startTime).getTime()
+    : (Number.isFinite(defaultStart) ? defaultStart : Date.now());
+  const dt = sign * settings.stepMinutes * 60;
+  const stepCount = Math.round((settings.durationHours * 60) / settings.stepMinutes);
+  const times = Array.from({ length: stepCount + 1 }, (_, i) => start + i * dt * 1000);
+  const random = createRandom(settings.seed);
+  const walk = Math.sqrt(2 * settings.diffusivity * Math.abs(dt));
+
+  return {
+    direction: settings.direction,
+    depth: field.depth,
+    startTime: new Date(start).toISOString(),
+    times: times.map(time => new Date(time).toISOString()),
+    options: settings,
+    releases: releases.map(release => {
+      const seeds = seedRelease(release, settings.particlesPerRelease, random, settings.releaseRadius);
+      const particles = seeds.map((seed, index) => {
+        const path = [seed];
+        let status = 'active';
+        for (let step = 0; step < stepCount; step++) {
+          const result = rk4Step(field.velocityAt, path[path.length - 1], times[step], dt);
+          if (result.stopped) {
+            status = result.stopped;
+            break;
+          }
+          path.push(walk > 0 ? offsetMeters(result.position, walk * gaussian(random), walk * gaussian(random)) : result.position);
+        }
+        return { id: `${release.id}-${index + 1}`, path, status };
+      });
+      return { ...release, particles, spread: summarizeSpread(particles, times) };
+    })
+  };
+};
+
+/**
+ * @param {object} result - runDriftSimulation output
+ * @returns {object} GeoJSON FeatureCollection: the releases, one LineString per particle (with
+ * coordTimes), the mean track of each release (with the 90% spread radius per time) and the
+ * final particle positions
+ */
+export const driftToGeoJSON = (result) => {
+  const features = [];
+  result.releases.forEach(release => {
+    const base = { release: release.id, direction: result.direction, depth: result.depth };
+    features.push({
+      type: 'Feature',
+      geometry: release.type === 'point'
+        ? { type: 'Point', coordinates: release.coordinates }
+        : { type: 'Polygon', coordinates: [[...release.coordinates, release.coordinates[0]]] },
+      properties: { ...base, kind: 'release', time: result.startTime }
+    });
+    release.particles.forEach(particle => {
+      if (particle.path.length > 1) {
+        features.push({
+          type: 'Feature',
+          geometry: { type: 'LineString', coordinates: particle.path },
+          properties: { ...base, kind: 'track', particle: particle.id, status: particle.status, coordTimes: result.times.slice(0, particle.path.length) }
+        });
+      }
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: particle.path[particle.path.length - 1] },
+        properties: { ...base, kind: 'final', particle: particle.id, status: particle.status, time: result.times[particle.path.length - 1] }
+      });
+    });
+    if (release.spread.length > 1) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: release.spread.map(point => [point.lon, point.lat]) },
+        properties: {
+          ...base,
+          kind: 'mean-track',
+          coordTimes: release.spread.map(point => point.time),
+          radius90Meters: release.spread.map(point => Number(point.radius90.toFixed(1))),
+          activeParticles: release.spread.map(point => point.active)
+        }
+      });
+    }
+  });
+  return {
+    type: 'FeatureCollection',
+    properties: {
+      generator: 'Ocean drift prediction',
+      direction: result.direction,
+      startTime: result.startTime,
+      options: result.options
+    },
+    features
+  };
+};
+
+const driftService = {
+  DRIFT_DIRECTIONS,
+  DEFAULT_DRIFT_OPTIONS,
+  PARTICLE_STATUS,
+  createRandom,
+  pointInPolygon,
+  LEEWAY_WIND,
+  hasWindData,
+  createVelocityField,
+  rk4Step,
+  seedRelease,
+  runDriftSimulation,
+  driftToGeoJSON
+};
+
+export default driftService;
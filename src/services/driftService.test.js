@@ -0,0 +1,131 @@
+import {
+  createVelocityField,
+  runDriftSimulation,
+  seedRelease,
+  createRandom,
+  pointInPolygon,
+  hasWindData,
+  driftToGeoJSON
+} from './driftService';
+import { getModelAdapter, toCanonicalRow } from './modelAdapterService';
+
+const HOUR_MS = 60 * 60 * 1000;
+const start = Date.parse('2025-08-01T00:00:00Z');
+const METERS_PER_DEGREE = 6371000 * Math.PI / 180;
+
+// 3 x 3 grid over -89..-88, 30..31 at each time, with the current speed given per time step.
+// Rows go through the NGOFS2 adapter, so they have the fields of loaded data; with windDirection
+// set they carry ndirection, which the leeway reads with nspeed as the wind.
+const ngofs2 = getModelAdapter('NGOFS2');
+const gridRows = (speeds, { direction = 90, windDirection = null, hours = 10 } = {}) => {
+  const rows = [];
+  speeds.forEach((speed, step) => {
+    const time = new Date(start + step * hours * HOUR_MS).toISOString();
+    [-89, -88.5, -88].forEach(lon => [30, 30.5, 31].forEach(lat => {
+      const wind = windDirection === null ? {} : { ndirection: windDirection };
+      rows.push(toCanonicalRow(ngofs2, { time, lon, lat, depth: 0, nspeed: speed, direction, ...wind }));
+      rows.push(toCanonicalRow(ngofs2, { time, lon, lat, depth: 20, nspeed: 0, direction: 0, ...wind }));
+    }));
+  });
+  return rows;
+};
+
+const eastMeters = (from, to, lat) => (to - from) * METERS_PER_DEGREE * Math.cos(lat * Math.PI / 180);
+
+describe('driftService', () => {
+  it('integrates currents that change in time exactly for a linear ramp', () => {
+    // 0 to 1 m/s east over 10 h: 0.5 m/s on average, 18 km
+    const result = runDriftSimulation(gridRows([0, 1]), [{ id: 'A', type: 'point', coordinates: [-88.9, 30.5] }], {
+      durationHours: 10, stepMinutes: 30, particlesPerRelease: 1, diffusivity: 0
+    });
+    const [particle] = result.releases[0].particles;
+    expect(result.depth).toBe(0);
+    expect(particle.status).toBe('active');
+    expect(particle.path).toHaveLength(21);
+    const [lon, lat] = particle.path[20];
+    expect(lat).toBeCloseTo(30.5, 10);
+    expect(eastMeters(-88.9, lon, 30.5)).toBeCloseTo(18000, 0);
+    expect(result.times[20]).toBe('2025-08-01T10:00:00.000Z');
+  });
+
+  it('adds wind leeway and tracks backward to the release', () => {
+    // 0.5 m/s east; the same magnitude toward the north as wind gives 3% of it, 0.015 m/s north
+    const rows = gridRows([0.5, 0.5], { windDirection: 0 });
+    expect(hasWindData(rows)).toBe(true);
+    expect(hasWindData(gridRows([0.5, 0.5]))).toBe(false);
+    expect(() => createVelocityField(gridRows([0.5, 0.5]), { leeway: 0.03 })).toThrow('no wind for the leeway');
+    const field = createVelocityField(rows, { leeway: 0.03 });
+    const velocity = field.velocityAt(-88.5, 30.5, start + HOUR_MS);
+    expect(velocity.u).toBeCloseTo(0.5, 10);
+    expect(velocity.v).toBeCloseTo(0.015, 10);
+
+    // The track on model rows moves north of the currents-only track: 0.015 m/s for 4 h is 216 m
+    const track = (leeway) => runDriftSimulation(rows, [{ id: 'A', type: 'point', coordinates: [-88.8, 30.3] }], {
+      durationHours: 4, particlesPerRelease: 1, diffusivity: 0, leeway, startTime: start
+    }).releases[0].particles[0].path.slice(-1)[0];
+    expect((track(0.03)[1] - track(0)[1]) * METERS_PER_DEGREE).toBeCloseTo(216, 0);
+
+    const options = { durationHours: 4, particlesPerRelease: 1, diffusivity: 0, leeway: 0.03 };
+    const forward = runDriftSimulation(rows, [{ id: 'A', type: 'point', coordinates: [-88.8, 30.3] }], { ...options, startTime: start });
+    const end = forward.releases[0].particles[0].path.slice(-1)[0];
+    const backward = runDriftSimulation(rows, [{ id: 'B', type: 'point', coordinates: end }], {
+      ...options, direction: 'backward', startTime: start + 4 * HOUR_MS
+    });
+    const origin = backward.releases[0].particles[0].path.slice(-1)[0];
+    expect(origin[0]).toBeCloseTo(-88.8, 6);
+    expect(origin[1]).toBeCloseTo(30.3, 6);
+    expect(backward.times[1]).toBe('2025-08-01T03:45:00.000Z');
+  });
+
+  it('stops particles that leave the current field or the loaded times', () => {
+    const rows = gridRows([1, 1]);
+    const result = runDriftSimulation(rows, [{ id: 'A', type: 'point', coordinates: [-88.05, 30.5] }], {
+      durationHours: 8, particlesPerRelease: 1, diffusivity: 0
+    });
+    const [particle] = result.releases[0].particles;
+    expect(particle.status).toBe('left-domain');
+    expect(particle.path.length).toBeLessThan(33);
+    expect(particle.path.slice(-1)[0][0]).toBeLessThanOrEqual(-88);
+
+    const late = runDriftSimulation(rows, [{ id: 'B', type: 'point', coordinates: [-88.9, 30.5] }], {
+      durationHours: 2, particlesPerRelease: 1, diffusivity: 0, startTime: start + 10 * HOUR_MS
+    });
+    expect(late.releases[0].particles[0]).toMatchObject({ status: 'time-limit', path: [[-88.9, 30.5]] });
+  });
+
+  it('spreads an ensemble by the random walk, reproducibly', () => {
+    const run = () => runDriftSimulation(gridRows([0, 0]), [{ id: 'A', type: 'point', coordinates: [-88.5, 30.5] }], {
+      durationHours: 6, particlesPerRelease: 400, diffusivity: 10, seed: 7
+    });
+    const result = run();
+    const spread = result.releases[0].spread;
+    expect(spread[0].rmsRadius).toBe(0);
+    // 2-D random walk: rms radius sqrt(4 K t) = sqrt(4 * 10 * 21600) ≈ 930 m
+    expect(spread[spread.length - 1].rmsRadius).toBeGreaterThan(930 * 0.85);
+    expect(spread[spread.length - 1].rmsRadius).toBeLessThan(930 * 1.15);
+    expect(spread[spread.length - 1].active).toBe(400);
+    expect(run().releases[0].particles[5].path).toEqual(result.releases[0].particles[5].path);
+  });
+
+  it('seeds polygons inside their outline and writes GeoJSON tracks', () => {
+    const triangle = [[-88.9, 30.1], [-88.6, 30.1], [-88.9, 30.4]];
+    const seeds = seedRelease({ id: 'P', type: 'polygon', coordinates: triangle }, 100, createRandom(3));
+    expect(seeds).toHaveLength(100);
+    seeds.forEach(seed => expect(pointInPolygon(seed, triangle)).toBe(true));
+    expect(pointInPolygon([-88.65, 30.35], triangle)).toBe(false);
+    expect(() => seedRelease({ id: 'L', type: 'polygon', coordinates: triangle.slice(0, 2) }, 1, createRandom(1))).toThrow('at least three vertices');
+
+    const result = runDriftSimulation(gridRows([0.2, 0.2]), [{ id: 'P', type: 'polygon', coordinates: triangle }], {
+      durationHours: 1, particlesPerRelease: 3
+    });
+    const geojson = driftToGeoJSON(result);
+    const kinds = geojson.features.map(feature => feature.properties.kind);
+    expect(kinds.filter(kind => kind === 'track')).toHaveLength(3);
+    expect(kinds.filter(kind => kind === 'final')).toHaveLength(3);
+    expect(kinds).toContain('mean-track');
+    const release = geojson.features.find(feature => feature.properties.kind === 'release');
+    expect(release.geometry.coordinates[0]).toHaveLength(4);
+    const track = geojson.features.find(feature => feature.properties.kind === 'track');
+    expect(track.properties.coordTimes).toHaveLength(track.geometry.coordinates.length);
+  });
+});
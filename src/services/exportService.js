@@ -0,0 +1,393 @@
+/**
+ * Export Service
+ * Writes the loaded rows, narrowed to a time window, depth levels, an area of interest and a
+ * set of variables, as CSV, GeoJSON, KML, CF-JSON or NetCDF-3. Everything is built from rows
+ * already in memory; no API call is made. Rows should come from rawData, so QC hide mode has
+ * already removed flagged values; the flags themselves are written alongside each variable.
+ *
+ * CSV, GeoJSON and KML use the user's display units. CF-JSON and NetCDF-3 follow the CF
+ * conventions (discrete sampling geometry, featureType point) and always use canonical units.
+ * CF-JSON uses the xarray layout that the file import reads back.
+ */
+
+import Papa from 'papaparse';
+import { QC_FLAGS, QC_FLAG_LABELS } from './qcService';
+import { convertValue, withUnitLabel, getUnitSymbol } from './unitService';
+import { encodeNetcdf3, NC_FILL } from './netcdfService';
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  cfjson: { label: 'CF-JSON (NetCDF JSON)', extension: 'json', mimeType: 'application/json' },
+  netcdf: { label: 'NetCDF-3', extension: 'nc', mimeType: 'application/x-netcdf' }
+};
+
+// Exportable row fields, with their canonical CF units and standard names
+export const EXPORT_VARIABLES = {
+  temp: { label: 'Temperature', units: 'degree_Celsius', standardName: 'sea_water_temperature' },
+  salinity: { label: 'Salinity', units: '1', standardName: 'sea_water_practical_salinity' },
+  nspeed: { label: 'Current Speed', units: 'm s-1', standardName: 'sea_water_speed' },
+  direction: { label: 'Current Direction', units: 'degree', standardName: 'direction_of_sea_water_velocity' },
+  ndirection: { label: 'Wind Direction', units: 'degree', standardName: 'wind_to_direction' },
+  ssh: { label: 'Sea Surface Height', units: 'm', standardName: 'sea_surface_height_above_mean_sea_level' },
+  pressure_dbars: { label: 'Pressure', units: 'dbar', standardName: 'sea_water_pressure' },
+  sound_speed_ms: { label: 'Sound Speed', units: 'm s-1', standardName: 'speed_of_sound_in_sea_water' },
+  density: { label: 'Density (TEOS-10)', units: 'kg m-3', standardName: 'sea_water_density' },
+  sigma_theta: { label: 'Sigma-theta', units: 'kg m-3', standardName: 'sea_water_sigma_theta' },
+  abs_salinity: { label: 'Absolute Salinity', units: 'g kg-1', standardName: 'sea_water_absolute_salinity' },
+  cons_temp: { label: 'Conservative Temperature', units: 'degree_Celsius', standardName: 'sea_water_conservative_temperature' },
+  n2: { label: 'Buoyancy Frequency Squared', units: 's-2', standardName: 'square_of_brunt_vaisala_frequency_in_sea_water' },
+  mld: { label: 'Mixed Layer Depth', units: 'm', standardName: 'ocean_mixed_layer_thickness_defined_by_sigma_theta' },
+  thermocline_depth: { label: 'Thermocline Depth', units: 'm', standardName: null }
+};
+
+export const DEFAULT_EXPORT_VARIABLES = ['temp', 'salinity', 'nspeed', 'direction', 'ssh'];
+
+const CF_TIME_UNITS = 'seconds since 1970-01-01T00:00:00Z';
+const QC_FLAG_VALUES = [QC_FLAGS.PASS, QC_FLAGS.NOT_EVALUATED, QC_FLAGS.SUSPECT, QC_FLAGS.FAIL, QC_FLAGS.MISSING];
+const QC_FLAG_MEANINGS = QC_FLAG_VALUES.map(flag => QC_FLAG_LABELS[flag].toLowerCase().replace(/\s+/g, '_')).join(' ');
+
+/**
+ * Narrows rows to an export selection.
+ * @param {Array<object>} rows - Formatted rows
+ * @param {object} selection - Selection; omitted or null parts do not filter
+ * @param {string|number|Date} selection.startTime - Earliest time, inclusive
+ * @param {string|number|Date} selection.endTime - Latest time, inclusive
+ * @param {Array<number>} selection.depths - Depth levels to keep
+ * @param {object} selection.bbox - Area of interest { north, south, east, west }
+ * @returns {Array<object>} Matching rows
+ */
+export const selectExportRows = (rows, { startTime = null, endTime = null, depths = null, bbox = null } = {}) => {
+  const start = startTime === null ? -Infinity : new Date(startTime).getTime();
+  const end = endTime === null ? Infinity : new Date(endTime).getTime();
+  const depthSet = depths ? new Set(depths.map(Number)) : null;
+  return rows.filter(row => {
+    const time = Date.parse(row.time);
+    if ((startTime !== null || endTime !== null) && (isNaN(time) || time < start || time > end)) return false;
+    if (depthSet && !depthSet.has(Number(row.depth))) return false;
+    if (bbox) {
+      const lat = Number(row.lat);
+      const lon = Number(row.lon);
+      if (!(lat >= bbox.south && lat <= bbox.north && lon >= bbox.west && lon <= bbox.east)) return false;
+    }
+    return true;
+  });
+};
+
+/**
+ * Provenance and selection metadata shared by every format.
+ * @param {object} context - Export context
+ * @returns {object} Metadata
+ */
+export const buildExportMetadata = ({
+  rows = [],
+  variables = [],
+  area = null,
+  model = null,
+  dataSource = null,
+  importedFile = null,
+  qcMode = null,
+  startTime = null,
+  endTime = null,
+  depths = null,
+  bbox = null,
+  exportedAt = new Date()
+}) => {
+  let first = Infinity;
+  let last = -Infinity;
+  rows.forEach(row => {
+    const time = Date.parse(row.time);
+    if (time < first) first = time;
+    if (time > last) last = time;
+  });
+  const timeRange = first <= last
+    ? { start: new Date(first).toISOString(), end: new Date(last).toISOString() }
+    : null;
+  return {
+    area,
+    model,
+    source: importedFile ? `Imported file ${importedFile.fileName}` : (dataSource || 'api'),
+    qcMode,
+    variables,
+    rowCount: rows.length,
+    timeRange,
+    selection: {
+      startTime: startTime === null ? null : new Date(startTime).toISOString(),
+      endTime: endTime === null ? null : new Date(endTime).toISOString(),
+      depths,
+      bbox
+    },
+    exportedAt: new Date(exportedAt).toISOString()
+  };
+};
+
+/**
+ * @param {object} metadata - buildExportMetadata output
+ * @returns {string} One-line history entry
+ */
+const describeHistory = (metadata) => (
+  `${metadata.exportedAt} exported ${metadata.rowCount} rows client-side from ${metadata.source}` +
+  `${metadata.model ? ` (model ${metadata.model})` : ''}, QC mode ${metadata.qcMode || 'n/a'}`
+);
+
+const qcFlagOf = (row, variable) => row._qc?.[variable] ?? null;
+
+const hasQcFlags = (rows, variable) => rows.some(row => row._qc && variable in row._qc);
+
+/**
+ * @param {Array<object>} rows - Selected rows
+ * @param {Array<string>} variables - EXPORT_VARIABLES keys
+ * @param {object} preferences - Unit id per quantity
+ * @returns {string} CSV with unit-labelled columns and a <variable>_qc column per QC'd variable
+ */
+export const rowsToCsv = (rows, variables, preferences) => {
+  const qcVariables = variables.filter(variable => hasQcFlags(rows, variable));
+  const fields = [
+    'time', 'latitude', 'longitude', withUnitLabel('depth', 'depth', preferences),
+    ...variables.map(variable => withUnitLabel(variable, variable, preferences)),
+    ...qcVariables.map(variable => `${variable}_qc`)
+  ];
+  const data = rows.map(row => [
+    row.time,
+    row.lat,
+    row.lon,
+    convertValue(row.depth, 'depth', preferences) ?? '',
+    ...variables.map(variable => convertValue(row[variable], variable, preferences) ?? ''),
+    ...qcVariables.map(variable => qcFlagOf(row, variable) ?? '')
+  ]);
+  return Papa.unparse({ fields, data });
+};
+
+/**
+ * @param {Array<object>} rows - Selected rows
+ * @param {Array<string>} variables - EXPORT_VARIABLES keys
+ * @param {object} preferences - Unit id per quantity
+ * @param {object} metadata - buildExportMetadata output
+ * @returns {object} FeatureCollection of points, with units and provenance in a metadata member
+ */
+export const rowsToGeoJson = (rows, variables, preferences, metadata) => {
+  const units = { depth: getUnitSymbol('depth', preferences) };
+  variables.forEach(variable => { units[variable] = getUnitSymbol(variable, preferences) || EXPORT_VARIABLES[variable]?.units; });
+  return {
+    type: 'FeatureCollection',
+    metadata: { ...metadata, units, qcFlags: QC_FLAG_LABELS },
+    features: rows.map(row => {
+      const properties = { time: row.time, depth: convertValue(row.depth, 'depth', preferences) };
+      variables.forEach(variable => { properties[variable] = convertValue(row[variable], variable, preferences); });
+      const qc = {};
+      variables.forEach(variable => {
+        const flag = qcFlagOf(row, variable);
+        if (flag !== null) qc[variable] = flag;
+      });
+      if (Object.keys(qc).length > 0) properties.qc = qc;
+      return {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [Number(row.lon), Number(row.lat)] },
+        properties
+      };
+    })
+  };
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * @param {Array<object>} rows - Selected rows
+ * @param {Array<string>} variables - EXPORT_VARIABLES keys
+ * @param {object} preferences - Unit id per quantity
+ * @param {object} metadata - buildExportMetadata output
+ * @returns {string} KML document with a time-stamped placemark per row
+ */
+export const rowsToKml = (rows, variables, preferences, metadata) => {
+  const data = (name, value) => `<Data name="${escapeXml(name)}"><value>${escapeXml(value ?? '')}</value></Data>`;
+  const placemarks = rows.map(row => {
+    const fields = [
+      data(withUnitLabel('depth', 'depth', preferences), convertValue(row.depth, 'depth', preferences)),
+      ...variables.map(variable => data(withUnitLabel(variable, variable, preferences), convertValue(row[variable], variable, preferences))),
+      ...variables.filter(variable => qcFlagOf(row, variable) !== null).map(variable => data(`${variable}_qc`, qcFlagOf(row, variable)))
+    ];
+    return [
+      '<Placemark>',
+      row.time ? `<TimeStamp><when>${escapeXml(row.time)}</when></TimeStamp>` : '',
+      `<ExtendedData>${fields.join('')}</ExtendedData>`,
+      `<Point><coordinates>${Number(row.lon)},${Number(row.lat)}</coordinates></Point>`,
+      '</Placemark>'
+    ].join('');
+  });
+  const name = [metadata.area, metadata.model].filter(Boolean).join(' ') || 'Ocean data export';
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `<name>${escapeXml(name)}</name>`,
+    `<description>${escapeXml(describeHistory(metadata))}. QC flags: ${escapeXml(QC_FLAG_VALUES.map(flag => `${flag} ${QC_FLAG_LABELS[flag]}`).join(', '))}</description>`,
+    ...placemarks,
+    '</Document>',
+    '</kml>'
+  ].join('\n');
+};
+
+/**
+ * CF discrete sampling geometry of the rows: one obs dimension with time, lat, lon and depth
+ * coordinates, each variable in canonical units, and a QARTOD flag variable per QC'd variable.
+ * @param {Array<object>} rows - Selected rows
+ * @param {Array<string>} variables - EXPORT_VARIABLES keys
+ * @param {object} metadata - buildExportMetadata output
+ * @returns {{dims: object, attrs: object, variables: object}} Dataset (types are NC_TYPES keys;
+ * missing values are null, written as _FillValue in NetCDF)
+ */
+export const buildCfDataset = (rows, variables, metadata) => {
+  const column = (read) => rows.map(row => {
+    const value = read(row);
+    return value === null || value === undefined || value === '' || isNaN(value) ? null : Number(value);
+  });
+  const dataset = {
+    dims: { obs: rows.length },
+    attrs: {
+      Conventions: 'CF-1.8',
+      featureType: 'point',
+      title: `${metadata.area || 'Ocean'} ${metadata.model || ''} export`.replace(/\s+/g, ' ').trim(),
+      source: metadata.source,
+      history: describeHistory(metadata),
+      date_created: metadata.exportedAt,
+      qc_mode: metadata.qcMode || 'n/a',
+      ...(metadata.model ? { model: metadata.model } : {}),
+      ...(metadata.area ? { area: metadata.area } : {}),
+      ...(metadata.timeRange ? { time_coverage_start: metadata.timeRange.start, time_coverage_end: metadata.timeRange.end } : {}),
+      ...(metadata.selection.bbox ? {
+        geospatial_lat_min: metadata.selection.bbox.south,
+        geospatial_lat_max: metadata.selection.bbox.north,
+        geospatial_lon_min: metadata.selection.bbox.west,
+        geospatial_lon_max: metadata.selection.bbox.east
+      } : {})
+    },
+    variables: {
+      time: {
+        type: 'double',
+        dims: ['obs'],
+        attrs: { standard_name: 'time', units: CF_TIME_UNITS, calendar: 'standard', axis: 'T' },
+        data: column(row => {
+          const time = Date.parse(row.time);
+          return isNaN(time) ? null : time / 1000;
+        })
+      },
+      lat: {
+        type: 'double',
+        dims: ['obs'],
+        attrs: { standard_name: 'latitude', units: 'degrees_north', axis: 'Y' },
+        data: column(row => row.lat)
+      },
+      lon: {
+        type: 'double',
+        dims: ['obs'],
+        attrs: { standard_name: 'longitude', units: 'degrees_east', axis: 'X' },
+        data: column(row => row.lon)
+      },
+      depth: {
+        type: 'float',
+        dims: ['obs'],
+        attrs: { standard_name: 'depth', units: 'm', positive: 'down', axis: 'Z' },
+        data: column(row => row.depth)
+      }
+    }
+  };
+
+  variables.forEach(variable => {
+    const info = EXPORT_VARIABLES[variable] || { label: variable, units: null, standardName: null };
+    const withQc = hasQcFlags(rows, variable);
+    dataset.variables[variable] = {
+      type: 'float',
+      dims: ['obs'],
+      attrs: {
+        long_name: info.label,
+        ...(info.standardName ? { standard_name: info.standardName } : {}),
+        ...(info.units ? { units: info.units } : {}),
+        coordinates: 'time lat lon depth',
+        ...(withQc ? { ancillary_variables: `${variable}_qc` } : {}),
+        _FillValue: NC_FILL.float
+      },
+      data: column(row => row[variable])
+    };
+    if (withQc) {
+      dataset.variables[`${variable}_qc`] = {
+        type: 'byte',
+        dims: ['obs'],
+        attrs: {
+          long_name: `${info.label} QARTOD quality flag`,
+          ...(info.standardName ? { standard_name: `${info.standardName} status_flag` } : {}),
+          flag_values: { type: 'byte', values: QC_FLAG_VALUES },
+          flag_meanings: QC_FLAG_MEANINGS,
+          _FillValue: { type: 'byte', values: [NC_FILL.byte] }
+        },
+        data: column(row => qcFlagOf(row, variable))
+      };
+    }
+  });
+  return dataset;
+};
+
+/**
+ * @param {object} dataset - buildCfDataset output
+ * @returns {object} xarray-style JSON ({ attrs, dims, coords, data_vars }) of the dataset
+ */
+export const datasetToCfJson = (dataset) => {
+  const coordNames = ['time', 'lat', 'lon', 'depth'];
+  // Missing values are JSON nulls, so the binary fill values are left out
+  const toJsonVariable = ({ dims, attrs, data }) => ({
+    dims,
+    attrs: Object.fromEntries(Object.entries(attrs)
+      .filter(([name]) => name !== '_FillValue')
+      .map(([name, value]) => [name, value?.values ?? value])),
+    data
+  });
+  const coords = {};
+  const dataVars = {};
+  Object.entries(dataset.variables).forEach(([name, variable]) => {
+    (coordNames.includes(name) ? coords : dataVars)[name] = toJsonVariable(variable);
+  });
+  return { attrs: dataset.attrs, dims: dataset.dims, coords, data_vars: dataVars };
+};
+
+/**
+ * Builds an export file.
+ * @param {string} format - EXPORT_FORMATS key
+ * @param {Array<object>} rows - Selected rows (see selectExportRows)
+ * @param {object} options - Export options
+ * @param {Array<string>} options.variables - EXPORT_VARIABLES keys
+ * @param {object} options.unitPreferences - Display units for CSV, GeoJSON and KML
+ * @param {object} options.metadata - buildExportMetadata output
+ * @returns {{content: string|ArrayBuffer, mimeType: string, extension: string}} File contents
+ */
+export const buildExportFile = (format, rows, { variables = DEFAULT_EXPORT_VARIABLES, unitPreferences, metadata }) => {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+  if (rows.length === 0) throw new Error('No rows match the export selection');
+  let content;
+  if (format === 'csv') content = rowsToCsv(rows, variables, unitPreferences);
+  else if (format === 'geojson') content = JSON.stringify(rowsToGeoJson(rows, variables, unitPreferences, metadata));
+  else if (format === 'kml') content = rowsToKml(rows, variables, unitPreferences, metadata);
+  else if (format === 'cfjson') content = JSON.stringify(datasetToCfJson(buildCfDataset(rows, variables, metadata)));
+  else content = encodeNetcdf3(buildCfDataset(rows, variables, metadata));
+  return { content, mimeType: spec.mimeType, extension: spec.extension };
+};
+
+const exportService = {
+  EXPORT_FORMATS,
+  EXPORT_VARIABLES,
+  DEFAULT_EXPORT_VARIABLES,
+  selectExportRows,
+  buildExportMetadata,
+  rowsToCsv,
+  rowsToGeoJson,
+  rowsToKml,
+  buildCfDataset,
+  datasetToCfJson,
+  buildExportFile
+};
+
+export default exportService;
@@ -0,0 +1,85 @@
+import {
+  selectExportRows,
+  buildExportMetadata,
+  buildExportFile,
+  buildCfDataset,
+  datasetToCfJson,
+  rowsToGeoJson,
+  DEFAULT_EXPORT_VARIABLES
+} from './exportService';
+import { parseNetcdfJson } from './fileImportService';
+import { UNIT_SYSTEMS } from './unitService';
+
+const rows = [
+  { time: '2025-08-01T00:00:00.000Z', lat: 30.1, lon: -89.1, depth: 0, temp: 25, salinity: 35, _qc: { temp: 1, salinity: 3 } },
+  { time: '2025-08-01T01:00:00.000Z', lat: 30.2, lon: -89.2, depth: 0, temp: null, salinity: 34, _qc: { temp: 4, salinity: 1 } },
+  { time: '2025-08-01T01:00:00.000Z', lat: 30.2, lon: -89.2, depth: 10, temp: 22, salinity: 36, _qc: { temp: 1, salinity: 1 } },
+  { time: '2025-08-01T02:00:00.000Z', lat: 31.5, lon: -89.2, depth: 0, temp: 24, salinity: 35, _qc: { temp: 1, salinity: 1 } }
+];
+
+const metadataFor = (selected) => buildExportMetadata({
+  rows: selected,
+  variables: ['temp', 'salinity'],
+  area: 'USM',
+  model: 'NGOFS2',
+  qcMode: 'hide',
+  exportedAt: '2025-08-02T00:00:00.000Z'
+});
+
+describe('exportService', () => {
+  it('selects rows by time window, depth and area of interest', () => {
+    const selected = selectExportRows(rows, {
+      startTime: '2025-08-01T00:30:00Z',
+      depths: [0],
+      bbox: { north: 31, south: 30, east: -89, west: -90 }
+    });
+    expect(selected).toEqual([rows[1]]);
+    expect(selectExportRows(rows)).toHaveLength(4);
+  });
+
+  it('writes CSV in display units with QC flag columns', () => {
+    const { content } = buildExportFile('csv', rows.slice(0, 2), {
+      variables: ['temp'],
+      unitPreferences: UNIT_SYSTEMS.nautical.units,
+      metadata: metadataFor(rows)
+    });
+    const [header, first, second] = content.split('\r\n');
+    expect(header).toBe('time,latitude,longitude,depth (ft),temp (°F),temp_qc');
+    expect(first).toBe('2025-08-01T00:00:00.000Z,30.1,-89.1,0,77,1');
+    expect(second).toBe('2025-08-01T01:00:00.000Z,30.2,-89.2,0,,4');
+  });
+
+  it('writes GeoJSON points with units, QC flags and provenance', () => {
+    const geojson = rowsToGeoJson(rows.slice(0, 1), ['temp'], UNIT_SYSTEMS.metric.units, metadataFor(rows));
+    expect(geojson.features[0].geometry.coordinates).toEqual([-89.1, 30.1]);
+    expect(geojson.features[0].properties).toEqual({ time: rows[0].time, depth: 0, temp: 25, qc: { temp: 1 } });
+    expect(geojson.metadata.units.temp).toBe('°C');
+    expect(geojson.metadata.model).toBe('NGOFS2');
+  });
+
+  it('builds a CF point dataset that the file import reads back', () => {
+    const dataset = buildCfDataset(rows, ['temp', 'salinity'], metadataFor(rows));
+    expect(dataset.attrs.Conventions).toBe('CF-1.8');
+    expect(dataset.attrs.featureType).toBe('point');
+    expect(dataset.variables.temp.attrs.ancillary_variables).toBe('temp_qc');
+    expect(dataset.variables.temp_qc.attrs.flag_meanings).toBe('pass not_evaluated suspect fail missing');
+
+    const parsed = parseNetcdfJson(JSON.parse(JSON.stringify(datasetToCfJson(dataset))));
+    expect(parsed.records).toHaveLength(4);
+    expect(parsed.records[0]).toMatchObject({ time: rows[0].time, lat: 30.1, temp: 25, salinity_qc: 3 });
+    expect(parsed.records[1].temp).toBeNull();
+    expect(parsed.units.temp).toBe('degree_Celsius');
+  });
+
+  it('exports the loaded current magnitude as sea water speed', () => {
+    const currents = [{ time: rows[0].time, lat: 30.1, lon: -89.1, depth: 0, nspeed: 0.4, direction: 90 }];
+    expect(DEFAULT_EXPORT_VARIABLES).toContain('nspeed');
+    const dataset = buildCfDataset(currents, ['nspeed', 'direction'], metadataFor(currents));
+    expect(dataset.variables.nspeed.attrs).toMatchObject({ long_name: 'Current Speed', standard_name: 'sea_water_speed' });
+    expect(dataset.variables.nspeed.data).toEqual([0.4]);
+  });
+
+  it('rejects an empty selection', () => {
+    expect(() => buildExportFile('kml', [], { metadata: metadataFor([]) })).toThrow('No rows');
+  });
+});
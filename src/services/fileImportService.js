@@ -0,0 +1,350 @@
+/**
+ * File Import Service
+ * Parses user-supplied CSV files and JSON exports of NetCDF variables into the same
+ * canonical row schema that loadAllData produces (lat, lon, depth, time, temp, salinity,
+ * nspeed, direction, ssh, ...). Columns are mapped to fields with a column mapping, units
+ * are converted through a model adapter, and coordinates are checked with validateCoordinateData.
+ */
+
+import Papa from 'papaparse';
+import { registerModelAdapter, toCanonicalRow, CANONICAL_UNITS } from './modelAdapterService';
+import { validateCoordinateData } from './dataService';
+
+// Model id stamped on imported rows
+export const IMPORT_MODEL_ID = 'IMPORT';
+
+// Largest file accepted for in-browser parsing
+export const MAX_IMPORT_BYTES = 100 * 1024 * 1024;
+
+/**
+ * Canonical fields offered in the column mapping dialog, with common source column names
+ * and the source units that can be converted (the first entry is the canonical unit).
+ */
+export const IMPORT_FIELDS = [
+  { key: 'lat', label: 'Latitude', required: true, aliases: ['lat', 'latitude', 'lat_rho', 'y'] },
+  { key: 'lon', label: 'Longitude', required: true, aliases: ['lon', 'lng', 'long', 'longitude', 'lon_rho', 'x'] },
+  { key: 'time', label: 'Time', required: true, aliases: ['time', 'datetime', 'timestamp', 'date', 'ocean_time', 'date_time'] },
+  { key: 'depth', label: 'Depth', aliases: ['depth', 'z', 'depth_m', 'level'], units: ['m', 'ft', 'cm'] },
+  { key: 'temp', label: 'Temperature', aliases: ['temp', 'temperature', 'water_temp', 'sst', 'sea_water_temperature'], units: ['degC', 'K', 'degF'] },
+  { key: 'salinity', label: 'Salinity', aliases: ['salinity', 'salt', 'sal', 'sea_water_salinity'] },
+  { key: 'nspeed', label: 'Current Speed', aliases: ['nspeed', 'speed', 'current_speed', 'sea_water_speed'], units: ['m/s', 'cm/s', 'knots'] },
+  { key: 'direction', label: 'Current Direction', aliases: ['direction', 'current_direction', 'dir', 'sea_water_velocity_to_direction'], units: ['deg', 'rad'] },
+  { key: 'ndirection', label: 'Wind Direction', aliases: ['ndirection', 'wind_direction', 'wdir'], units: ['deg', 'rad'] },
+  { key: 'ssh', label: 'Sea Surface Height', aliases: ['ssh', 'zeta', 'water_level', 'sea_surface_height', 'elevation'], units: ['m', 'cm', 'ft'] },
+  { key: 'pressure_dbars', label: 'Pressure', aliases: ['pressure_dbars', 'pressure', 'pres'], units: ['dbar', 'Pa', 'kPa'] },
+  { key: 'sound_speed_ms', label: 'Sound Speed', aliases: ['sound_speed_ms', 'sound_speed', 'svel'] }
+];
+
+// Unit spellings seen in CSV headers and NetCDF attributes, mapped to adapter unit names
+const UNIT_ALIASES = {
+  degc: 'degC', degree_c: 'degC', degrees_c: 'degC', celsius: 'degC', degree_celsius: 'degC', degrees_celsius: 'degC',
+  k: 'K', kelvin: 'K',
+  degf: 'degF', fahrenheit: 'degF',
+  'm/s': 'm/s', 'm s-1': 'm/s', 'm s^-1': 'm/s',
+  'cm/s': 'cm/s', 'cm s-1': 'cm/s',
+  knots: 'knots', kt: 'knots', kn: 'knots',
+  m: 'm', meters: 'm', metres: 'm',
+  cm: 'cm', ft: 'ft', feet: 'ft',
+  dbar: 'dbar', decibar: 'dbar', pa: 'Pa', kpa: 'kPa',
+  psu: 'PSU', '1e-3': 'PSU', '0.001': 'PSU',
+  deg: 'deg', degree: 'deg', degrees: 'deg', rad: 'rad', radians: 'rad'
+};
+
+const CF_TIME_PATTERN = /^\s*(seconds|minutes|hours|days)\s+since\s+(.+)$/i;
+const CF_TIME_MULTIPLIERS = { seconds: 1000, minutes: 60000, hours: 3600000, days: 86400000 };
+
+/**
+ * @param {string} unit - Unit string from a header or attribute
+ * @returns {string|null} Adapter unit name, or null if unknown
+ */
+export const normalizeUnit = (unit) => {
+  if (!unit) return null;
+  return UNIT_ALIASES[String(unit).trim().toLowerCase()] || null;
+};
+
+/**
+ * Decodes CF-convention time values ("hours since 2025-08-01 00:00:00") to ISO strings.
+ * @param {Array} values - Numeric offsets
+ * @param {string} units - CF time units attribute
+ * @returns {Array} ISO strings, or the original values if the units are not CF time units
+ */
+export const decodeCfTime = (values, units) => {
+  const match = CF_TIME_PATTERN.exec(units || '');
+  if (!match) return values;
+  let reference = match[2].trim().replace(' ', 'T');
+  if (/^\d{4}-\d{2}-\d{2}$/.test(reference)) reference += 'T00:00:00';
+  const epoch = Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(reference) ? reference : `${reference}Z`);
+  if (isNaN(epoch)) return values;
+  const multiplier = CF_TIME_MULTIPLIERS[match[1].toLowerCase()];
+  return values.map(value => {
+    const offset = parseFloat(value);
+    return isNaN(offset) ? value : new Date(epoch + offset * multiplier).toISOString();
+  });
+};
+
+/**
+ * Parses CSV text into records.
+ * @param {string} text - CSV contents
+ * @returns {{format: string, columns: Array<string>, records: Array<object>, units: object, warnings: Array<string>}} Parsed file
+ */
+export const parseCsvText = (text) => {
+  const result = Papa.parse(text, { header: true, skipEmptyLines: true, transformHeader: header => header.trim() });
+  const warnings = result.errors.slice(0, 5).map(error => `Row ${error.row + 1}: ${error.message}`);
+  return {
+    format: 'csv',
+    columns: result.meta.fields || [],
+    records: result.data,
+    units: {},
+    warnings
+  };
+};
+
+/**
+ * Reads a value from nested arrays at a multi-dimensional index.
+ * @param {*} data - Nested array (or scalar)
+ * @param {Array<number>} indices - Index per dimension
+ * @returns {*} The value
+ */
+const getNested = (data, indices) => indices.reduce((value, index) => (Array.isArray(value) ? value[index] : value), data);
+
+/**
+ * @param {*} data - Nested array
+ * @returns {Array<number>} Shape of the nested array
+ */
+const getShape = (data) => {
+  const shape = [];
+  let level = data;
+  while (Array.isArray(level)) {
+    shape.push(level.length);
+    level = level[0];
+  }
+  return shape;
+};
+
+/**
+ * Flattens a JSON export of NetCDF variables into records.
+ * Accepts an array of records, or an xarray-style dict ({ coords, data_vars, dims }, or
+ * { variables }) where each variable has { dims, data, attrs }. Variables are broadcast
+ * over the dimensions of the variable with the most dimensions.
+ * @param {object|Array} doc - Parsed JSON document
+ * @returns {{format: string, columns: Array<string>, records: Array<object>, units: object, warnings: Array<string>}} Parsed file
+ */
+export const parseNetcdfJson = (doc) => {
+  if (Array.isArray(doc)) {
+    return { format: 'json', columns: Object.keys(doc[0] || {}), records: doc, units: {}, warnings: [] };
+  }
+
+  const variables = { ...(doc?.coords || {}), ...(doc?.data_vars || doc?.variables || {}) };
+  const names = Object.keys(variables);
+  if (names.length === 0) {
+    throw new Error('JSON file has no records or NetCDF variables');
+  }
+
+  const warnings = [];
+  const dimSizes = { ...(doc.dims || {}) };
+  // Variables without declared dims are treated as parallel columns sharing one index
+  const dimsOf = (variable) => variable.dims || variable.dimensions ||
+    getShape(variable.data).map((_, i) => (i === 0 ? 'index' : `index${i}`));
+  names.forEach(name => {
+    const variable = variables[name];
+    getShape(variable.data).forEach((size, i) => {
+      const dim = dimsOf(variable)[i];
+      dimSizes[dim] = dimSizes[dim] || size;
+    });
+  });
+
+  const target = names.reduce((best, name) => (dimsOf(variables[name]).length > dimsOf(variables[best]).length ? name : best), names[0]);
+  const targetDims = dimsOf(variables[target]);
+  const columns = names.filter(name => {
+    const dims = dimsOf(variables[name]);
+    const broadcastable = dims.every(dim => targetDims.includes(dim));
+    if (!broadcastable) warnings.push(`Skipped ${name}: its dimensions (${dims.join(', ')}) do not match ${targetDims.join(', ')}`);
+    return broadcastable;
+  });
+
+  const units = {};
+  const values = {};
+  columns.forEach(name => {
+    const variable = variables[name];
+    units[name] = variable.attrs?.units || variable.units || null;
+    values[name] = variable.data;
+  });
+
+  const total = targetDims.reduce((product, dim) => product * (dimSizes[dim] || 1), 1);
+  const records = new Array(total);
+  for (let flat = 0; flat < total; flat++) {
+    const position = {};
+    let remainder = flat;
+    for (let d = targetDims.length - 1; d >= 0; d--) {
+      const size = dimSizes[targetDims[d]] || 1;
+      position[targetDims[d]] = remainder % size;
+      remainder = Math.floor(remainder / size);
+    }
+    const record = {};
+    columns.forEach(name => {
+      const dims = dimsOf(variables[name]);
+      record[name] = dims.length === 0 ? values[name] : getNested(values[name], dims.map(dim => position[dim]));
+    });
+    records[flat] = record;
+  }
+
+  // CF time variables become ISO timestamps
+  columns.forEach(name => {
+    if (CF_TIME_PATTERN.test(units[name] || '')) {
+      const decoded = decodeCfTime(records.map(record => record[name]), units[name]);
+      records.forEach((record, i) => { record[name] = decoded[i]; });
+      units[name] = null;
+    }
+  });
+
+  return { format: 'netcdf-json', columns, records, units, warnings };
+};
+
+/**
+ * Reads and parses an uploaded file.
+ * @param {File} file - File from a drop or file input
+ * @returns {Promise<object>} Parsed file ({ format, columns, records, units, warnings, fileName })
+ */
+export const parseImportFile = async (file) => {
+  if (file.size > MAX_IMPORT_BYTES) {
+    throw new Error(`${file.name} is larger than ${MAX_IMPORT_BYTES / (1024 * 1024)} MB`);
+  }
+  const text = await file.text();
+  const isJson = /\.json$/i.test(file.name) || file.type === 'application/json';
+
+  let parsed;
+  if (isJson) {
+    try {
+      parsed = parseNetcdfJson(JSON.parse(text));
+    } catch (error) {
+      throw new Error(`Could not read ${file.name}: ${error.message}`);
+    }
+  } else {
+    parsed = parseCsvText(text);
+  }
+  if (parsed.records.length === 0) {
+    throw new Error(`${file.name} contains no rows`);
+  }
+  return { ...parsed, fileName: file.name };
+};
+
+/**
+ * Suggests a column for each canonical field from the file's column names.
+ * @param {Array<string>} columns - Column names in the file
+ * @returns {object} Mapping of canonical field to column name (unmatched fields omitted)
+ */
+export const suggestColumnMapping = (columns) => {
+  const normalized = columns.map(column => ({
+    column,
+    // "Temperature (degC)" and "temp_C" style headers match on their base name
+    key: column.toLowerCase().replace(/\s*[([].*$/, '').trim().replace(/\s+/g, '_')
+  }));
+  const used = new Set();
+  const mapping = {};
+  IMPORT_FIELDS.forEach(field => {
+    const match = normalized.find(({ column, key }) => !used.has(column) && field.aliases.includes(key));
+    if (match) {
+      mapping[field.key] = match.column;
+      used.add(match.column);
+    }
+  });
+  return mapping;
+};
+
+/**
+ * Suggests units for mapped fields from NetCDF attributes or a "(unit)" suffix in the header.
+ * @param {object} mapping - Canonical field to column name
+ * @param {object} columnUnits - Units declared per column by the file
+ * @returns {object} Canonical field to adapter unit name
+ */
+export const suggestUnits = (mapping, columnUnits = {}) => {
+  const units = {};
+  Object.entries(mapping).forEach(([field, column]) => {
+    const declared = columnUnits[column] || (/[([]\s*([^)\]]+)\s*[)\]]\s*$/.exec(column) || [])[1];
+    const unit = normalizeUnit(declared);
+    const convertible = IMPORT_FIELDS.find(f => f.key === field)?.units || [];
+    if (unit && unit !== CANONICAL_UNITS[field] && convertible.includes(unit)) {
+      units[field] = unit;
+    }
+  });
+  return units;
+};
+
+/**
+ * Converts parsed records into canonical rows and validates their coordinates.
+ * @param {Array<object>} records - Parsed records
+ * @param {object} mapping - Canonical field to column name (lat, lon and time required)
+ * @param {object} options - Conversion options
+ * @param {object} options.units - Canonical field to source unit
+ * @param {string} options.area - Area id stamped on the rows
+ * @param {string} options.fileName - Source file name stamped on the rows
+ * @returns {{rows: Array<object>, validation: object, warnings: Array<string>}} Valid rows,
+ * the validateCoordinateData report and any warnings
+ */
+export const buildImportRows = (records, mapping, { units = {}, area = null, fileName = 'upload' } = {}) => {
+  const missing = IMPORT_FIELDS.filter(field => field.required && !mapping[field.key]).map(field => field.label);
+  if (missing.length > 0) {
+    throw new Error(`Map a column to ${missing.join(', ')}`);
+  }
+
+  // Registered so the model selector can label and describe the imported rows
+  const adapter = registerModelAdapter({
+    id: IMPORT_MODEL_ID,
+    label: 'Imported File',
+    description: `Imported from ${fileName}`,
+    fieldMap: mapping,
+    units,
+    verticalCoordinate: { type: 'z', positive: 'down' }
+  });
+
+  const loadedAt = new Date().toISOString();
+  const converted = records.map(record => {
+    const row = toCanonicalRow(adapter, record);
+    Object.keys(mapping).forEach(field => {
+      if (field !== 'time') {
+        const value = parseFloat(row[field]);
+        row[field] = isNaN(value) ? null : value;
+      }
+    });
+    const time = Date.parse(row.time);
+    return {
+      ...row,
+      time: isNaN(time) ? row.time : new Date(time).toISOString(),
+      area,
+      _source_file: fileName,
+      _loaded_at: loadedAt
+    };
+  });
+
+  // Keep exactly the rows validateCoordinateData counts as valid
+  const validation = validateCoordinateData(converted);
+  const rows = converted.filter(row =>
+    row.lat && row.lon && !isNaN(row.lat) && !isNaN(row.lon) &&
+    Math.abs(row.lat) <= 90 && Math.abs(row.lon) <= 180
+  );
+  const warnings = [];
+  if (validation.invalid > 0) {
+    warnings.push(`${validation.invalid.toLocaleString()} of ${validation.total.toLocaleString()} rows have invalid coordinates and were skipped`);
+  }
+  const untimed = rows.filter(row => isNaN(Date.parse(row.time))).length;
+  if (untimed > 0) {
+    warnings.push(`${untimed.toLocaleString()} rows have an unreadable time value`);
+  }
+  return { rows, validation, warnings };
+};
+
+const fileImportService = {
+  IMPORT_MODEL_ID,
+  IMPORT_FIELDS,
+  MAX_IMPORT_BYTES,
+  normalizeUnit,
+  decodeCfTime,
+  parseCsvText,
+  parseNetcdfJson,
+  parseImportFile,
+  suggestColumnMapping,
+  suggestUnits,
+  buildImportRows
+};
+
+export default fileImportService;
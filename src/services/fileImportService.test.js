@@ -0,0 +1,58 @@
+import {
+  parseCsvText,
+  parseNetcdfJson,
+  suggestColumnMapping,
+  suggestUnits,
+  buildImportRows
+} from './fileImportService';
+
+describe('fileImportService', () => {
+  test('maps CSV headers to fields and suggests units from header suffixes', () => {
+    const parsed = parseCsvText('Latitude,Longitude,Time,Temperature (K),speed\n30.1,-88.5,2025-08-01T00:00:00Z,300.15,0.4\n');
+    const mapping = suggestColumnMapping(parsed.columns);
+
+    expect(parsed.records).toHaveLength(1);
+    expect(mapping).toEqual({
+      lat: 'Latitude',
+      lon: 'Longitude',
+      time: 'Time',
+      temp: 'Temperature (K)',
+      nspeed: 'speed'
+    });
+    expect(suggestUnits(mapping, parsed.units)).toEqual({ temp: 'K' });
+  });
+
+  test('broadcasts NetCDF JSON variables over their dimensions and decodes CF time', () => {
+    const parsed = parseNetcdfJson({
+      dims: { time: 2, node: 2 },
+      coords: {
+        time: { dims: ['time'], data: [0, 1], attrs: { units: 'hours since 2025-08-01 00:00:00' } },
+        lat: { dims: ['node'], data: [30, 31] },
+        lon: { dims: ['node'], data: [-89, -88] }
+      },
+      data_vars: {
+        temp: { dims: ['time', 'node'], data: [[20, 21], [22, 23]], attrs: { units: 'degC' } }
+      }
+    });
+
+    expect(parsed.records).toHaveLength(4);
+    expect(parsed.records[3]).toEqual({ time: '2025-08-01T01:00:00.000Z', lat: 31, lon: -88, temp: 23 });
+    expect(parsed.units.temp).toBe('degC');
+  });
+
+  test('converts units and drops rows with invalid coordinates', () => {
+    const records = [
+      { y: '30', x: '-89', t: '2025-08-01T00:00:00Z', water_temp: '300.15' },
+      { y: '95', x: '-89', t: '2025-08-01T00:00:00Z', water_temp: '300.15' }
+    ];
+    const mapping = { lat: 'y', lon: 'x', time: 't', temp: 'water_temp' };
+    const { rows, validation, warnings } = buildImportRows(records, mapping, { units: { temp: 'K' }, area: 'MBL', fileName: 'casts.csv' });
+
+    expect(validation).toMatchObject({ total: 2, valid: 1, invalid: 1 });
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ lat: 30, lon: -89, model: 'IMPORT', area: 'MBL', _source_file: 'casts.csv' });
+    expect(rows[0].temp).toBeCloseTo(27);
+    expect(warnings).toHaveLength(1);
+    expect(() => buildImportRows(records, { lat: 'y', lon: 'x' })).toThrow('Map a column to Time');
+  });
+});
@@ -29,6 +29,9 @@ class HoloOceanService {
   
       // Last known status
       this.lastStatus = null;
+
+      // Telemetry recorder, called for every status and target message
+      this.recorder = null;
     }
   
     /**
@@ -232,6 +235,45 @@ class HoloOceanService {
       }
     }
   
+    /**
+     * Set the telemetry recorder
+     * @param {function|null} recorder - Called with (event, data, receivedAt) for each status and target message; null stops recording
+     */
+    setRecorder(recorder) {
+      this.recorder = recorder;
+    }
+  
+    /**
+     * Pass a received message to the recorder
+     * @param {string} event - Event type (status, targetUpdated)
+     * @param {object} data - Event data
+     */
+    recordMessage(event, data) {
+      if (!this.recorder) return;
+      try {
+        this.recorder(event, data, Date.now());
+      } catch (error) {
+        console.error('Failed to record HoloOcean message:', error);
+      }
+    }
+  
+    /**
+     * Emit a recorded message as if it had just arrived, for telemetry replay.
+     * Replayed messages are not recorded again, and are dropped while connected so that they
+     * cannot mix with the live stream (or move a running mission on).
+     * @param {string} event - Event type (status, targetUpdated)
+     * @param {object} data - Event data
+     * @returns {boolean} Whether the message was emitted
+     */
+    replayMessage(event, data) {
+      if (this.isConnected) return false;
+      if (event === 'status') {
+        this.lastStatus = data;
+      }
+      this.emit(event, data);
+      return true;
+    }
+  
     /**
      * Handle incoming WebSocket messages
      * @param {string} data - Message data
@@ -243,11 +285,13 @@ class HoloOceanService {
         // Handle different message types
         switch (message.event) {
           case 'target_updated':
+            this.recordMessage('targetUpdated', message.target);
             this.emit('targetUpdated', message.target);
             break;
             
           case 'status':
             this.lastStatus = message.status;
+            this.recordMessage('status', message.status);
             this.emit('status', message.status);
             break;
             
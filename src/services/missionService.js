@@ -0,0 +1,142 @@
+/**
+ * Mission Service
+ * HoloOcean missions: ordered waypoints, each with a depth and a dwell time, that the agent visits
+ * one after another. This module builds and validates missions, reads and writes them as JSON
+ * files and tells when the agent's reported target is a given waypoint. Running a mission against
+ * the live agent is done by useHoloOceanMission.
+ */
+
+import holoOceanService from './holoOceanService';
+import { distanceMeters } from './transectService';
+
+export const MISSION_FILE_TYPE = 'holoocean-mission';
+export const MISSION_FILE_VERSION = 1;
+
+// Mission run states, with their display labels
+export const MISSION_STATES = {
+  idle: 'Not started',
+  running: 'Heading to waypoint',
+  dwelling: 'Holding at waypoint',
+  paused: 'Paused',
+  completed: 'Completed',
+  aborted: 'Aborted'
+};
+
+// How close the reported target must be to a waypoint to count as that waypoint
+const TARGET_TOLERANCE_DEG = 1e-6;
+const TARGET_TOLERANCE_DEPTH = 0.01;
+
+let nextWaypointId = 1;
+
+/**
+ * @param {number} lon - Longitude
+ * @param {number} lat - Latitude
+ * @param {object} options - Waypoint settings
+ * @param {number} options.depth - Depth in meters
+ * @param {number} options.dwellSeconds - Time to hold at the waypoint before moving on
+ * @returns {{id: string, lat: number, lon: number, depth: number, dwellSeconds: number}} Waypoint
+ */
+export const createWaypoint = (lon, lat, { depth = 0, dwellSeconds = 0 } = {}) => ({
+  id: `WP${nextWaypointId++}`,
+  lat: Number(lat),
+  lon: Number(lon),
+  depth: Number(depth),
+  dwellSeconds: Number(dwellSeconds)
+});
+
+/**
+ * Checks every waypoint with the HoloOcean coordinate rules.
+ * @param {Array<object>} waypoints - Mission waypoints
+ * @param {Function} validateCoordinates - (lat, lon, depth) => { isValid, errors }; defaults to holoOceanService
+ * @returns {{isValid: boolean, errors: Array<string>}} Errors prefixed with the waypoint number
+ */
+export const validateMission = (waypoints, validateCoordinates = (lat, lon, depth) => holoOceanService.validateCoordinates(lat, lon, depth)) => {
+  const errors = [];
+  if (!Array.isArray(waypoints) || waypoints.length === 0) {
+    return { isValid: false, errors: ['A mission needs at least one waypoint'] };
+  }
+  waypoints.forEach((waypoint, index) => {
+    const result = validateCoordinates(waypoint.lat, waypoint.lon, waypoint.depth);
+    result.errors.forEach(error => errors.push(`Waypoint ${index + 1}: ${error}`));
+    if (!Number.isFinite(waypoint.dwellSeconds) || waypoint.dwellSeconds < 0) {
+      errors.push(`Waypoint ${index + 1}: Dwell time must be zero or more seconds`);
+    }
+  });
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * @param {Array<object>} waypoints - Mission waypoints
+ * @returns {{distance: number, dwellSeconds: number}} Horizontal path length (m) and total dwell
+ */
+export const summarizeMission = (waypoints) => ({
+  distance: waypoints.slice(1).reduce((total, waypoint, i) =>
+    total + distanceMeters([waypoints[i].lon, waypoints[i].lat], [waypoint.lon, waypoint.lat]), 0),
+  dwellSeconds: waypoints.reduce((total, waypoint) => total + waypoint.dwellSeconds, 0)
+});
+
+/**
+ * @param {string} name - Mission name
+ * @param {Array<object>} waypoints - Mission waypoints
+ * @returns {string} Mission file contents
+ */
+export const serializeMission = (name, waypoints) => JSON.stringify({
+  type: MISSION_FILE_TYPE,
+  version: MISSION_FILE_VERSION,
+  name,
+  savedAt: new Date().toISOString(),
+  waypoints: waypoints.map(({ lat, lon, depth, dwellSeconds }) => ({ lat, lon, depth, dwellSeconds }))
+}, null, 2);
+
+/**
+ * Reads a mission file. Waypoints get fresh ids; validation is left to validateMission.
+ * @param {string} text - Mission file contents
+ * @returns {{name: string, waypoints: Array<object>}} The mission
+ */
+export const parseMission = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The mission file is not valid JSON');
+  }
+  if (data?.type !== MISSION_FILE_TYPE || !Array.isArray(data.waypoints)) {
+    throw new Error('The file is not a HoloOcean mission');
+  }
+  if (data.version > MISSION_FILE_VERSION) {
+    throw new Error(`Mission file version ${data.version} is newer than this app supports`);
+  }
+  return {
+    name: typeof data.name === 'string' ? data.name : '',
+    waypoints: data.waypoints.map(waypoint => {
+      const [lat, lon, depth] = [waypoint?.lat, waypoint?.lon, waypoint?.depth].map(Number);
+      return createWaypoint(lon, lat, { depth, dwellSeconds: Number(waypoint?.dwellSeconds) || 0 });
+    })
+  };
+};
+
+/**
+ * Whether the agent's reported target is the given waypoint, so that isAtTarget refers to it
+ * rather than to the previous target.
+ * @param {object} target - useHoloOcean target ({ lat, lon, depth })
+ * @param {object} waypoint - Mission waypoint
+ * @returns {boolean}
+ */
+export const isTargetForWaypoint = (target, waypoint) => Boolean(target && waypoint) &&
+  Math.abs(target.lat - waypoint.lat) < TARGET_TOLERANCE_DEG &&
+  Math.abs(target.lon - waypoint.lon) < TARGET_TOLERANCE_DEG &&
+  Math.abs((target.depth ?? 0) - waypoint.depth) < TARGET_TOLERANCE_DEPTH;
+
+const missionService = {
+  MISSION_FILE_TYPE,
+  MISSION_FILE_VERSION,
+  MISSION_STATES,
+  createWaypoint,
+  validateMission,
+  summarizeMission,
+  serializeMission,
+  parseMission,
+  isTargetForWaypoint
+};
+
+export default missionService;
@@ -0,0 +1,57 @@
+import {
+  createWaypoint,
+  validateMission,
+  summarizeMission,
+  serializeMission,
+  parseMission,
+  isTargetForWaypoint
+} from './missionService';
+
+describe('missionService', () => {
+  it('validates waypoints with the HoloOcean coordinate rules', () => {
+    const waypoints = [
+      createWaypoint(-88.5, 30.2, { depth: 10, dwellSeconds: 30 }),
+      createWaypoint(-88.4, 95, { depth: 20 }),
+      createWaypoint(-88.3, 30.1, { depth: 12000, dwellSeconds: -5 })
+    ];
+    const result = validateMission(waypoints);
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      'Waypoint 2: Latitude must be a number between -90 and 90',
+      'Waypoint 3: Depth must be a number between -11000 and 11000 meters',
+      'Waypoint 3: Dwell time must be zero or more seconds'
+    ]);
+    expect(validateMission(waypoints.slice(0, 1)).isValid).toBe(true);
+    expect(validateMission([]).errors).toEqual(['A mission needs at least one waypoint']);
+  });
+
+  it('round-trips missions through JSON files', () => {
+    const waypoints = [
+      createWaypoint(-88.5, 30.2, { depth: 10, dwellSeconds: 30 }),
+      createWaypoint(-88.4, 30.2, { depth: 25 })
+    ];
+    const mission = parseMission(serializeMission('Survey A', waypoints));
+    expect(mission.name).toBe('Survey A');
+    expect(mission.waypoints.map(({ id, ...rest }) => rest)).toEqual([
+      { lat: 30.2, lon: -88.5, depth: 10, dwellSeconds: 30 },
+      { lat: 30.2, lon: -88.4, depth: 25, dwellSeconds: 0 }
+    ]);
+    expect(mission.waypoints[0].id).not.toBe(waypoints[0].id);
+
+    const summary = summarizeMission(waypoints);
+    expect(summary.dwellSeconds).toBe(30);
+    expect(summary.distance).toBeCloseTo(9613, -1);
+
+    expect(() => parseMission('not json')).toThrow('not valid JSON');
+    expect(() => parseMission('{"waypoints": []}')).toThrow('not a HoloOcean mission');
+    expect(() => parseMission('{"type": "holoocean-mission", "version": 9, "waypoints": []}')).toThrow('newer than this app supports');
+  });
+
+  it('matches the reported target to a waypoint', () => {
+    const waypoint = createWaypoint(-88.5, 30.2, { depth: 10 });
+    expect(isTargetForWaypoint({ lat: 30.2, lon: -88.5, depth: 10 }, waypoint)).toBe(true);
+    expect(isTargetForWaypoint({ lat: 30.2, lon: -88.4, depth: 10 }, waypoint)).toBe(false);
+    expect(isTargetForWaypoint({ lat: 30.2, lon: -88.5, depth: 20 }, waypoint)).toBe(false);
+    expect(isTargetForWaypoint(null, waypoint)).toBe(false);
+  });
+});
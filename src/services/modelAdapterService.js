@@ -0,0 +1,252 @@
+/**
+ * Model Adapter Service
+ * Describes how each ocean model's output maps onto the platform's canonical row fields
+ * (lat, lon, depth, time, temp, salinity, nspeed, direction, ...). An adapter declares its
+ * source columns, units, vertical coordinate and time step, and converts raw rows so
+ * NGOFS2, other OFS models and ROMS/FVCOM outputs can be loaded side by side.
+ */
+
+// Canonical fields and the units every adapter converts into
+export const CANONICAL_UNITS = {
+  lat: 'degrees_north',
+  lon: 'degrees_east',
+  depth: 'm',
+  time: 'ISO 8601',
+  temp: 'degC',
+  salinity: 'PSU',
+  nspeed: 'm/s',
+  direction: 'deg',
+  ndirection: 'deg',
+  ssh: 'm',
+  pressure_dbars: 'dbar',
+  sound_speed_ms: 'm/s'
+};
+
+// Conversions from a source unit into the canonical unit of the same quantity
+const UNIT_CONVERSIONS = {
+  K: value => value - 273.15,
+  degF: value => (value - 32) * 5 / 9,
+  'cm/s': value => value / 100,
+  knots: value => value * 0.514444,
+  cm: value => value / 100,
+  ft: value => value * 0.3048,
+  Pa: value => value / 10000,
+  kPa: value => value / 10,
+  rad: value => ((value * 180 / Math.PI) % 360 + 360) % 360
+};
+
+const VERTICAL_COORDINATE_TYPES = ['z', 'sigma', 's'];
+
+// Adapter used for sources that do not name a model
+export const DEFAULT_MODEL_ID = 'NGOFS2';
+
+/**
+ * Built-in adapters. fieldMap maps canonical fields to source columns; vector maps u/v
+ * components when speed/direction have to be derived.
+ */
+const BUILT_IN_ADAPTERS = [
+  {
+    id: 'NGOFS2',
+    label: 'NGOFS2',
+    description: 'Northern Gulf of Mexico Operational Forecast System (FVCOM, served on z-levels)',
+    fieldMap: {
+      lat: 'lat', lon: 'lon', depth: 'depth', time: 'time', temp: 'temp', salinity: 'salinity',
+      nspeed: 'nspeed', direction: 'direction', ndirection: 'ndirection', ssh: 'ssh',
+      pressure_dbars: 'pressure_dbars', sound_speed_ms: 'sound_speed_ms'
+    },
+    units: {},
+    verticalCoordinate: { type: 'z', positive: 'down' },
+    timeStepMinutes: 60
+  },
+  {
+    id: 'FVCOM',
+    label: 'FVCOM',
+    description: 'Generic FVCOM output on sigma layers',
+    fieldMap: { lat: 'lat', lon: 'lon', time: 'time', temp: 'temp', salinity: 'salinity', ssh: 'zeta' },
+    vector: { u: 'u', v: 'v' },
+    units: {},
+    verticalCoordinate: { type: 'sigma', positive: 'up', levelColumn: 'siglay', bathymetryColumn: 'h' },
+    timeStepMinutes: 60
+  },
+  {
+    id: 'ROMS',
+    label: 'ROMS',
+    description: 'Generic ROMS output on s-coordinate levels',
+    fieldMap: { lat: 'lat_rho', lon: 'lon_rho', time: 'ocean_time', temp: 'temp', salinity: 'salt', ssh: 'zeta' },
+    vector: { u: 'u', v: 'v' },
+    units: {},
+    verticalCoordinate: { type: 's', positive: 'up', levelColumn: 's_rho', bathymetryColumn: 'h' },
+    timeStepMinutes: 60
+  }
+];
+
+/**
+ * Validates an adapter definition and fills in derived properties.
+ * @param {object} definition - Adapter definition
+ * @returns {object} Normalized adapter with columns and filterColumns
+ */
+export const normalizeModelAdapter = (definition) => {
+  const { id, fieldMap = {}, vector = null, units = {}, verticalCoordinate = { type: 'z', positive: 'down' } } = definition;
+  if (!id) {
+    throw new Error('Model adapter requires an id');
+  }
+  if (!fieldMap.lat || !fieldMap.lon || !fieldMap.time) {
+    throw new Error(`Model adapter ${id}: fieldMap must map lat, lon and time`);
+  }
+  if (!VERTICAL_COORDINATE_TYPES.includes(verticalCoordinate.type)) {
+    throw new Error(`Model adapter ${id}: unknown vertical coordinate ${JSON.stringify(verticalCoordinate.type)}`);
+  }
+  if (verticalCoordinate.type !== 'z' && (!verticalCoordinate.levelColumn || !verticalCoordinate.bathymetryColumn)) {
+    throw new Error(`Model adapter ${id}: ${verticalCoordinate.type} coordinates need levelColumn and bathymetryColumn`);
+  }
+  Object.entries(units).forEach(([field, unit]) => {
+    if (unit !== CANONICAL_UNITS[field] && !UNIT_CONVERSIONS[unit]) {
+      throw new Error(`Model adapter ${id}: no conversion from ${unit} for ${field}`);
+    }
+  });
+
+  const columns = new Set(Object.values(fieldMap));
+  if (vector) {
+    columns.add(vector.u);
+    columns.add(vector.v);
+  }
+  if (verticalCoordinate.type !== 'z') {
+    columns.add(verticalCoordinate.levelColumn);
+    columns.add(verticalCoordinate.bathymetryColumn);
+  }
+
+  return {
+    label: id,
+    description: '',
+    timeStepMinutes: null,
+    ...definition,
+    fieldMap,
+    vector,
+    units,
+    verticalCoordinate,
+    columns: [...columns],
+    // Depth can only be filtered server-side when the source stores depth directly
+    filterColumns: {
+      time: fieldMap.time,
+      lat: fieldMap.lat,
+      lon: fieldMap.lon,
+      depth: verticalCoordinate.type === 'z' && verticalCoordinate.positive !== 'up' ? (fieldMap.depth || null) : null
+    },
+    orderColumns: [
+      fieldMap.time,
+      verticalCoordinate.type === 'z' ? fieldMap.depth : verticalCoordinate.levelColumn,
+      fieldMap.lat,
+      fieldMap.lon
+    ].filter(Boolean)
+  };
+};
+
+const adapters = new Map(BUILT_IN_ADAPTERS.map(definition => [definition.id, normalizeModelAdapter(definition)]));
+
+/**
+ * Registers (or replaces) a model adapter.
+ * @param {object} definition - Adapter definition
+ * @returns {object} The normalized adapter
+ */
+export const registerModelAdapter = (definition) => {
+  const adapter = normalizeModelAdapter(definition);
+  adapters.set(adapter.id, adapter);
+  return adapter;
+};
+
+/**
+ * @param {string} modelId - Adapter id (e.g., 'NGOFS2')
+ * @returns {object|null} The adapter, or null if none is registered
+ */
+export const getModelAdapter = (modelId) => adapters.get(modelId) || null;
+
+/**
+ * @returns {Array<object>} All registered adapters
+ */
+export const getModelAdapters = () => Array.from(adapters.values());
+
+/**
+ * Reads a numeric source value and converts it to the canonical unit.
+ * @param {object} adapter - Model adapter
+ * @param {string} field - Canonical field name
+ * @param {*} value - Raw value
+ * @returns {*} Converted value (non-numeric values pass through)
+ */
+const convertValue = (adapter, field, value) => {
+  const unit = adapter.units[field];
+  if (!unit || unit === CANONICAL_UNITS[field] || value === null || value === undefined || value === '') {
+    return value;
+  }
+  const number = parseFloat(value);
+  return isNaN(number) ? value : UNIT_CONVERSIONS[unit](number);
+};
+
+/**
+ * Converts one raw source row into a canonical row.
+ * @param {object} adapter - Model adapter
+ * @param {object} row - Raw row from the source table
+ * @returns {object} Canonical row tagged with the adapter id
+ */
+export const toCanonicalRow = (adapter, row) => {
+  const canonical = {};
+  Object.entries(adapter.fieldMap).forEach(([field, column]) => {
+    canonical[field] = convertValue(adapter, field, row[column]);
+  });
+
+  if (adapter.vector) {
+    const u = parseFloat(convertValue(adapter, 'nspeed', row[adapter.vector.u]));
+    const v = parseFloat(convertValue(adapter, 'nspeed', row[adapter.vector.v]));
+    if (!isNaN(u) && !isNaN(v)) {
+      canonical.nspeed = Math.sqrt(u * u + v * v);
+      // Oceanographic convention: direction the current flows toward, clockwise from north
+      canonical.direction = (Math.atan2(u, v) * 180 / Math.PI + 360) % 360;
+    }
+  }
+
+  const { type, positive, levelColumn, bathymetryColumn } = adapter.verticalCoordinate;
+  if (type === 'z') {
+    const depth = parseFloat(canonical.depth);
+    if (!isNaN(depth) && positive === 'up') {
+      canonical.depth = -depth;
+    }
+  } else {
+    // Terrain-following levels: depth is the level fraction (-1 at the bed, 0 at the surface)
+    // times the water column height; stretching functions are not applied
+    const level = parseFloat(row[levelColumn]);
+    const bathymetry = parseFloat(convertValue(adapter, 'depth', row[bathymetryColumn]));
+    canonical.depth = !isNaN(level) && !isNaN(bathymetry) ? Math.abs(level) * bathymetry : null;
+  }
+
+  return {
+    ...canonical,
+    model: adapter.id
+  };
+};
+
+/**
+ * Returns the display metadata for an adapter (safe to pass to components).
+ * @param {object} adapter - Model adapter
+ * @returns {object} Adapter summary
+ */
+export const describeModelAdapter = (adapter) => ({
+  id: adapter.id,
+  label: adapter.label,
+  description: adapter.description,
+  units: { ...CANONICAL_UNITS },
+  sourceUnits: { ...adapter.units },
+  verticalCoordinate: adapter.verticalCoordinate.type,
+  timeStepMinutes: adapter.timeStepMinutes
+});
+
+const modelAdapterService = {
+  CANONICAL_UNITS,
+  DEFAULT_MODEL_ID,
+  normalizeModelAdapter,
+  registerModelAdapter,
+  getModelAdapter,
+  getModelAdapters,
+  toCanonicalRow,
+  describeModelAdapter
+};
+
+export default modelAdapterService;
@@ -0,0 +1,41 @@
+import {
+  getModelAdapter,
+  normalizeModelAdapter,
+  registerModelAdapter,
+  toCanonicalRow
+} from './modelAdapterService';
+
+describe('modelAdapterService', () => {
+  test('NGOFS2 rows pass through unchanged apart from the model tag', () => {
+    const adapter = getModelAdapter('NGOFS2');
+    const row = { lat: 30, lon: -89, depth: 5, time: '2025-08-01T00:00:00Z', temp: 28, nspeed: 0.4, direction: 90 };
+
+    expect(toCanonicalRow(adapter, row)).toMatchObject({ ...row, model: 'NGOFS2' });
+    expect(adapter.filterColumns.depth).toBe('depth');
+  });
+
+  test('converts units, vector components and positive-up depths', () => {
+    const adapter = registerModelAdapter({
+      id: 'TEST_OFS',
+      fieldMap: { lat: 'y', lon: 'x', time: 't', depth: 'z', temp: 'water_temp' },
+      vector: { u: 'u', v: 'v' },
+      units: { temp: 'K', nspeed: 'cm/s' },
+      verticalCoordinate: { type: 'z', positive: 'up' }
+    });
+
+    const row = toCanonicalRow(adapter, { y: 30, x: -89, t: '2025-08-01T00:00:00Z', z: -12, water_temp: 300.15, u: 30, v: 0 });
+
+    expect(row).toMatchObject({ lat: 30, lon: -89, depth: 12, temp: 27, model: 'TEST_OFS' });
+    expect(row.nspeed).toBeCloseTo(0.3);
+    expect(row.direction).toBeCloseTo(90);
+    expect(adapter.filterColumns.depth).toBeNull();
+  });
+
+  test('rejects incomplete adapter definitions', () => {
+    expect(() => normalizeModelAdapter({ id: 'X', fieldMap: { lat: 'lat' } })).toThrow('lat, lon and time');
+    expect(() => normalizeModelAdapter({ id: 'X', fieldMap: { lat: 'a', lon: 'b', time: 'c' }, verticalCoordinate: { type: 'sigma' } }))
+      .toThrow('levelColumn');
+    expect(() => normalizeModelAdapter({ id: 'X', fieldMap: { lat: 'a', lon: 'b', time: 'c' }, units: { temp: 'furlongs' } }))
+      .toThrow('no conversion');
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * NetCDF Service
+ * Writes NetCDF-3 classic (CDF-1) files in the browser. Only fixed-size dimensions are
+ * supported (no record dimension), which is enough for exports where every length is known
+ * up front. Values are written big-endian as the format requires.
+ */
+
+// nc_type codes and byte sizes
+export const NC_TYPES = {
+  byte: { code: 1, size: 1 },
+  char: { code: 2, size: 1 },
+  short: { code: 3, size: 2 },
+  int: { code: 4, size: 4 },
+  float: { code: 5, size: 4 },
+  double: { code: 6, size: 8 }
+};
+
+// Default fill values of the classic format
+export const NC_FILL = {
+  byte: -127,
+  char: 0,
+  short: -32767,
+  int: -2147483647,
+  float: 9.969209968386869e36,
+  double: 9.969209968386869e36
+};
+
+const NC_DIMENSION = 10;
+const NC_VARIABLE = 11;
+const NC_ATTRIBUTE = 12;
+
+const padded = (length) => Math.ceil(length / 4) * 4;
+
+/**
+ * @param {*} value - Attribute value: string, number, or array of numbers
+ * @param {string} fallbackType - Type of numeric attributes without their own
+ * @returns {{type: string, values: Array|string}} Attribute type and values
+ */
+const describeAttribute = (value, fallbackType) => {
+  if (typeof value === 'string') return { type: 'char', values: value };
+  if (value && typeof value === 'object' && !Array.isArray(value) && value.type) return value;
+  return { type: fallbackType, values: Array.isArray(value) ? value : [value] };
+};
+
+/**
+ * Byte writer that grows as needed.
+ */
+class ByteWriter {
+  constructor(size = 1024) {
+    this.buffer = new ArrayBuffer(size);
+    this.view = new DataView(this.buffer);
+    this.offset = 0;
+    this.encoder = new TextEncoder();
+  }
+
+  ensure(bytes) {
+    if (this.offset + bytes <= this.buffer.byteLength) return;
+    let size = this.buffer.byteLength * 2;
+    while (size < this.offset + bytes) size *= 2;
+    const next = new ArrayBuffer(size);
+    new Uint8Array(next).set(new Uint8Array(this.buffer));
+    this.buffer = next;
+    this.view = new DataView(next);
+  }
+
+  int(value) {
+    this.ensure(4);
+    this.view.setInt32(this.offset, value);
+    this.offset += 4;
+  }
+
+  pad() {
+    const target = padded(this.offset);
+    this.ensure(target - this.offset);
+    while (this.offset < target) this.view.setUint8(this.offset++, 0);
+  }
+
+  name(text) {
+    const bytes = this.encoder.encode(text);
+    this.int(bytes.length);
+    this.ensure(bytes.length);
+    new Uint8Array(this.buffer, this.offset, bytes.length).set(bytes);
+    this.offset += bytes.length;
+    this.pad();
+  }
+
+  values(type, values) {
+    if (type === 'char') {
+      const bytes = typeof values === 'string' ? this.encoder.encode(values) : Uint8Array.from(values);
+      this.ensure(bytes.length);
+      new Uint8Array(this.buffer, this.offset, bytes.length).set(bytes);
+      this.offset += bytes.length;
+    } else {
+      const { size } = NC_TYPES[type];
+      this.ensure(values.length * size);
+      for (let i = 0; i < values.length; i++) {
+        const value = values[i];
+        const missing = value === null || value === undefined || Number.isNaN(value);
+        const number = missing ? NC_FILL[type] : value;
+        if (type === 'byte') this.view.setInt8(this.offset, number);
+        else if (type === 'short') this.view.setInt16(this.offset, number);
+        else if (type === 'int') this.view.setInt32(this.offset, number);
+        else if (type === 'float') this.view.setFloat32(this.offset, number);
+        else this.view.setFloat64(this.offset, number);
+        this.offset += size;
+      }
+    }
+    this.pad();
+  }
+
+  attributes(attrs, fallbackType) {
+    const entries = Object.entries(attrs || {}).filter(([, value]) => value !== null && value !== undefined);
+    if (entries.length === 0) {
+      this.int(0);
+      this.int(0);
+      return;
+    }
+    this.int(NC_ATTRIBUTE);
+    this.int(entries.length);
+    entries.forEach(([name, value]) => {
+      const { type, values } = describeAttribute(value, fallbackType);
+      this.name(name);
+      this.int(NC_TYPES[type].code);
+      this.int(type === 'char' ? this.encoder.encode(values).length : values.length);
+      this.values(type, values);
+    });
+  }
+
+  result() {
+    return this.buffer.slice(0, this.offset);
+  }
+}
+
+/**
+ * Encodes a dataset as a NetCDF-3 classic file.
+ * @param {object} dataset - Dataset description
+ * @param {object} dataset.dims - Length per dimension name
+ * @param {object} dataset.attrs - Global attributes (strings, numbers or arrays of numbers)
+ * @param {object} dataset.variables - { name: { type, dims, attrs, data } }; type is a NC_TYPES
+ * key, data a flat array in row-major order (null, undefined and NaN are written as the fill value)
+ * @returns {ArrayBuffer} File contents
+ */
+export const encodeNetcdf3 = ({ dims = {}, attrs = {}, variables = {} }) => {
+  const dimNames = Object.keys(dims);
+  const variableEntries = Object.entries(variables);
+
+  variableEntries.forEach(([name, variable]) => {
+    if (!NC_TYPES[variable.type]) throw new Error(`Unsupported NetCDF type for ${name}: ${variable.type}`);
+    const expected = (variable.dims || []).reduce((product, dim) => {
+      if (!(dim in dims)) throw new Error(`Variable ${name} uses undefined dimension ${dim}`);
+      return product * dims[dim];
+    }, 1);
+    if (variable.data.length !== expected) {
+      throw new Error(`Variable ${name} has ${variable.data.length} values, expected ${expected}`);
+    }
+  });
+
+  // The header is written twice: once to learn its length, then with the data offsets
+  const writeHeader = (begins) => {
+    const writer = new ByteWriter();
+    writer.values('char', 'CDF\x01');
+    writer.int(0); // numrecs: no record dimension
+    if (dimNames.length === 0) {
+      writer.int(0);
+      writer.int(0);
+    } else {
+      writer.int(NC_DIMENSION);
+      writer.int(dimNames.length);
+      dimNames.forEach(name => {
+        writer.name(name);
+        writer.int(dims[name]);
+      });
+    }
+    writer.attributes(attrs, 'double');
+    if (variableEntries.length === 0) {
+      writer.int(0);
+      writer.int(0);
+    } else {
+      writer.int(NC_VARIABLE);
+      writer.int(variableEntries.length);
+      variableEntries.forEach(([name, variable], i) => {
+        const variableDims = variable.dims || [];
+        writer.name(name);
+        writer.int(variableDims.length);
+        variableDims.forEach(dim => writer.int(dimNames.indexOf(dim)));
+        writer.attributes(variable.attrs, variable.type);
+        writer.int(NC_TYPES[variable.type].code);
+        writer.int(padded(variable.data.length * NC_TYPES[variable.type].size));
+        writer.int(begins[i]);
+      });
+    }
+    return writer;
+  };
+
+  const headerLength = writeHeader(variableEntries.map(() => 0)).offset;
+  const begins = [];
+  let offset = headerLength;
+  variableEntries.forEach(([, variable]) => {
+    begins.push(offset);
+    offset += padded(variable.data.length * NC_TYPES[variable.type].size);
+  });
+  if (offset > 2147483647) throw new Error('Dataset is too large for a NetCDF-3 classic file');
+
+  const writer = writeHeader(begins);
+  variableEntries.forEach(([, variable]) => writer.values(variable.type, variable.data));
+  return writer.result();
+};
+
+const netcdfService = {
+  NC_TYPES,
+  NC_FILL,
+  encodeNetcdf3
+};
+
+export default netcdfService;
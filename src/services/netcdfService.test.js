@@ -0,0 +1,43 @@
+import { encodeNetcdf3, NC_FILL } from './netcdfService';
+
+const readName = (view, offset) => {
+  const length = view.getInt32(offset);
+  const text = String.fromCharCode(...new Uint8Array(view.buffer, offset + 4, length));
+  return { text, next: offset + 4 + Math.ceil(length / 4) * 4 };
+};
+
+describe('netcdfService', () => {
+  it('writes a classic header and big-endian data at the declared offsets', () => {
+    const buffer = encodeNetcdf3({
+      dims: { obs: 3 },
+      attrs: { Conventions: 'CF-1.8' },
+      variables: {
+        temp: { type: 'float', dims: ['obs'], attrs: { units: 'degree_Celsius' }, data: [1.5, null, 3] }
+      }
+    });
+    const view = new DataView(buffer);
+    expect(String.fromCharCode(...new Uint8Array(buffer, 0, 3))).toBe('CDF');
+    expect(view.getUint8(3)).toBe(1);
+
+    // dim_list: NC_DIMENSION, 1 dimension "obs" of length 3
+    expect(view.getInt32(8)).toBe(10);
+    expect(view.getInt32(12)).toBe(1);
+    const dim = readName(view, 16);
+    expect(dim.text).toBe('obs');
+    expect(view.getInt32(dim.next)).toBe(3);
+
+    // The last 12 bytes are the variable's data; begin (the header's last int) points at them
+    const begin = view.getInt32(buffer.byteLength - 16);
+    expect(begin).toBe(buffer.byteLength - 12);
+    expect(view.getFloat32(begin)).toBe(1.5);
+    expect(view.getFloat32(begin + 4)).toBeCloseTo(NC_FILL.float, -30);
+    expect(view.getFloat32(begin + 8)).toBe(3);
+  });
+
+  it('rejects data that does not match its dimensions', () => {
+    expect(() => encodeNetcdf3({
+      dims: { obs: 2 },
+      variables: { temp: { type: 'float', dims: ['obs'], data: [1] } }
+    })).toThrow('expected 2');
+  });
+});
@@ -0,0 +1,425 @@
+/**
+ * Observation Service
+ * Parses buoy and tide-gauge observations into the platform's row schema so they can be shown
+ * and compared alongside model output:
+ * - NDBC standard meteorological (stdmet) and oceanographic (.ocean) text files, realtime or
+ *   historical
+ * - NOAA CO-OPS Data API water level, water temperature, salinity and currents products, as
+ *   JSON or CSV
+ *
+ * Rows use canonical units (degC, PSU, m/s, m) and carry the station id, name and source.
+ * Currents use the model rows' fields (nspeed/direction); wind has its own wind_speed and
+ * wind_direction, which no model row carries. Directions follow the platform convention of the
+ * direction a vector points toward, so NDBC wind directions (reported as the direction the wind
+ * comes from) are turned around. Water
+ * levels go into ssh relative to the product's datum (MLLW for NDBC TIDE, the requested datum
+ * for CO-OPS), which is not the model's reference level.
+ */
+
+import Papa from 'papaparse';
+
+// Model id stamped on observation rows
+export const OBSERVATION_MODEL_ID = 'OBS';
+
+export const OBSERVATION_SOURCES = {
+  ndbc: 'NDBC',
+  coops: 'CO-OPS'
+};
+
+export const OBSERVATION_FORMATS = ['ndbc', 'coops-json', 'coops-csv'];
+
+export const COOPS_PRODUCTS = ['water_level', 'predictions', 'water_temperature', 'salinity', 'currents'];
+
+// NDBC columns and the row fields they fill; missing is the column's "no data" value in
+// historical files (realtime files use MM)
+const NDBC_COLUMNS = {
+  WDIR: { field: 'wind_direction', missing: 999 },
+  WD: { field: 'wind_direction', missing: 999 },
+  WSPD: { field: 'wind_speed', missing: 99 },
+  GST: { field: 'wind_gust', missing: 99 },
+  WVHT: { field: 'wave_height', missing: 99 },
+  DPD: { field: 'wave_period', missing: 99 },
+  PRES: { field: 'air_pressure', missing: 9999 },
+  BAR: { field: 'air_pressure', missing: 9999 },
+  ATMP: { field: 'air_temp', missing: 999 },
+  WTMP: { field: 'temp', missing: 999 },
+  TIDE: { field: 'ssh', missing: 99 },
+  DEPTH: { field: 'depth', missing: 9999 },
+  OTMP: { field: 'temp', missing: 999 },
+  SAL: { field: 'salinity', missing: 99 }
+};
+
+const FEET_TO_METERS = 0.3048;
+const KNOTS_TO_MS = 0.514444;
+
+/**
+ * @param {string} value - Cell text
+ * @param {number} missing - The column's "no data" value
+ * @returns {number|null} Value, or null for MM, sentinels and unreadable text
+ */
+const parseNdbcValue = (value, missing) => {
+  if (value === undefined || value === 'MM') return null;
+  const number = parseFloat(value);
+  if (isNaN(number) || (missing !== undefined && number >= missing)) return null;
+  return number;
+};
+
+/**
+ * @param {object} station - { id, name, lat, lon }
+ * @param {string} source - OBSERVATION_SOURCES value
+ * @returns {object} Row fields shared by every observation of the station
+ */
+const stationFields = (station, source) => ({
+  lat: Number(station.lat),
+  lon: Number(station.lon),
+  station_id: String(station.id),
+  station_name: station.name || String(station.id),
+  obs_source: source,
+  model: OBSERVATION_MODEL_ID
+});
+
+/**
+ * @param {object} station - Station to validate
+ * @returns {object} The station
+ */
+const requireStation = (station) => {
+  if (!station || station.id === undefined || station.id === null || station.id === '') {
+    throw new Error('Observation station id is required');
+  }
+  const lat = Number(station.lat);
+  const lon = Number(station.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    throw new Error(`Station ${station.id} needs a valid latitude and longitude`);
+  }
+  return station;
+};
+
+/**
+ * Parses an NDBC standard meteorological or oceanographic text file.
+ * @param {string} text - File contents
+ * @param {object} station - { id, name, lat, lon }; NDBC files carry no location
+ * @returns {Array<object>} Rows in canonical units, oldest first
+ */
+export const parseNdbcText = (text, station) => {
+  requireStation(station);
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const headerIndex = lines.findIndex(line => /^#?\s*(YY|YYYY)\b/.test(line.trim()));
+  if (headerIndex < 0) throw new Error('Not an NDBC data file: no YY MM DD hh header line');
+  const columns = lines[headerIndex].replace(/^#/, '').trim().split(/\s+/);
+  const index = (name) => columns.indexOf(name);
+  const yearIndex = index('YY') >= 0 ? index('YY') : index('YYYY');
+  const [monthIndex, dayIndex, hourIndex, minuteIndex] = ['MM', 'DD', 'hh', 'mm'].map(index);
+  if (monthIndex < 0 || dayIndex < 0 || hourIndex < 0) throw new Error('NDBC header is missing MM, DD or hh');
+
+  const shared = stationFields(station, OBSERVATION_SOURCES.ndbc);
+  const rows = [];
+  lines.slice(headerIndex + 1).forEach(line => {
+    if (line.startsWith('#')) return; // units line
+    const cells = line.trim().split(/\s+/);
+    let year = parseInt(cells[yearIndex], 10);
+    if (year < 100) year += 1900;
+    const time = Date.UTC(year, parseInt(cells[monthIndex], 10) - 1, parseInt(cells[dayIndex], 10),
+      parseInt(cells[hourIndex], 10), minuteIndex >= 0 ? parseInt(cells[minuteIndex], 10) : 0);
+    if (isNaN(time)) return;
+
+    const row = { ...shared, time: new Date(time).toISOString(), depth: 0 };
+    Object.entries(NDBC_COLUMNS).forEach(([column, { field, missing }]) => {
+      const i = index(column);
+      if (i < 0) return;
+      const value = parseNdbcValue(cells[i], missing);
+      if (value !== null || row[field] === undefined) row[field] = value;
+    });
+    if (row.depth === null) row.depth = 0;
+    if (row.ssh !== null && row.ssh !== undefined) {
+      row.ssh *= FEET_TO_METERS;
+      row.datum = 'MLLW';
+    }
+    // Meteorological direction (from) to the platform's toward convention
+    if (row.wind_direction !== null && row.wind_direction !== undefined) row.wind_direction = (row.wind_direction + 180) % 360;
+    rows.push(row);
+  });
+  return rows.sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+};
+
+/**
+ * @param {string} text - CO-OPS time ("2025-08-01 00:00", GMT)
+ * @returns {string|null} ISO time
+ */
+const parseCoopsTime = (text) => {
+  const time = Date.parse(`${String(text).trim().replace(' ', 'T')}:00Z`);
+  return isNaN(time) ? null : new Date(time).toISOString();
+};
+
+/**
+ * Converts one CO-OPS record into a row.
+ * @param {object} values - { time, value, speed, direction, bin } as text
+ * @param {string} product - COOPS_PRODUCTS value
+ * @param {object} options - { units: 'metric'|'english', datum }
+ * @returns {object|null} Row fields, or null without a readable time
+ */
+const coopsRowFields = ({ time, value, speed, direction, bin }, product, { units = 'metric', datum = null }) => {
+  const iso = parseCoopsTime(time);
+  if (!iso) return null;
+  const number = (text) => {
+    const parsed = parseFloat(text);
+    return isNaN(parsed) ? null : parsed;
+  };
+  const english = units === 'english';
+  const fields = { time: iso, depth: 0 };
+  if (product === 'currents') {
+    const rawSpeed = number(speed);
+    // Currents come in cm/s (metric) or knots (english)
+    fields.nspeed = rawSpeed === null ? null : (english ? rawSpeed * KNOTS_TO_MS : rawSpeed / 100);
+    fields.direction = number(direction);
+    fields.bin = number(bin);
+  } else if (product === 'water_temperature') {
+    const temp = number(value);
+    fields.temp = temp === null ? null : (english ? (temp - 32) * 5 / 9 : temp);
+  } else if (product === 'salinity') {
+    fields.salinity = number(value);
+  } else {
+    const level = number(value);
+    fields.ssh = level === null ? null : (english ? level * FEET_TO_METERS : level);
+    fields.datum = datum;
+  }
+  return fields;
+};
+
+/**
+ * Parses a CO-OPS Data API JSON response.
+ * @param {object} doc - Parsed JSON
+ * @param {object} options - Parse options
+ * @param {string} options.product - COOPS_PRODUCTS value (currents are detected from the data)
+ * @param {string} options.units - 'metric' or 'english', as requested from the API
+ * @param {string} options.datum - Water level datum, as requested
+ * @param {object} options.station - { id, name, lat, lon } when the response has no metadata
+ * @returns {Array<object>} Rows in canonical units, oldest first
+ */
+export const parseCoopsJson = (doc, { product = 'water_level', units = 'metric', datum = 'MSL', station = null } = {}) => {
+  if (doc?.error) throw new Error(`CO-OPS: ${doc.error.message || 'request failed'}`);
+  const records = doc?.data || doc?.predictions || doc?.current_predictions?.cp;
+  if (!Array.isArray(records)) throw new Error('Not a CO-OPS response: no data or predictions array');
+  const meta = doc.metadata || {};
+  const resolvedStation = requireStation({
+    id: meta.id ?? station?.id,
+    name: meta.name ?? station?.name,
+    lat: meta.lat ?? station?.lat,
+    lon: meta.lon ?? station?.lon
+  });
+  const resolvedProduct = records.some(record => 'd' in record && 's' in record) ? 'currents' : product;
+  const shared = stationFields(resolvedStation, OBSERVATION_SOURCES.coops);
+  return records
+    .map(record => {
+      const fields = coopsRowFields({
+        time: record.t,
+        value: resolvedProduct === 'salinity' ? record.s : record.v,
+        speed: record.s,
+        direction: record.d,
+        bin: record.b
+      }, resolvedProduct, { units, datum });
+      return fields && { ...shared, ...fields };
+    })
+    .filter(Boolean)
+    .sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+};
+
+/**
+ * Parses a CO-OPS Data API CSV response. The product is read from the column names.
+ * @param {string} text - CSV contents
+ * @param {object} options - Parse options
+ * @param {object} options.station - { id, name, lat, lon }; CSV responses carry no location
+ * @param {string} options.units - 'metric' or 'english', as requested from the API
+ * @param {string} options.datum - Water level datum, as requested
+ * @returns {Array<object>} Rows in canonical units, oldest first
+ */
+export const parseCoopsCsv = (text, { station, units = 'metric', datum = 'MSL' } = {}) => {
+  requireStation(station);
+  const result = Papa.parse(text.trim(), { header: true, skipEmptyLines: true, transformHeader: header => header.trim().toLowerCase() });
+  const columns = result.meta.fields || [];
+  const find = (pattern) => columns.find(column => pattern.test(column));
+  const timeColumn = find(/^date time/);
+  if (!timeColumn) throw new Error('Not a CO-OPS CSV: no "Date Time" column');
+
+  const speedColumn = find(/^speed/);
+  const directionColumn = find(/^direction/);
+  const valueColumn = find(/^water level|^prediction/) || find(/^water temperature/) || find(/^salinity/);
+  const product = speedColumn && directionColumn ? 'currents'
+    : /^water temperature/.test(valueColumn || '') ? 'water_temperature'
+      : /^salinity/.test(valueColumn || '') ? 'salinity'
+        : valueColumn ? 'water_level' : null;
+  if (!product) throw new Error(`Unrecognized CO-OPS CSV columns: ${columns.join(', ')}`);
+
+  const shared = stationFields(station, OBSERVATION_SOURCES.coops);
+  return result.data
+    .map(record => {
+      const fields = coopsRowFields({
+        time: record[timeColumn],
+        value: record[valueColumn],
+        speed: record[speedColumn],
+        direction: record[directionColumn],
+        bin: record[find(/^bin/)]
+      }, product, { units, datum });
+      return fields && { ...shared, ...fields };
+    })
+    .filter(Boolean)
+    .sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+};
+
+/**
+ * @param {string} name - File name or URL
+ * @param {string} text - Contents
+ * @returns {string} OBSERVATION_FORMATS value
+ */
+export const detectObservationFormat = (name, text) => {
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('{')) return 'coops-json';
+  if (/^#?\s*(YY|YYYY)\b/.test(trimmed)) return 'ndbc';
+  if (/^date time/i.test(trimmed)) return 'coops-csv';
+  throw new Error(`Cannot tell the observation format of ${name}`);
+};
+
+/**
+ * @param {string} name - File name or URL
+ * @returns {object} Options read from a CO-OPS query string (station, product, units, datum)
+ * and an NDBC station id from the file name (e.g. 42040h2024.txt or 42040.ocean)
+ */
+export const guessObservationOptions = (name) => {
+  const options = {};
+  const queryIndex = name.indexOf('?');
+  if (queryIndex >= 0) {
+    const params = new URLSearchParams(name.slice(queryIndex + 1));
+    if (params.get('station')) options.stationId = params.get('station');
+    if (params.get('product')) options.product = params.get('product');
+    if (params.get('units')) options.units = params.get('units');
+    if (params.get('datum')) options.datum = params.get('datum');
+  }
+  if (!options.stationId) {
+    const base = name.split('?')[0].split('/').pop();
+    const match = base.match(/^([A-Za-z0-9]{5})(?=h\d{4}|\.txt|\.ocean|\.spec)/);
+    if (match) options.stationId = match[1].toUpperCase();
+  }
+  return options;
+};
+
+/**
+ * Parses observation text of any supported format.
+ * @param {string} text - Contents
+ * @param {object} options - Parse options
+ * @param {string} options.name - File name or URL
+ * @param {string} options.format - OBSERVATION_FORMATS value (detected when omitted)
+ * @param {object} options.station - { id, name, lat, lon }
+ * @returns {{format: string, station: object, rows: Array<object>}} Parsed observations
+ */
+export const parseObservations = (text, { name = 'observations', format = null, station = null, ...options } = {}) => {
+  const resolvedFormat = format || detectObservationFormat(name, text);
+  const guessed = guessObservationOptions(name);
+  const merged = { product: guessed.product, units: guessed.units, datum: guessed.datum, ...options };
+  Object.keys(merged).forEach(key => merged[key] === undefined && delete merged[key]);
+  let rows;
+  if (resolvedFormat === 'ndbc') rows = parseNdbcText(text, station);
+  else if (resolvedFormat === 'coops-csv') rows = parseCoopsCsv(text, { ...merged, station });
+  else rows = parseCoopsJson(JSON.parse(text), { ...merged, station });
+  if (rows.length === 0) throw new Error(`${name} has no observations`);
+  const { station_id: id, station_name: stationName, lat, lon, obs_source: source } = rows[0];
+  return { format: resolvedFormat, station: { id, name: stationName, lat, lon, source }, rows };
+};
+
+/**
+ * Loads observations from a URL.
+ * @param {string} url - NDBC file or CO-OPS Data API URL
+ * @param {object} options - parseObservations options
+ * @returns {Promise<object>} parseObservations output
+ */
+export const fetchObservations = async (url, options = {}) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  return parseObservations(await response.text(), { name: url, ...options });
+};
+
+/**
+ * Loads the observation sources config: { stations: [{ id, name, lat, lon }], sources: [{ url,
+ * format, product, units, datum, station }] }, where a source's station is a station id or
+ * object.
+ * @param {string} url - URL of the JSON config (defaults to REACT_APP_OBSERVATION_CONFIG_URL)
+ * @returns {Promise<{stations: Array<object>, sources: Array<object>}>} The config (empty when
+ * no URL is configured)
+ */
+export const loadObservationConfig = async (url = process.env.REACT_APP_OBSERVATION_CONFIG_URL) => {
+  if (!url) return { stations: [], sources: [] };
+  const response = await fetch(url, { headers: { Accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  const config = await response.json();
+  return { stations: config.stations || [], sources: config.sources || [] };
+};
+
+/**
+ * Observation stations for the map, with the observation nearest a time.
+ * @param {Array<object>} datasets - Loaded datasets: { id, station, rows, label }
+ * @param {string|number} time - Time to match (ISO string or epoch ms), or null for the latest
+ * @returns {Array<object>} Stations: { id, name, type, coordinates, dataPoints, timeRange,
+ * sourceFiles, availableParameters, observation, observationGap, rows }
+ */
+export const buildObservationStations = (datasets, time = null) => {
+  const target = time === null ? null : new Date(time).getTime();
+  const byStation = new Map();
+  datasets.forEach(dataset => {
+    const key = `${dataset.station.source}:${dataset.station.id}`;
+    if (!byStation.has(key)) byStation.set(key, { station: dataset.station, datasets: [] });
+    byStation.get(key).datasets.push(dataset);
+  });
+
+  return Array.from(byStation.values()).map(({ station, datasets: stationDatasets }) => {
+    const rows = stationDatasets.flatMap(dataset => dataset.rows);
+    const times = rows.map(row => Date.parse(row.time));
+    let nearest = rows[rows.length - 1];
+    let start = Infinity;
+    let end = -Infinity;
+    let bestGap = Infinity;
+    rows.forEach((row, i) => {
+      if (times[i] < start) start = times[i];
+      if (times[i] > end) end = times[i];
+      const gap = target === null ? end - times[i] : Math.abs(times[i] - target);
+      if (gap < bestGap) {
+        bestGap = gap;
+        nearest = row;
+      }
+    });
+    const parameters = ['temp', 'salinity', 'ssh', 'nspeed', 'wind_speed', 'wave_height']
+      .filter(field => rows.some(row => row[field] !== null && row[field] !== undefined));
+    return {
+      id: `${station.source}:${station.id}`,
+      name: `${station.name} (${station.id})`,
+      type: station.source === OBSERVATION_SOURCES.ndbc ? 'ndbc' : 'coops',
+      coordinates: [station.lon, station.lat],
+      dataPoints: rows.length,
+      timeRange: { start: new Date(start), end: new Date(end) },
+      sourceFiles: stationDatasets.map(dataset => dataset.label),
+      availableParameters: parameters,
+      observation: nearest,
+      observationGap: bestGap,
+      rows
+    };
+  });
+};
+
+const observationService = {
+  OBSERVATION_MODEL_ID,
+  OBSERVATION_SOURCES,
+  OBSERVATION_FORMATS,
+  COOPS_PRODUCTS,
+  parseNdbcText,
+  parseCoopsJson,
+  parseCoopsCsv,
+  detectObservationFormat,
+  guessObservationOptions,
+  parseObservations,
+  fetchObservations,
+  loadObservationConfig,
+  buildObservationStations
+};
+
+export default observationService;
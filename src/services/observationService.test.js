@@ -0,0 +1,69 @@
+import {
+  parseNdbcText,
+  parseCoopsJson,
+  parseCoopsCsv,
+  parseObservations,
+  guessObservationOptions,
+  buildObservationStations
+} from './observationService';
+
+const station = { id: '42040', name: 'Luke Offshore', lat: 29.2, lon: -88.2 };
+
+const ndbcStdmet = [
+  '#YY  MM DD hh mm WDIR WSPD GST  WVHT   DPD   APD MWD   PRES  ATMP  WTMP  DEWP  VIS PTDY  TIDE',
+  '#yr  mo dy hr mn degT m/s  m/s     m   sec   sec degT   hPa  degC  degC  degC  nmi  hPa    ft',
+  '2025 08 01 01 00  90  5.0  6.0   0.8     5    MM  MM 1015.0  28.1  30.2  24.0   MM   MM   1.0',
+  '2025 08 01 00 00 270  4.0  5.0    MM     5    MM  MM 1014.8  28.0   999  24.0   MM   MM    MM'
+].join('\n');
+
+describe('observationService', () => {
+  it('parses NDBC stdmet rows into canonical units and the toward convention', () => {
+    const rows = parseNdbcText(ndbcStdmet, station);
+    expect(rows).toHaveLength(2);
+    expect(rows[0].time).toBe('2025-08-01T00:00:00.000Z');
+    expect(rows[0]).toMatchObject({ temp: null, wind_direction: 90, wind_speed: 4, wave_height: null, ssh: null });
+    expect(rows[1]).toMatchObject({ temp: 30.2, wind_direction: 270, wind_speed: 5, air_pressure: 1015, datum: 'MLLW' });
+    expect(rows[1].ssh).toBeCloseTo(0.3048, 4);
+    // Wind stays out of the current fields
+    expect(rows[1].nspeed).toBeUndefined();
+    expect(rows[1]).toMatchObject({ lat: 29.2, lon: -88.2, station_id: '42040', obs_source: 'NDBC', model: 'OBS' });
+    expect(() => parseNdbcText(ndbcStdmet, { id: '42040' })).toThrow('latitude and longitude');
+  });
+
+  it('parses CO-OPS JSON water levels and currents', () => {
+    const waterLevel = parseCoopsJson({
+      metadata: { id: '8735180', name: 'Dauphin Island', lat: '30.2500', lon: '-88.0750' },
+      data: [{ t: '2025-08-01 00:06', v: '0.512', s: '0.003', f: '0,0,0,0', q: 'p' }]
+    }, { datum: 'MLLW' });
+    expect(waterLevel[0]).toMatchObject({ time: '2025-08-01T00:06:00.000Z', ssh: 0.512, datum: 'MLLW', lat: 30.25, station_name: 'Dauphin Island' });
+
+    const currents = parseCoopsJson({
+      metadata: { id: 'mb0101', name: 'Mobile Bay Entrance', lat: '30.23', lon: '-88.03' },
+      data: [{ t: '2025-08-01 00:00', s: '2.00', d: '180', b: '1' }]
+    }, { units: 'english' });
+    expect(currents[0].nspeed).toBeCloseTo(1.0289, 4);
+    expect(currents[0].direction).toBe(180);
+    expect(() => parseCoopsJson({ error: { message: 'No data was found.' } })).toThrow('No data was found');
+  });
+
+  it('detects the CO-OPS CSV product from its columns', () => {
+    const csv = 'Date Time, Water Temperature, X, N, R \n2025-08-01 00:00,86.0,0,0,0\n';
+    const rows = parseCoopsCsv(csv, { station, units: 'english' });
+    expect(rows[0].temp).toBeCloseTo(30, 6);
+    expect(rows[0].obs_source).toBe('CO-OPS');
+    expect(() => parseCoopsCsv('Date Time, Wind Speed\n2025-08-01 00:00,3\n', { station })).toThrow('Unrecognized');
+  });
+
+  it('reads station and product hints from names and builds map stations', () => {
+    expect(guessObservationOptions('https://api.tidesandcurrents.noaa.gov/api/prod/datagetter?station=8735180&product=water_level&datum=MLLW'))
+      .toEqual({ stationId: '8735180', product: 'water_level', datum: 'MLLW' });
+    expect(guessObservationOptions('/data/42040h2024.txt').stationId).toBe('42040');
+
+    const parsed = parseObservations(ndbcStdmet, { name: '42040.txt', station });
+    expect(parsed.format).toBe('ndbc');
+    const [mapStation] = buildObservationStations([{ ...parsed, id: 'a', label: '42040.txt' }], '2025-08-01T00:20:00Z');
+    expect(mapStation).toMatchObject({ id: 'NDBC:42040', type: 'ndbc', coordinates: [-88.2, 29.2], dataPoints: 2, sourceFiles: ['42040.txt'] });
+    expect(mapStation.observation.time).toBe('2025-08-01T00:00:00.000Z');
+    expect(mapStation.availableParameters).toEqual(['temp', 'ssh', 'wind_speed', 'wave_height']);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Offline Data Service
+ * Fallback data for when the API cannot be reached: the most recently cached dataset for
+ * the area from the IndexedDB query cache, or else the bundled NGOFS2-format sample
+ * (public/sample-data), which the service worker keeps available without connectivity.
+ * The sample covers a single area and is only served for that area. It is synthetic unless
+ * the file sets `synthetic: false`, and the offline status says so.
+ */
+
+import { getLatestCachedRows } from './queryCacheService';
+import { getModelAdapter, toCanonicalRow, DEFAULT_MODEL_ID } from './modelAdapterService';
+
+export const SAMPLE_DATA_URL = `${process.env.PUBLIC_URL || ''}/sample-data/ngofs2_sample.json`;
+
+/**
+ * @returns {boolean} True if the browser reports that it has no network connection
+ */
+export const isBrowserOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+/**
+ * Loads the bundled sample dataset.
+ * @returns {Promise<{rows: Array<object>, area: string|null, cachedAt: string, synthetic: boolean}|null>}
+ * Canonical sample rows, the area they belong to and whether they are synthetic, or null
+ */
+export const loadSampleData = async () => {
+  try {
+    const response = await fetch(SAMPLE_DATA_URL);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    const sample = await response.json();
+    const adapter = getModelAdapter(sample.model) || getModelAdapter(DEFAULT_MODEL_ID);
+    return {
+      rows: (sample.rows || []).map(row => toCanonicalRow(adapter, row)),
+      area: sample.area || null,
+      cachedAt: sample.generatedAt || null,
+      synthetic: sample.synthetic !== false
+    };
+  } catch (error) {
+    console.error('Failed to load the bundled sample dataset:', error);
+    return null;
+  }
+};
+
+/**
+ * Loads offline data for an area, preferring the query cache over the bundled sample. The sample
+ * is only used for the area it was extracted from; other areas get no fallback without a cache.
+ * @param {string} area - Area id
+ * @returns {Promise<{rows: Array<object>, source: 'cache'|'sample'|'none', cachedAt: string|null,
+ * synthetic?: boolean, sampleArea?: string|null}>} Offline rows and where they came from. With
+ * neither source, rows is empty, source is 'none' and sampleArea names the area the sample covers.
+ */
+export const loadOfflineData = async (area) => {
+  const cached = await getLatestCachedRows(area);
+  if (cached && cached.rows.length > 0) {
+    return { rows: cached.rows, cachedAt: cached.cachedAt, source: 'cache' };
+  }
+  const sample = await loadSampleData();
+  if (sample && sample.area === area && sample.rows.length > 0) {
+    return { rows: sample.rows, cachedAt: sample.cachedAt, source: 'sample', synthetic: sample.synthetic, sampleArea: sample.area };
+  }
+  return { rows: [], cachedAt: null, source: 'none', sampleArea: sample?.area || null };
+};
+
+const offlineDataService = {
+  SAMPLE_DATA_URL,
+  isBrowserOffline,
+  loadSampleData,
+  loadOfflineData
+};
+
+export default offlineDataService;
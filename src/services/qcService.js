@@ -0,0 +1,272 @@
+/**
+ * QC Service
+ * QARTOD-style automated quality control for oceanographic rows. Each variable is run through
+ * gross range, climatology, spike, rate of change and flat line tests, and every value gets the
+ * worst QARTOD flag of its tests. Time-based tests run on the series at each location and depth.
+ * Thresholds are for the canonical units (degC, PSU, m/s, m, dbar) and Gulf of Mexico waters.
+ */
+
+// QARTOD primary flags
+export const QC_FLAGS = {
+  PASS: 1,
+  NOT_EVALUATED: 2,
+  SUSPECT: 3,
+  FAIL: 4,
+  MISSING: 9
+};
+
+export const QC_FLAG_LABELS = {
+  [QC_FLAGS.PASS]: 'Pass',
+  [QC_FLAGS.NOT_EVALUATED]: 'Not evaluated',
+  [QC_FLAGS.SUSPECT]: 'Suspect',
+  [QC_FLAGS.FAIL]: 'Fail',
+  [QC_FLAGS.MISSING]: 'Missing'
+};
+
+// How flagged values are shown: all values unmarked, suspect/fail marked, or suspect/fail removed
+export const QC_MODES = ['show', 'highlight', 'hide'];
+export const DEFAULT_QC_MODE = 'highlight';
+
+/**
+ * Test thresholds per canonical variable.
+ * grossRange: values outside fail are FAIL, outside suspect are SUSPECT.
+ * climatology: seasonal [min, max] by month (1-12); values outside are SUSPECT.
+ * spike: |value - mean of neighbours| above suspect/fail.
+ * rateOfChange: largest plausible change per hour; faster changes are SUSPECT.
+ * flatLine: values within tolerance of the previous suspectCount/failCount values are SUSPECT/FAIL.
+ */
+export const DEFAULT_QC_CONFIG = {
+  temp: {
+    grossRange: { fail: [-2.5, 40], suspect: [0, 35] },
+    climatology: [
+      { months: [12, 1, 2], min: 8, max: 27 },
+      { months: [3, 4, 5], min: 12, max: 31 },
+      { months: [6, 7, 8], min: 20, max: 34 },
+      { months: [9, 10, 11], min: 14, max: 33 }
+    ],
+    spike: { suspect: 2, fail: 5 },
+    rateOfChange: { maxPerHour: 3 },
+    flatLine: { tolerance: 0.001, suspectCount: 6, failCount: 12 }
+  },
+  salinity: {
+    grossRange: { fail: [0, 42], suspect: [2, 40] },
+    spike: { suspect: 2, fail: 6 },
+    rateOfChange: { maxPerHour: 4 },
+    flatLine: { tolerance: 0.001, suspectCount: 6, failCount: 12 }
+  },
+  nspeed: {
+    grossRange: { fail: [0, 5], suspect: [0, 3] },
+    spike: { suspect: 0.75, fail: 1.5 },
+    rateOfChange: { maxPerHour: 1.5 },
+    flatLine: { tolerance: 0.0001, suspectCount: 8, failCount: 16 }
+  },
+  direction: {
+    grossRange: { fail: [0, 360], suspect: [0, 360] }
+  },
+  ssh: {
+    grossRange: { fail: [-5, 5], suspect: [-2, 2] },
+    spike: { suspect: 0.3, fail: 0.8 },
+    rateOfChange: { maxPerHour: 0.75 },
+    flatLine: { tolerance: 0.0001, suspectCount: 8, failCount: 16 }
+  },
+  pressure_dbars: {
+    grossRange: { fail: [-1, 11000], suspect: [0, 3000] }
+  }
+};
+
+export const QC_VARIABLES = Object.keys(DEFAULT_QC_CONFIG);
+
+const HOUR_MS = 3600000;
+
+/**
+ * @param {number} flag - QARTOD flag
+ * @returns {boolean} True for SUSPECT and FAIL
+ */
+export const isFlagged = (flag) => flag === QC_FLAGS.SUSPECT || flag === QC_FLAGS.FAIL;
+
+/**
+ * Combines two flags (FAIL > SUSPECT > PASS > NOT_EVALUATED).
+ * @returns {number} The worse flag
+ */
+const worstFlag = (a, b) => {
+  const rank = flag => (flag === QC_FLAGS.NOT_EVALUATED ? 0 : flag);
+  return rank(b) > rank(a) ? b : a;
+};
+
+/**
+ * Gross range test.
+ * @param {number} value - Value to test
+ * @param {{fail: Array<number>, suspect: Array<number>}} limits - [min, max] limits
+ * @returns {number} QARTOD flag
+ */
+export const grossRangeFlag = (value, { fail, suspect }) => {
+  if (value < fail[0] || value > fail[1]) return QC_FLAGS.FAIL;
+  if (suspect && (value < suspect[0] || value > suspect[1])) return QC_FLAGS.SUSPECT;
+  return QC_FLAGS.PASS;
+};
+
+/**
+ * Climatology test.
+ * @param {number} value - Value to test
+ * @param {number} time - Epoch ms of the value
+ * @param {Array<object>} seasons - { months, min, max } ranges
+ * @returns {number} QARTOD flag (NOT_EVALUATED without a time or a matching season)
+ */
+export const climatologyFlag = (value, time, seasons) => {
+  if (isNaN(time)) return QC_FLAGS.NOT_EVALUATED;
+  const month = new Date(time).getUTCMonth() + 1;
+  const season = seasons.find(s => s.months.includes(month));
+  if (!season) return QC_FLAGS.NOT_EVALUATED;
+  return value < season.min || value > season.max ? QC_FLAGS.SUSPECT : QC_FLAGS.PASS;
+};
+
+/**
+ * Runs the time-based tests over one series, ordered by time.
+ * @param {Array<number>} values - Series values (no NaN)
+ * @param {Array<number>} times - Series times (epoch ms)
+ * @param {object} config - Variable thresholds
+ * @returns {Array<number>} Worst time-based flag per value
+ */
+export const seriesFlags = (values, times, config) => {
+  const flags = values.map(() => QC_FLAGS.NOT_EVALUATED);
+  const { spike, rateOfChange, flatLine } = config;
+
+  for (let i = 0; i < values.length; i++) {
+    // Spike: distance from the mean of both neighbours
+    if (spike && i > 0 && i < values.length - 1) {
+      const deviation = Math.abs(values[i] - (values[i - 1] + values[i + 1]) / 2);
+      const flag = deviation > spike.fail ? QC_FLAGS.FAIL : deviation > spike.suspect ? QC_FLAGS.SUSPECT : QC_FLAGS.PASS;
+      flags[i] = worstFlag(flags[i], flag);
+    }
+    // Rate of change: change per hour since the previous value
+    if (rateOfChange && i > 0) {
+      const hours = (times[i] - times[i - 1]) / HOUR_MS;
+      if (hours > 0) {
+        const rate = Math.abs(values[i] - values[i - 1]) / hours;
+        flags[i] = worstFlag(flags[i], rate > rateOfChange.maxPerHour ? QC_FLAGS.SUSPECT : QC_FLAGS.PASS);
+      }
+    }
+    // Flat line: how many preceding values repeat this one
+    if (flatLine && i >= flatLine.suspectCount) {
+      let repeats = 0;
+      while (repeats < i && repeats < flatLine.failCount &&
+             Math.abs(values[i - repeats - 1] - values[i]) <= flatLine.tolerance) {
+        repeats++;
+      }
+      const flag = repeats >= flatLine.failCount ? QC_FLAGS.FAIL
+        : repeats >= flatLine.suspectCount ? QC_FLAGS.SUSPECT : QC_FLAGS.PASS;
+      flags[i] = worstFlag(flags[i], flag);
+    }
+  }
+  return flags;
+};
+
+/**
+ * Flags every value of the QC variables.
+ * @param {object} input - Columnar input
+ * @param {object} input.columns - Numeric columns (lat, lon, depth and the QC variables)
+ * @param {Float64Array|Array<number>} input.times - Epoch ms per row
+ * @param {object} config - Thresholds per variable (defaults to DEFAULT_QC_CONFIG)
+ * @returns {{flags: object, summary: object}} A Uint8Array of flags per variable, and counts of
+ * each flag label per variable
+ */
+export const computeQcFlags = ({ columns, times }, config = DEFAULT_QC_CONFIG) => {
+  const count = times.length;
+
+  // Series are the rows at one location and depth, in time order
+  const series = new Map();
+  for (let i = 0; i < count; i++) {
+    const key = `${columns.lat[i].toFixed(5)},${columns.lon[i].toFixed(5)},${columns.depth?.[i]}`;
+    if (!series.has(key)) series.set(key, []);
+    series.get(key).push(i);
+  }
+  series.forEach(indices => indices.sort((a, b) => times[a] - times[b]));
+
+  const flags = {};
+  const summary = {};
+  Object.entries(config).forEach(([variable, tests]) => {
+    const values = columns[variable];
+    if (!values) return;
+    const variableFlags = new Uint8Array(count);
+
+    for (let i = 0; i < count; i++) {
+      if (isNaN(values[i])) {
+        variableFlags[i] = QC_FLAGS.MISSING;
+        continue;
+      }
+      let flag = QC_FLAGS.NOT_EVALUATED;
+      if (tests.grossRange) flag = worstFlag(flag, grossRangeFlag(values[i], tests.grossRange));
+      if (tests.climatology) flag = worstFlag(flag, climatologyFlag(values[i], times[i], tests.climatology));
+      variableFlags[i] = flag;
+    }
+
+    if (tests.spike || tests.rateOfChange || tests.flatLine) {
+      series.forEach(indices => {
+        // Missing values and values that already failed are left out of the series
+        const tested = indices.filter(i => variableFlags[i] !== QC_FLAGS.MISSING && variableFlags[i] !== QC_FLAGS.FAIL);
+        const timeFlags = seriesFlags(tested.map(i => values[i]), tested.map(i => times[i]), tests);
+        tested.forEach((rowIndex, position) => {
+          variableFlags[rowIndex] = worstFlag(variableFlags[rowIndex], timeFlags[position]);
+        });
+      });
+    }
+
+    flags[variable] = variableFlags;
+    summary[variable] = summarizeFlags(variableFlags);
+  });
+
+  return { flags, summary };
+};
+
+/**
+ * @param {Uint8Array} flags - Flags of one variable
+ * @returns {object} Count per flag label
+ */
+export const summarizeFlags = (flags) => {
+  const counts = { pass: 0, notEvaluated: 0, suspect: 0, fail: 0, missing: 0 };
+  flags.forEach(flag => {
+    if (flag === QC_FLAGS.PASS) counts.pass++;
+    else if (flag === QC_FLAGS.SUSPECT) counts.suspect++;
+    else if (flag === QC_FLAGS.FAIL) counts.fail++;
+    else if (flag === QC_FLAGS.MISSING) counts.missing++;
+    else counts.notEvaluated++;
+  });
+  return counts;
+};
+
+/**
+ * Applies a QC mode to formatted rows. In hide mode, suspect and failed values become null
+ * (the rest of the row is kept); otherwise rows are returned unchanged.
+ * @param {Array<object>} rows - Rows carrying a _qc object of flags per variable
+ * @param {string} mode - One of QC_MODES
+ * @returns {Array<object>} Rows for display
+ */
+export const applyQcMode = (rows, mode) => {
+  if (mode !== 'hide') return rows;
+  return rows.map(row => {
+    if (!row._qc) return row;
+    const flagged = Object.keys(row._qc).filter(variable => isFlagged(row._qc[variable]));
+    if (flagged.length === 0) return row;
+    const masked = { ...row };
+    flagged.forEach(variable => { masked[variable] = null; });
+    return masked;
+  });
+};
+
+const qcService = {
+  QC_FLAGS,
+  QC_FLAG_LABELS,
+  QC_MODES,
+  DEFAULT_QC_MODE,
+  DEFAULT_QC_CONFIG,
+  QC_VARIABLES,
+  isFlagged,
+  grossRangeFlag,
+  climatologyFlag,
+  seriesFlags,
+  computeQcFlags,
+  summarizeFlags,
+  applyQcMode
+};
+
+export default qcService;
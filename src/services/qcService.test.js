@@ -0,0 +1,58 @@
+import {
+  QC_FLAGS,
+  grossRangeFlag,
+  climatologyFlag,
+  seriesFlags,
+  computeQcFlags,
+  applyQcMode,
+  DEFAULT_QC_CONFIG
+} from './qcService';
+
+const HOUR = 3600000;
+const T0 = Date.parse('2025-08-01T00:00:00Z');
+
+describe('qcService', () => {
+  test('gross range and climatology tests', () => {
+    const limits = DEFAULT_QC_CONFIG.temp.grossRange;
+    expect(grossRangeFlag(25, limits)).toBe(QC_FLAGS.PASS);
+    expect(grossRangeFlag(37, limits)).toBe(QC_FLAGS.SUSPECT);
+    expect(grossRangeFlag(55, limits)).toBe(QC_FLAGS.FAIL);
+
+    expect(climatologyFlag(15, T0, DEFAULT_QC_CONFIG.temp.climatology)).toBe(QC_FLAGS.SUSPECT);
+    expect(climatologyFlag(29, T0, DEFAULT_QC_CONFIG.temp.climatology)).toBe(QC_FLAGS.PASS);
+    expect(climatologyFlag(29, NaN, DEFAULT_QC_CONFIG.temp.climatology)).toBe(QC_FLAGS.NOT_EVALUATED);
+  });
+
+  test('spike, rate of change and flat line tests run on the series', () => {
+    const times = [0, 1, 2, 3, 4].map(h => T0 + h * HOUR);
+    const spiky = seriesFlags([28, 28.1, 34, 28.2, 28.1], times, DEFAULT_QC_CONFIG.temp);
+    expect(spiky[0]).toBe(QC_FLAGS.NOT_EVALUATED);
+    expect(spiky[2]).toBe(QC_FLAGS.FAIL);
+
+    const flat = seriesFlags(new Array(14).fill(30), new Array(14).fill(0).map((_, h) => T0 + h * HOUR), DEFAULT_QC_CONFIG.temp);
+    expect(flat[5]).toBe(QC_FLAGS.PASS);
+    expect(flat[6]).toBe(QC_FLAGS.SUSPECT);
+    expect(flat[13]).toBe(QC_FLAGS.FAIL);
+  });
+
+  test('flags each value per variable and location, and hides flagged values', () => {
+    const times = Float64Array.from([0, 1, 2, 0], h => T0 + h * HOUR);
+    const columns = {
+      lat: [30, 30, 30, 31],
+      lon: [-89, -89, -89, -88],
+      depth: [0, 0, 0, 0],
+      temp: [29, 29.5, 29.2, 60],
+      salinity: [30, NaN, 31, 30]
+    };
+    const { flags, summary } = computeQcFlags({ columns, times });
+
+    expect(Array.from(flags.temp)).toEqual([QC_FLAGS.PASS, QC_FLAGS.PASS, QC_FLAGS.PASS, QC_FLAGS.FAIL]);
+    expect(flags.salinity[1]).toBe(QC_FLAGS.MISSING);
+    expect(summary.temp).toMatchObject({ pass: 3, fail: 1 });
+    expect(flags.nspeed).toBeUndefined();
+
+    const rows = [{ temp: 60, salinity: 30, _qc: { temp: QC_FLAGS.FAIL, salinity: QC_FLAGS.PASS } }];
+    expect(applyQcMode(rows, 'hide')[0]).toMatchObject({ temp: null, salinity: 30 });
+    expect(applyQcMode(rows, 'highlight')).toBe(rows);
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * Query Builder
+ * Builds structured, injection-safe query descriptors for the /data/query endpoint
+ * and compiles them into parameterized SQL with a POST request body.
+ */
+
+// Columns the data API is allowed to return
+export const QUERY_COLUMNS = [
+  'lat',
+  'lon',
+  'depth',
+  'direction',
+  'ndirection',
+  'salinity',
+  'temp',
+  'nspeed',
+  'time',
+  'ssh',
+  'pressure_dbars',
+  'sound_speed_ms'
+];
+
+// Default tables the data API is allowed to query; callers pass the area registry's tables
+export const QUERY_TABLES = ['mbl_ngofs2', 'msr_ngofs2', 'usm_ngofs2'];
+
+export const DEFAULT_QUERY_LIMIT = 10000;
+
+// Columns the time, bbox and depth filters apply to; model adapters override these for
+// sources whose columns are named differently
+export const DEFAULT_FILTER_COLUMNS = { time: 'time', lat: 'lat', lon: 'lon', depth: 'depth' };
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+const ORDER_DIRECTIONS = ['ASC', 'DESC'];
+
+/**
+ * Quotes an identifier for use in SQL after checking it against a strict pattern.
+ * @param {string} name - The identifier (table, dataset or column name)
+ * @returns {string} The backtick-quoted identifier
+ */
+export const quoteIdentifier = (name) => {
+  if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+    throw new Error(`Invalid SQL identifier: ${JSON.stringify(name)}`);
+  }
+  return `\`${name}\``;
+};
+
+/**
+ * Quotes a dataset path such as `project.dataset` one part at a time, so each part is checked
+ * against the identifier pattern on its own.
+ * @param {string} dataset - Dataset name, optionally qualified by its project
+ * @returns {string} The quoted path, e.g. `project`.`dataset`
+ */
+export const quoteDataset = (dataset) => {
+  if (typeof dataset !== 'string') {
+    throw new Error(`Invalid SQL identifier: ${JSON.stringify(dataset)}`);
+  }
+  return dataset.split('.').map(quoteIdentifier).join('.');
+};
+
+/**
+ * Converts a Date or date string to an ISO timestamp, rejecting invalid values.
+ * @param {Date|string} value - The date value
+ * @param {string} label - Field name used in error messages
+ * @returns {string} ISO 8601 timestamp
+ */
+const toISOTimestamp = (value, label) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${label}: ${JSON.stringify(value)}`);
+  }
+  return date.toISOString();
+};
+
+/**
+ * Coerces a value to a finite number, rejecting anything else.
+ * @param {*} value - The value to check
+ * @param {string} label - Field name used in error messages
+ * @returns {number} The numeric value
+ */
+const toFiniteNumber = (value, label) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    throw new Error(`Invalid ${label}: ${JSON.stringify(value)}`);
+  }
+  return number;
+};
+
+/**
+ * Builds a validated query descriptor. Identifiers are checked against the allow-lists
+ * and all filter values are normalized, so the descriptor can be compiled safely.
+ * @param {object} options - Query options
+ * @param {string} options.table - Table name (must be in allowedTables)
+ * @param {Array<string>} [options.allowedTables] - Table allow-list (defaults to QUERY_TABLES)
+ * @param {string} [options.dataset] - Dataset/schema name that qualifies the table (may be project.dataset)
+ * @param {Array<string>} [options.columns] - Columns to select (defaults to QUERY_COLUMNS)
+ * @param {Array<string>} [options.allowedColumns] - Column allow-list (defaults to QUERY_COLUMNS)
+ * @param {object} [options.filterColumns] - Columns used by the time/bbox/depth filters
+ * @param {object} [options.timeWindow] - Time filter { start, end }
+ * @param {object} [options.bbox] - Spatial filter { north, south, east, west }
+ * @param {object} [options.depthRange] - Depth filter { min, max } in meters
+ * @param {number} [options.limit] - Maximum number of rows
+ * @param {number} [options.offset] - Number of rows to skip (offset pagination)
+ * @param {object|Array<object>} [options.order] - Sort order { column, direction }, or a list of them
+ * @returns {object} The normalized query descriptor
+ */
+export const buildQueryDescriptor = ({
+  table,
+  allowedTables = QUERY_TABLES,
+  dataset = null,
+  columns = QUERY_COLUMNS,
+  allowedColumns = QUERY_COLUMNS,
+  filterColumns = DEFAULT_FILTER_COLUMNS,
+  timeWindow = null,
+  bbox = null,
+  depthRange = null,
+  limit = DEFAULT_QUERY_LIMIT,
+  offset = 0,
+  order = { column: 'time', direction: 'DESC' }
+} = {}) => {
+  if (!allowedTables.includes(table)) {
+    throw new Error(`Table not allowed: ${JSON.stringify(table)}`);
+  }
+  quoteIdentifier(table);
+  if (dataset !== null) {
+    quoteDataset(dataset);
+  }
+
+  if (!Array.isArray(columns) || columns.length === 0) {
+    throw new Error('At least one column must be selected');
+  }
+  const invalidColumns = columns.filter(column => !allowedColumns.includes(column));
+  if (invalidColumns.length > 0) {
+    throw new Error(`Columns not allowed: ${invalidColumns.join(', ')}`);
+  }
+
+  const resolvedFilterColumns = { ...DEFAULT_FILTER_COLUMNS, ...filterColumns };
+  Object.entries(resolvedFilterColumns).forEach(([key, column]) => {
+    if (column !== null && !allowedColumns.includes(column)) {
+      throw new Error(`Filter column not allowed for ${key}: ${JSON.stringify(column)}`);
+    }
+  });
+
+  const descriptor = {
+    table,
+    dataset,
+    columns: [...new Set(columns)],
+    filterColumns: resolvedFilterColumns,
+    timeWindow: null,
+    bbox: null,
+    depthRange: null,
+    limit: null,
+    offset: 0,
+    order: null
+  };
+
+  if (timeWindow && (timeWindow.start || timeWindow.end)) {
+    descriptor.timeWindow = {
+      start: timeWindow.start ? toISOTimestamp(timeWindow.start, 'time window start') : null,
+      end: timeWindow.end ? toISOTimestamp(timeWindow.end, 'time window end') : null
+    };
+    if (descriptor.timeWindow.start && descriptor.timeWindow.end &&
+        descriptor.timeWindow.start > descriptor.timeWindow.end) {
+      throw new Error('Time window start must not be after its end');
+    }
+  }
+
+  if (bbox) {
+    const north = toFiniteNumber(bbox.north, 'bbox north');
+    const south = toFiniteNumber(bbox.south, 'bbox south');
+    const east = toFiniteNumber(bbox.east, 'bbox east');
+    const west = toFiniteNumber(bbox.west, 'bbox west');
+    if (south > north || south < -90 || north > 90) {
+      throw new Error('Invalid bbox latitude range');
+    }
+    if (west > east || west < -180 || east > 180) {
+      throw new Error('Invalid bbox longitude range');
+    }
+    descriptor.bbox = { north, south, east, west };
+  }
+
+  if (depthRange && (depthRange.min != null || depthRange.max != null)) {
+    if (!resolvedFilterColumns.depth) {
+      throw new Error('Depth range filter requires a depth column');
+    }
+    const min = depthRange.min != null ? toFiniteNumber(depthRange.min, 'depth min') : null;
+    const max = depthRange.max != null ? toFiniteNumber(depthRange.max, 'depth max') : null;
+    if (min !== null && max !== null && min > max) {
+      throw new Error('Depth range min must not be greater than max');
+    }
+    descriptor.depthRange = { min, max };
+  }
+
+  if (limit !== null && limit !== undefined) {
+    const numericLimit = toFiniteNumber(limit, 'limit');
+    if (!Number.isInteger(numericLimit) || numericLimit <= 0) {
+      throw new Error(`Invalid limit: ${JSON.stringify(limit)}`);
+    }
+    descriptor.limit = numericLimit;
+  }
+
+  if (offset !== null && offset !== undefined && offset !== 0) {
+    const numericOffset = toFiniteNumber(offset, 'offset');
+    if (!Number.isInteger(numericOffset) || numericOffset < 0) {
+      throw new Error(`Invalid offset: ${JSON.stringify(offset)}`);
+    }
+    descriptor.offset = numericOffset;
+  }
+
+  const orderTerms = Array.isArray(order) ? order : (order ? [order] : []);
+  if (orderTerms.length > 0) {
+    descriptor.order = orderTerms.map(term => {
+      const direction = String(term.direction || 'ASC').toUpperCase();
+      if (!allowedColumns.includes(term.column)) {
+        throw new Error(`Order column not allowed: ${JSON.stringify(term.column)}`);
+      }
+      if (!ORDER_DIRECTIONS.includes(direction)) {
+        throw new Error(`Invalid order direction: ${JSON.stringify(term.direction)}`);
+      }
+      return { column: term.column, direction };
+    });
+  }
+
+  return descriptor;
+};
+
+/**
+ * Compiles a query descriptor into parameterized SQL. Filter values are never
+ * interpolated into the SQL text; they are returned as named parameters.
+ * @param {object} descriptor - A descriptor from buildQueryDescriptor
+ * @returns {{sql: string, params: object}} The SQL text and its named parameters
+ */
+export const compileQuery = (descriptor) => {
+  const { table, dataset, columns, timeWindow, bbox, depthRange, limit, offset, order } = descriptor;
+  const filterColumns = descriptor.filterColumns || DEFAULT_FILTER_COLUMNS;
+  const params = {};
+  const whereClauses = [];
+
+  const tableRef = dataset
+    ? `${quoteDataset(dataset)}.${quoteIdentifier(table)}`
+    : quoteIdentifier(table);
+  const selectList = columns.map(quoteIdentifier).join(', ');
+
+  if (timeWindow?.start) {
+    whereClauses.push(`${quoteIdentifier(filterColumns.time)} >= TIMESTAMP(@start_time)`);
+    params.start_time = timeWindow.start;
+  }
+  if (timeWindow?.end) {
+    whereClauses.push(`${quoteIdentifier(filterColumns.time)} <= TIMESTAMP(@end_time)`);
+    params.end_time = timeWindow.end;
+  }
+
+  if (bbox) {
+    whereClauses.push(`${quoteIdentifier(filterColumns.lat)} BETWEEN @south AND @north`);
+    whereClauses.push(`${quoteIdentifier(filterColumns.lon)} BETWEEN @west AND @east`);
+    Object.assign(params, bbox);
+  }
+
+  if (depthRange?.min !== null && depthRange?.min !== undefined) {
+    whereClauses.push(`${quoteIdentifier(filterColumns.depth)} >= @depth_min`);
+    params.depth_min = depthRange.min;
+  }
+  if (depthRange?.max !== null && depthRange?.max !== undefined) {
+    whereClauses.push(`${quoteIdentifier(filterColumns.depth)} <= @depth_max`);
+    params.depth_max = depthRange.max;
+  }
+
+  let sql = `SELECT ${selectList} FROM ${tableRef}`;
+  if (whereClauses.length > 0) {
+    sql += ` WHERE ${whereClauses.join(' AND ')}`;
+  }
+  if (order) {
+    sql += ` ORDER BY ${order.map(term => `${quoteIdentifier(term.column)} ${term.direction}`).join(', ')}`;
+  }
+  if (limit) {
+    sql += ' LIMIT @limit';
+    params.limit = limit;
+  }
+  if (offset) {
+    sql += ' OFFSET @offset';
+    params.offset = offset;
+  }
+
+  return { sql, params };
+};
+
+/**
+ * Builds the JSON body sent via POST to the /data/query endpoint.
+ * @param {object} descriptor - A descriptor from buildQueryDescriptor
+ * @param {string|null} cursor - Opaque page cursor returned by the previous page, if any
+ * @returns {object} Request body containing the SQL, its parameters and the descriptor
+ */
+export const buildQueryRequestBody = (descriptor, cursor = null) => {
+  const { sql, params } = compileQuery(descriptor);
+  const body = {
+    query: sql,
+    params,
+    descriptor
+  };
+  if (cursor) {
+    body.cursor = cursor;
+  }
+  return body;
+};
+
+const queryBuilder = {
+  QUERY_COLUMNS,
+  QUERY_TABLES,
+  DEFAULT_FILTER_COLUMNS,
+  DEFAULT_QUERY_LIMIT,
+  quoteIdentifier,
+  quoteDataset,
+  buildQueryDescriptor,
+  compileQuery,
+  buildQueryRequestBody
+};
+
+export default queryBuilder;
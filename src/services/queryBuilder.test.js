@@ -0,0 +1,96 @@
+import {
+  buildQueryDescriptor,
+  compileQuery,
+  buildQueryRequestBody,
+  quoteIdentifier,
+  quoteDataset
+} from './queryBuilder';
+
+describe('queryBuilder', () => {
+  test('compiles a time window query with named parameters', () => {
+    const descriptor = buildQueryDescriptor({
+      table: 'usm_ngofs2',
+      dataset: 'ocean_db',
+      columns: ['lat', 'lon', 'time'],
+      timeWindow: {
+        start: new Date('2025-08-01T00:00:00Z'),
+        end: new Date('2025-08-02T00:00:00Z')
+      },
+      limit: 500
+    });
+    const { sql, params } = compileQuery(descriptor);
+
+    expect(sql).toBe(
+      'SELECT `lat`, `lon`, `time` FROM `ocean_db`.`usm_ngofs2` ' +
+      'WHERE `time` >= TIMESTAMP(@start_time) AND `time` <= TIMESTAMP(@end_time) ' +
+      'ORDER BY `time` DESC LIMIT @limit'
+    );
+    expect(params).toEqual({
+      start_time: '2025-08-01T00:00:00.000Z',
+      end_time: '2025-08-02T00:00:00.000Z',
+      limit: 500
+    });
+  });
+
+  test('pushes bbox and depth range into the WHERE clause', () => {
+    const { sql, params } = compileQuery(buildQueryDescriptor({
+      table: 'mbl_ngofs2',
+      bbox: { north: 30.5, south: 30, east: -88, west: -88.5 },
+      depthRange: { min: 0, max: 10 },
+      order: null,
+      limit: null
+    }));
+
+    expect(sql).toContain('`lat` BETWEEN @south AND @north');
+    expect(sql).toContain('`lon` BETWEEN @west AND @east');
+    expect(sql).toContain('`depth` >= @depth_min AND `depth` <= @depth_max');
+    expect(sql).not.toContain('ORDER BY');
+    expect(params).toMatchObject({ north: 30.5, south: 30, depth_min: 0, depth_max: 10 });
+  });
+
+  test('quotes each part of a project-qualified dataset', () => {
+    const { sql } = compileQuery(buildQueryDescriptor({ table: 'usm_ngofs2', dataset: 'ocean-project.ocean_db', columns: ['lat'] }));
+    expect(sql).toContain('FROM `ocean-project`.`ocean_db`.`usm_ngofs2`');
+    expect(quoteDataset('ocean_db')).toBe('`ocean_db`');
+    expect(() => quoteDataset('project..db')).toThrow('Invalid SQL identifier');
+    expect(() => quoteDataset('project.db`; --')).toThrow('Invalid SQL identifier');
+  });
+
+  test('rejects identifiers and values outside the allow-lists', () => {
+    expect(() => buildQueryDescriptor({ table: 'users; DROP TABLE x' })).toThrow('Table not allowed');
+    expect(() => buildQueryDescriptor({ table: 'usm_ngofs2', columns: ['lat', 'password'] })).toThrow('Columns not allowed');
+    expect(() => buildQueryDescriptor({ table: 'usm_ngofs2', dataset: 'db`.x' })).toThrow('Invalid SQL identifier');
+    expect(() => buildQueryDescriptor({ table: 'usm_ngofs2', order: { column: 'time', direction: 'DESC; --' } })).toThrow('Invalid order direction');
+    expect(() => buildQueryDescriptor({ table: 'usm_ngofs2', timeWindow: { start: "2025-08-01') OR 1=1 --" } })).toThrow('Invalid time window start');
+    expect(() => quoteIdentifier('1abc')).toThrow();
+  });
+
+  test('supports offset pagination with a stable multi-column order', () => {
+    const descriptor = buildQueryDescriptor({
+      table: 'usm_ngofs2',
+      limit: 1000,
+      offset: 2000,
+      order: [
+        { column: 'time', direction: 'desc' },
+        { column: 'lat', direction: 'asc' },
+        { column: 'lon', direction: 'asc' }
+      ]
+    });
+    const { sql, params } = compileQuery(descriptor);
+
+    expect(sql).toMatch(/ORDER BY `time` DESC, `lat` ASC, `lon` ASC LIMIT @limit OFFSET @offset$/);
+    expect(params).toEqual({ limit: 1000, offset: 2000 });
+    expect(buildQueryRequestBody(descriptor, 'page-3').cursor).toBe('page-3');
+    expect(() => buildQueryDescriptor({ table: 'usm_ngofs2', offset: -1 })).toThrow('Invalid offset');
+  });
+
+  test('builds a POST body with query, params and descriptor', () => {
+    const descriptor = buildQueryDescriptor({ table: 'msr_ngofs2' });
+    const body = buildQueryRequestBody(descriptor);
+
+    expect(body.query).toMatch(/^SELECT /);
+    expect(body.params).toEqual({ limit: 10000 });
+    expect(body.descriptor).toBe(descriptor);
+    expect(body).not.toHaveProperty('cursor');
+  });
+});
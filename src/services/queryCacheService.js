@@ -0,0 +1,410 @@
+/**
+ * Query Cache Service
+ * IndexedDB-backed cache for query results. Row sets are stored as time slices keyed by
+ * (area, model, table, depth range), so a new time window is served from the slices that
+ * overlap it and only the missing time ranges are fetched from the API. Each slice records the
+ * bbox it was fetched with; it serves any view inside that bbox, filtered client-side, so
+ * panning and zooming within loaded data hits the cache. Only settled model times are cached:
+ * recent and future times are re-fetched, as later forecast cycles replace them.
+ * Least recently used slices are evicted once the cache grows past its size limit.
+ */
+
+import EncryptedStorage from './encryptedStorageService';
+
+const DB_NAME = 'ocean-query-cache';
+const DB_VERSION = 1;
+// Slice metadata and rows live in separate stores so stats and LRU updates never touch the rows
+const SLICE_STORE = 'slices';
+const ROW_STORE = 'rows';
+const CACHE_LIMIT_STORAGE_KEY = 'ocean-query-cache-limit';
+
+// Model times within this age of now (and all future times) may still be replaced by a later
+// forecast cycle; NOAA OFS models re-run every 6 hours
+export const SETTLED_AGE_MS = 6 * 60 * 60 * 1000;
+
+export const DEFAULT_CACHE_LIMIT_BYTES = 200 * 1024 * 1024;
+export const CACHE_LIMIT_OPTIONS = [50, 100, 200, 500, 1000].map(mb => mb * 1024 * 1024);
+
+let dbPromise = null;
+
+/**
+ * @returns {boolean} True if IndexedDB is available in this environment
+ */
+export const isCacheAvailable = () => typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Resolves with the request result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Opens (and upgrades) the cache database once per session.
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(SLICE_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('cacheKey', 'cacheKey', { unique: false });
+        request.result.createObjectStore(ROW_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Runs a callback inside a transaction on the slice and row stores.
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives { slices, rows } object stores; may return a value or promise
+ * @returns {Promise<*>} Resolves with the callback's result once the transaction completes
+ */
+const withStores = async (mode, callback) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SLICE_STORE, ROW_STORE], mode);
+    let result;
+    Promise.resolve(callback({
+      slices: transaction.objectStore(SLICE_STORE),
+      rows: transaction.objectStore(ROW_STORE)
+    }))
+      .then(value => { result = value; })
+      .catch(reject);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Builds the cache key for everything in a query except its time window and bbox.
+ * @param {object} params - Query identity
+ * @param {string} params.area - Area id
+ * @param {string} params.model - Model adapter id
+ * @param {string} params.table - Source table
+ * @param {object} params.depthRange - Optional depth filter
+ * @returns {string} Cache key
+ */
+export const buildCacheKey = ({ area, model, table, depthRange = null }) => {
+  const depthKey = depthRange ? `${depthRange.min ?? ''}:${depthRange.max ?? ''}` : '*';
+  return [area, model, table, depthKey].join('|');
+};
+
+/**
+ * @param {object|null} outer - Bbox { north, south, east, west }, or null for the whole area
+ * @param {object|null} inner - Bbox, or null for the whole area
+ * @returns {boolean} Whether rows fetched for outer include every row of inner
+ */
+export const bboxContains = (outer, inner) => {
+  if (!outer) return true;
+  if (!inner) return false;
+  return outer.north >= inner.north && outer.south <= inner.south && outer.east >= inner.east && outer.west <= inner.west;
+};
+
+/**
+ * @param {Array<object>} rows - Rows with lat/lon
+ * @param {object|null} bbox - Bbox { north, south, east, west }, or null to keep every row
+ * @returns {Array<object>} Rows inside the bbox (edges included)
+ */
+export const filterRowsToBbox = (rows, bbox) => {
+  if (!bbox) return rows;
+  return rows.filter(row => {
+    const lat = parseFloat(row.lat);
+    const lon = parseFloat(row.lon);
+    return lat >= bbox.south && lat <= bbox.north && lon >= bbox.west && lon <= bbox.east;
+  });
+};
+
+/**
+ * Trims a time range to the part old enough to cache (see SETTLED_AGE_MS).
+ * @param {{start: number, end: number}} range - Time range in ms
+ * @param {number} now - Current time in ms
+ * @returns {{start: number, end: number}|null} The settled part, or null when none is settled
+ */
+export const getSettledRange = (range, now = Date.now()) => {
+  const end = Math.min(range.end, now - SETTLED_AGE_MS);
+  return end > range.start ? { start: range.start, end } : null;
+};
+
+// Slices written before the settled-time rule may hold times a later cycle has replaced
+const isSettledSlice = (slice) => slice.end <= slice.createdAt - SETTLED_AGE_MS;
+
+/**
+ * Returns the parts of a time range not covered by a set of cached ranges.
+ * Ranges are inclusive millisecond timestamps { start, end }.
+ * @param {{start: number, end: number}} range - Requested range
+ * @param {Array<{start: number, end: number}>} cachedRanges - Ranges already cached
+ * @returns {Array<{start: number, end: number}>} Missing ranges in ascending order
+ */
+export const findMissingRanges = (range, cachedRanges) => {
+  if (!cachedRanges.some(cached => cached.end >= range.start && cached.start <= range.end)) {
+    return [{ start: range.start, end: range.end }];
+  }
+  const covering = cachedRanges
+    .filter(cached => cached.end >= range.start && cached.start <= range.end)
+    .sort((a, b) => a.start - b.start);
+
+  const missing = [];
+  let cursor = range.start;
+  for (const cached of covering) {
+    if (cached.start > cursor) {
+      missing.push({ start: cursor, end: Math.min(cached.start, range.end) });
+    }
+    cursor = Math.max(cursor, cached.end);
+    if (cursor >= range.end) break;
+  }
+  if (cursor < range.end) {
+    missing.push({ start: cursor, end: range.end });
+  }
+  return missing;
+};
+
+/**
+ * Combines the rows of several slices for one key, limited to a time range.
+ * Adjacent slices share boundary instants, so each row is taken from the first slice
+ * (by start time) that holds it; rows inside excluded ranges are skipped.
+ * @param {Array<object>} slices - Slices with { start, end, rows }
+ * @param {{start: number, end: number}} range - Time range to keep, in ms
+ * @param {Array<{start: number, end: number}>} excludedRanges - Ranges fetched fresh instead
+ * @returns {Array<object>} Rows in slice order
+ */
+export const mergeSliceRows = (slices, range, excludedRanges = []) => {
+  const isExcluded = (time) => excludedRanges.some(excluded => time >= excluded.start && time <= excluded.end);
+  const merged = [];
+  let coveredUntil = -Infinity;
+  [...slices].sort((a, b) => a.start - b.start).forEach(slice => {
+    for (const row of slice.rows) {
+      const time = Date.parse(row.time);
+      if (time >= range.start && time <= range.end && time > coveredUntil && !isExcluded(time)) {
+        merged.push(row);
+      }
+    }
+    coveredUntil = Math.max(coveredUntil, slice.end);
+  });
+  return merged;
+};
+
+/**
+ * Estimates the stored size of a row set from a sample of its rows.
+ * @param {Array<object>} rows - Rows to measure
+ * @returns {number} Approximate size in bytes
+ */
+export const estimateRowBytes = (rows) => {
+  if (rows.length === 0) return 0;
+  const sample = rows.slice(0, 100);
+  const sampleBytes = JSON.stringify(sample).length * 2;
+  return Math.round(sampleBytes / sample.length * rows.length);
+};
+
+/**
+ * Loads the cached slices for a key that overlap a time range and cover a bbox, and marks them
+ * as used. Slices holding unsettled times are dropped.
+ * @param {string} cacheKey - Key from buildCacheKey
+ * @param {{start: number, end: number}} range - Requested range in ms
+ * @param {object|null} bbox - Requested bbox, or null for the whole area
+ * @returns {Promise<Array<object>>} Overlapping slices ({ start, end, bbox, rows, ... }); their rows
+ * may extend beyond the bbox
+ */
+export const getCachedSlices = async (cacheKey, range, bbox = null) => {
+  if (!isCacheAvailable()) return [];
+  try {
+    return await withStores('readwrite', async ({ slices, rows }) => {
+      const keySlices = await promisifyRequest(slices.index('cacheKey').getAll(cacheKey));
+      keySlices.filter(slice => !isSettledSlice(slice)).forEach(slice => {
+        slices.delete(slice.id);
+        rows.delete(slice.id);
+      });
+      const overlapping = keySlices.filter(slice => isSettledSlice(slice) &&
+        slice.end >= range.start && slice.start <= range.end && bboxContains(slice.bbox ?? null, bbox));
+      const now = Date.now();
+      return Promise.all(overlapping.map(async (slice) => {
+        slices.put({ ...slice, lastAccessed: now });
+        return { ...slice, rows: (await promisifyRequest(rows.get(slice.id))) || [] };
+      }));
+    });
+  } catch (error) {
+    console.error('Failed to read query cache:', error);
+    return [];
+  }
+};
+
+/**
+ * Loads the most recently used cached dataset for an area, whatever its time window.
+ * Used as the offline fallback when the API cannot be reached.
+ * @param {string} area - Area id
+ * @returns {Promise<{rows: Array<object>, cachedAt: string}|null>} Rows of the latest cache key
+ * for the area, or null if nothing is cached
+ */
+export const getLatestCachedRows = async (area) => {
+  if (!isCacheAvailable()) return null;
+  try {
+    return await withStores('readonly', async ({ slices, rows }) => {
+      const areaSlices = (await promisifyRequest(slices.getAll()))
+        .filter(slice => slice.cacheKey.startsWith(`${area}|`));
+      if (areaSlices.length === 0) return null;
+
+      const latestKey = areaSlices.reduce((a, b) => (b.lastAccessed > a.lastAccessed ? b : a)).cacheKey;
+      const keySlices = await Promise.all(
+        areaSlices
+          .filter(slice => slice.cacheKey === latestKey)
+          .map(async slice => ({ ...slice, rows: (await promisifyRequest(rows.get(slice.id))) || [] }))
+      );
+      return {
+        rows: mergeSliceRows(keySlices, { start: -Infinity, end: Infinity }),
+        cachedAt: new Date(Math.max(...keySlices.map(slice => slice.createdAt))).toISOString()
+      };
+    });
+  } catch (error) {
+    console.error('Failed to read query cache:', error);
+    return null;
+  }
+};
+
+/**
+ * Deletes least recently used slices until the cache fits its size limit.
+ * @param {number} limitBytes - Size limit (defaults to the configured limit)
+ * @returns {Promise<number>} Number of slices evicted
+ */
+export const evictToLimit = async (limitBytes = getCacheLimit()) => {
+  if (!isCacheAvailable()) return 0;
+  return withStores('readwrite', async ({ slices, rows }) => {
+    const allSlices = await promisifyRequest(slices.getAll());
+    let total = allSlices.reduce((sum, slice) => sum + slice.bytes, 0);
+    let evicted = 0;
+    allSlices.sort((a, b) => a.lastAccessed - b.lastAccessed);
+    for (const slice of allSlices) {
+      if (total <= limitBytes) break;
+      slices.delete(slice.id);
+      rows.delete(slice.id);
+      total -= slice.bytes;
+      evicted += 1;
+    }
+    return evicted;
+  });
+};
+
+/**
+ * Stores a fetched row set for one time range, then evicts down to the size limit.
+ * @param {string} cacheKey - Key from buildCacheKey
+ * @param {{start: number, end: number}} range - Time range the rows cover, in ms (settled; see getSettledRange)
+ * @param {Array<object>} rowSet - Canonical rows for the range
+ * @param {object|null} bbox - Bbox the rows were fetched with, or null for the whole area
+ * @returns {Promise<void>}
+ */
+export const putCachedSlice = async (cacheKey, range, rowSet, bbox = null) => {
+  if (!isCacheAvailable()) return;
+  const bytes = estimateRowBytes(rowSet);
+  if (bytes > getCacheLimit()) return;
+  try {
+    const now = Date.now();
+    await withStores('readwrite', async ({ slices, rows }) => {
+      const id = await promisifyRequest(slices.add({
+        cacheKey,
+        start: range.start,
+        end: range.end,
+        bbox,
+        rowCount: rowSet.length,
+        bytes,
+        createdAt: now,
+        lastAccessed: now
+      }));
+      rows.put(rowSet, id);
+    });
+    await evictToLimit();
+  } catch (error) {
+    console.error('Failed to write query cache:', error);
+  }
+};
+
+/**
+ * Summarizes the cache contents without loading the rows.
+ * @returns {Promise<{available: boolean, sliceCount: number, rowCount: number, bytes: number, limitBytes: number}>} Cache statistics
+ */
+export const getCacheStats = async () => {
+  const stats = { available: isCacheAvailable(), sliceCount: 0, rowCount: 0, bytes: 0, limitBytes: getCacheLimit() };
+  if (!stats.available) return stats;
+  try {
+    const allSlices = await withStores('readonly', ({ slices }) => promisifyRequest(slices.getAll()));
+    stats.sliceCount = allSlices.length;
+    stats.rowCount = allSlices.reduce((sum, slice) => sum + slice.rowCount, 0);
+    stats.bytes = allSlices.reduce((sum, slice) => sum + slice.bytes, 0);
+  } catch (error) {
+    console.error('Failed to read query cache stats:', error);
+  }
+  return stats;
+};
+
+/**
+ * Removes every cached slice.
+ * @returns {Promise<void>}
+ */
+export const clearCache = async () => {
+  if (!isCacheAvailable()) return;
+  try {
+    await withStores('readwrite', ({ slices, rows }) => {
+      slices.clear();
+      rows.clear();
+    });
+  } catch (error) {
+    console.error('Failed to clear query cache:', error);
+  }
+};
+
+/**
+ * @returns {number} Configured cache size limit in bytes
+ */
+export const getCacheLimit = () => {
+  const stored = Number(EncryptedStorage.getItem(CACHE_LIMIT_STORAGE_KEY));
+  return Number.isFinite(stored) && stored > 0 ? stored : DEFAULT_CACHE_LIMIT_BYTES;
+};
+
+/**
+ * Sets the cache size limit and evicts down to it.
+ * @param {number} limitBytes - New limit in bytes
+ * @returns {Promise<number>} Number of slices evicted
+ */
+export const setCacheLimit = async (limitBytes) => {
+  EncryptedStorage.setItem(CACHE_LIMIT_STORAGE_KEY, limitBytes);
+  try {
+    return await evictToLimit(limitBytes);
+  } catch (error) {
+    console.error('Failed to evict query cache:', error);
+    return 0;
+  }
+};
+
+const queryCacheService = {
+  SETTLED_AGE_MS,
+  DEFAULT_CACHE_LIMIT_BYTES,
+  CACHE_LIMIT_OPTIONS,
+  isCacheAvailable,
+  buildCacheKey,
+  bboxContains,
+  filterRowsToBbox,
+  getSettledRange,
+  findMissingRanges,
+  mergeSliceRows,
+  estimateRowBytes,
+  getCachedSlices,
+  getLatestCachedRows,
+  putCachedSlice,
+  getCacheStats,
+  evictToLimit,
+  clearCache,
+  getCacheLimit,
+  setCacheLimit
+};
+
+export default queryCacheService;
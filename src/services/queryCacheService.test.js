@@ -0,0 +1,57 @@
+import {
+  buildCacheKey,
+  bboxContains,
+  filterRowsToBbox,
+  getSettledRange,
+  findMissingRanges,
+  estimateRowBytes,
+  SETTLED_AGE_MS
+} from './queryCacheService';
+
+describe('queryCacheService', () => {
+  test('finds the time ranges not covered by cached slices', () => {
+    const range = { start: 0, end: 100 };
+
+    expect(findMissingRanges(range, [])).toEqual([{ start: 0, end: 100 }]);
+    expect(findMissingRanges(range, [{ start: -10, end: 200 }])).toEqual([]);
+    expect(findMissingRanges(range, [{ start: 20, end: 40 }, { start: 60, end: 80 }]))
+      .toEqual([{ start: 0, end: 20 }, { start: 40, end: 60 }, { start: 80, end: 100 }]);
+    expect(findMissingRanges(range, [{ start: 50, end: 150 }, { start: 0, end: 60 }])).toEqual([]);
+    expect(findMissingRanges(range, [{ start: 200, end: 300 }])).toEqual([{ start: 0, end: 100 }]);
+  });
+
+  test('keys slices by everything except the time window and bbox', () => {
+    const base = { area: 'USM', model: 'NGOFS2', table: 'usm_ngofs2' };
+
+    expect(buildCacheKey(base)).toBe('USM|NGOFS2|usm_ngofs2|*');
+    expect(buildCacheKey({ ...base, bbox: { north: 31, south: 30, east: -88, west: -89 }, depthRange: { min: 0, max: null } }))
+      .toBe('USM|NGOFS2|usm_ngofs2|0:');
+  });
+
+  test('serves a bbox from slices fetched for a bbox around it', () => {
+    const area = { north: 31, south: 30, east: -88, west: -89 };
+    const view = { north: 30.6, south: 30.2, east: -88.2, west: -88.8 };
+
+    expect(bboxContains(null, view)).toBe(true);
+    expect(bboxContains(area, view)).toBe(true);
+    expect(bboxContains(view, area)).toBe(false);
+    expect(bboxContains(area, null)).toBe(false);
+    expect(filterRowsToBbox([{ lat: 30.4, lon: -88.5 }, { lat: '30.9', lon: '-88.5' }], view)).toEqual([{ lat: 30.4, lon: -88.5 }]);
+  });
+
+  test('only caches times older than the settled age', () => {
+    const now = Date.parse('2025-08-02T00:00:00Z');
+    const settledEnd = now - SETTLED_AGE_MS;
+
+    expect(getSettledRange({ start: 0, end: settledEnd - 1 }, now)).toEqual({ start: 0, end: settledEnd - 1 });
+    expect(getSettledRange({ start: 0, end: now + 1000 }, now)).toEqual({ start: 0, end: settledEnd });
+    expect(getSettledRange({ start: settledEnd, end: now }, now)).toBeNull();
+  });
+
+  test('estimates row set size from a sample', () => {
+    const rows = Array.from({ length: 1000 }, () => ({ lat: 30, lon: -89 }));
+
+    expect(estimateRowBytes([])).toBe(0);
+    expect(estimateRowBytes(rows) / (JSON.stringify(rows).length * 2)).toBeCloseTo(1, 1);
+  });
+});
@@ -0,0 +1,426 @@
+/**
+ * Route Service
+ * Current-aware route planning between two points for a vessel of a given speed. The loaded
+ * currents of one depth level, frozen at the departure time, are resampled onto a lattice at the
+ * model grid spacing; lattice nodes on land (see dataService.isLikelyOnWater) or outside the
+ * current field are dropped, and Dijkstra's algorithm searches the 16-connected lattice.
+ *
+ * Two operating modes are modelled:
+ * - least time: the vessel holds its speed through the water, so the current along a leg adds to
+ *   the speed over ground and the cross-track current has to be crabbed against;
+ * - least energy: the vessel holds its speed over ground, and the throttle follows the speed
+ *   through the water it takes. Fuel burn scales with the cube of that speed (propulsion power),
+ *   relative to the fuel rate at the cruise speed.
+ * Both planned routes and the straight line are evaluated the same way, so their durations, ETAs
+ * and fuel estimates compare directly.
+ */
+
+import { createVelocityField } from './driftService';
+import { isLikelyOnWater, getDataExtent } from './dataService';
+
+export const DEFAULT_ROUTE_OPTIONS = {
+  // Cruise speed through the water (m/s)
+  speed: 2.5,
+  // Fuel burned per hour at the cruise speed (any unit, e.g. liters)
+  fuelRate: 50,
+  depth: 0,
+  // Upper bound on lattice nodes; the lattice is coarsened beyond it
+  maxNodes: 20000
+};
+
+export const ROUTE_KINDS = {
+  time: { label: 'Least time', mode: 'time', color: [56, 189, 248] },
+  energy: { label: 'Least energy', mode: 'energy', color: [74, 222, 128] },
+  straight: { label: 'Straight line', mode: 'time', color: [148, 163, 184] }
+};
+
+const EARTH_RADIUS_M = 6371000;
+const DEG = Math.PI / 180;
+const METERS_PER_DEGREE = EARTH_RADIUS_M * DEG;
+// Slower progress over ground than this counts as not making headway
+const MIN_GROUND_SPEED = 0.05;
+// Lattice moves: 4 straight, 4 diagonal and 8 knight moves for smoother headings
+const NEIGHBOUR_OFFSETS = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [1, 1], [1, -1], [-1, 1], [-1, -1],
+  [1, 2], [2, 1], [-1, 2], [-2, 1], [1, -2], [2, -1], [-1, -2], [-2, -1]
+];
+
+/**
+ * @param {Array<number>} from - [lon, lat]
+ * @param {Array<number>} to - [lon, lat]
+ * @returns {{distance: number, east: number, north: number}} Leg length (m) and its unit heading
+ */
+const legGeometry = ([lon1, lat1], [lon2, lat2]) => {
+  const east = (lon2 - lon1) * METERS_PER_DEGREE * Math.cos(((lat1 + lat2) / 2) * DEG);
+  const north = (lat2 - lat1) * METERS_PER_DEGREE;
+  const distance = Math.hypot(east, north);
+  return distance > 0 ? { distance, east: east / distance, north: north / distance } : { distance: 0, east: 0, north: 0 };
+};
+
+/**
+ * Time and fuel for one leg through a uniform current.
+ * @param {string} mode - 'time' (constant speed through water) or 'energy' (constant speed over ground)
+ * @param {{distance: number, east: number, north: number}} leg - legGeometry output
+ * @param {{u: number, v: number}} current - Current (m/s east and north)
+ * @param {number} speed - Cruise speed (m/s)
+ * @param {number} fuelRate - Fuel per hour at the cruise speed through water
+ * @returns {{seconds: number, fuel: number}|null} Null when the vessel cannot make headway
+ */
+export const legCost = (mode, leg, current, speed, fuelRate) => {
+  if (leg.distance === 0) return { seconds: 0, fuel: 0 };
+  if (mode === 'energy') {
+    const throughWater = Math.hypot(speed * leg.east - current.u, speed * leg.north - current.v);
+    const seconds = leg.distance / speed;
+    return { seconds, fuel: fuelRate * (throughWater / speed) ** 3 * (seconds / 3600) };
+  }
+  const along = current.u * leg.east + current.v * leg.north;
+  const cross = current.u * leg.north - current.v * leg.east;
+  if (Math.abs(cross) >= speed) return null;
+  const groundSpeed = along + Math.sqrt(speed * speed - cross * cross);
+  if (groundSpeed < MIN_GROUND_SPEED) return null;
+  const seconds = leg.distance / groundSpeed;
+  return { seconds, fuel: fuelRate * (seconds / 3600) };
+};
+
+// Median spacing of the distinct sorted values, i.e. the model grid step along one axis
+const medianSpacing = (values) => {
+  const sorted = [...new Set(values)].sort((a, b) => a - b);
+  const gaps = [];
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i] - sorted[i - 1] > 1e-9) gaps.push(sorted[i] - sorted[i - 1]);
+  }
+  if (gaps.length === 0) return null;
+  gaps.sort((a, b) => a - b);
+  return gaps[Math.floor(gaps.length / 2)];
+};
+
+/**
+ * Lattice of water nodes at the model grid spacing, with the current at each node.
+ * @param {Array<object>} nodes - Rows of the routed depth level (lon/lat)
+ * @param {Function} currentAt - (lon, lat) => { u, v } or null outside the current field
+ * @param {object} options - Lattice options
+ * @param {number} options.maxNodes - Upper bound on nodes
+ * @param {Function} options.isWater - (lat, lon) => boolean land mask
+ * @returns {object} { west, south, lonStep, latStep, nx, ny, u, v, valid, position(index) }
+ */
+export const buildRouteGraph = (nodes, currentAt, { maxNodes = DEFAULT_ROUTE_OPTIONS.maxNodes, isWater = isLikelyOnWater } = {}) => {
+  const lons = nodes.map(node => Number(node.lon));
+  const lats = nodes.map(node => Number(node.lat));
+  const extent = getDataExtent(nodes);
+  if (!extent) throw new Error('The loaded currents do not span a grid to route on');
+  const { west, east, south, north } = extent;
+  let lonStep = medianSpacing(lons) || medianSpacing(lats);
+  let latStep = medianSpacing(lats) || lonStep;
+  if (!lonStep || !latStep) throw new Error('The loaded currents do not span a grid to route on');
+
+  const axisCount = (span, step) => Math.floor(span / step + 1e-9) + 1;
+  const count = () => axisCount(east - west, lonStep) * axisCount(north - south, latStep);
+  if (count() > maxNodes) {
+    const coarsen = Math.sqrt(count() / maxNodes);
+    lonStep *= coarsen;
+    latStep *= coarsen;
+    // The end node on each axis can leave the count just above the bound
+    while (count() > maxNodes) {
+      lonStep *= 1.01;
+      latStep *= 1.01;
+    }
+  }
+  const nx = axisCount(east - west, lonStep);
+  const ny = axisCount(north - south, latStep);
+
+  const u = new Float64Array(nx * ny);
+  const v = new Float64Array(nx * ny);
+  const valid = new Uint8Array(nx * ny);
+  const position = (index) => [west + (index % nx) * lonStep, south + Math.floor(index / nx) * latStep];
+  for (let index = 0; index < nx * ny; index++) {
+    const [lon, lat] = position(index);
+    if (!isWater(lat, lon)) continue;
+    const current = currentAt(lon, lat);
+    if (!current) continue;
+    u[index] = current.u;
+    v[index] = current.v;
+    valid[index] = 1;
+  }
+  return { west, south, lonStep, latStep, nx, ny, u, v, valid, position };
+};
+
+// Binary min-heap of [cost, index] pairs
+const createHeap = () => {
+  const items = [];
+  const push = (item) => {
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+        if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  };
+  return { push, pop, get size() { return items.length; } };
+};
+
+/**
+ * Least-cost lattice path (Dijkstra).
+ * @param {object} graph - buildRouteGraph output
+ * @param {number} from - Start node index
+ * @param {number} to - End node index
+ * @param {object} options - Search options
+ * @param {string} options.mode - 'time' or 'energy'
+ * @param {number} options.speed - Cruise speed (m/s)
+ * @param {number} options.fuelRate - Fuel per hour at the cruise speed
+ * @param {Function} options.isWater - (lat, lon) => boolean, checked at each move's midpoint
+ * @returns {Array<number>|null} Node indices from start to end, or null when unreachable
+ */
+export const findLeastCostPath = (graph, from, to, { mode, speed, fuelRate, isWater = isLikelyOnWater }) => {
+  const { nx, ny, u, v, valid, position } = graph;
+  const cost = new Float64Array(nx * ny).fill(Infinity);
+  const previous = new Int32Array(nx * ny).fill(-1);
+  const heap = createHeap();
+  cost[from] = 0;
+  heap.push([0, from]);
+
+  while (heap.size > 0) {
+    const [reached, index] = heap.pop();
+    if (reached > cost[index]) continue;
+    if (index === to) break;
+    const x = index % nx;
+    const y = Math.floor(index / nx);
+    const here = position(index);
+    for (const [dx, dy] of NEIGHBOUR_OFFSETS) {
+      const column = x + dx;
+      const row = y + dy;
+      if (column < 0 || row < 0 || column >= nx || row >= ny) continue;
+      const next = row * nx + column;
+      if (!valid[next]) continue;
+      const there = position(next);
+      if (!isWater((here[1] + there[1]) / 2, (here[0] + there[0]) / 2)) continue;
+      const current = { u: (u[index] + u[next]) / 2, v: (v[index] + v[next]) / 2 };
+      const leg = legCost(mode, legGeometry(here, there), current, speed, fuelRate);
+      if (!leg) continue;
+      const total = reached + (mode === 'energy' ? leg.fuel : leg.seconds);
+      if (total < cost[next]) {
+        cost[next] = total;
+        previous[next] = index;
+        heap.push([total, next]);
+      }
+    }
+  }
+
+  if (!Number.isFinite(cost[to])) return null;
+  const path = [];
+  for (let index = to; index !== -1; index = previous[index]) path.unshift(index);
+  return path;
+};
+
+// Drops waypoints where the heading does not change
+const simplifyPath = (points) => points.filter((point, i) => {
+  if (i === 0 || i === points.length - 1) return true;
+  const [ax, ay] = points[i - 1];
+  const [bx, by] = point;
+  const [cx, cy] = points[i + 1];
+  return Math.abs((bx - ax) * (cy - by) - (by - ay) * (cx - bx)) > 1e-12;
+});
+
+/**
+ * Time and fuel along a polyline, sampling the current every sampleMeters.
+ * @param {Array<Array<number>>} waypoints - [[lon, lat], ...]
+ * @param {Function} currentAt - (lon, lat) => { u, v } or null
+ * @param {object} options - Evaluation options
+ * @param {string} options.mode - 'time' or 'energy'
+ * @param {number} options.speed - Cruise speed (m/s)
+ * @param {number} options.fuelRate - Fuel per hour at the cruise speed
+ * @param {number} options.sampleMeters - Longest leg piece with one current sample
+ * @param {Function} options.isWater - (lat, lon) => boolean
+ * @returns {{feasible: boolean, reason: string|null, distance: number, duration: number, fuel: number, waypointSeconds: Array<number>}}
+ * Duration in seconds; waypointSeconds is the elapsed time at each waypoint
+ */
+export const evaluateRoute = (waypoints, currentAt, { mode = 'time', speed, fuelRate, sampleMeters = 1000, isWater = isLikelyOnWater }) => {
+  let distance = 0;
+  let duration = 0;
+  let fuel = 0;
+  const waypointSeconds = [0];
+  for (let i = 1; i < waypoints.length; i++) {
+    const from = waypoints[i - 1];
+    const to = waypoints[i];
+    const pieces = Math.max(1, Math.ceil(legGeometry(from, to).distance / sampleMeters));
+    for (let piece = 0; piece < pieces; piece++) {
+      const start = [from[0] + (to[0] - from[0]) * piece / pieces, from[1] + (to[1] - from[1]) * piece / pieces];
+      const end = [from[0] + (to[0] - from[0]) * (piece + 1) / pieces, from[1] + (to[1] - from[1]) * (piece + 1) / pieces];
+      const middle = [(start[0] + end[0]) / 2, (start[1] + end[1]) / 2];
+      const current = isWater(middle[1], middle[0]) ? currentAt(middle[0], middle[1]) : null;
+      if (!current) {
+        return { feasible: false, reason: 'Crosses land or leaves the current field', distance, duration, fuel, waypointSeconds };
+      }
+      const leg = legGeometry(start, end);
+      const cost = legCost(mode, leg, current, speed, fuelRate);
+      if (!cost) {
+        return { feasible: false, reason: 'The current is too strong for the vessel speed', distance, duration, fuel, waypointSeconds };
+      }
+      distance += leg.distance;
+      duration += cost.seconds;
+      fuel += cost.fuel;
+    }
+    waypointSeconds.push(duration);
+  }
+  return { feasible: true, reason: null, distance, duration, fuel, waypointSeconds };
+};
+
+/**
+ * Plans least-time and least-energy routes and evaluates the straight line for comparison.
+ * @param {Array<object>} rows - Canonical rows (rawData) with nspeed/direction
+ * @param {Array<number>} start - [lon, lat]
+ * @param {Array<number>} end - [lon, lat]
+ * @param {object} options - DEFAULT_ROUTE_OPTIONS overrides, plus departureTime (ISO or ms) and isWater
+ * @returns {object} { depth, departureTime, currentsTime, speed, fuelRate, routes: [{ kind, label,
+ * feasible, reason, waypoints, waypointTimes, distance, duration, eta, fuel }] }; currentsTime is the
+ * loaded time whose currents are held for the whole passage
+ */
+export const planRoutes = (rows, start, end, options = {}) => {
+  const settings = { ...DEFAULT_ROUTE_OPTIONS, ...options };
+  const { speed, fuelRate, isWater = isLikelyOnWater } = settings;
+  if (!(speed > 0)) throw new Error('Vessel speed must be greater than zero');
+
+  const field = createVelocityField(rows, { depth: settings.depth });
+  const requested = settings.departureTime !== undefined && settings.departureTime !== null
+    ? new Date(settings.departureTime).getTime()
+    : NaN;
+  const fallback = Number.isFinite(field.start) ? field.start : Date.now();
+  const departure = Number.isFinite(requested) ? requested : fallback;
+  // Currents are frozen at the departure time (clamped to the loaded times). Tidal currents turn
+  // within hours, so durations and ETAs of longer passages are approximate
+  const fieldTime = Math.min(Math.max(departure, field.times[0]), field.times[field.times.length - 1]);
+  const currentAt = (lon, lat) => field.velocityAt(lon, lat, fieldTime);
+
+  const onWater = ([lon, lat]) => isWater(lat, lon) && Boolean(currentAt(lon, lat));
+  if (!onWater(start)) throw new Error('The start point is on land or outside the current field');
+  if (!onWater(end)) throw new Error('The end point is on land or outside the current field');
+
+  const levelRows = rows.filter(row => (Number(row.depth) || 0) === field.depth && Number.isFinite(Number(row.lon)) && Number.isFinite(Number(row.lat)));
+  const graph = buildRouteGraph(levelRows, currentAt, { maxNodes: settings.maxNodes, isWater });
+  const nearestNode = ([lon, lat]) => {
+    let best = -1;
+    let bestDistance = Infinity;
+    graph.valid.forEach((isValid, index) => {
+      if (!isValid) return;
+      const distance = legGeometry([lon, lat], graph.position(index)).distance;
+      if (distance < bestDistance) {
+        best = index;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  };
+  const from = nearestNode(start);
+  const to = nearestNode(end);
+  const sampleMeters = Math.min(graph.lonStep, graph.latStep) * METERS_PER_DEGREE / 2;
+
+  const describe = (kind, waypoints, failure = null) => {
+    const evaluation = waypoints
+      ? evaluateRoute(waypoints, currentAt, { mode: ROUTE_KINDS[kind].mode, speed, fuelRate, sampleMeters, isWater })
+      : null;
+    const feasible = Boolean(evaluation?.feasible);
+    return {
+      kind,
+      label: ROUTE_KINDS[kind].label,
+      feasible,
+      reason: failure || evaluation?.reason || null,
+      waypoints: waypoints || [],
+      waypointTimes: feasible ? evaluation.waypointSeconds.map(seconds => new Date(departure + seconds * 1000).toISOString()) : [],
+      distance: evaluation?.distance ?? null,
+      duration: feasible ? evaluation.duration : null,
+      eta: feasible ? new Date(departure + evaluation.duration * 1000).toISOString() : null,
+      fuel: feasible ? evaluation.fuel : null
+    };
+  };
+
+  const planned = ['time', 'energy'].map(kind => {
+    const path = from === -1 || to === -1
+      ? null
+      : findLeastCostPath(graph, from, to, { mode: ROUTE_KINDS[kind].mode, speed, fuelRate, isWater });
+    if (!path) return describe(kind, null, 'No water route between the points at this vessel speed');
+    return describe(kind, simplifyPath([start, ...path.map(graph.position), end]));
+  });
+
+  return {
+    depth: field.depth,
+    departureTime: new Date(departure).toISOString(),
+    currentsTime: new Date(fieldTime).toISOString(),
+    speed,
+    fuelRate,
+    routes: [...planned, describe('straight', [start, end])]
+  };
+};
+
+/**
+ * HoloOcean targets for a route, one per waypoint after the start, timed at the planned ETAs.
+ * @param {object} route - One of planRoutes(...).routes
+ * @param {number} depth - Target depth (m)
+ * @returns {Array<{lat: number, lon: number, depth: number, time: string}>} Arguments for holoOceanService.setTarget
+ */
+export const routeTargets = (route, depth) => route.waypoints.slice(1).map(([lon, lat], i) => ({
+  lat,
+  lon,
+  depth,
+  time: route.waypointTimes[i + 1] || null
+}));
+
+/**
+ * @param {object} plan - planRoutes output
+ * @returns {object} GeoJSON FeatureCollection with a LineString per route
+ */
+export const routesToGeoJSON = (plan) => ({
+  type: 'FeatureCollection',
+  features: plan.routes.filter(route => route.waypoints.length > 1).map(route => ({
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: route.waypoints },
+    properties: {
+      kind: route.kind,
+      label: route.label,
+      feasible: route.feasible,
+      reason: route.reason,
+      departureTime: plan.departureTime,
+      currentsTime: plan.currentsTime,
+      eta: route.eta,
+      distanceMeters: route.distance,
+      durationSeconds: route.duration,
+      fuel: route.fuel,
+      speedMs: plan.speed,
+      coordTimes: route.waypointTimes
+    }
+  }))
+});
+
+const routeService = {
+  DEFAULT_ROUTE_OPTIONS,
+  ROUTE_KINDS,
+  legCost,
+  buildRouteGraph,
+  findLeastCostPath,
+  evaluateRoute,
+  planRoutes,
+  routeTargets,
+  routesToGeoJSON
+};
+
+export default routeService;
@@ -0,0 +1,104 @@
+import {
+  legCost,
+  buildRouteGraph,
+  planRoutes,
+  routeTargets,
+  routesToGeoJSON
+} from './routeService';
+
+const METERS_PER_DEGREE = 6371000 * Math.PI / 180;
+
+// 0.05° grid over -89..-88, 30..30.5 with the current given per node
+const gridRows = (currentAt) => {
+  const rows = [];
+  for (let i = 0; i <= 20; i++) {
+    for (let j = 0; j <= 10; j++) {
+      const lon = -89 + i * 0.05;
+      const lat = 30 + j * 0.05;
+      rows.push({ time: '2025-08-01T00:00:00Z', lon, lat, depth: 0, ...currentAt(lon, lat) });
+    }
+  }
+  return rows;
+};
+
+const still = () => ({ nspeed: 0, direction: 0 });
+const byKind = (plan) => Object.fromEntries(plan.routes.map(route => [route.kind, route]));
+
+describe('routeService', () => {
+  it('costs legs at constant speed through the water or over ground', () => {
+    const east = { distance: 3600, east: 1, north: 0 };
+    const helped = legCost('time', east, { u: 1, v: 0 }, 2, 10);
+    expect(helped.seconds).toBe(1200);
+    expect(helped.fuel).toBeCloseTo(10 / 3, 10);
+    // 3 m/s cross current against a 2 m/s vessel cannot be crabbed against
+    expect(legCost('time', east, { u: 0, v: 3 }, 2, 10)).toBeNull();
+    expect(legCost('time', east, { u: -2, v: 0 }, 2, 10)).toBeNull();
+    // Holding 2 m/s over ground with 1 m/s behind takes 1 m/s through the water: 1/8 of the power
+    const following = legCost('energy', east, { u: 1, v: 0 }, 2, 10);
+    expect(following.seconds).toBe(1800);
+    expect(following.fuel).toBeCloseTo(10 * 0.5 * 0.125, 10);
+  });
+
+  it('matches the straight line in still water and times the waypoints', () => {
+    const plan = planRoutes(gridRows(still), [-88.9, 30.2], [-88.1, 30.2], {
+      speed: 2, fuelRate: 36, departureTime: '2025-08-01T06:00:00Z', isWater: () => true
+    });
+    const routes = byKind(plan);
+    const distance = 0.8 * METERS_PER_DEGREE * Math.cos(30.2 * Math.PI / 180);
+    ['time', 'energy', 'straight'].forEach(kind => {
+      expect(routes[kind].feasible).toBe(true);
+      expect(routes[kind].distance).toBeCloseTo(distance, -1);
+      expect(routes[kind].duration).toBeCloseTo(distance / 2, -1);
+    });
+    expect(routes.time.waypoints).toEqual([[-88.9, 30.2], [-88.1, 30.2]]);
+    expect(routes.straight.fuel).toBeCloseTo(36 * distance / 2 / 3600, 6);
+    expect(routes.straight.waypointTimes[0]).toBe('2025-08-01T06:00:00.000Z');
+    expect(routes.straight.eta).toBe(new Date(Date.parse('2025-08-01T06:00:00Z') + routes.straight.duration * 1000).toISOString());
+    expect(plan.departureTime).toBe('2025-08-01T06:00:00.000Z');
+    // One loaded time: its currents are held for the passage
+    expect(plan.currentsTime).toBe('2025-08-01T00:00:00.000Z');
+  });
+
+  it('routes around land that blocks the straight line', () => {
+    const isWater = (lat, lon) => !(lon > -88.62 && lon < -88.38 && lat < 30.38);
+    const plan = planRoutes(gridRows(still), [-88.9, 30.1], [-88.1, 30.1], { speed: 2, isWater });
+    const routes = byKind(plan);
+    expect(routes.straight).toMatchObject({ feasible: false, reason: 'Crosses land or leaves the current field', eta: null });
+    expect(routes.time.feasible).toBe(true);
+    expect(routes.time.distance).toBeGreaterThan(routes.straight.distance);
+    routes.time.waypoints.forEach(([lon, lat]) => expect(isWater(lat, lon)).toBe(true));
+    expect(Math.max(...routes.time.waypoints.map(([, lat]) => lat))).toBeGreaterThanOrEqual(30.38);
+
+    expect(() => planRoutes(gridRows(still), [-88.5, 30.1], [-88.1, 30.1], { isWater })).toThrow('start point is on land');
+  });
+
+  it('rides a favourable current jet off the straight line', () => {
+    // 1.5 m/s eastward jet along the northern edge, still water elsewhere
+    const rows = gridRows((lon, lat) => (lat >= 30.4 ? { nspeed: 1.5, direction: 90 } : still()));
+    const plan = planRoutes(rows, [-88.95, 30.3], [-88.05, 30.3], { speed: 2, isWater: () => true });
+    const routes = byKind(plan);
+    expect(routes.time.duration).toBeLessThan(routes.straight.duration * 0.9);
+    expect(routes.time.fuel).toBeLessThan(routes.straight.fuel);
+    expect(routes.energy.fuel).toBeLessThan(routes.straight.fuel);
+    expect(Math.max(...routes.time.waypoints.map(([, lat]) => lat))).toBeGreaterThanOrEqual(30.4);
+  });
+
+  it('builds the lattice over a full-load number of nodes', () => {
+    const nodes = Array.from({ length: 250000 }, (_, i) => ({ lon: -89 + (i % 500) * 0.002, lat: 30 + Math.floor(i / 500) * 0.001 }));
+    const graph = buildRouteGraph(nodes, () => ({ u: 0, v: 0 }), { isWater: () => true });
+    expect(graph.west).toBe(-89);
+    expect(graph.south).toBe(30);
+    expect(graph.nx * graph.ny).toBeLessThanOrEqual(20000);
+    expect(graph.valid.every(Boolean)).toBe(true);
+  });
+
+  it('turns a route into HoloOcean targets and GeoJSON', () => {
+    const plan = planRoutes(gridRows(still), [-88.9, 30.2], [-88.1, 30.2], { speed: 2, isWater: () => true });
+    const straight = byKind(plan).straight;
+    expect(routeTargets(straight, 10)).toEqual([{ lat: 30.2, lon: -88.1, depth: 10, time: straight.eta }]);
+
+    const geojson = routesToGeoJSON(plan);
+    expect(geojson.features.map(feature => feature.properties.kind)).toEqual(['time', 'energy', 'straight']);
+    expect(geojson.features[2].properties.coordTimes).toHaveLength(2);
+  });
+});
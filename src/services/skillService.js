@@ -0,0 +1,281 @@
+/**
+ * Skill Service
+ * Compares the model with observations (see observationService). The model time series at the
+ * selected depth (see processAPIData) is interpolated to each station's position at every model
+ * time step (see spatialInterpolationService), then linearly in time to each observation time.
+ * The matched pairs give bias, RMSE, correlation and Willmott's index of agreement per station and
+ * variable, plus the normalized standard deviation and centered RMS difference of a Taylor
+ * diagram.
+ *
+ * Water levels are compared as anomalies (each series minus its mean): observation datums (MLLW,
+ * MSL, ...) are not the model's reference level, so the offset between them is not model error.
+ */
+
+import Papa from 'papaparse';
+import { createInterpolator } from './spatialInterpolationService';
+import { convertValue, getUnitSymbol } from './unitService';
+import { DEFAULT_DEPTH_TOLERANCE } from './dataService';
+
+// Observation fields that can be assessed, with the processAPIData key holding the model value.
+// Observed wind (wind_speed) is not assessed: the model rows carry no wind to compare it with.
+export const SKILL_VARIABLES = {
+  temp: { label: 'Temperature', seriesKey: 'temperature' },
+  salinity: { label: 'Salinity', seriesKey: 'salinity' },
+  ssh: { label: 'Water Level', seriesKey: 'waveHeight', anomaly: true },
+  nspeed: { label: 'Current Speed', seriesKey: 'currentSpeed' }
+};
+
+// Observations further than this from a model time step are not paired
+export const DEFAULT_MAX_TIME_GAP_MS = 3 * 60 * 60 * 1000;
+
+// Fewest pairs worth computing statistics for
+const MIN_PAIRS = 2;
+
+const isNumber = (value) => value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+
+/**
+ * Model values of one variable at any position and time of the series.
+ * @param {Array<object>} timeSeries - processAPIData output
+ * @param {string} seriesKey - Field of the series points
+ * @param {object} options - { maxDistance, maxTimeGap }
+ * @returns {Function} (lon, lat, timeMs) => value or null
+ */
+const createSeriesSampler = (timeSeries, seriesKey, { maxDistance, maxTimeGap = DEFAULT_MAX_TIME_GAP_MS }) => {
+  const nodesByTime = new Map();
+  timeSeries.forEach(point => {
+    if (!isNumber(point[seriesKey])) return;
+    const time = new Date(point.timestamp).getTime();
+    if (isNaN(time)) return;
+    if (!nodesByTime.has(time)) nodesByTime.set(time, []);
+    nodesByTime.get(time).push({ lon: point.longitude, lat: point.latitude, value: Number(point[seriesKey]) });
+  });
+  const times = Array.from(nodesByTime.keys()).sort((a, b) => a - b);
+  // One interpolator per time step, built when first needed
+  const interpolators = new Map();
+
+  const valueAt = (index, lon, lat) => {
+    if (!interpolators.has(index)) {
+      const options = { fields: ['value'], vectors: {} };
+      if (maxDistance !== undefined) options.maxDistance = maxDistance;
+      interpolators.set(index, createInterpolator(nodesByTime.get(times[index]), options));
+    }
+    return interpolators.get(index).sample(lon, lat)?.values.value ?? null;
+  };
+
+  return (lon, lat, time) => {
+    if (times.length === 0) return null;
+    let low = 0;
+    let high = times.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (times[mid] < time) low = mid + 1;
+      else high = mid;
+    }
+    if (times[low] === time) return valueAt(low, lon, lat);
+
+    const before = low - 1;
+    const after = low < times.length ? low : -1;
+    const beforeValue = before >= 0 && time - times[before] <= 2 * maxTimeGap ? valueAt(before, lon, lat) : null;
+    const afterValue = after >= 0 && times[after] - time <= 2 * maxTimeGap ? valueAt(after, lon, lat) : null;
+    if (beforeValue !== null && afterValue !== null && times[after] - times[before] <= 2 * maxTimeGap) {
+      const weight = (time - times[before]) / (times[after] - times[before]);
+      return beforeValue + (afterValue - beforeValue) * weight;
+    }
+    if (beforeValue !== null && time - times[before] <= maxTimeGap) return beforeValue;
+    if (afterValue !== null && times[after] - time <= maxTimeGap) return afterValue;
+    return null;
+  };
+};
+
+/**
+ * Pairs a station's observations of one variable with the model.
+ * @param {Array<object>} timeSeries - processAPIData output at the selected depth
+ * @param {Array<object>} rows - Observation rows of one station
+ * @param {string} variable - SKILL_VARIABLES key
+ * @param {object} options - Pairing options
+ * @param {number} options.depth - Depth of the model series; observations outside the tolerance are skipped
+ * @param {number} options.depthTolerance - Half-width of the depth window, in meters
+ * @param {number} options.maxTimeGap - Largest gap to a model time step, in ms
+ * @param {number} options.maxDistance - Interpolation search distance (degrees)
+ * @param {Function} options.sampler - Sampler to reuse across stations (internal)
+ * @returns {Array<{time: string, obs: number, model: number}>} Pairs in canonical units
+ */
+export const pairObservations = (timeSeries, rows, variable, {
+  depth = null,
+  depthTolerance = DEFAULT_DEPTH_TOLERANCE,
+  maxTimeGap = DEFAULT_MAX_TIME_GAP_MS,
+  maxDistance,
+  sampler = null
+} = {}) => {
+  const { seriesKey } = SKILL_VARIABLES[variable];
+  const sample = sampler || createSeriesSampler(timeSeries, seriesKey, { maxDistance, maxTimeGap });
+  const pairs = [];
+  rows.forEach(row => {
+    if (!isNumber(row[variable])) return;
+    if (depth !== null && isNumber(row.depth) && Math.abs(row.depth - depth) > depthTolerance) return;
+    const model = sample(row.lon, row.lat, Date.parse(row.time));
+    if (model !== null) pairs.push({ time: row.time, obs: Number(row[variable]), model });
+  });
+  return pairs;
+};
+
+/**
+ * Skill statistics of matched pairs.
+ * @param {Array<{obs: number, model: number}>} pairs - Pairs in any one unit
+ * @param {object} options - { anomaly: remove each series' mean before comparing }
+ * @returns {object|null} { n, meanObs, meanModel, bias, rmse, crmse, correlation, willmott,
+ * stdObs, stdModel, normalizedStd }, or null with fewer than two pairs
+ */
+export const computeSkill = (pairs, { anomaly = false } = {}) => {
+  const n = pairs.length;
+  if (n < MIN_PAIRS) return null;
+  let meanObs = pairs.reduce((sum, pair) => sum + pair.obs, 0) / n;
+  let meanModel = pairs.reduce((sum, pair) => sum + pair.model, 0) / n;
+  const obs = pairs.map(pair => (anomaly ? pair.obs - meanObs : pair.obs));
+  const model = pairs.map(pair => (anomaly ? pair.model - meanModel : pair.model));
+  if (anomaly) {
+    meanObs = 0;
+    meanModel = 0;
+  }
+
+  let squaredError = 0;
+  let varObs = 0;
+  let varModel = 0;
+  let covariance = 0;
+  let agreement = 0;
+  for (let i = 0; i < n; i++) {
+    const dObs = obs[i] - meanObs;
+    const dModel = model[i] - meanModel;
+    squaredError += (model[i] - obs[i]) ** 2;
+    varObs += dObs ** 2;
+    varModel += dModel ** 2;
+    covariance += dObs * dModel;
+    agreement += (Math.abs(model[i] - meanObs) + Math.abs(dObs)) ** 2;
+  }
+  const stdObs = Math.sqrt(varObs / n);
+  const stdModel = Math.sqrt(varModel / n);
+  const correlation = stdObs > 0 && stdModel > 0 ? covariance / n / (stdObs * stdModel) : null;
+  return {
+    n,
+    meanObs,
+    meanModel,
+    bias: meanModel - meanObs,
+    rmse: Math.sqrt(squaredError / n),
+    // Centered RMS difference: the RMSE left after removing the bias
+    crmse: Math.sqrt(Math.max(0, squaredError / n - (meanModel - meanObs) ** 2)),
+    correlation,
+    willmott: agreement > 0 ? 1 - squaredError / agreement : null,
+    stdObs,
+    stdModel,
+    normalizedStd: stdObs > 0 ? stdModel / stdObs : null
+  };
+};
+
+/**
+ * Position of a result on a Taylor diagram: radius is the normalized standard deviation and the
+ * angle from the x axis is arccos(correlation). The observations sit at (1, 0).
+ * @param {object} stats - computeSkill output
+ * @returns {{x: number, y: number}|null} Cartesian position, or null without a correlation
+ */
+export const toTaylorCoordinates = (stats) => {
+  if (!stats || stats.correlation === null || stats.normalizedStd === null) return null;
+  const r = Math.max(-1, Math.min(1, stats.correlation));
+  return { x: stats.normalizedStd * r, y: stats.normalizedStd * Math.sqrt(1 - r * r) };
+};
+
+/**
+ * Skill of the model at every observation station and variable.
+ * @param {Array<object>} timeSeries - processAPIData output at the selected depth
+ * @param {Array<object>} observations - Observation datasets: { station, rows }
+ * @param {object} options - pairObservations options, plus unitPreferences for the output units
+ * @returns {Array<object>} Results: { id, stationId, stationName, source, variable, label, unit,
+ * anomaly, pairs (display units), stats (display units) }, for station/variable combinations
+ * with at least one pair
+ */
+export const assessSkill = (timeSeries, observations, { unitPreferences, ...options } = {}) => {
+  if (!timeSeries?.length || !observations?.length) return [];
+  const stations = new Map();
+  observations.forEach(dataset => {
+    const key = `${dataset.station.source}:${dataset.station.id}`;
+    if (!stations.has(key)) stations.set(key, { station: dataset.station, rows: [] });
+    stations.get(key).rows.push(...dataset.rows);
+  });
+
+  const samplers = {};
+  const results = [];
+  stations.forEach(({ station, rows }, key) => {
+    Object.entries(SKILL_VARIABLES).forEach(([variable, { label, seriesKey, anomaly = false }]) => {
+      if (!rows.some(row => isNumber(row[variable]))) return;
+      if (!samplers[variable]) samplers[variable] = createSeriesSampler(timeSeries, seriesKey, options);
+      const pairs = pairObservations(timeSeries, rows, variable, { ...options, sampler: samplers[variable] })
+        .map(pair => ({
+          time: pair.time,
+          obs: convertValue(pair.obs, variable, unitPreferences),
+          model: convertValue(pair.model, variable, unitPreferences)
+        }));
+      if (pairs.length === 0) return;
+      results.push({
+        id: `${key}:${variable}`,
+        stationId: station.id,
+        stationName: station.name,
+        source: station.source,
+        variable,
+        label,
+        unit: getUnitSymbol(variable, unitPreferences),
+        anomaly,
+        pairs,
+        stats: computeSkill(pairs, { anomaly })
+      });
+    });
+  });
+  return results;
+};
+
+/**
+ * @param {Array<object>} results - assessSkill output
+ * @returns {string} CSV with one row of statistics per station and variable
+ */
+export const skillToCsv = (results) => {
+  const round = (value, digits = 4) => (value === null || value === undefined ? '' : Number(value.toFixed(digits)));
+  return Papa.unparse(results.map(({ source, stationId, stationName, label, unit, anomaly, pairs, stats }) => ({
+    source,
+    station_id: stationId,
+    station_name: stationName,
+    variable: label,
+    unit,
+    compared_as: anomaly ? 'anomaly' : 'value',
+    n: stats?.n ?? pairs.length,
+    bias: round(stats?.bias),
+    rmse: round(stats?.rmse),
+    crmse: round(stats?.crmse),
+    correlation: round(stats?.correlation),
+    willmott_skill: round(stats?.willmott),
+    std_obs: round(stats?.stdObs),
+    std_model: round(stats?.stdModel)
+  })));
+};
+
+/**
+ * @param {object} result - One assessSkill result
+ * @returns {string} CSV of its matched pairs
+ */
+export const skillPairsToCsv = (result) => {
+  const unit = result.unit ? ` (${result.unit})` : '';
+  return Papa.unparse({
+    fields: ['time', `observed${unit}`, `model${unit}`],
+    data: result.pairs.map(pair => [pair.time, pair.obs, Number(pair.model.toFixed(4))])
+  });
+};
+
+const skillService = {
+  SKILL_VARIABLES,
+  DEFAULT_MAX_TIME_GAP_MS,
+  pairObservations,
+  computeSkill,
+  toTaylorCoordinates,
+  assessSkill,
+  skillToCsv,
+  skillPairsToCsv
+};
+
+export default skillService;
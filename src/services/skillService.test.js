@@ -0,0 +1,77 @@
+import { pairObservations, computeSkill, toTaylorCoordinates, assessSkill, skillToCsv } from './skillService';
+import { UNIT_SYSTEMS } from './unitService';
+
+// Two model time steps on a 2x2 grid, warmer by 2 °C at the second step
+const grid = (timestamp, temperature) => [[-89, 30], [-88, 30], [-89, 31], [-88, 31]].map(([longitude, latitude]) => ({
+  timestamp: new Date(timestamp),
+  longitude,
+  latitude,
+  depth: 0,
+  temperature,
+  waveHeight: 0.2,
+  currentSpeed: 0.5
+}));
+const timeSeries = [...grid('2025-08-01T00:00:00Z', 28), ...grid('2025-08-01T01:00:00Z', 30)];
+
+const obsRow = (time, temp, extra = {}) => ({ time, lat: 30.5, lon: -88.5, depth: 0, temp, ...extra });
+
+describe('skillService', () => {
+  it('interpolates the model to the station in space and time', () => {
+    const pairs = pairObservations(timeSeries, [
+      obsRow('2025-08-01T00:30:00.000Z', 29.5),
+      obsRow('2025-08-01T05:00:00.000Z', 30),
+      obsRow('2025-08-01T00:00:00.000Z', null),
+      obsRow('2025-08-01T00:00:00.000Z', 27, { depth: 50 })
+    ], 'temp', { depth: 0 });
+    expect(pairs).toEqual([{ time: '2025-08-01T00:30:00.000Z', obs: 29.5, model: 29 }]);
+  });
+
+  it('computes bias, RMSE, correlation and Willmott skill', () => {
+    const stats = computeSkill([{ obs: 1, model: 2 }, { obs: 2, model: 3 }, { obs: 3, model: 4 }]);
+    expect(stats.bias).toBe(1);
+    expect(stats.rmse).toBe(1);
+    expect(stats.crmse).toBeCloseTo(0, 10);
+    expect(stats.correlation).toBeCloseTo(1, 10);
+    // sum((m - o)^2) = 3; sum((|m - mean(o)| + |o - mean(o)|)^2) = 1 + 1 + 9
+    expect(stats.willmott).toBeCloseTo(1 - 3 / 11, 10);
+    expect(toTaylorCoordinates(stats)).toEqual({ x: 1, y: 0 });
+
+    const anomaly = computeSkill([{ obs: 1, model: 11 }, { obs: 3, model: 13 }], { anomaly: true });
+    expect(anomaly.bias).toBe(0);
+    expect(anomaly.rmse).toBe(0);
+    expect(computeSkill([{ obs: 1, model: 1 }])).toBeNull();
+  });
+
+  it('assesses each station and variable in display units and exports the statistics', () => {
+    const observations = [{
+      station: { id: '42040', name: 'Buoy', source: 'NDBC' },
+      rows: [obsRow('2025-08-01T00:00:00.000Z', 28), obsRow('2025-08-01T01:00:00.000Z', 31)]
+    }];
+    const results = assessSkill(timeSeries, observations, { unitPreferences: UNIT_SYSTEMS.nautical.units });
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ id: 'NDBC:42040:temp', variable: 'temp', unit: '°F' });
+    // Model 28/30 °C against observed 28/31 °C; a 0.5 °C mean bias is 0.9 °F
+    expect(results[0].stats.bias).toBeCloseTo(-0.9, 6);
+
+    const [header, row] = skillToCsv(results).split('\r\n');
+    expect(header).toBe('source,station_id,station_name,variable,unit,compared_as,n,bias,rmse,crmse,correlation,willmott_skill,std_obs,std_model');
+    expect(row.startsWith('NDBC,42040,Buoy,Temperature,°F,value,2,-0.9,')).toBe(true);
+  });
+
+  it('assesses observed currents against the model current and leaves buoy wind out', () => {
+    const observations = [
+      {
+        station: { id: 'mb0101', name: 'Mobile Bay Entrance', source: 'CO-OPS' },
+        rows: [obsRow('2025-08-01T00:00:00.000Z', null, { nspeed: 0.6 }), obsRow('2025-08-01T01:00:00.000Z', null, { nspeed: 0.7 })]
+      },
+      {
+        station: { id: '42040', name: 'Buoy', source: 'NDBC' },
+        rows: [obsRow('2025-08-01T00:00:00.000Z', null, { wind_speed: 8 }), obsRow('2025-08-01T01:00:00.000Z', null, { wind_speed: 9 })]
+      }
+    ];
+    const results = assessSkill(timeSeries, observations, { unitPreferences: UNIT_SYSTEMS.metric.units });
+    expect(results.map(result => result.id)).toEqual(['CO-OPS:mb0101:nspeed']);
+    expect(results[0].label).toBe('Current Speed');
+    expect(results[0].stats.bias).toBeCloseTo(-0.15, 6);
+  });
+});
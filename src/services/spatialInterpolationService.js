@@ -0,0 +1,259 @@
+/**
+ * Spatial Interpolation Service
+ * Looks up values at arbitrary points between model nodes. Nodes on a rectilinear lon/lat grid
+ * are interpolated bilinearly; scattered nodes (unstructured meshes, stations, imports) by
+ * inverse distance weighting of the nearest nodes. Vectors are interpolated as east/north
+ * (u/v) components, never as speed and direction, so opposing flows cancel instead of
+ * averaging to a sideways direction. Natural-neighbour interpolation is not implemented; IDW
+ * is used for every scattered dataset.
+ */
+
+// Rows sampled by the map probes and readouts
+export const PROBE_FIELDS = [
+  'temp', 'salinity', 'ssh', 'pressure_dbars', 'sound_speed_ms', 'depth',
+  'density', 'sigma_theta', 'n2', 'mld', 'thermocline_depth'
+];
+
+// Vectors of a row: currents in nspeed/direction, as the model adapters write them (see
+// modelAdapterService); wind in wind_speed/wind_direction, which only observation rows carry
+export const PROBE_VECTORS = {
+  current: { getSpeed: row => row.nspeed, getDirection: row => row.direction },
+  wind: { getSpeed: row => row.wind_speed, getDirection: row => row.wind_direction }
+};
+
+// Scattered nodes further than this from a point (degrees) are not used
+export const DEFAULT_MAX_DISTANCE = 0.1;
+
+// Nodes averaged by IDW, and the distance power of their weights
+export const DEFAULT_IDW_NEIGHBOURS = 8;
+export const DEFAULT_IDW_POWER = 2;
+
+const DEG = Math.PI / 180;
+
+/**
+ * @param {number} speed - Vector magnitude
+ * @param {number} direction - Compass degrees the vector points toward
+ * @returns {{u: number, v: number}} East and north components
+ */
+export const toComponents = (speed, direction) => ({
+  u: speed * Math.sin(direction * DEG),
+  v: speed * Math.cos(direction * DEG)
+});
+
+/**
+ * @param {number} u - East component
+ * @param {number} v - North component
+ * @returns {{speed: number, direction: number}} Magnitude and compass direction in [0, 360)
+ */
+export const fromComponents = (u, v) => ({
+  speed: Math.hypot(u, v),
+  direction: ((Math.atan2(u, v) / DEG) + 360) % 360
+});
+
+/**
+ * @param {Array<number>} axis - Sorted values
+ * @param {number} value - Value to bracket
+ * @returns {number} Index i with axis[i] <= value <= axis[i + 1], or -1 outside the axis
+ */
+const bracket = (axis, value) => {
+  if (value < axis[0] || value > axis[axis.length - 1]) return -1;
+  let low = 0;
+  let high = axis.length - 1;
+  while (high - low > 1) {
+    const mid = (low + high) >>> 1;
+    if (axis[mid] <= value) low = mid; else high = mid;
+  }
+  return low;
+};
+
+/**
+ * Reads the interpolated quantities of each node once, so sampling does not touch rows.
+ * @returns {{lon: Float64Array, lat: Float64Array, values: object, components: object}}
+ */
+const readNodes = (nodes, fields, vectors) => {
+  const lon = Float64Array.from(nodes, node => Number(node.lon));
+  const lat = Float64Array.from(nodes, node => Number(node.lat));
+  const values = {};
+  fields.forEach(field => {
+    values[field] = Float64Array.from(nodes, node => Number(node[field] ?? NaN));
+  });
+  const components = {};
+  Object.entries(vectors).forEach(([name, { getSpeed, getDirection }]) => {
+    const u = new Float64Array(nodes.length);
+    const v = new Float64Array(nodes.length);
+    nodes.forEach((node, i) => {
+      const speed = Number(getSpeed(node) ?? NaN);
+      const direction = Number(getDirection(node) ?? NaN);
+      const vector = Number.isFinite(speed) && Number.isFinite(direction)
+        ? toComponents(speed, direction)
+        : { u: NaN, v: NaN };
+      u[i] = vector.u;
+      v[i] = vector.v;
+    });
+    components[name] = { u, v };
+  });
+  return { lon, lat, values, components };
+};
+
+/**
+ * Weighted mean of one quantity over some nodes, skipping nodes where it is missing.
+ * @returns {number|null} Mean, or null when no weighted node has a value
+ */
+const weightedMean = (column, indices, weights) => {
+  let sum = 0;
+  let weightSum = 0;
+  indices.forEach((index, k) => {
+    if (Number.isFinite(column[index])) {
+      sum += column[index] * weights[k];
+      weightSum += weights[k];
+    }
+  });
+  return weightSum > 0 ? sum / weightSum : null;
+};
+
+/**
+ * Lon and lat axes of the nodes when every axis crossing has exactly one node.
+ * @returns {{lons: Array<number>, lats: Array<number>, cells: Map}|null} The grid, or null for
+ * scattered nodes
+ */
+const detectGrid = (lon, lat) => {
+  const count = lon.length;
+  const lons = Array.from(new Set(lon)).sort((a, b) => a - b);
+  const lats = Array.from(new Set(lat)).sort((a, b) => a - b);
+  if (lons.length < 2 || lats.length < 2 || lons.length * lats.length !== count) return null;
+  const cells = new Map();
+  for (let i = 0; i < count; i++) {
+    const key = `${lon[i]},${lat[i]}`;
+    if (cells.has(key)) return null;
+    cells.set(key, i);
+  }
+  return { lons, lats, cells };
+};
+
+/**
+ * Buckets node indices into square cells of the search distance.
+ * @returns {Map<string, Array<number>>} Node indices per cell
+ */
+const buildCellIndex = (lon, lat, cellSize) => {
+  const cells = new Map();
+  for (let i = 0; i < lon.length; i++) {
+    if (!Number.isFinite(lon[i]) || !Number.isFinite(lat[i])) continue;
+    const key = `${Math.floor(lon[i] / cellSize)},${Math.floor(lat[i] / cellSize)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(i);
+  }
+  return cells;
+};
+
+/**
+ * Creates an interpolator over a set of nodes (rows with lat and lon).
+ * @param {Array<object>} nodes - Rows at one depth and time
+ * @param {object} options - Interpolation options
+ * @param {Array<string>} options.fields - Scalar fields to interpolate
+ * @param {object} options.vectors - Vectors to interpolate as u/v: { name: { getSpeed, getDirection } }
+ * @param {string} options.method - 'auto' (bilinear on grids, IDW otherwise), 'bilinear' or 'idw'
+ * @param {number} options.maxDistance - IDW search distance (degrees)
+ * @param {number} options.neighbours - Nodes averaged by IDW
+ * @param {number} options.power - IDW distance power
+ * @returns {{method: string, sample: Function}} sample(lon, lat) returns
+ * { values, vectors, method, nodes } (values are null where no node has the field), or null
+ * when the point is outside the grid or no node is within maxDistance
+ */
+export const createInterpolator = (nodes, {
+  fields = PROBE_FIELDS,
+  vectors = PROBE_VECTORS,
+  method = 'auto',
+  maxDistance = DEFAULT_MAX_DISTANCE,
+  neighbours = DEFAULT_IDW_NEIGHBOURS,
+  power = DEFAULT_IDW_POWER
+} = {}) => {
+  const data = readNodes(nodes, fields, vectors);
+  const grid = method === 'idw' ? null : detectGrid(data.lon, data.lat);
+  if (method === 'bilinear' && !grid) {
+    throw new Error('Bilinear interpolation needs nodes on a rectilinear lon/lat grid');
+  }
+  const resolvedMethod = grid ? 'bilinear' : 'idw';
+  const cellIndex = grid ? null : buildCellIndex(data.lon, data.lat, maxDistance);
+
+  const result = (indices, weights) => {
+    const values = {};
+    fields.forEach(field => {
+      values[field] = weightedMean(data.values[field], indices, weights);
+    });
+    const vectorResults = {};
+    Object.keys(vectors).forEach(name => {
+      const u = weightedMean(data.components[name].u, indices, weights);
+      const v = weightedMean(data.components[name].v, indices, weights);
+      vectorResults[name] = u === null || v === null ? null : { u, v, ...fromComponents(u, v) };
+    });
+    return { values, vectors: vectorResults, method: resolvedMethod, nodes: indices.length };
+  };
+
+  const sampleGrid = (lon, lat) => {
+    const i = bracket(grid.lons, lon);
+    const j = bracket(grid.lats, lat);
+    if (i < 0 || j < 0) return null;
+    const x0 = grid.lons[i];
+    const x1 = grid.lons[i + 1] ?? x0;
+    const y0 = grid.lats[j];
+    const y1 = grid.lats[j + 1] ?? y0;
+    const tx = x1 > x0 ? (lon - x0) / (x1 - x0) : 0;
+    const ty = y1 > y0 ? (lat - y0) / (y1 - y0) : 0;
+    const corners = [[x0, y0, (1 - tx) * (1 - ty)], [x1, y0, tx * (1 - ty)], [x0, y1, (1 - tx) * ty], [x1, y1, tx * ty]];
+    const indices = [];
+    const weights = [];
+    corners.forEach(([x, y, weight]) => {
+      if (weight > 0) {
+        indices.push(grid.cells.get(`${x},${y}`));
+        weights.push(weight);
+      }
+    });
+    return result(indices, weights);
+  };
+
+  const sampleScattered = (lon, lat) => {
+    const lonScale = Math.cos(lat * DEG);
+    const cellX = Math.floor(lon / maxDistance);
+    const cellY = Math.floor(lat / maxDistance);
+    // Degrees of longitude shrink with latitude, so widen the search in x to cover maxDistance
+    const reachX = Math.ceil(1 / Math.max(lonScale, 0.01));
+    const candidates = [];
+    for (let dx = -reachX; dx <= reachX; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const cell = cellIndex.get(`${cellX + dx},${cellY + dy}`);
+        if (!cell) continue;
+        cell.forEach(index => {
+          const distance = Math.hypot((data.lon[index] - lon) * lonScale, data.lat[index] - lat);
+          if (distance <= maxDistance) candidates.push({ index, distance });
+        });
+      }
+    }
+    if (candidates.length === 0) return null;
+    candidates.sort((a, b) => a.distance - b.distance);
+    // A point on a node takes that node's values
+    if (candidates[0].distance < 1e-9) return result([candidates[0].index], [1]);
+    const nearest = candidates.slice(0, neighbours);
+    return result(nearest.map(c => c.index), nearest.map(c => 1 / Math.pow(c.distance, power)));
+  };
+
+  return {
+    method: resolvedMethod,
+    sample: (lon, lat) => {
+      if (nodes.length === 0 || !Number.isFinite(lon) || !Number.isFinite(lat)) return null;
+      return grid ? sampleGrid(lon, lat) : sampleScattered(lon, lat);
+    }
+  };
+};
+
+const spatialInterpolationService = {
+  PROBE_FIELDS,
+  PROBE_VECTORS,
+  DEFAULT_MAX_DISTANCE,
+  DEFAULT_IDW_NEIGHBOURS,
+  DEFAULT_IDW_POWER,
+  toComponents,
+  fromComponents,
+  createInterpolator
+};
+
+export default spatialInterpolationService;
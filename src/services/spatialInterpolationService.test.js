@@ -0,0 +1,58 @@
+import { createInterpolator, toComponents, fromComponents } from './spatialInterpolationService';
+
+const gridNode = (lon, lat, temp) => ({ lon, lat, temp, nspeed: 1, direction: 90 });
+
+describe('spatialInterpolationService', () => {
+  it('interpolates bilinearly inside a grid cell', () => {
+    const interpolator = createInterpolator([
+      gridNode(0, 0, 10), gridNode(1, 0, 20),
+      gridNode(0, 1, 30), gridNode(1, 1, 40)
+    ]);
+    expect(interpolator.method).toBe('bilinear');
+
+    const sample = interpolator.sample(0.25, 0.5);
+    expect(sample.values.temp).toBeCloseTo(22.5);
+    expect(sample.vectors.current.speed).toBeCloseTo(1);
+    expect(sample.vectors.current.direction).toBeCloseTo(90);
+    expect(interpolator.sample(1.5, 0.5)).toBeNull();
+  });
+
+  it('uses IDW on scattered nodes and returns a node\'s values on it', () => {
+    const interpolator = createInterpolator([
+      { lon: 0, lat: 0, temp: 10 },
+      { lon: 0.04, lat: 0, temp: 20 },
+      { lon: 0.01, lat: 0.03, temp: 30 }
+    ], { vectors: {} });
+    expect(interpolator.method).toBe('idw');
+    expect(interpolator.sample(0.04, 0).values.temp).toBe(20);
+
+    // One quarter of the way from the first to the second node, ignoring the third
+    const twoNodes = createInterpolator([
+      { lon: 0, lat: 0, temp: 10 },
+      { lon: 0.04, lat: 0, temp: 20 }
+    ], { vectors: {}, method: 'idw' });
+    expect(twoNodes.sample(0.01, 0).values.temp).toBeCloseTo((10 * 9 + 20) / 10);
+    expect(twoNodes.sample(1, 1)).toBeNull();
+  });
+
+  it('interpolates vectors as u/v so opposing flows cancel', () => {
+    const interpolator = createInterpolator([
+      { lon: 0, lat: 0, nspeed: 1, direction: 0 },
+      { lon: 1, lat: 0, nspeed: 1, direction: 180 },
+      { lon: 0, lat: 1, nspeed: 1, direction: 0 },
+      { lon: 1, lat: 1, nspeed: 1, direction: 180 }
+    ], { fields: [] });
+    const { current } = interpolator.sample(0.5, 0.5).vectors;
+    expect(current.speed).toBeCloseTo(0);
+    expect(interpolator.sample(0.5, 0.5).vectors.wind).toBeNull();
+
+    const { u, v } = toComponents(2, 90);
+    expect(u).toBeCloseTo(2);
+    expect(v).toBeCloseTo(0);
+    expect(fromComponents(u, v).direction).toBeCloseTo(90);
+  });
+
+  it('rejects bilinear interpolation of scattered nodes', () => {
+    expect(() => createInterpolator([{ lon: 0, lat: 0 }, { lon: 1, lat: 2 }], { method: 'bilinear' })).toThrow();
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ * Telemetry Service
+ * Records the HoloOcean status and target stream to IndexedDB and replays it. While a recording
+ * runs, every status and target message received by holoOceanService is stored with its arrival
+ * time under a session. Sessions export as JSON lines or CSV, and replay feeds the stored messages
+ * back through holoOceanService's events at their recorded pace, so useHoloOcean and everything
+ * built on it show a recorded dive as if the simulator were running.
+ */
+
+import Papa from 'papaparse';
+import holoOceanService from './holoOceanService';
+
+const DB_NAME = 'holoocean-telemetry';
+const DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+const RECORD_STORE = 'records';
+
+export const TELEMETRY_EVENTS = ['status', 'targetUpdated'];
+export const REPLAY_SPEEDS = [0.5, 1, 2, 5, 10, 50];
+// Longest wait between replayed messages, so pauses in a recording do not stall the replay
+export const MAX_REPLAY_GAP_MS = 5000;
+
+export const TELEMETRY_CSV_COLUMNS = [
+  'time', 'event',
+  'target_lat', 'target_lon', 'target_depth', 'target_time',
+  'current_lat', 'current_lon', 'current_depth', 'current_time',
+  'running', 'tick_count', 'last_error'
+];
+
+let dbPromise = null;
+let activeRecording = null;
+const recordingListeners = new Set();
+
+/**
+ * @returns {boolean} True if IndexedDB is available in this environment
+ */
+export const isTelemetryStorageAvailable = () => typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Opens (and upgrades) the telemetry database once per session.
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(SESSION_STORE, { keyPath: 'id', autoIncrement: true });
+        const records = request.result.createObjectStore(RECORD_STORE, { autoIncrement: true });
+        records.createIndex('sessionId', 'sessionId', { unique: false });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Runs a callback inside a transaction on the session and record stores.
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives { sessions, records } object stores
+ * @returns {Promise<*>} Resolves with the callback's result once the transaction completes
+ */
+const withStores = async (mode, callback) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SESSION_STORE, RECORD_STORE], mode);
+    let result;
+    Promise.resolve(callback({
+      sessions: transaction.objectStore(SESSION_STORE),
+      records: transaction.objectStore(RECORD_STORE)
+    }))
+      .then(value => { result = value; })
+      .catch(reject);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * @returns {Promise<Array<object>>} Recorded sessions, newest first
+ */
+export const listSessions = async () => {
+  const sessions = await withStores('readonly', ({ sessions }) => promisifyRequest(sessions.getAll()));
+  return sessions.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+};
+
+/**
+ * @param {number} sessionId - Session id
+ * @returns {Promise<Array<{sessionId: number, t: number, event: string, data: object}>>} Records in arrival order
+ */
+export const getSessionRecords = async (sessionId) => {
+  const records = await withStores('readonly', ({ records }) => promisifyRequest(records.index('sessionId').getAll(sessionId)));
+  return records.sort((a, b) => a.t - b.t);
+};
+
+/**
+ * Deletes a session and its records.
+ * @param {number} sessionId - Session id
+ */
+export const deleteSession = (sessionId) => withStores('readwrite', async ({ sessions, records }) => {
+  sessions.delete(sessionId);
+  const keys = await promisifyRequest(records.index('sessionId').getAllKeys(sessionId));
+  keys.forEach(key => records.delete(key));
+});
+
+const notifyRecordingListeners = () => recordingListeners.forEach(listener => listener(activeRecording?.session || null));
+
+/**
+ * @param {Function} listener - Called with the active session (or null) when recording starts, records or stops
+ * @returns {Function} Unsubscribe
+ */
+export const onRecordingChange = (listener) => {
+  recordingListeners.add(listener);
+  return () => recordingListeners.delete(listener);
+};
+
+/**
+ * @returns {object|null} The session being recorded
+ */
+export const getActiveRecording = () => activeRecording?.session || null;
+
+/**
+ * Starts recording the HoloOcean message stream into a new session. The recording lives outside
+ * React, so it continues while the HoloOcean panel is closed.
+ * @param {string} name - Session name
+ * @returns {Promise<object>} The session
+ */
+export const startRecording = async (name = '') => {
+  if (activeRecording) return activeRecording.session;
+  const startedAt = new Date().toISOString();
+  const session = {
+    name: name || `Session ${startedAt.slice(0, 19).replace('T', ' ')} UTC`,
+    startedAt,
+    endedAt: null,
+    endpoint: holoOceanService.endpoint,
+    recordCount: 0
+  };
+  session.id = await withStores('readwrite', ({ sessions }) => promisifyRequest(sessions.add(session)));
+  activeRecording = { session, writes: Promise.resolve() };
+
+  holoOceanService.setRecorder((event, data, receivedAt) => {
+    const recording = activeRecording;
+    const record = { sessionId: session.id, t: receivedAt, event, data };
+    session.recordCount++;
+    // Writes are chained so records land in arrival order
+    recording.writes = recording.writes
+      .then(() => withStores('readwrite', ({ records }) => { records.add(record); }))
+      .catch(error => console.error('Failed to store HoloOcean telemetry:', error));
+    notifyRecordingListeners();
+  });
+  notifyRecordingListeners();
+  return session;
+};
+
+/**
+ * Stops the active recording once its pending writes are stored.
+ * @returns {Promise<object|null>} The finished session, or null when nothing was recording
+ */
+export const stopRecording = async () => {
+  if (!activeRecording) return null;
+  const { session, writes } = activeRecording;
+  holoOceanService.setRecorder(null);
+  activeRecording = null;
+  await writes;
+  session.endedAt = new Date().toISOString();
+  await withStores('readwrite', ({ sessions }) => { sessions.put(session); });
+  notifyRecordingListeners();
+  return session;
+};
+
+/**
+ * @param {Array<object>} records - Session records
+ * @returns {string} One JSON object per line: { time, event, data }
+ */
+export const recordsToJsonLines = (records) => records
+  .map(record => JSON.stringify({ time: new Date(record.t).toISOString(), event: record.event, data: record.data }))
+  .join('\n');
+
+/**
+ * Flattens records to one CSV row each. Status rows fill the target, current and simulation
+ * columns; target rows only the target columns.
+ * @param {Array<object>} records - Session records
+ * @returns {string} CSV with TELEMETRY_CSV_COLUMNS
+ */
+export const recordsToCsv = (records) => {
+  const data = records.map(record => {
+    const target = record.event === 'targetUpdated' ? record.data : record.data?.target;
+    const current = record.event === 'status' ? record.data?.current : null;
+    const simulation = record.event === 'status' ? record.data?.holoocean : null;
+    return [
+      new Date(record.t).toISOString(), record.event,
+      target?.lat ?? '', target?.lon ?? '', target?.depth ?? '', target?.time ?? '',
+      current?.lat ?? '', current?.lon ?? '', current?.depth ?? '', current?.time ?? '',
+      simulation ? Boolean(simulation.running) : '', simulation?.tick_count ?? '', simulation?.last_error ?? ''
+    ];
+  });
+  return Papa.unparse({ fields: TELEMETRY_CSV_COLUMNS, data });
+};
+
+/**
+ * Replays records through holoOceanService's events at their recorded pace.
+ * @param {Array<object>} records - Session records in arrival order
+ * @param {object} options - Player options
+ * @param {number} options.speed - Playback rate (1 = real time)
+ * @param {Function} options.emit - (event, data) => void; defaults to holoOceanService.replayMessage
+ * @param {Function} options.onProgress - Called with the number of records played
+ * @param {Function} options.onEnd - Called when the last record has played
+ * @returns {object} { play, pause, seek(position), setSpeed(speed), position, isPlaying }
+ */
+export const createTelemetryPlayer = (records, {
+  speed = 1,
+  emit = (event, data) => holoOceanService.replayMessage(event, data),
+  onProgress,
+  onEnd
+} = {}) => {
+  let position = 0;
+  let rate = speed;
+  let timer = null;
+
+  const scheduleNext = (immediate) => {
+    if (position >= records.length) {
+      timer = null;
+      onEnd?.();
+      return;
+    }
+    const gap = immediate || position === 0
+      ? 0
+      : Math.min(records[position].t - records[position - 1].t, MAX_REPLAY_GAP_MS);
+    timer = setTimeout(() => {
+      const record = records[position];
+      position++;
+      emit(record.event, record.data);
+      onProgress?.(position);
+      scheduleNext(false);
+    }, Math.max(0, gap) / rate);
+  };
+
+  const pause = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  return {
+    play: () => {
+      if (timer !== null || position >= records.length) return;
+      scheduleNext(true);
+    },
+    pause,
+    // Jumps to a record and shows the latest status before it, so the view matches the new position
+    seek: (target) => {
+      const wasPlaying = timer !== null;
+      pause();
+      position = Math.max(0, Math.min(records.length, Math.round(target)));
+      const lastStatus = records.slice(0, position).reverse().find(record => record.event === 'status');
+      if (lastStatus) emit(lastStatus.event, lastStatus.data);
+      onProgress?.(position);
+      if (wasPlaying) scheduleNext(true);
+    },
+    setSpeed: (value) => {
+      rate = value;
+    },
+    get position() {
+      return position;
+    },
+    get isPlaying() {
+      return timer !== null;
+    }
+  };
+};
+
+const telemetryService = {
+  TELEMETRY_EVENTS,
+  REPLAY_SPEEDS,
+  MAX_REPLAY_GAP_MS,
+  TELEMETRY_CSV_COLUMNS,
+  isTelemetryStorageAvailable,
+  listSessions,
+  getSessionRecords,
+  deleteSession,
+  onRecordingChange,
+  getActiveRecording,
+  startRecording,
+  stopRecording,
+  recordsToJsonLines,
+  recordsToCsv,
+  createTelemetryPlayer
+};
+
+export default telemetryService;
@@ -0,0 +1,98 @@
+import Papa from 'papaparse';
+import {
+  recordsToJsonLines,
+  recordsToCsv,
+  createTelemetryPlayer,
+  TELEMETRY_CSV_COLUMNS
+} from './telemetryService';
+import holoOceanService from './holoOceanService';
+
+const start = Date.parse('2025-08-14T00:00:00Z');
+const status = (lat, tick) => ({
+  target: { lat: 30.2, lon: -88.5, depth: 10 },
+  current: { lat, lon: -88.6, depth: 9.5, time: '2025-08-14T00:00:00Z' },
+  holoocean: { running: true, tick_count: tick, last_error: null }
+});
+const records = [
+  { sessionId: 1, t: start, event: 'targetUpdated', data: { lat: 30.2, lon: -88.5, depth: 10 } },
+  { sessionId: 1, t: start + 1000, event: 'status', data: status(30.1, 1) },
+  { sessionId: 1, t: start + 2000, event: 'status', data: status(30.15, 2) },
+  // A minute-long gap that replay shortens
+  { sessionId: 1, t: start + 62000, event: 'status', data: status(30.2, 3) }
+];
+
+describe('telemetryService', () => {
+  it('exports records as JSON lines and CSV', () => {
+    const lines = recordsToJsonLines(records).split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(4);
+    expect(lines[1]).toEqual({ time: '2025-08-14T00:00:01.000Z', event: 'status', data: status(30.1, 1) });
+
+    const parsed = Papa.parse(recordsToCsv(records), { header: true }).data;
+    expect(Object.keys(parsed[0])).toEqual(TELEMETRY_CSV_COLUMNS);
+    expect(parsed[0]).toMatchObject({ event: 'targetUpdated', target_lat: '30.2', current_lat: '', running: '' });
+    expect(parsed[2]).toMatchObject({ time: '2025-08-14T00:00:02.000Z', current_lat: '30.15', current_depth: '9.5', running: 'true', tick_count: '2' });
+  });
+
+  describe('player', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    it('replays at the recorded pace, scaled by the speed and with long gaps capped', () => {
+      const emitted = [];
+      const onEnd = jest.fn();
+      const player = createTelemetryPlayer(records, { speed: 2, emit: (event, data) => emitted.push([event, data]), onEnd });
+      player.play();
+      jest.advanceTimersByTime(0);
+      expect(emitted.map(([event]) => event)).toEqual(['targetUpdated']);
+      jest.advanceTimersByTime(500);
+      expect(emitted).toHaveLength(2);
+      player.pause();
+      jest.advanceTimersByTime(10000);
+      expect(emitted).toHaveLength(2);
+      expect(player.isPlaying).toBe(false);
+
+      player.play();
+      jest.advanceTimersByTime(0);
+      expect(emitted).toHaveLength(3);
+      // 60 s gap capped at 5 s, at double speed
+      jest.advanceTimersByTime(2499);
+      expect(emitted).toHaveLength(3);
+      jest.advanceTimersByTime(1);
+      expect(emitted[3][1].holoocean.tick_count).toBe(3);
+      expect(onEnd).toHaveBeenCalledTimes(1);
+      expect(player.position).toBe(4);
+    });
+
+    it('does not replay into a live connection', () => {
+      const handler = jest.fn();
+      holoOceanService.on('status', handler);
+      const player = createTelemetryPlayer(records);
+      try {
+        holoOceanService.isConnected = true;
+        player.seek(3);
+        expect(handler).not.toHaveBeenCalled();
+        expect(holoOceanService.replayMessage('status', status(30.1, 1))).toBe(false);
+
+        holoOceanService.isConnected = false;
+        player.seek(2);
+        expect(handler).toHaveBeenLastCalledWith(status(30.1, 1));
+      } finally {
+        holoOceanService.off('status', handler);
+        holoOceanService.isConnected = false;
+        holoOceanService.lastStatus = null;
+      }
+    });
+
+    it('shows the latest status when seeking', () => {
+      const emitted = [];
+      const onProgress = jest.fn();
+      const player = createTelemetryPlayer(records, { emit: (event, data) => emitted.push([event, data]), onProgress });
+      player.seek(3);
+      expect(emitted).toEqual([['status', status(30.15, 2)]]);
+      expect(onProgress).toHaveBeenLastCalledWith(3);
+      player.seek(1);
+      expect(emitted).toHaveLength(1);
+      expect(player.position).toBe(1);
+    });
+  });
+});
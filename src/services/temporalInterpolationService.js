@@ -0,0 +1,210 @@
+/**
+ * Temporal Interpolation Service
+ * Playback runs on a time axis of the distinct model timestamps. A frame position is a
+ * fractional index into that axis (2.25 is a quarter of the way from step 2 to step 3), and
+ * values between two steps are interpolated linearly, or along the shorter arc for directions,
+ * between the samples at the same location and depth.
+ */
+
+import { buildLayerAttributes, normalizeValues } from './columnarStoreService';
+
+// Row fields interpolated linearly between time steps
+export const LINEAR_FIELDS = [
+  'temp', 'salinity', 'ssh', 'pressure_dbars', 'sound_speed_ms', 'nspeed', 'speed',
+  'abs_salinity', 'cons_temp', 'density', 'sigma_theta', 'sound_speed_teos', 'sound_speed_delta',
+  'n2', 'mld', 'thermocline_depth'
+];
+
+// Row fields in compass degrees, interpolated along the shorter arc
+export const CIRCULAR_FIELDS = ['direction', 'ndirection'];
+
+/**
+ * @param {Array<object>} rows - Rows with a time field
+ * @returns {Float64Array} Sorted distinct epoch ms of the rows
+ */
+export const buildTimeAxis = (rows) => {
+  const times = new Set();
+  rows.forEach(row => {
+    const time = Date.parse(row.time);
+    if (!isNaN(time)) times.add(time);
+  });
+  return Float64Array.from(Array.from(times).sort((a, b) => a - b));
+};
+
+/**
+ * @param {number} position - Frame position
+ * @param {number} stepCount - Length of the time axis
+ * @returns {{step: number, nextStep: number, fraction: number}} The time steps around the
+ * position and how far it is between them (nextStep equals step at the last step)
+ */
+export const splitPosition = (position, stepCount) => {
+  if (stepCount <= 0) return { step: 0, nextStep: 0, fraction: 0 };
+  const clamped = Math.min(Math.max(Number(position) || 0, 0), stepCount - 1);
+  const step = Math.floor(clamped);
+  const nextStep = Math.min(step + 1, stepCount - 1);
+  return { step, nextStep, fraction: nextStep === step ? 0 : clamped - step };
+};
+
+/**
+ * @param {Float64Array|Array<number>} axis - Time axis (epoch ms)
+ * @param {number} position - Frame position
+ * @returns {number|null} Epoch ms at the position, or null for an empty axis
+ */
+export const positionToTime = (axis, position) => {
+  if (axis.length === 0) return null;
+  const { step, nextStep, fraction } = splitPosition(position, axis.length);
+  return axis[step] + (axis[nextStep] - axis[step]) * fraction;
+};
+
+/**
+ * @param {Float64Array|Array<number>} axis - Time axis (epoch ms)
+ * @param {string|number|Date} time - Time to locate
+ * @returns {number} Frame position of the time, clamped to the axis (0 for an empty axis)
+ */
+export const timeToPosition = (axis, time) => {
+  const target = time instanceof Date ? time.getTime() : (typeof time === 'number' ? time : Date.parse(time));
+  if (axis.length === 0 || isNaN(target)) return 0;
+  if (target <= axis[0]) return 0;
+  if (target >= axis[axis.length - 1]) return axis.length - 1;
+  let step = 0;
+  while (axis[step + 1] <= target) step++;
+  return step + (target - axis[step]) / (axis[step + 1] - axis[step]);
+};
+
+/**
+ * @param {number} from - Value at the earlier step
+ * @param {number} to - Value at the later step
+ * @param {number} fraction - 0..1
+ * @returns {number} Linearly interpolated value
+ */
+export const interpolateLinear = (from, to, fraction) => from + (to - from) * fraction;
+
+/**
+ * @param {number} from - Direction at the earlier step (degrees)
+ * @param {number} to - Direction at the later step (degrees)
+ * @param {number} fraction - 0..1
+ * @returns {number} Direction along the shorter arc, in [0, 360)
+ */
+export const interpolateAngle = (from, to, fraction) => {
+  const delta = ((((to - from) % 360) + 540) % 360) - 180;
+  return (((from + delta * fraction) % 360) + 360) % 360;
+};
+
+/**
+ * @param {object} row - Row
+ * @returns {string} Location and depth key matching a row to the same sample at other steps
+ */
+const sampleKey = (row) => `${row.lat},${row.lon},${row.depth}`;
+
+/**
+ * Interpolates two samples of the same location and depth. A value missing at one step
+ * (including QC-hidden values) takes the nearer step's value.
+ * @param {object} from - Row at the earlier step
+ * @param {object} to - Row at the later step
+ * @param {number} fraction - 0..1
+ * @param {number} time - Interpolated epoch ms
+ * @returns {object} Interpolated row
+ */
+export const interpolateRow = (from, to, fraction, time) => {
+  const row = { ...(fraction < 0.5 ? from : to), time: new Date(time).toISOString() };
+  const blend = (fields, interpolate) => fields.forEach(field => {
+    const a = from[field];
+    const b = to[field];
+    if (Number.isFinite(a) && Number.isFinite(b)) row[field] = interpolate(a, b, fraction);
+  });
+  blend(LINEAR_FIELDS, interpolateLinear);
+  blend(CIRCULAR_FIELDS, interpolateAngle);
+  return row;
+};
+
+/**
+ * Groups rows by time step for interpolateFrame.
+ * @param {Array<object>} rows - Formatted rows
+ * @param {Float64Array|Array<number>} axis - Time axis (epoch ms)
+ * @returns {{axis: Float64Array|Array<number>, steps: Array<{rowIndices: Array<number>, byKey: Map}>}}
+ * The row indices of each step and a location/depth lookup of them
+ */
+export const buildFrameIndex = (rows, axis) => {
+  const stepOf = new Map();
+  axis.forEach((time, step) => stepOf.set(time, step));
+  const steps = Array.from(axis, () => ({ rowIndices: [], byKey: new Map() }));
+  rows.forEach((row, index) => {
+    const step = stepOf.get(Date.parse(row.time));
+    if (step === undefined) return;
+    steps[step].rowIndices.push(index);
+    steps[step].byKey.set(sampleKey(row), index);
+  });
+  return { axis, steps };
+};
+
+/**
+ * Rows at a frame position: the rows of the step at or before it, each interpolated toward
+ * the same location and depth at the next step.
+ * @param {Array<object>} rows - Formatted rows the index was built from
+ * @param {object} frameIndex - buildFrameIndex output
+ * @param {number} position - Frame position
+ * @returns {Array<object>} Rows at the interpolated time
+ */
+export const interpolateFrame = (rows, frameIndex, position) => {
+  const { axis, steps } = frameIndex;
+  if (steps.length === 0) return [];
+  const { step, nextStep, fraction } = splitPosition(position, steps.length);
+  const current = steps[step].rowIndices.map(index => rows[index]);
+  if (fraction === 0) return current;
+
+  const next = steps[nextStep].byKey;
+  const time = positionToTime(axis, position);
+  return current.map(row => {
+    const match = next.get(sampleKey(row));
+    return match === undefined ? row : interpolateRow(row, rows[match], fraction, time);
+  });
+};
+
+/**
+ * buildLayerAttributes for a frame position: the store rows of the step at or before it, with
+ * values interpolated toward the same location and depth at the next step. Stores without
+ * timestamps are looked up across all times, as before.
+ * @param {object} store - Columnar store
+ * @param {string} variable - Column to read
+ * @param {object} options - buildLayerAttributes options, plus:
+ * @param {number} options.position - Frame position on store.times
+ * @returns {object} buildLayerAttributes output
+ */
+export const buildInterpolatedLayerAttributes = (store, variable, { position = 0, normalize = true, ...options } = {}) => {
+  if (store.times.length === 0) return buildLayerAttributes(store, variable, { normalize, ...options });
+  const { step, nextStep, fraction } = splitPosition(position, store.times.length);
+  const current = buildLayerAttributes(store, variable, { ...options, normalize: false, timeStep: step });
+  const { values, rowIndices } = current;
+
+  if (fraction > 0) {
+    const next = buildLayerAttributes(store, variable, { ...options, normalize: false, timeStep: nextStep });
+    const pointKey = (row) => `${store.positions[row * 2]},${store.positions[row * 2 + 1]},${store.depthIndex[row]}`;
+    const nextValues = new Map();
+    next.rowIndices.forEach((row, i) => nextValues.set(pointKey(row), next.values[i]));
+    rowIndices.forEach((row, i) => {
+      const nextValue = nextValues.get(pointKey(row));
+      if (nextValue !== undefined) values[i] = interpolateLinear(values[i], nextValue, fraction);
+    });
+  }
+
+  const weightAccessor = options.weightAccessor || 'getWeight';
+  current.attributes[weightAccessor] = { value: normalize ? normalizeValues(values) : values, size: 1 };
+  return current;
+};
+
+const temporalInterpolationService = {
+  LINEAR_FIELDS,
+  CIRCULAR_FIELDS,
+  buildTimeAxis,
+  splitPosition,
+  positionToTime,
+  timeToPosition,
+  interpolateLinear,
+  interpolateAngle,
+  interpolateRow,
+  buildFrameIndex,
+  interpolateFrame,
+  buildInterpolatedLayerAttributes
+};
+
+export default temporalInterpolationService;
@@ -0,0 +1,70 @@
+import { buildColumnarStore } from './columnarStoreService';
+import {
+  buildTimeAxis,
+  splitPosition,
+  positionToTime,
+  timeToPosition,
+  interpolateAngle,
+  buildFrameIndex,
+  interpolateFrame,
+  buildInterpolatedLayerAttributes
+} from './temporalInterpolationService';
+
+const T0 = Date.parse('2025-08-01T00:00:00Z');
+const HOUR = 3600000;
+const iso = (hours) => new Date(T0 + hours * HOUR).toISOString();
+
+const rows = [
+  { lat: 30, lon: -89, depth: 0, time: iso(0), temp: 20, direction: 350, nspeed: 1 },
+  { lat: 30.1, lon: -89, depth: 0, time: iso(0), temp: 22, direction: 90, nspeed: 0.5 },
+  { lat: 30, lon: -89, depth: 0, time: iso(1), temp: 24, direction: 10, nspeed: NaN },
+  { lat: 30.1, lon: -89, depth: 0, time: iso(1), temp: 26, direction: 180, nspeed: 1.5 },
+  { lat: 30, lon: -89, depth: 0, time: iso(3), temp: 30, direction: 10, nspeed: 2 }
+];
+
+describe('temporalInterpolationService', () => {
+  test('time axis positions', () => {
+    const axis = buildTimeAxis(rows);
+    expect(Array.from(axis)).toEqual([T0, T0 + HOUR, T0 + 3 * HOUR]);
+    expect(splitPosition(1.25, 3)).toEqual({ step: 1, nextStep: 2, fraction: 0.25 });
+    expect(splitPosition(7, 3)).toEqual({ step: 2, nextStep: 2, fraction: 0 });
+    expect(positionToTime(axis, 1.5)).toBe(T0 + 2 * HOUR);
+    expect(timeToPosition(axis, iso(2))).toBe(1.5);
+    expect(timeToPosition(axis, iso(-5))).toBe(0);
+  });
+
+  test('interpolates directions along the shorter arc', () => {
+    expect(interpolateAngle(350, 10, 0.5)).toBeCloseTo(0, 10);
+    expect(interpolateAngle(10, 350, 0.25)).toBeCloseTo(5, 10);
+    expect(interpolateAngle(90, 180, 0.5)).toBeCloseTo(135, 10);
+  });
+
+  test('interpolates rows between time steps by location and depth', () => {
+    const frameIndex = buildFrameIndex(rows, buildTimeAxis(rows));
+    expect(interpolateFrame(rows, frameIndex, 0)).toEqual([rows[0], rows[1]]);
+
+    const [first, second] = interpolateFrame(rows, frameIndex, 0.25);
+    expect(first.temp).toBeCloseTo(21, 10);
+    expect(first.direction).toBeCloseTo(355, 10);
+    // Missing at the later step, so the nearer step's value is kept
+    expect(first.nspeed).toBe(1);
+    expect(first.time).toBe(iso(0.25));
+    expect(second.temp).toBeCloseTo(23, 10);
+
+    // Only the first location continues to the last step
+    const late = interpolateFrame(rows, frameIndex, 1.5);
+    expect(late).toHaveLength(2);
+    expect(late[0].temp).toBeCloseTo(27, 10);
+    expect(late[1]).toBe(rows[3]);
+  });
+
+  test('interpolates layer values from the columnar store', () => {
+    const store = buildColumnarStore(rows);
+    const layer = buildInterpolatedLayerAttributes(store, 'temp', { position: 0.5, normalize: false });
+    expect(Array.from(layer.values).sort()).toEqual([22, 24]);
+    expect(layer.attributes.getWeight.value).toBe(layer.values);
+
+    const normalized = buildInterpolatedLayerAttributes(store, 'temp', { position: 0.5 });
+    expect(Array.from(normalized.attributes.getWeight.value).sort()).toEqual([0, 1]);
+  });
+});
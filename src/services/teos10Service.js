@@ -0,0 +1,221 @@
+/**
+ * TEOS-10 Service
+ * The parts of the TEOS-10 Gibbs SeaWater (GSW) toolbox the platform needs: absolute salinity,
+ * conservative temperature, density from the 75-term specific volume polynomial (Roquet et al.
+ * 2015), sound speed, buoyancy frequency and pressure from depth. Inputs are in the canonical
+ * units (degC, PSU, dbar, m).
+ *
+ * Absolute salinity is taken as Reference Salinity (the absolute salinity anomaly atlas is not
+ * bundled; the anomaly is below 0.005 g/kg on the northern Gulf shelf).
+ */
+
+// Reference salinity of Standard Seawater (g/kg) and the salinity scale factor
+export const SSO = 35.16504;
+const UPS = SSO / 35;
+const SFAC = 0.0248826675584615;
+const SALINITY_OFFSET = 5.971840214030754e-1;
+
+// Isobaric heat capacity of the TEOS-10 potential enthalpy (J/(kg K)) and 0 degC in K
+const CP0 = 3991.86795711963;
+const DB2PA = 1e4;
+
+/**
+ * Specific volume polynomial coefficients as [ct power, sa power, p power, value]
+ * (GSW names v{ct}{sa}{p}: ys = CT / 40, xs = sqrt(SFAC * SA + offset), z = p / 1e4).
+ */
+const SPECVOL_TERMS = [
+  [0, 0, 0, 1.0769995862e-3], [0, 0, 1, -6.0799143809e-5], [0, 0, 2, 9.9856169219e-6],
+  [0, 0, 3, -1.1309361437e-6], [0, 0, 4, 1.0531153080e-7], [0, 0, 5, -1.2647261286e-8],
+  [0, 0, 6, 1.9613503930e-9], [0, 1, 0, -3.1038981976e-4], [0, 1, 1, 2.4262468747e-5],
+  [0, 1, 2, -5.8484432984e-7], [0, 1, 3, 3.6310188515e-7], [0, 1, 4, -1.1147125423e-7],
+  [0, 2, 0, 6.6928067038e-4], [0, 2, 1, -3.4792460974e-5], [0, 2, 2, -4.8122251597e-6],
+  [0, 2, 3, 1.6746303780e-8], [0, 3, 0, -8.5047933937e-4], [0, 3, 1, 3.7470777305e-5],
+  [0, 3, 2, 4.9263106998e-6], [0, 4, 0, 5.8086069943e-4], [0, 4, 1, -1.7322218612e-5],
+  [0, 4, 2, -1.7811974727e-6], [0, 5, 0, -2.1092370507e-4], [0, 5, 1, 3.0927427253e-6],
+  [0, 6, 0, 3.1932457305e-5], [1, 0, 0, -1.5649734675e-5], [1, 0, 1, 1.8505765429e-5],
+  [1, 0, 2, -1.1736386731e-6], [1, 0, 3, -3.6527006553e-7], [1, 0, 4, 3.1454099902e-7],
+  [1, 1, 0, 3.5009599764e-5], [1, 1, 1, -9.5677088156e-6], [1, 1, 2, -5.5699154557e-6],
+  [1, 1, 3, -2.7295696237e-7], [1, 2, 0, -4.3592678561e-5], [1, 2, 1, 1.1100834765e-5],
+  [1, 2, 2, 5.4620748834e-6], [1, 3, 0, 3.4532461828e-5], [1, 3, 1, -9.8447117844e-6],
+  [1, 3, 2, -1.3544185627e-6], [1, 4, 0, -1.1959409788e-5], [1, 4, 1, 2.5909225260e-6],
+  [1, 5, 0, 1.3864594581e-6], [2, 0, 0, 2.7762106484e-5], [2, 0, 1, -1.1716606853e-5],
+  [2, 0, 2, 2.1305028740e-6], [2, 0, 3, 2.8695905159e-7], [2, 1, 0, -3.7435842344e-5],
+  [2, 1, 1, -2.3678308361e-7], [2, 1, 2, 3.9137387080e-7], [2, 2, 0, 3.5907822760e-5],
+  [2, 2, 1, 2.9283346295e-6], [2, 2, 2, -6.5731104067e-7], [2, 3, 0, -1.8698584187e-5],
+  [2, 3, 1, -4.8826139200e-7], [2, 4, 0, 3.8595339244e-6], [3, 0, 0, -1.6521159259e-5],
+  [3, 0, 1, 7.9279656173e-6], [3, 0, 2, -4.6132540037e-7], [3, 1, 0, 2.4141479483e-5],
+  [3, 1, 1, -3.4558773655e-6], [3, 1, 2, 7.7618888092e-9], [3, 2, 0, -1.4353633048e-5],
+  [3, 2, 1, 3.1655306078e-7], [3, 3, 0, 2.2863324556e-6], [4, 0, 0, 6.9111322702e-6],
+  [4, 0, 1, -3.4102187482e-6], [4, 0, 2, -6.3352916514e-8], [4, 1, 0, -8.7595873154e-6],
+  [4, 1, 1, 1.2956717783e-6], [4, 2, 0, 4.3703680598e-6], [5, 0, 0, -8.0539615540e-7],
+  [5, 0, 1, 5.0736766814e-7], [5, 1, 0, -3.3052758900e-7], [6, 0, 0, 2.0543094268e-7]
+];
+
+/**
+ * @param {number} value - Base
+ * @param {number} maxPower - Highest power needed
+ * @returns {Array<number>} value^0 .. value^maxPower
+ */
+const powers = (value, maxPower) => {
+  const result = [1];
+  for (let i = 1; i <= maxPower; i++) result.push(result[i - 1] * value);
+  return result;
+};
+
+/**
+ * Evaluates the specific volume polynomial and its pressure derivative.
+ * @returns {{specvol: number, dSpecvolDz: number}} Specific volume (m^3/kg) and d/dz (z = p / 1e4)
+ */
+const evaluateSpecvol = (sa, ct, p) => {
+  const xs = powers(Math.sqrt(SFAC * Math.max(sa, 0) + SALINITY_OFFSET), 6);
+  const ys = powers(ct * 0.025, 6);
+  const z = powers(p * 1e-4, 6);
+  let specvol = 0;
+  let dSpecvolDz = 0;
+  SPECVOL_TERMS.forEach(([i, j, k, value]) => {
+    const term = value * ys[i] * xs[j];
+    specvol += term * z[k];
+    if (k > 0) dSpecvolDz += k * term * z[k - 1];
+  });
+  return { specvol, dSpecvolDz };
+};
+
+/**
+ * Absolute salinity from practical salinity (as Reference Salinity, see the module note).
+ * @param {number} sp - Practical salinity (PSU)
+ * @returns {number} Absolute salinity (g/kg)
+ */
+export const absoluteSalinity = (sp) => UPS * Math.max(sp, 0);
+
+/**
+ * Potential temperature referenced to 0 dbar, from the GSW non-iterative estimate (within
+ * 0.001 degC of the full solution over the upper 1000 dbar).
+ * @param {number} sa - Absolute salinity (g/kg)
+ * @param {number} t - In-situ temperature (degC)
+ * @param {number} p - Sea pressure (dbar)
+ * @returns {number} Potential temperature (degC)
+ */
+export const potentialTemperature = (sa, t, p) => {
+  const s1 = sa * 35 / SSO;
+  return t + p * (8.65483913395442e-6 - s1 * 1.41636299744881e-6 - p * 7.38286467135737e-9 +
+    t * (-8.38241357039698e-6 + s1 * 2.83933368585534e-8 + t * 1.77803965218656e-8 + p * 1.71155619208233e-10));
+};
+
+/**
+ * Conservative temperature from potential temperature (gsw_CT_from_pt).
+ * @param {number} sa - Absolute salinity (g/kg)
+ * @param {number} pt - Potential temperature (degC)
+ * @returns {number} Conservative temperature (degC)
+ */
+export const conservativeTemperatureFromPt = (sa, pt) => {
+  const x2 = SFAC * sa;
+  const x = Math.sqrt(x2);
+  const y = pt * 0.025;
+  const potentialEnthalpy = 61.01362420681071 + y * (168776.46138048015 +
+    y * (-2735.2785605119625 + y * (2574.2164453821433 +
+    y * (-1536.6644434977543 + y * (545.7340497931629 +
+    (-50.91091728474331 - 18.30489878927802 * y) * y))))) +
+    x2 * (268.5520265845071 + y * (-12019.028203559312 +
+    y * (3734.858026725145 + y * (-2046.7671145057618 +
+    y * (465.28655623826234 + (-0.6370820302376359 -
+    10.650848542359153 * y) * y)))) +
+    x * (937.2099110620707 + y * (588.1802812170108 +
+    y * (248.39476522971285 + (-3.871557904936333 -
+    2.6268019854268356 * y) * y)) +
+    x * (-1687.914374187449 + x * (246.9598888781377 +
+    x * (123.59576582457964 - 48.5891069025409 * x)) +
+    y * (936.3206544460336 +
+    y * (-942.7827304544439 + y * (369.4389437509002 +
+    (-33.83664947895248 - 9.987880382780322 * y) * y))))));
+  return potentialEnthalpy / CP0;
+};
+
+/**
+ * @param {number} sa - Absolute salinity (g/kg)
+ * @param {number} t - In-situ temperature (degC)
+ * @param {number} p - Sea pressure (dbar)
+ * @returns {number} Conservative temperature (degC)
+ */
+export const conservativeTemperature = (sa, t, p) => conservativeTemperatureFromPt(sa, potentialTemperature(sa, t, p));
+
+/**
+ * @param {number} sa - Absolute salinity (g/kg)
+ * @param {number} ct - Conservative temperature (degC)
+ * @param {number} p - Sea pressure (dbar)
+ * @returns {number} In-situ density (kg/m^3)
+ */
+export const density = (sa, ct, p) => 1 / evaluateSpecvol(sa, ct, p).specvol;
+
+/**
+ * @param {number} sa - Absolute salinity (g/kg)
+ * @param {number} ct - Conservative temperature (degC)
+ * @returns {number} Potential density anomaly referenced to 0 dbar, sigma-theta (kg/m^3)
+ */
+export const sigmaTheta = (sa, ct) => density(sa, ct, 0) - 1000;
+
+/**
+ * @param {number} sa - Absolute salinity (g/kg)
+ * @param {number} ct - Conservative temperature (degC)
+ * @param {number} p - Sea pressure (dbar)
+ * @returns {number} Sound speed (m/s)
+ */
+export const soundSpeed = (sa, ct, p) => {
+  const { specvol, dSpecvolDz } = evaluateSpecvol(sa, ct, p);
+  // dv/dP in Pa: z = p / 1e4 and p = P / 1e4
+  return specvol * Math.sqrt(-1 / (dSpecvolDz * 1e-4 / DB2PA));
+};
+
+/**
+ * Gravitational acceleration at the sea surface (GSW gravity formula without the pressure term).
+ * @param {number} lat - Latitude (degrees)
+ * @returns {number} g (m/s^2)
+ */
+export const gravity = (lat) => {
+  const sin2 = Math.sin(lat * Math.PI / 180) ** 2;
+  return 9.780327 * (1 + (5.2792e-3 + 2.32e-5 * sin2) * sin2);
+};
+
+/**
+ * Sea pressure at a depth (Saunders 1981).
+ * @param {number} depth - Depth below the surface (m, positive down)
+ * @param {number} lat - Latitude (degrees)
+ * @returns {number} Sea pressure (dbar)
+ */
+export const pressureFromDepth = (depth, lat) => {
+  const sin2 = Math.sin(Math.abs(lat) * Math.PI / 180) ** 2;
+  const c1 = (5.92 + 5.25 * sin2) * 1e-3;
+  return ((1 - c1) - Math.sqrt((1 - c1) ** 2 - 8.84e-6 * depth)) / 4.42e-6;
+};
+
+/**
+ * Squared buoyancy (Brunt-Vaisala) frequency between two samples of a profile. Both samples
+ * are brought to their mid pressure so only the potential density difference counts.
+ * @param {object} upper - { sa, ct, p, depth } of the shallower sample
+ * @param {object} lower - { sa, ct, p, depth } of the deeper sample
+ * @param {number} lat - Latitude (degrees)
+ * @returns {number} N^2 (1/s^2), NaN when the samples share a depth
+ */
+export const buoyancyFrequencySquared = (upper, lower, lat) => {
+  const dz = lower.depth - upper.depth;
+  if (!(dz > 0)) return NaN;
+  const pMid = (upper.p + lower.p) / 2;
+  const rhoUpper = density(upper.sa, upper.ct, pMid);
+  const rhoLower = density(lower.sa, lower.ct, pMid);
+  return gravity(lat) * (rhoLower - rhoUpper) / (((rhoUpper + rhoLower) / 2) * dz);
+};
+
+const teos10Service = {
+  SSO,
+  absoluteSalinity,
+  potentialTemperature,
+  conservativeTemperatureFromPt,
+  conservativeTemperature,
+  density,
+  sigmaTheta,
+  soundSpeed,
+  gravity,
+  pressureFromDepth,
+  buoyancyFrequencySquared
+};
+
+export default teos10Service;
@@ -0,0 +1,46 @@
+import {
+  absoluteSalinity,
+  conservativeTemperature,
+  density,
+  sigmaTheta,
+  soundSpeed,
+  pressureFromDepth,
+  buoyancyFrequencySquared
+} from './teos10Service';
+
+// GSW toolbox check values
+const SA = [34.7118, 34.8915, 35.0256, 34.8472, 34.7366, 34.7324];
+const CT = [28.8099, 28.4392, 22.7862, 10.2262, 6.8272, 4.3236];
+const P = [10, 50, 125, 250, 600, 1000];
+
+describe('teos10Service', () => {
+  test('density and sound speed match the GSW check values', () => {
+    const expectedDensity = [1021.8399, 1022.2625, 1024.4272, 1027.7902, 1029.8378, 1032.0025];
+    const expectedSoundSpeed = [1542.4764, 1542.5734, 1530.7392, 1494.4296, 1487.3918, 1483.9383];
+    SA.forEach((sa, i) => {
+      expect(density(sa, CT[i], P[i])).toBeCloseTo(expectedDensity[i], 3);
+      expect(soundSpeed(sa, CT[i], P[i])).toBeCloseTo(expectedSoundSpeed[i], 1);
+    });
+    expect(sigmaTheta(SA[0], CT[0])).toBeCloseTo(density(SA[0], CT[0], 0) - 1000, 10);
+  });
+
+  test('conservative temperature from in-situ temperature', () => {
+    expect(conservativeTemperature(34.7118, 28.7856, 10)).toBeCloseTo(28.8099, 3);
+    expect(conservativeTemperature(34.7324, 4.4036, 1000)).toBeCloseTo(4.3236, 3);
+    expect(absoluteSalinity(35)).toBeCloseTo(35.16504, 5);
+  });
+
+  test('pressure from depth and buoyancy frequency', () => {
+    expect(pressureFromDepth(1000, 30)).toBeCloseTo(1009.55, 1);
+    expect(pressureFromDepth(0, 30)).toBe(0);
+
+    const upper = { sa: 35, ct: 20, p: pressureFromDepth(10, 30), depth: 10 };
+    const lower = { sa: 35, ct: 15, p: pressureFromDepth(20, 30), depth: 20 };
+    const n2 = buoyancyFrequencySquared(upper, lower, 30);
+    // Stable stratification, a strong summer thermocline is around 1e-3 s^-2
+    expect(n2).toBeGreaterThan(1e-4);
+    expect(n2).toBeLessThan(1e-2);
+    // Samples out of depth order
+    expect(buoyancyFrequencySquared(lower, upper, 30)).toBeNaN();
+  });
+});
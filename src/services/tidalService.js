@@ -0,0 +1,277 @@
+/**
+ * Tidal Service
+ * Harmonic analysis of sea surface height series. The series is fitted by least squares with a
+ * mean plus a cosine/sine pair per constituent; amplitudes and phases follow from each pair. The
+ * fit gives the tide at any time, so the same result detides the record (observed minus tide)
+ * and predicts the tide beyond it.
+ *
+ * Constituents that the record is too short to separate from a stronger neighbour (Rayleigh
+ * criterion) are left out. Phases are relative to the reference time of the analysis, not
+ * Greenwich phases, and no nodal corrections are applied; that is adequate for records of up to a
+ * few months and predictions a few weeks ahead.
+ */
+
+import Papa from 'papaparse';
+import { createInterpolator } from './spatialInterpolationService';
+import { convertValue, withUnitLabel } from './unitService';
+
+// Constituent angular speeds (degrees per hour), in the order they are admitted to the fit
+export const TIDAL_CONSTITUENTS = {
+  M2: { speed: 28.9841042, description: 'Principal lunar semidiurnal' },
+  K1: { speed: 15.0410686, description: 'Lunisolar diurnal' },
+  O1: { speed: 13.9430356, description: 'Principal lunar diurnal' },
+  S2: { speed: 30.0, description: 'Principal solar semidiurnal' },
+  N2: { speed: 28.4397295, description: 'Larger lunar elliptic semidiurnal' },
+  K2: { speed: 30.0821373, description: 'Lunisolar semidiurnal' },
+  P1: { speed: 14.9589314, description: 'Principal solar diurnal' },
+  Q1: { speed: 13.3986609, description: 'Larger lunar elliptic diurnal' },
+  M4: { speed: 57.9682084, description: 'Shallow water overtide of M2' },
+  MS4: { speed: 58.9841042, description: 'Shallow water quarter diurnal' },
+  M6: { speed: 86.9523127, description: 'Shallow water overtide of M2' }
+};
+
+export const DEFAULT_CONSTITUENTS = Object.keys(TIDAL_CONSTITUENTS);
+
+// Shortest record that can be analyzed (about one M2 cycle)
+export const MIN_RECORD_HOURS = 13;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEG = Math.PI / 180;
+
+/**
+ * @param {Array<string>} names - Requested constituents, in priority order
+ * @param {number} recordHours - Length of the record
+ * @param {number} rayleigh - Rayleigh criterion factor (1 = one cycle of separation)
+ * @returns {{included: Array<string>, skipped: Array<string>}} Constituents the record resolves
+ */
+export const selectConstituents = (names, recordHours, rayleigh = 1) => {
+  const included = [];
+  const skipped = [];
+  names.forEach(name => {
+    const { speed } = TIDAL_CONSTITUENTS[name];
+    const resolvable = speed * recordHours >= 360 * rayleigh &&
+      included.every(other => Math.abs(speed - TIDAL_CONSTITUENTS[other].speed) * recordHours >= 360 * rayleigh);
+    (resolvable ? included : skipped).push(name);
+  });
+  return { included, skipped };
+};
+
+/**
+ * Solves a small dense linear system by Gaussian elimination with partial pivoting.
+ * @param {Array<Array<number>>} matrix - Square matrix (modified)
+ * @param {Array<number>} vector - Right-hand side (modified)
+ * @returns {Array<number>} Solution
+ */
+const solveLinearSystem = (matrix, vector) => {
+  const n = vector.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+    }
+    if (Math.abs(matrix[pivot][col]) < 1e-12) {
+      throw new Error('Harmonic fit is singular: the series is too short or too sparse for these constituents');
+    }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    [vector[col], vector[pivot]] = [vector[pivot], vector[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = matrix[row][col] / matrix[col][col];
+      for (let k = col; k < n; k++) matrix[row][k] -= factor * matrix[col][k];
+      vector[row] -= factor * vector[col];
+    }
+  }
+  const solution = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = vector[row];
+    for (let k = row + 1; k < n; k++) sum -= matrix[row][k] * solution[k];
+    solution[row] = sum / matrix[row][row];
+  }
+  return solution;
+};
+
+/**
+ * Harmonic analysis of a water level series.
+ * @param {Array<{time: string|number, value: number}>} series - Water levels (m) in any order
+ * @param {object} options - Analysis options
+ * @param {Array<string>} options.constituents - TIDAL_CONSTITUENTS keys to try
+ * @param {number} options.rayleigh - Rayleigh criterion factor
+ * @returns {object} { reference (ISO), mean, constituents: [{ name, description, speed, period,
+ * amplitude, phase }], skipped, residuals: [{ time, observed, tide, residual }], residualRms,
+ * varianceExplained, recordHours }
+ */
+export const analyzeTides = (series, { constituents = DEFAULT_CONSTITUENTS, rayleigh = 1 } = {}) => {
+  const points = series
+    .map(point => ({ time: new Date(point.time).getTime(), value: Number(point.value) }))
+    .filter(point => !isNaN(point.time) && Number.isFinite(point.value))
+    .sort((a, b) => a.time - b.time);
+  if (points.length < 3) throw new Error('At least three water levels are needed for harmonic analysis');
+  const reference = points[0].time;
+  const recordHours = (points[points.length - 1].time - reference) / HOUR_MS;
+  if (recordHours < MIN_RECORD_HOURS) {
+    throw new Error(`The series covers ${recordHours.toFixed(1)} h; harmonic analysis needs at least ${MIN_RECORD_HOURS} h`);
+  }
+
+  const { included, skipped } = selectConstituents(constituents, recordHours, rayleigh);
+  const speeds = included.map(name => TIDAL_CONSTITUENTS[name].speed * DEG);
+  const size = 1 + 2 * included.length;
+  if (points.length < size) {
+    throw new Error(`${points.length} water levels cannot resolve ${included.length} constituents`);
+  }
+
+  const basis = (hours) => {
+    const row = [1];
+    speeds.forEach(speed => row.push(Math.cos(speed * hours), Math.sin(speed * hours)));
+    return row;
+  };
+
+  // Normal equations of the least-squares fit
+  const normal = Array.from({ length: size }, () => new Array(size).fill(0));
+  const rhs = new Array(size).fill(0);
+  points.forEach(point => {
+    const row = basis((point.time - reference) / HOUR_MS);
+    for (let i = 0; i < size; i++) {
+      rhs[i] += row[i] * point.value;
+      for (let j = i; j < size; j++) normal[i][j] += row[i] * row[j];
+    }
+  });
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < i; j++) normal[i][j] = normal[j][i];
+  }
+  const coefficients = solveLinearSystem(normal, rhs);
+
+  const tideAt = (time) => {
+    const row = basis((time - reference) / HOUR_MS);
+    return row.reduce((sum, value, i) => sum + value * coefficients[i], 0);
+  };
+
+  const residuals = points.map(point => {
+    const tide = tideAt(point.time);
+    return { time: new Date(point.time).toISOString(), observed: point.value, tide, residual: point.value - tide };
+  });
+  const mean = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+  const totalVariance = points.reduce((sum, point) => sum + (point.value - mean) ** 2, 0);
+  const residualSquares = residuals.reduce((sum, point) => sum + point.residual ** 2, 0);
+
+  return {
+    reference: new Date(reference).toISOString(),
+    mean: coefficients[0],
+    constituents: included.map((name, i) => {
+      const a = coefficients[1 + 2 * i];
+      const b = coefficients[2 + 2 * i];
+      return {
+        name,
+        description: TIDAL_CONSTITUENTS[name].description,
+        speed: TIDAL_CONSTITUENTS[name].speed,
+        period: 360 / TIDAL_CONSTITUENTS[name].speed,
+        amplitude: Math.hypot(a, b),
+        // Phase lag relative to the reference time: value = A cos(speed * t - phase)
+        phase: ((Math.atan2(b, a) / DEG) + 360) % 360
+      };
+    }).sort((x, y) => y.amplitude - x.amplitude),
+    skipped,
+    residuals,
+    residualRms: Math.sqrt(residualSquares / points.length),
+    varianceExplained: totalVariance > 0 ? 1 - residualSquares / totalVariance : null,
+    recordHours
+  };
+};
+
+/**
+ * Tide at the given times from an analysis.
+ * @param {object} analysis - analyzeTides output
+ * @param {Array<string|number>} times - ISO strings or epoch ms
+ * @returns {Array<{time: string, tide: number}>} Predicted water levels (m)
+ */
+export const predictTides = (analysis, times) => {
+  const reference = new Date(analysis.reference).getTime();
+  return times.map(time => {
+    const ms = new Date(time).getTime();
+    const hours = (ms - reference) / HOUR_MS;
+    const tide = analysis.constituents.reduce(
+      (sum, { speed, amplitude, phase }) => sum + amplitude * Math.cos((speed * hours - phase) * DEG),
+      analysis.mean
+    );
+    return { time: new Date(ms).toISOString(), tide };
+  });
+};
+
+/**
+ * @param {string|number} start - First time (ISO or epoch ms)
+ * @param {number} hours - Length of the prediction
+ * @param {number} stepMinutes - Spacing
+ * @returns {Array<number>} Epoch ms times
+ */
+export const buildPredictionTimes = (start, hours, stepMinutes = 30) => {
+  const first = new Date(start).getTime();
+  const count = Math.floor((hours * 60) / stepMinutes);
+  return Array.from({ length: count }, (_, i) => first + (i + 1) * stepMinutes * 60 * 1000);
+};
+
+/**
+ * SSH series at a point, interpolated from the model rows of each time step.
+ * @param {Array<object>} rows - Rows with lat, lon, time and ssh (any depths; SSH is a surface field)
+ * @param {number} lon - Longitude
+ * @param {number} lat - Latitude
+ * @param {object} options - { maxDistance } for the interpolation
+ * @returns {Array<{time: string, value: number}>} Series in time order
+ */
+export const extractSshSeries = (rows, lon, lat, { maxDistance } = {}) => {
+  const byTime = new Map();
+  const shallowest = new Map();
+  rows.forEach(row => {
+    if (row.ssh === null || row.ssh === undefined || !Number.isFinite(Number(row.ssh)) || !row.time) return;
+    const depth = Number(row.depth) || 0;
+    // One level per time step is enough, and the shallowest is the one SSH belongs to
+    if (shallowest.has(row.time) && depth > shallowest.get(row.time)) return;
+    if (!shallowest.has(row.time) || depth < shallowest.get(row.time)) {
+      shallowest.set(row.time, depth);
+      byTime.set(row.time, []);
+    }
+    byTime.get(row.time).push(row);
+  });
+  const series = [];
+  byTime.forEach((nodes, time) => {
+    const options = { fields: ['ssh'], vectors: {} };
+    if (maxDistance !== undefined) options.maxDistance = maxDistance;
+    const value = createInterpolator(nodes, options).sample(lon, lat)?.values.ssh;
+    if (value !== null && value !== undefined) series.push({ time: new Date(time).toISOString(), value });
+  });
+  return series.sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+};
+
+/**
+ * @param {object} analysis - analyzeTides output
+ * @param {Array<{time: string, tide: number}>} prediction - predictTides output
+ * @param {object} preferences - Display units
+ * @returns {string} CSV of the record (observed, tide, residual) followed by the prediction
+ */
+export const tidesToCsv = (analysis, prediction, preferences) => {
+  const value = (number) => (number === null ? '' : Number(convertValue(number, 'ssh', preferences).toFixed(4)));
+  return Papa.unparse({
+    fields: [
+      'time',
+      withUnitLabel('observed', 'ssh', preferences),
+      withUnitLabel('tide', 'ssh', preferences),
+      withUnitLabel('residual', 'ssh', preferences),
+      'kind'
+    ],
+    data: [
+      ...analysis.residuals.map(point => [point.time, value(point.observed), value(point.tide), value(point.residual), 'record']),
+      ...prediction.map(point => [point.time, '', value(point.tide), '', 'prediction'])
+    ]
+  });
+};
+
+const tidalService = {
+  TIDAL_CONSTITUENTS,
+  DEFAULT_CONSTITUENTS,
+  MIN_RECORD_HOURS,
+  selectConstituents,
+  analyzeTides,
+  predictTides,
+  buildPredictionTimes,
+  extractSshSeries,
+  tidesToCsv
+};
+
+export default tidalService;
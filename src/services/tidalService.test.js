@@ -0,0 +1,74 @@
+import {
+  TIDAL_CONSTITUENTS,
+  selectConstituents,
+  analyzeTides,
+  predictTides,
+  extractSshSeries,
+  tidesToCsv
+} from './tidalService';
+import { UNIT_SYSTEMS } from './unitService';
+
+const HOUR_MS = 60 * 60 * 1000;
+const start = Date.parse('2025-08-01T00:00:00Z');
+
+// M2 0.5 m at 40°, K1 0.2 m at 300° on a 0.1 m mean
+const synthetic = (hours) => Array.from({ length: hours + 1 }, (_, h) => ({
+  time: new Date(start + h * HOUR_MS).toISOString(),
+  value: 0.1 +
+    0.5 * Math.cos((TIDAL_CONSTITUENTS.M2.speed * h - 40) * Math.PI / 180) +
+    0.2 * Math.cos((TIDAL_CONSTITUENTS.K1.speed * h - 300) * Math.PI / 180)
+}));
+
+describe('tidalService', () => {
+  it('leaves out constituents the record cannot resolve', () => {
+    // S2 needs about 14.8 days to separate from M2
+    expect(selectConstituents(['M2', 'S2'], 24 * 10).skipped).toEqual(['S2']);
+    expect(selectConstituents(['M2', 'S2'], 24 * 15).included).toEqual(['M2', 'S2']);
+  });
+
+  it('recovers amplitudes and phases and predicts beyond the record', () => {
+    const analysis = analyzeTides(synthetic(24 * 30), { constituents: ['M2', 'K1', 'O1', 'S2'] });
+    const byName = Object.fromEntries(analysis.constituents.map(c => [c.name, c]));
+    expect(analysis.constituents[0].name).toBe('M2');
+    expect(byName.M2.amplitude).toBeCloseTo(0.5, 6);
+    expect(byName.M2.phase).toBeCloseTo(40, 4);
+    expect(byName.K1.amplitude).toBeCloseTo(0.2, 6);
+    expect(byName.K1.phase).toBeCloseTo(300, 4);
+    expect(byName.S2.amplitude).toBeCloseTo(0, 6);
+    expect(analysis.mean).toBeCloseTo(0.1, 6);
+    expect(analysis.residualRms).toBeLessThan(1e-6);
+    expect(analysis.varianceExplained).toBeCloseTo(1, 6);
+
+    const later = synthetic(24 * 32).slice(-5);
+    predictTides(analysis, later.map(point => point.time)).forEach((point, i) => {
+      expect(point.tide).toBeCloseTo(later[i].value, 6);
+    });
+  });
+
+  it('rejects records that are too short', () => {
+    expect(() => analyzeTides(synthetic(6))).toThrow('at least 13 h');
+  });
+
+  it('interpolates SSH at a point from the shallowest level of each time step', () => {
+    const rows = [];
+    ['2025-08-01T00:00:00Z', '2025-08-01T01:00:00Z'].forEach((time, t) => {
+      [[-89, 30], [-88, 30], [-89, 31], [-88, 31]].forEach(([lon, lat], i) => {
+        rows.push({ time, lon, lat, depth: 0, ssh: t + i * 0.1 });
+        rows.push({ time, lon, lat, depth: 10, ssh: 99 });
+      });
+    });
+    const series = extractSshSeries(rows, -88.5, 30.5);
+    expect(series.map(point => point.time)).toEqual(['2025-08-01T00:00:00.000Z', '2025-08-01T01:00:00.000Z']);
+    expect(series[0].value).toBeCloseTo(0.15, 10);
+    expect(series[1].value).toBeCloseTo(1.15, 10);
+  });
+
+  it('writes the record and prediction as CSV in display units', () => {
+    const analysis = analyzeTides(synthetic(24), { constituents: ['M2'] });
+    const csv = tidesToCsv(analysis, predictTides(analysis, [start + 25 * HOUR_MS]), UNIT_SYSTEMS.nautical.units);
+    const lines = csv.split('\r\n');
+    expect(lines[0]).toBe('time,observed (ft),tide (ft),residual (ft),kind');
+    expect(lines).toHaveLength(27);
+    expect(lines[26]).toMatch(/^2025-08-02T01:00:00.000Z,,-?[\d.]+,,prediction$/);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Transect Service
+ * Vertical sections along a line drawn on the map. The line is sampled at evenly spaced points,
+ * and each depth level of the frame is interpolated at those points (see
+ * spatialInterpolationService), giving a distance-vs-depth grid per variable. Current speed is
+ * taken from the interpolated u/v vector, not averaged as a scalar.
+ */
+
+import { createInterpolator, PROBE_VECTORS } from './spatialInterpolationService';
+import { convertValue, getUnitSymbol, withUnitLabel } from './unitService';
+
+// Variables a section can show
+export const TRANSECT_VARIABLES = {
+  temp: { label: 'Temperature' },
+  salinity: { label: 'Salinity' },
+  speed: { label: 'Current Speed' },
+  sound_speed_ms: { label: 'Sound Speed' }
+};
+
+// Points sampled along the line
+export const DEFAULT_TRANSECT_SAMPLES = 60;
+
+const EARTH_RADIUS_M = 6371000;
+const DEG = Math.PI / 180;
+
+/**
+ * Great-circle distance (haversine).
+ * @param {Array<number>} from - [lon, lat]
+ * @param {Array<number>} to - [lon, lat]
+ * @returns {number} Distance in meters
+ */
+export const distanceMeters = ([lon1, lat1], [lon2, lat2]) => {
+  const dLat = (lat2 - lat1) * DEG;
+  const dLon = (lon2 - lon1) * DEG;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * DEG) * Math.cos(lat2 * DEG) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Builds the section of a frame along a line.
+ * @param {Array<object>} rows - Rows of one frame, at every depth level
+ * @param {Array<number>} start - [lon, lat] of the first end of the line
+ * @param {Array<number>} end - [lon, lat] of the other end
+ * @param {object} options - Section options
+ * @param {number} options.samples - Points sampled along the line
+ * @param {number} options.maxDistance - Interpolator search distance (degrees)
+ * @returns {{start: Array<number>, end: Array<number>, length: number, points: Array<object>,
+ * depths: Array<number>, values: object}} points are { lon, lat, distance } (meters), depths are
+ * ascending, and values[variable][depthIndex][pointIndex] is the value or null
+ */
+export const buildTransect = (rows, start, end, { samples = DEFAULT_TRANSECT_SAMPLES, maxDistance } = {}) => {
+  const count = Math.max(2, Math.round(samples));
+  const length = distanceMeters(start, end);
+  const points = Array.from({ length: count }, (_, i) => {
+    const t = i / (count - 1);
+    return {
+      lon: start[0] + (end[0] - start[0]) * t,
+      lat: start[1] + (end[1] - start[1]) * t,
+      distance: length * t
+    };
+  });
+
+  const rowsByDepth = new Map();
+  rows.forEach(row => {
+    const depth = Number(row.depth);
+    if (!Number.isFinite(depth)) return;
+    if (!rowsByDepth.has(depth)) rowsByDepth.set(depth, []);
+    rowsByDepth.get(depth).push(row);
+  });
+  const depths = Array.from(rowsByDepth.keys()).sort((a, b) => a - b);
+
+  const scalarFields = Object.keys(TRANSECT_VARIABLES).filter(variable => variable !== 'speed');
+  const values = {};
+  Object.keys(TRANSECT_VARIABLES).forEach(variable => { values[variable] = []; });
+
+  depths.forEach(depth => {
+    const interpolator = createInterpolator(rowsByDepth.get(depth), {
+      fields: scalarFields,
+      vectors: { current: PROBE_VECTORS.current },
+      ...(maxDistance ? { maxDistance } : {})
+    });
+    const samplesAtDepth = points.map(point => interpolator.sample(point.lon, point.lat));
+    scalarFields.forEach(variable => {
+      values[variable].push(samplesAtDepth.map(sample => sample?.values[variable] ?? null));
+    });
+    values.speed.push(samplesAtDepth.map(sample => sample?.vectors.current?.speed ?? null));
+  });
+
+  return { start, end, length, points, depths, values };
+};
+
+/**
+ * @param {object} transect - buildTransect output
+ * @param {string} variable - TRANSECT_VARIABLES key
+ * @returns {{min: number, max: number}|null} Value range of the section, or null when it is empty
+ */
+export const getTransectRange = (transect, variable) => {
+  let min = Infinity;
+  let max = -Infinity;
+  (transect.values[variable] || []).forEach(level => level.forEach(value => {
+    if (value === null) return;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }));
+  return min <= max ? { min, max } : null;
+};
+
+/**
+ * CSV of a section, one line per point and depth, in the user's display units.
+ * @param {object} transect - buildTransect output
+ * @param {object} preferences - Unit id per quantity
+ * @returns {string} CSV text
+ */
+export const transectToCsv = (transect, preferences) => {
+  const variables = Object.keys(TRANSECT_VARIABLES);
+  const exportValue = (value, variable) => {
+    const converted = convertValue(value, variable, preferences);
+    return converted === null ? '' : converted;
+  };
+  const header = [
+    withUnitLabel('distance', 'distance', preferences), 'longitude', 'latitude',
+    withUnitLabel('depth', 'depth', preferences),
+    ...variables.map(variable => withUnitLabel(variable, variable, preferences))
+  ];
+  const lines = [header];
+  transect.depths.forEach((depth, depthIndex) => {
+    transect.points.forEach((point, pointIndex) => {
+      lines.push([
+        exportValue(point.distance, 'distance'),
+        point.lon,
+        point.lat,
+        exportValue(depth, 'depth'),
+        ...variables.map(variable => exportValue(transect.values[variable][depthIndex][pointIndex], variable))
+      ]);
+    });
+  });
+  return lines.map(line => line.join(',')).join('\n');
+};
+
+/**
+ * Compact description of a section for the chat assistant: the line and, per depth, the range
+ * and mean of one variable, in the user's display units.
+ * @param {object} transect - buildTransect output
+ * @param {string} variable - TRANSECT_VARIABLES key
+ * @param {object} preferences - Unit id per quantity
+ * @param {string} time - Frame time, ISO string
+ * @returns {object} Section summary
+ */
+export const summarizeTransect = (transect, variable, preferences, time = null) => {
+  const round = (value, digits = 3) => (value === null ? null : Number(value.toFixed(digits)));
+  const levels = transect.depths.map((depth, depthIndex) => {
+    const present = transect.values[variable][depthIndex].filter(value => value !== null);
+    if (present.length === 0) return null;
+    const mean = present.reduce((sum, value) => sum + value, 0) / present.length;
+    return {
+      depth: round(convertValue(depth, 'depth', preferences), 1),
+      min: round(convertValue(Math.min(...present), variable, preferences)),
+      max: round(convertValue(Math.max(...present), variable, preferences)),
+      mean: round(convertValue(mean, variable, preferences)),
+      coverage: round(present.length / transect.points.length, 2)
+    };
+  }).filter(Boolean);
+
+  return {
+    variable: TRANSECT_VARIABLES[variable]?.label || variable,
+    unit: getUnitSymbol(variable, preferences),
+    depth_unit: getUnitSymbol('depth', preferences),
+    time,
+    start: { lon: round(transect.start[0], 4), lat: round(transect.start[1], 4) },
+    end: { lon: round(transect.end[0], 4), lat: round(transect.end[1], 4) },
+    length: round(convertValue(transect.length, 'distance', preferences), 2),
+    length_unit: getUnitSymbol('distance', preferences),
+    levels
+  };
+};
+
+const transectService = {
+  TRANSECT_VARIABLES,
+  DEFAULT_TRANSECT_SAMPLES,
+  distanceMeters,
+  buildTransect,
+  getTransectRange,
+  transectToCsv,
+  summarizeTransect
+};
+
+export default transectService;
@@ -0,0 +1,45 @@
+import { buildTransect, distanceMeters, getTransectRange, summarizeTransect, transectToCsv } from './transectService';
+import { DEFAULT_UNIT_PREFERENCES } from './unitService';
+
+// 2x2 grid at two depths; temperature rises eastward and cools with depth
+const rows = [0, 10].flatMap(depth => [
+  { lon: 0, lat: 0, depth, temp: 20 - depth, salinity: 35, nspeed: 1, direction: 90 },
+  { lon: 0.1, lat: 0, depth, temp: 22 - depth, salinity: 35, nspeed: 1, direction: 90 },
+  { lon: 0, lat: 0.1, depth, temp: 20 - depth, salinity: 35, nspeed: 1, direction: 90 },
+  { lon: 0.1, lat: 0.1, depth, temp: 22 - depth, salinity: 35, nspeed: 1, direction: 90 }
+]);
+
+describe('transectService', () => {
+  it('measures great-circle distances', () => {
+    expect(distanceMeters([0, 0], [0, 1])).toBeCloseTo(111195, -1);
+  });
+
+  it('interpolates every depth level along the line', () => {
+    const transect = buildTransect(rows, [0, 0.05], [0.1, 0.05], { samples: 3 });
+    expect(transect.depths).toEqual([0, 10]);
+    expect(transect.points.map(point => point.lon)).toEqual([0, 0.05, 0.1]);
+    expect(transect.values.temp[0]).toEqual([20, 21, 22]);
+    expect(transect.values.temp[1]).toEqual([10, 11, 12]);
+    expect(transect.values.speed[0][1]).toBeCloseTo(1);
+    expect(getTransectRange(transect, 'temp')).toEqual({ min: 10, max: 22 });
+  });
+
+  it('leaves points outside the data empty', () => {
+    const transect = buildTransect(rows, [0.05, 0.05], [0.3, 0.05], { samples: 2 });
+    expect(transect.values.temp[0]).toEqual([21, null]);
+  });
+
+  it('exports and summarizes in display units', () => {
+    const transect = buildTransect(rows, [0, 0.05], [0.1, 0.05], { samples: 2 });
+    const [header, firstLine] = transectToCsv(transect, DEFAULT_UNIT_PREFERENCES).split('\n');
+    expect(header.startsWith('distance (km),longitude,latitude,depth (m)')).toBe(true);
+    expect(firstLine.split(',').slice(0, 5)).toEqual(['0', '0', '0.05', '0', '20']);
+
+    const summary = summarizeTransect(transect, 'temp', DEFAULT_UNIT_PREFERENCES);
+    expect(summary.levels).toEqual([
+      { depth: 0, min: 20, max: 22, mean: 21, coverage: 1 },
+      { depth: 10, min: 10, max: 12, mean: 11, coverage: 1 }
+    ]);
+    expect(summary.length_unit).toBe('km');
+  });
+});
@@ -0,0 +1,314 @@
+/**
+ * Unit Service
+ * Registry of the units each displayed quantity can be shown in, and conversion from the
+ * canonical units data is stored in (see CANONICAL_UNITS in modelAdapterService) to the
+ * units the user picked. Displays, chart axes, tooltips, CSV exports and the chatbot payload
+ * format values through this service; the data itself always stays canonical.
+ */
+
+import EncryptedStorage from './encryptedStorageService';
+
+const UNIT_PREFERENCES_STORAGE_KEY = 'ocean-unit-preferences';
+
+/**
+ * Quantities and their units. A unit converts from canonical as value * scale + offset;
+ * symbol is shown after values (degree symbols attach without a space).
+ */
+export const UNIT_QUANTITIES = {
+  temperature: {
+    label: 'Temperature',
+    units: {
+      degC: { label: 'Celsius', symbol: '°C', scale: 1, offset: 0 },
+      degF: { label: 'Fahrenheit', symbol: '°F', scale: 1.8, offset: 32 }
+    }
+  },
+  speed: {
+    label: 'Current / Wind Speed',
+    units: {
+      'm/s': { label: 'Meters per second', symbol: 'm/s', scale: 1, offset: 0 },
+      knots: { label: 'Knots', symbol: 'kn', scale: 1.943844, offset: 0 },
+      'km/h': { label: 'Kilometers per hour', symbol: 'km/h', scale: 3.6, offset: 0 },
+      mph: { label: 'Miles per hour', symbol: 'mph', scale: 2.236936, offset: 0 }
+    }
+  },
+  length: {
+    label: 'Depth / Height',
+    units: {
+      m: { label: 'Meters', symbol: 'm', scale: 1, offset: 0 },
+      ft: { label: 'Feet', symbol: 'ft', scale: 3.280840, offset: 0 }
+    }
+  },
+  distance: {
+    label: 'Distance',
+    units: {
+      km: { label: 'Kilometers', symbol: 'km', scale: 0.001, offset: 0 },
+      nmi: { label: 'Nautical miles', symbol: 'nmi', scale: 1 / 1852, offset: 0 },
+      mi: { label: 'Miles', symbol: 'mi', scale: 1 / 1609.344, offset: 0 }
+    }
+  },
+  pressure: {
+    label: 'Pressure',
+    units: {
+      dbar: { label: 'Decibars', symbol: 'dbar', scale: 1, offset: 0 },
+      psi: { label: 'Pounds per square inch', symbol: 'psi', scale: 1.450377, offset: 0 },
+      kPa: { label: 'Kilopascals', symbol: 'kPa', scale: 10, offset: 0 }
+    }
+  },
+  soundSpeed: {
+    label: 'Sound Speed',
+    units: {
+      'm/s': { label: 'Meters per second', symbol: 'm/s', scale: 1, offset: 0 },
+      'ft/s': { label: 'Feet per second', symbol: 'ft/s', scale: 3.280840, offset: 0 }
+    }
+  },
+  salinity: {
+    label: 'Salinity',
+    units: {
+      PSU: { label: 'Practical salinity', symbol: 'PSU', scale: 1, offset: 0 }
+    }
+  },
+  absoluteSalinity: {
+    label: 'Absolute Salinity',
+    units: {
+      'g/kg': { label: 'Grams per kilogram', symbol: 'g/kg', scale: 1, offset: 0 }
+    }
+  },
+  density: {
+    label: 'Density',
+    units: {
+      'kg/m3': { label: 'Kilograms per cubic meter', symbol: 'kg/m³', scale: 1, offset: 0 }
+    }
+  },
+  buoyancyFrequency: {
+    label: 'Buoyancy Frequency',
+    units: {
+      's-2': { label: 'Radians squared per second squared', symbol: 's⁻²', scale: 1, offset: 0 }
+    }
+  }
+};
+
+// Quantity of each canonical row field and of the display keys used by charts and panels
+export const VARIABLE_QUANTITIES = {
+  temp: 'temperature',
+  temperature: 'temperature',
+  nspeed: 'speed',
+  speed: 'speed',
+  currentSpeed: 'speed',
+  windSpeed: 'speed',
+  depth: 'length',
+  ssh: 'length',
+  waveHeight: 'length',
+  height: 'length',
+  distance: 'distance',
+  pressure_dbars: 'pressure',
+  pressure: 'pressure',
+  sound_speed_ms: 'soundSpeed',
+  soundSpeed: 'soundSpeed',
+  salinity: 'salinity',
+  // TEOS-10 derived variables (see derivedVariablesService)
+  abs_salinity: 'absoluteSalinity',
+  absoluteSalinity: 'absoluteSalinity',
+  cons_temp: 'temperature',
+  conservativeTemperature: 'temperature',
+  sigma_theta: 'density',
+  sigmaTheta: 'density',
+  sound_speed_teos: 'soundSpeed',
+  sound_speed_delta: 'soundSpeed',
+  soundSpeedTeos10: 'soundSpeed',
+  soundSpeedResidual: 'soundSpeed',
+  n2: 'buoyancyFrequency',
+  buoyancyFrequencySquared: 'buoyancyFrequency',
+  mld: 'length',
+  mixedLayerDepth: 'length',
+  thermocline_depth: 'length',
+  thermoclineDepth: 'length'
+};
+
+// Preset unit systems; the user can also pick units per quantity
+export const UNIT_SYSTEMS = {
+  metric: {
+    label: 'Metric',
+    units: { temperature: 'degC', speed: 'm/s', length: 'm', distance: 'km', pressure: 'dbar', soundSpeed: 'm/s', salinity: 'PSU', absoluteSalinity: 'g/kg', density: 'kg/m3', buoyancyFrequency: 's-2' }
+  },
+  nautical: {
+    label: 'Nautical',
+    units: { temperature: 'degF', speed: 'knots', length: 'ft', distance: 'nmi', pressure: 'psi', soundSpeed: 'ft/s', salinity: 'PSU', absoluteSalinity: 'g/kg', density: 'kg/m3', buoyancyFrequency: 's-2' }
+  },
+  imperial: {
+    label: 'Imperial',
+    units: { temperature: 'degF', speed: 'mph', length: 'ft', distance: 'mi', pressure: 'psi', soundSpeed: 'ft/s', salinity: 'PSU', absoluteSalinity: 'g/kg', density: 'kg/m3', buoyancyFrequency: 's-2' }
+  }
+};
+
+export const DEFAULT_UNIT_PREFERENCES = UNIT_SYSTEMS.metric.units;
+
+/**
+ * @param {string} variable - Row field, display key or quantity name
+ * @returns {string|null} Quantity name, or null for unitless variables
+ */
+export const getQuantity = (variable) => {
+  if (UNIT_QUANTITIES[variable]) return variable;
+  return VARIABLE_QUANTITIES[variable] || null;
+};
+
+/**
+ * @param {string} variable - Row field, display key or quantity name
+ * @param {object} preferences - Unit id per quantity
+ * @returns {object|null} The selected unit ({ id, label, symbol, scale, offset }), or null
+ */
+export const getDisplayUnit = (variable, preferences = DEFAULT_UNIT_PREFERENCES) => {
+  const quantity = getQuantity(variable);
+  if (!quantity) return null;
+  const { units } = UNIT_QUANTITIES[quantity];
+  const id = units[preferences?.[quantity]] ? preferences[quantity] : DEFAULT_UNIT_PREFERENCES[quantity];
+  return { id, ...units[id] };
+};
+
+/**
+ * @param {string} variable - Row field, display key or quantity name
+ * @param {object} preferences - Unit id per quantity
+ * @returns {string} Unit symbol (empty for unitless variables)
+ */
+export const getUnitSymbol = (variable, preferences) => getDisplayUnit(variable, preferences)?.symbol || '';
+
+/**
+ * Converts a canonical value to the selected unit.
+ * @param {number|string} value - Canonical value
+ * @param {string} variable - Row field, display key or quantity name
+ * @param {object} preferences - Unit id per quantity
+ * @returns {number|null} Converted value (null for missing values; unitless values are unchanged)
+ */
+export const convertValue = (value, variable, preferences) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  if (isNaN(number)) return null;
+  const unit = getDisplayUnit(variable, preferences);
+  return unit ? number * unit.scale + unit.offset : number;
+};
+
+/**
+ * Converts a value in the selected unit back to canonical.
+ * @param {number} value - Value in the selected unit
+ * @param {string} variable - Row field, display key or quantity name
+ * @param {object} preferences - Unit id per quantity
+ * @returns {number|null} Canonical value
+ */
+export const toCanonicalValue = (value, variable, preferences) => {
+  if (value === null || value === undefined || isNaN(value)) return null;
+  const unit = getDisplayUnit(variable, preferences);
+  return unit ? (value - unit.offset) / unit.scale : value;
+};
+
+/**
+ * Converts and formats a canonical value with its unit symbol.
+ * @param {number|string} value - Canonical value
+ * @param {string} variable - Row field, display key or quantity name
+ * @param {object} preferences - Unit id per quantity
+ * @param {number} digits - Decimal places
+ * @returns {string} Formatted value, or 'N/A' for missing values
+ */
+export const formatValue = (value, variable, preferences, digits = 2) => {
+  const converted = convertValue(value, variable, preferences);
+  if (converted === null) return 'N/A';
+  const symbol = getUnitSymbol(variable, preferences);
+  if (!symbol) return converted.toFixed(digits);
+  return `${converted.toFixed(digits)}${symbol.startsWith('°') ? '' : ' '}${symbol}`;
+};
+
+/**
+ * @param {string} label - Axis or column label
+ * @param {string} variable - Row field, display key or quantity name
+ * @param {object} preferences - Unit id per quantity
+ * @returns {string} Label with the unit in parentheses, e.g. "Temperature (°F)"
+ */
+export const withUnitLabel = (label, variable, preferences) => {
+  const symbol = getUnitSymbol(variable, preferences);
+  return symbol ? `${label} (${symbol})` : label;
+};
+
+/**
+ * Copies rows with their unit-bearing fields converted, for exports.
+ * @param {Array<object>} rows - Canonical rows (or display rows keyed by VARIABLE_QUANTITIES keys)
+ * @param {object} preferences - Unit id per quantity
+ * @returns {Array<object>} Converted rows
+ */
+export const convertRows = (rows, preferences) => rows.map(row => {
+  const converted = { ...row };
+  Object.keys(row).forEach(field => {
+    if (VARIABLE_QUANTITIES[field] && row[field] !== null && row[field] !== undefined && row[field] !== '') {
+      converted[field] = convertValue(row[field], field, preferences);
+    }
+  });
+  return converted;
+});
+
+/**
+ * @param {object} preferences - Unit id per quantity
+ * @returns {string} Matching UNIT_SYSTEMS key, or 'custom'
+ */
+export const getUnitSystemId = (preferences) => {
+  const match = Object.entries(UNIT_SYSTEMS).find(([, system]) => (
+    Object.keys(UNIT_QUANTITIES).every(quantity => getDisplayUnit(quantity, preferences).id === system.units[quantity])
+  ));
+  return match ? match[0] : 'custom';
+};
+
+/**
+ * @param {object} preferences - Unit id per quantity
+ * @returns {object} Symbol per quantity, for describing the units to the chatbot
+ */
+export const describeUnits = (preferences) => {
+  const description = {};
+  Object.keys(UNIT_QUANTITIES).forEach(quantity => {
+    description[quantity] = getUnitSymbol(quantity, preferences);
+  });
+  return description;
+};
+
+/**
+ * @param {string} userId - User the preferences belong to (null for the shared password login)
+ * @returns {string} Storage key
+ */
+const storageKey = (userId) => (userId ? `${UNIT_PREFERENCES_STORAGE_KEY}:${userId}` : UNIT_PREFERENCES_STORAGE_KEY);
+
+/**
+ * @param {string} userId - User the preferences belong to
+ * @returns {object} Stored unit preferences, with unknown or missing units set to the defaults
+ */
+export const loadUnitPreferences = (userId = null) => {
+  const stored = EncryptedStorage.getItem(storageKey(userId));
+  const preferences = {};
+  Object.keys(UNIT_QUANTITIES).forEach(quantity => {
+    preferences[quantity] = getDisplayUnit(quantity, stored && typeof stored === 'object' ? stored : null).id;
+  });
+  return preferences;
+};
+
+/**
+ * @param {object} preferences - Unit id per quantity
+ * @param {string} userId - User the preferences belong to
+ */
+export const saveUnitPreferences = (preferences, userId = null) => {
+  EncryptedStorage.setItem(storageKey(userId), preferences);
+};
+
+const unitService = {
+  UNIT_QUANTITIES,
+  VARIABLE_QUANTITIES,
+  UNIT_SYSTEMS,
+  DEFAULT_UNIT_PREFERENCES,
+  getQuantity,
+  getDisplayUnit,
+  getUnitSymbol,
+  convertValue,
+  toCanonicalValue,
+  formatValue,
+  withUnitLabel,
+  convertRows,
+  getUnitSystemId,
+  describeUnits,
+  loadUnitPreferences,
+  saveUnitPreferences
+};
+
+export default unitService;
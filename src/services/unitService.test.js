@@ -0,0 +1,53 @@
+import {
+  UNIT_SYSTEMS,
+  DEFAULT_UNIT_PREFERENCES,
+  convertValue,
+  toCanonicalValue,
+  formatValue,
+  withUnitLabel,
+  convertRows,
+  getUnitSystemId,
+  loadUnitPreferences,
+  saveUnitPreferences
+} from './unitService';
+import { setSessionKey } from './sessionKey';
+
+const nautical = UNIT_SYSTEMS.nautical.units;
+
+describe('unitService', () => {
+  beforeAll(() => setSessionKey('test-session-key'));
+  afterEach(() => localStorage.clear());
+
+  test('converts canonical values to the selected units and back', () => {
+    expect(convertValue(20, 'temp', nautical)).toBeCloseTo(68);
+    expect(convertValue(1, 'currentSpeed', nautical)).toBeCloseTo(1.943844);
+    expect(convertValue(10, 'depth', nautical)).toBeCloseTo(32.8084);
+    expect(convertValue(100, 'pressure_dbars', nautical)).toBeCloseTo(145.0377);
+    expect(convertValue(35, 'salinity', nautical)).toBe(35);
+    expect(convertValue(90, 'heading', nautical)).toBe(90);
+    expect(convertValue(null, 'temp', nautical)).toBeNull();
+    expect(toCanonicalValue(68, 'temp', nautical)).toBeCloseTo(20);
+  });
+
+  test('formats values and labels with unit symbols', () => {
+    expect(formatValue(20, 'temp', nautical, 1)).toBe('68.0°F');
+    expect(formatValue(20, 'temp', DEFAULT_UNIT_PREFERENCES, 1)).toBe('20.0°C');
+    expect(formatValue(1, 'nspeed', nautical, 2)).toBe('1.94 kn');
+    expect(formatValue(undefined, 'nspeed', nautical)).toBe('N/A');
+    expect(withUnitLabel('Depth', 'depth', nautical)).toBe('Depth (ft)');
+
+    const [row] = convertRows([{ temperature: 20, heading: 45, time: '12:00' }], nautical);
+    expect(row).toEqual({ temperature: 68, heading: 45, time: '12:00' });
+  });
+
+  test('persists preferences per user and matches unit systems', () => {
+    saveUnitPreferences(nautical, 'user-a');
+    expect(loadUnitPreferences('user-a')).toEqual(nautical);
+    expect(loadUnitPreferences('user-b')).toEqual(DEFAULT_UNIT_PREFERENCES);
+    expect(getUnitSystemId(nautical)).toBe('nautical');
+    expect(getUnitSystemId({ ...nautical, speed: 'm/s' })).toBe('custom');
+
+    saveUnitPreferences({ temperature: 'degF', speed: 'furlongs' }, 'user-c');
+    expect(loadUnitPreferences('user-c')).toEqual({ ...DEFAULT_UNIT_PREFERENCES, temperature: 'degF' });
+  });
+});
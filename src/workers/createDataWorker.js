@@ -0,0 +1,6 @@
+/**
+ * Starts the data processing worker. Kept in its own module because the bundler resolves the
+ * worker through import.meta.url, which the Jest transform cannot parse; tests mock this module.
+ * @returns {Worker} A new data processing worker
+ */
+export const createDataWorker = () => new Worker(new URL('./dataProcessing.worker.js', import.meta.url));
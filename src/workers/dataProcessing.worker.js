@@ -0,0 +1,24 @@
+/**
+ * Data processing worker
+ * Runs dataProcessingService tasks off the main thread. Messages are { id, type, payload, areaConfig };
+ * replies are { id, result } with the task's typed-array buffers transferred, or { id, error }.
+ * areaConfig is the main thread's active area registry, applied before the task so water checks
+ * see areas loaded at runtime and not only the bundled areas.json.
+ */
+
+import { runDataTask } from '../services/dataProcessingService';
+import { setAreaConfig } from '../services/areaRegistryService';
+
+// eslint-disable-next-line no-restricted-globals
+const workerScope = self;
+
+workerScope.onmessage = ({ data }) => {
+  const { id, type, payload, areaConfig } = data;
+  try {
+    if (areaConfig) setAreaConfig(areaConfig);
+    const { result, transfer } = runDataTask(type, payload);
+    workerScope.postMessage({ id, result }, transfer);
+  } catch (error) {
+    workerScope.postMessage({ id, error: error.message || String(error) });
+  }
+};